@@ -0,0 +1,212 @@
+// Load environment variables from .env file
+require("dotenv").config();
+
+const { DataSources, getSheetUrl } = require("../src/services/dataSources");
+const { Notifier, getDestinations } = require("../src/services/notifier");
+const { RunLedger } = require("../src/services/runLedger");
+const { RunHistory } = require("../src/services/runHistory");
+const { Outbox } = require("../src/services/outbox");
+const { loadConfig } = require("../src/utils/config");
+const { planRollback } = require("../src/domain/rollback");
+const { logger } = require("../src/utils/logger");
+
+/**
+ * Undo a recorded monitor run: restore the cells it wrote, roll back the run
+ * ledger so the day is applied again next time, and post a correction embed.
+ * Run with: npm run undo -- [--run=<run id>] [--army=<name>] [--dry-run] [--force]
+ *   --run      Run to undo (default: the latest run with anything left to undo)
+ *   --army     Only undo this army (default: every army in the run)
+ *   --dry-run  Show what would be restored without writing or posting anything
+ *   --force    Also restore cells that were edited after the run wrote them
+ */
+function getUndoOptions(argv = process.argv.slice(2)) {
+  const valueOf = (name) => {
+    const arg = argv.find((value) => value.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+  };
+
+  return {
+    runId: valueOf("run"),
+    armyName: valueOf("army"),
+    dryRun: argv.includes("--dry-run"),
+    force: argv.includes("--force"),
+  };
+}
+
+/**
+ * Revert one army of a recorded run
+ * @param {Object} army - The army's run history record
+ * @param {Object} sheetConfig - The army's current sheet configuration
+ * @param {string} runId - The run being undone
+ * @param {Object} context - { options, dataSources, notifier, runLedger }
+ */
+async function undoArmy(army, sheetConfig, runId, context) {
+  const { options, dataSources, notifier, runLedger } = context;
+  const source = dataSources.forSheet(sheetConfig);
+  const locale =
+    sheetConfig.locale || (await source.getSpreadsheetLocale(army.sheetId));
+
+  // Check the cells still hold what the run wrote, so later edits aren't lost
+  let currentValues = {};
+  if (army.writes.length > 0) {
+    [currentValues] = await source.getCellValuesForArmies(army.sheetId, [
+      {
+        sheetName: army.sheetName,
+        cells: army.writes.map((write) => write.cell),
+      },
+    ]);
+  }
+  const plan = planRollback(army, sheetConfig, currentValues, locale);
+  if (plan.conflicts.length > 0 && !options.force) {
+    const edits = plan.conflicts.map(
+      (conflict) =>
+        `${conflict.cell} changed from "${conflict.expected}" to "${conflict.found}"`
+    );
+    throw new Error(
+      `Cells were edited after run ${runId} (${edits.join(", ")}). ` +
+        "Check the sheet, then re-run with --force to overwrite them."
+    );
+  }
+
+  // The state-file ledger isn't a cell; restoring it lets the next run apply the day again
+  const changes = plan.changes.slice();
+  if (!sheetConfig.lastProcessedDateCell) {
+    changes.push({
+      label: "Last processed date",
+      from: army.campaignDate,
+      to: army.previousLedgerDate || "",
+    });
+  }
+
+  const labels = changes.map((change) => change.label).join(", ");
+  if (options.dryRun) {
+    logger.info(`[dry run] Would restore ${army.name}: ${labels}`);
+  } else {
+    if (plan.writes.length > 0) {
+      await source.updateCellValuesBatch(army.sheetId, plan.writes);
+    }
+    if (!sheetConfig.lastProcessedDateCell) {
+      await runLedger.restoreLastProcessedDate(
+        sheetConfig,
+        army.previousLedgerDate
+      );
+    }
+    logger.info(`Restored ${army.name}: ${labels}`);
+  }
+
+  await notifier.sendCorrection({
+    name: army.name,
+    runId,
+    changes,
+    destinations: getDestinations(sheetConfig),
+    sheetUrl: getSheetUrl(sheetConfig),
+    locale,
+    campaignDate: army.campaignDate,
+    campaign: sheetConfig.campaign,
+  });
+}
+
+async function undoRun() {
+  try {
+    logger.info("Starting undo...");
+
+    const options = getUndoOptions();
+    if (options.dryRun) {
+      logger.info(
+        "🧪 DRY RUN: sheets will not be updated and no notifications will be sent"
+      );
+    }
+
+    // Load configuration
+    const config = await loadConfig();
+
+    // Initialize services
+    const dataSources = new DataSources();
+    // Corrections that can't be delivered now go out with the next monitor run
+    const notifier = new Notifier({
+      dryRun: options.dryRun,
+      outbox: new Outbox(),
+    });
+    const runLedger = new RunLedger({ dataSources });
+    const runHistory = new RunHistory();
+
+    const run = await runHistory.findRun(options.runId, options.armyName);
+    if (!run) {
+      throw new Error(
+        options.runId
+          ? `Run ${options.runId} is not in the run history`
+          : "The run history has no run left to undo"
+      );
+    }
+
+    const armies = run.armies.filter(
+      (army) =>
+        !army.revertedAt &&
+        (!options.armyName || army.name === options.armyName)
+    );
+    if (armies.length === 0) {
+      throw new Error(
+        `Nothing left to undo in run ${run.runId}${
+          options.armyName ? ` for ${options.armyName}` : ""
+        }`
+      );
+    }
+    logger.info(
+      `Undoing run ${run.runId} (started ${run.startedAt}) for ${armies
+        .map((army) => army.name)
+        .join(", ")}`
+    );
+
+    const reverted = [];
+    let failures = 0;
+    for (const army of armies) {
+      try {
+        const sheetConfig = config.find(
+          (candidate) => runLedger.getKey(candidate) === army.key
+        );
+        if (!sheetConfig) {
+          throw new Error(
+            `${army.name} is no longer in the configuration (sheet ${army.sheetId})`
+          );
+        }
+
+        await undoArmy(army, sheetConfig, run.runId, {
+          options,
+          dataSources,
+          notifier,
+          runLedger,
+        });
+        reverted.push(army.key);
+      } catch (error) {
+        failures += 1;
+        logger.error(`Failed to undo ${army.name}:`, error);
+      }
+    }
+
+    if (!options.dryRun && reverted.length > 0) {
+      await runHistory.markReverted(run.runId, reverted);
+    }
+
+    logger.info(
+      `Undo finished: ${reverted.length} ${
+        options.dryRun ? "would be restored" : "restored"
+      }, ${failures} failed`
+    );
+    if (failures > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    logger.error("Undo failed:", error);
+    process.exit(1);
+  }
+}
+
+// Run undo if this script is executed directly
+if (require.main === module) {
+  undoRun().catch((error) => {
+    logger.error("Unhandled error:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = { undoRun, getUndoOptions };
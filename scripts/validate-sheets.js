@@ -1,48 +1,11 @@
 // Load environment variables from .env file
 require("dotenv").config();
 
-const { GoogleSheetsService } = require("../src/services/googleSheets");
+const { DataSources } = require("../src/services/dataSources");
 const { loadConfig } = require("../src/utils/config");
+const { getTickCells } = require("../src/domain/supplyTick");
 const { logger } = require("../src/utils/logger");
 
-/**
- * Sleep for the specified number of milliseconds
- * @param {number} ms - Milliseconds to sleep
- */
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
-/**
- * Retry a function with exponential backoff for quota errors
- * @param {Function} fn - Function to retry
- * @param {number} maxRetries - Maximum number of retries
- * @param {number} baseDelay - Base delay in milliseconds
- */
-async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
-  for (let i = 0; i <= maxRetries; i++) {
-    try {
-      return await fn();
-    } catch (error) {
-      const isQuotaError =
-        error.message.includes("Quota exceeded") ||
-        error.message.includes("quota metric");
-
-      if (isQuotaError && i < maxRetries) {
-        const delay = baseDelay * Math.pow(2, i);
-        logger.warn(
-          `Quota exceeded, retrying in ${delay}ms... (attempt ${i + 1}/${
-            maxRetries + 1
-          })`
-        );
-        await sleep(delay);
-        continue;
-      }
-      throw error;
-    }
-  }
-}
-
 /**
  * Validation script to check sheet configurations
  * Run with: node scripts/validate-sheets.js
@@ -55,17 +18,18 @@ async function validateSheets() {
     const config = await loadConfig();
     logger.info(`Loaded configuration for ${config.length} sheets`);
 
-    // Initialize Google Sheets service
-    const sheetsService = new GoogleSheetsService();
+    // Google Sheets and local data files, as each army's config selects
+    const dataSources = new DataSources();
 
     logger.info(`⚡ Using optimized batch processing to reduce API calls`);
     logger.info(
-      `📊 Processing ${config.length} sheets with enhanced rate limiting`
+      `📊 Processing ${config.length} sheets (API calls are throttled and retried by GoogleSheetsService)`
     );
 
-    // Validate each sheet configuration with optimized rate limiting
+    // Validate each sheet configuration
     for (let i = 0; i < config.length; i++) {
       const sheetConfig = config[i];
+      const source = dataSources.forSheet(sheetConfig);
 
       try {
         logger.info(
@@ -74,29 +38,26 @@ async function validateSheets() {
           }) ---`
         );
 
-        // Add delay between requests to avoid hitting rate limits
-        // Increased delay for better quota management
-        if (i > 0) {
-          logger.info("⏱️  Waiting 5 seconds to avoid rate limits...");
-          await sleep(5000);
+        // Every configured cell, so cross-tab references and named ranges get checked too
+        const cellReferences = getTickCells(sheetConfig);
+        if (sheetConfig.lastProcessedDateCell) {
+          cellReferences.push(sheetConfig.lastProcessedDateCell);
         }
 
-        const validation = await retryWithBackoff(
-          async () => {
-            return await sheetsService.validateSheetConfig(
-              sheetConfig.sheetId,
-              sheetConfig.sheetName
-            );
-          },
-          4,
-          2000
-        ); // Increased retries and base delay
+        const validation = await source.validateSheetConfig(
+          sheetConfig.sheetId,
+          sheetConfig.sheetName,
+          cellReferences
+        );
 
         logger.info(`Spreadsheet: "${validation.spreadsheetTitle}"`);
         logger.info(`Total sheets: ${validation.totalSheets}`);
         logger.info(
           `Available sheets: ${validation.availableSheets.join(", ")}`
         );
+        if (validation.namedRanges.length > 0) {
+          logger.info(`Named ranges: ${validation.namedRanges.join(", ")}`);
+        }
         logger.info(`Target sheet: ${validation.targetSheet || "N/A"}`);
         logger.info(
           `Status: ${validation.isValid ? "✅ VALID" : "❌ INVALID"}`
@@ -108,20 +69,14 @@ async function validateSheets() {
           try {
             logger.info("📖 Reading cell values using batch API...");
 
-            const cellValues = await retryWithBackoff(
-              async () => {
-                return await sheetsService.getCellValuesBatch(
-                  sheetConfig.sheetId,
-                  [
-                    sheetConfig.currentSuppliesCell,
-                    sheetConfig.dailyConsumptionCell,
-                  ],
-                  sheetConfig.sheetName
-                );
-              },
-              4,
-              2000
-            ); // Increased retries and base delay
+            const cellValues = await source.getCellValuesBatch(
+              sheetConfig.sheetId,
+              [
+                sheetConfig.currentSuppliesCell,
+                sheetConfig.dailyConsumptionCell,
+              ],
+              sheetConfig.sheetName
+            );
 
             const currentSupplies = cellValues[sheetConfig.currentSuppliesCell];
             const dailyConsumption =
@@ -147,6 +102,10 @@ async function validateSheets() {
       }
     }
 
+    const stats = dataSources.getRequestStats();
+    logger.info(
+      `Sheets API usage: ${stats.requests} requests, ${stats.retries} retries`
+    );
     logger.info("\n🏁 Validation completed!");
   } catch (error) {
     logger.error("Fatal error during validation:", error);
@@ -0,0 +1,55 @@
+// Load environment variables from .env file
+require("dotenv").config();
+
+const { DataSources } = require("./services/dataSources");
+const { SupplyBot } = require("./services/supplyBot");
+const { SupplyCommands } = require("./services/supplyCommands");
+const { GmCommands } = require("./services/gmCommands");
+const { GmActionLog } = require("./services/gmActionLog");
+const { runMonitor, getRunOptions } = require("./index");
+const { loadConfig } = require("./utils/config");
+const { logger } = require("./utils/logger");
+
+/**
+ * Run the slash command bot until the process is stopped.
+ * Run with: npm run bot
+ */
+async function main() {
+  try {
+    logger.info("Starting supply bot...");
+
+    const config = await loadConfig();
+    logger.info(`Loaded configuration for ${config.length} sheets`);
+
+    const dataSources = new DataSources();
+    const bot = new SupplyBot({
+      commands: [
+        new SupplyCommands({ config, dataSources }),
+        new GmCommands({
+          config,
+          dataSources,
+          actionLog: new GmActionLog(),
+          runMonitor,
+          runOptions: getRunOptions([]),
+        }),
+      ],
+    });
+    await bot.start();
+
+    const shutdown = () => {
+      logger.info("Stopping supply bot...");
+      bot.stop().then(() => process.exit(0));
+    };
+    process.once("SIGINT", shutdown);
+    process.once("SIGTERM", shutdown);
+  } catch (error) {
+    logger.error("Fatal error in supply bot:", error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main };
@@ -0,0 +1,143 @@
+/**
+ * Who may use the bot's commands on which army. An army lists the Discord
+ * users and roles of its players in `players` ({ userIds, roleIds }); the
+ * GM of its campaign (`campaign.gm`, same keys) may act on every army of
+ * the campaign, and only the GM may use the GM commands. A member is
+ * { userId, roleIds } from the interaction.
+ * No I/O.
+ */
+
+function matchesMember(member, ids) {
+  if (!ids) {
+    return false;
+  }
+  return (
+    (ids.userIds || []).includes(member.userId) ||
+    (ids.roleIds || []).some((roleId) => member.roleIds.includes(roleId))
+  );
+}
+
+/**
+ * @param {Object} member - { userId, roleIds }
+ * @param {Object} campaign - Resolved campaign settings of an army
+ * @returns {boolean}
+ */
+function isGameMaster(member, campaign) {
+  return Boolean(campaign) && matchesMember(member, campaign.gm);
+}
+
+/**
+ * @param {Object} member - { userId, roleIds }
+ * @param {Object} sheetConfig - The sheet configuration
+ * @returns {boolean}
+ */
+function canActOnArmy(member, sheetConfig) {
+  return (
+    matchesMember(member, sheetConfig.players) ||
+    isGameMaster(member, sheetConfig.campaign)
+  );
+}
+
+/**
+ * Armies a member may act on, in config order
+ * @param {Object} member - { userId, roleIds }
+ * @param {Object[]} config - Sheet configurations
+ * @returns {Object[]}
+ */
+function getArmiesFor(member, config) {
+  return config.filter((sheetConfig) => canActOnArmy(member, sheetConfig));
+}
+
+/**
+ * Pick the army a command is about: the named one, or the member's only army
+ * @param {Object} member - { userId, roleIds }
+ * @param {Object[]} config - Sheet configurations
+ * @param {string|null} armyName - The command's army option (any case)
+ * @returns {{army: Object|null, error: string|null}} - The army, or why there is none
+ */
+function resolveArmy(member, config, armyName) {
+  if (armyName) {
+    const wanted = armyName.trim().toLowerCase();
+    const army = config.find(
+      (sheetConfig) => sheetConfig.name.toLowerCase() === wanted
+    );
+    if (!army) {
+      return { army: null, error: `There is no army named "${armyName}"` };
+    }
+    if (!canActOnArmy(member, army)) {
+      return {
+        army: null,
+        error: `Only players of ${army.name} and the GM can do that`,
+      };
+    }
+    return { army, error: null };
+  }
+
+  const armies = getArmiesFor(member, config);
+  if (armies.length === 1) {
+    return { army: armies[0], error: null };
+  }
+  return {
+    army: null,
+    error:
+      armies.length === 0
+        ? "You are not a player of any army"
+        : `Pick an army: ${armies
+            .map((sheetConfig) => sheetConfig.name)
+            .join(", ")}`,
+  };
+}
+
+/**
+ * Armies of the campaigns a member is GM of, in config order
+ * @param {Object} member - { userId, roleIds }
+ * @param {Object[]} config - Sheet configurations
+ * @returns {Object[]}
+ */
+function getGmArmiesFor(member, config) {
+  return config.filter((sheetConfig) =>
+    isGameMaster(member, sheetConfig.campaign)
+  );
+}
+
+/**
+ * Pick the armies a GM command is about: the named one, or every army the
+ * member is GM of
+ * @param {Object} member - { userId, roleIds }
+ * @param {Object[]} config - Sheet configurations
+ * @param {string|null} armyName - The command's army option (any case)
+ * @returns {{armies: Object[], error: string|null}} - The armies, or why there are none
+ */
+function resolveGmArmies(member, config, armyName) {
+  if (armyName) {
+    const wanted = armyName.trim().toLowerCase();
+    const army = config.find(
+      (sheetConfig) => sheetConfig.name.toLowerCase() === wanted
+    );
+    if (!army) {
+      return { armies: [], error: `There is no army named "${armyName}"` };
+    }
+    if (!isGameMaster(member, army.campaign)) {
+      return {
+        armies: [],
+        error: `Only the GM of ${army.name}'s campaign can do that`,
+      };
+    }
+    return { armies: [army], error: null };
+  }
+
+  const armies = getGmArmiesFor(member, config);
+  return {
+    armies,
+    error: armies.length === 0 ? "You are not the GM of any campaign" : null,
+  };
+}
+
+module.exports = {
+  isGameMaster,
+  canActOnArmy,
+  getArmiesFor,
+  resolveArmy,
+  getGmArmiesFor,
+  resolveGmArmies,
+};
@@ -0,0 +1,76 @@
+/**
+ * Buttons under an army's supply alerts (destinations with `actionButtons`).
+ * Each button's custom ID names the bot command that handles the click, the
+ * action and the army, e.g. "supply:rest:Saraian 1st Army".
+ * No I/O.
+ */
+
+// The slash command whose handler answers the buttons
+const ACTION_COMMAND = "supply";
+// Discord's limit on a button's custom ID
+const MAX_CUSTOM_ID_LENGTH = 100;
+const ALERT_FORECAST_DAYS = 7;
+
+const ALERT_ACTIONS = [
+  { action: "rest", label: "Rest tomorrow", emoji: "😴" },
+  { action: "resupply", label: "Request resupply from GM", emoji: "🎫" },
+  {
+    action: "forecast",
+    label: `Show ${ALERT_FORECAST_DAYS}-day forecast`,
+    emoji: "🔮",
+  },
+];
+
+/**
+ * @param {string} action - One of ALERT_ACTIONS' actions
+ * @param {string} army - The army name
+ * @returns {string} - The button's custom ID
+ */
+function buildActionId(action, army) {
+  return `${ACTION_COMMAND}:${action}:${army}`;
+}
+
+/**
+ * Read a button's custom ID back
+ * @param {string} customId - The clicked button's custom ID
+ * @returns {{action: string, army: string}|null} - Null for IDs that aren't alert actions
+ */
+function parseActionId(customId) {
+  const [command, action, ...army] = customId.split(":");
+  if (
+    command !== ACTION_COMMAND ||
+    !ALERT_ACTIONS.some((known) => known.action === action) ||
+    army.length === 0
+  ) {
+    return null;
+  }
+  return { action, army: army.join(":") };
+}
+
+/**
+ * Buttons to put under an army's alert. "Rest tomorrow" needs a
+ * restingStatusCell and is left off while the army already rests; an army
+ * whose name doesn't fit in a custom ID gets no buttons.
+ * @param {Object} sheetConfig - The sheet configuration
+ * @param {boolean} isResting - Whether the army rests today
+ * @returns {Object[]} - [{ id, label, emoji }]
+ */
+function getAlertActions(sheetConfig, isResting) {
+  return ALERT_ACTIONS.filter(
+    (known) =>
+      known.action !== "rest" || (sheetConfig.restingStatusCell && !isResting)
+  )
+    .map((known) => ({
+      id: buildActionId(known.action, sheetConfig.name),
+      label: known.label,
+      emoji: known.emoji,
+    }))
+    .filter((action) => action.id.length <= MAX_CUSTOM_ID_LENGTH);
+}
+
+module.exports = {
+  ALERT_FORECAST_DAYS,
+  buildActionId,
+  parseActionId,
+  getAlertActions,
+};
@@ -0,0 +1,60 @@
+/**
+ * Rows for the in-sheet supply audit log.
+ *
+ * An army with `auditLogTab` gets one row appended per applied campaign day,
+ * so a catch-up run over three missed days adds three rows. Armies sharing a
+ * spreadsheet may share a tab; the army column tells them apart.
+ */
+
+const { formatCampaignDay } = require("./calendar");
+
+const AUDIT_LOG_HEADERS = [
+  "Timestamp",
+  "Campaign date",
+  "Campaign day",
+  "Army",
+  "Supplies before",
+  "Supplies after",
+  "Daily consumption",
+  "Resting",
+  "Total carried",
+  "Carrying capacity",
+  "Run ID",
+  "Notification",
+];
+
+/**
+ * Build the audit log rows for one army's tick
+ * @param {Object} params
+ * @param {Object} params.sheetConfig - The sheet configuration
+ * @param {Object} params.campaign - Campaign settings (for the in-game day label)
+ * @param {Object} params.tick - Result of computeSupplyTick
+ * @param {string} params.runId - Identifies the monitor run that applied the days
+ * @param {string} params.timestamp - ISO time of the run
+ * @returns {Array[]} - One row per applied day, in AUDIT_LOG_HEADERS order
+ */
+function buildAuditRows({ sheetConfig, campaign, tick, runId, timestamp }) {
+  return tick.days.map((day) => {
+    // The sheet's total carried predates the tick; report it as of the end of each day
+    const consumedSoFar = tick.currentSupplies - day.suppliesAfter;
+    return [
+      timestamp,
+      day.date,
+      formatCampaignDay(day.date, campaign),
+      sheetConfig.name,
+      day.suppliesBefore,
+      day.suppliesAfter,
+      tick.dailyConsumption,
+      day.resting,
+      Math.max(0, tick.totalCarried - consumedSoFar),
+      tick.carryingCapacity,
+      runId,
+      tick.notification,
+    ];
+  });
+}
+
+module.exports = {
+  AUDIT_LOG_HEADERS,
+  buildAuditRows,
+};
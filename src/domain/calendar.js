@@ -0,0 +1,106 @@
+/**
+ * In-game calendar labels for campaign dates.
+ *
+ * A campaign maps real dates onto in-game days, e.g.
+ *   "campaign": {
+ *     "startDate": "2025-03-01",
+ *     "calendar": {
+ *       "startDay": 1,
+ *       "seasons": [{ "name": "early spring", "days": 60 }, ...]
+ *     }
+ *   }
+ * labels 2025-04-16 as "Day 47, early spring". Without `startDate` the real
+ * date is shown instead.
+ */
+
+const {
+  addDays,
+  differenceInCalendarDays,
+  format,
+  parseISO,
+} = require("date-fns");
+
+/**
+ * Get the in-game day number of a campaign date
+ * @param {string} campaignDate - The campaign date (yyyy-MM-dd)
+ * @param {Object} campaign - Campaign settings ({ startDate, calendar })
+ * @returns {number|null} - The day number, or null when the campaign has no start date
+ */
+function getCampaignDayNumber(campaignDate, campaign = {}) {
+  if (!campaign.startDate) {
+    return null;
+  }
+  const startDay = (campaign.calendar && campaign.calendar.startDay) || 1;
+  return (
+    startDay +
+    differenceInCalendarDays(
+      parseISO(campaignDate),
+      parseISO(campaign.startDate)
+    )
+  );
+}
+
+/**
+ * Find the season an in-game day falls in; seasons repeat once the year is over
+ * @param {number} dayNumber - The in-game day number (day 1 is the first day of the first season)
+ * @param {Object} calendar - Calendar settings ({ seasons: [{ name, days }] })
+ * @returns {string|null} - The season name, or null when no seasons are configured
+ */
+function getSeason(dayNumber, calendar) {
+  const seasons = (calendar && calendar.seasons) || [];
+  const yearLength = seasons.reduce((sum, season) => sum + season.days, 0);
+  if (yearLength === 0) {
+    return null;
+  }
+
+  let dayOfYear = (((dayNumber - 1) % yearLength) + yearLength) % yearLength;
+  for (const season of seasons) {
+    if (dayOfYear < season.days) {
+      return season.name;
+    }
+    dayOfYear -= season.days;
+  }
+  return null;
+}
+
+/**
+ * Label a campaign date for display
+ * @param {string} campaignDate - The campaign date (yyyy-MM-dd)
+ * @param {Object} campaign - Campaign settings
+ * @param {Object} options
+ * @param {boolean} options.short - Leave out the season / weekday detail
+ * @returns {string} - e.g. "Day 47, early spring", or "Wednesday, August 13th" without a start date
+ */
+function formatCampaignDay(
+  campaignDate,
+  campaign = {},
+  { short = false } = {}
+) {
+  const dayNumber = getCampaignDayNumber(campaignDate, campaign);
+  if (dayNumber === null) {
+    return format(
+      parseISO(campaignDate),
+      short ? "EEE, MMM d" : "EEEE, MMMM do"
+    );
+  }
+
+  const season = short ? null : getSeason(dayNumber, campaign.calendar);
+  return season ? `Day ${dayNumber}, ${season}` : `Day ${dayNumber}`;
+}
+
+/**
+ * Move a campaign date forward by a number of campaign days
+ * @param {string} campaignDate - The campaign date (yyyy-MM-dd)
+ * @param {number} days - Days to add
+ * @returns {string} - The resulting campaign date (yyyy-MM-dd)
+ */
+function addCampaignDays(campaignDate, days) {
+  return format(addDays(parseISO(campaignDate), days), "yyyy-MM-dd");
+}
+
+module.exports = {
+  getCampaignDayNumber,
+  getSeason,
+  formatCampaignDay,
+  addCampaignDays,
+};
@@ -0,0 +1,89 @@
+/**
+ * Daily consumption derived from an army's unit composition.
+ *
+ * With `unitComposition` configured, the monitor reads unit counts instead
+ * of trusting a hand-maintained consumption cell:
+ *   "unitComposition": {
+ *     "infantryCell": "F2", "cavalryCell": "F3",
+ *     "noncombatantCell": "F4", "packAnimalCell": "F5",
+ *     "rates": { "cavalry": 10 }
+ *   }
+ */
+
+const { parseNumericValue } = require("./values");
+
+// Unit types in display order, with the config field holding each count
+const UNIT_TYPES = [
+  { key: "infantry", cellKey: "infantryCell", label: "Inf", emoji: "🗡️" },
+  { key: "cavalry", cellKey: "cavalryCell", label: "Cav", emoji: "🐎" },
+  {
+    key: "noncombatant",
+    cellKey: "noncombatantCell",
+    label: "Noncombatants",
+    emoji: "👣",
+  },
+  { key: "packAnimal", cellKey: "packAnimalCell", label: "Pack", emoji: "🐴" },
+];
+
+// Supplies consumed per unit per day; override per army with `rates`
+const DEFAULT_CONSUMPTION_RATES = {
+  infantry: 1,
+  cavalry: 10,
+  noncombatant: 1,
+  packAnimal: 10,
+};
+
+/**
+ * List the unit count cells configured for an army
+ * @param {Object} sheetConfig - The sheet configuration
+ * @returns {string[]} - Cell references
+ */
+function getCompositionCells(sheetConfig) {
+  const composition = sheetConfig.unitComposition;
+  if (!composition) {
+    return [];
+  }
+  return UNIT_TYPES.filter(({ cellKey }) => composition[cellKey]).map(
+    ({ cellKey }) => composition[cellKey]
+  );
+}
+
+/**
+ * Derive daily consumption from unit counts and per-unit rates
+ * @param {Object} unitComposition - The army's `unitComposition` config
+ * @param {Object} cellValues - Raw values keyed by cell reference
+ * @param {string} locale - Spreadsheet locale
+ * @returns {{total: number, breakdown: Object[]}} - Total per day and one entry per configured unit type
+ */
+function computeConsumption(unitComposition, cellValues, locale) {
+  const rates = { ...DEFAULT_CONSUMPTION_RATES, ...unitComposition.rates };
+
+  const breakdown = UNIT_TYPES.filter(
+    ({ cellKey }) => unitComposition[cellKey]
+  ).map(({ key, cellKey, label, emoji }) => {
+    const raw = cellValues[unitComposition[cellKey]];
+    // Blank count cells mean "none of this unit type"
+    const count =
+      raw === null || raw === undefined || raw === ""
+        ? 0
+        : parseNumericValue(raw, locale);
+    return {
+      key,
+      label,
+      emoji,
+      count,
+      rate: rates[key],
+      consumption: count * rates[key],
+    };
+  });
+
+  const total = breakdown.reduce((sum, unit) => sum + unit.consumption, 0);
+  return { total, breakdown };
+}
+
+module.exports = {
+  UNIT_TYPES,
+  DEFAULT_CONSUMPTION_RATES,
+  getCompositionCells,
+  computeConsumption,
+};
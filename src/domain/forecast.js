@@ -0,0 +1,36 @@
+/**
+ * Supply projection for the coming days at an army's current consumption.
+ * No I/O.
+ */
+
+const { addCampaignDays } = require("./calendar");
+
+/**
+ * Project supplies day by day, as if the army consumed supplies every day
+ * @param {Object} params
+ * @param {number} params.currentSupplies - Supplies today
+ * @param {number} params.dailyConsumption - Consumption per day
+ * @param {string} params.campaignDate - Today's campaign date (yyyy-MM-dd)
+ * @param {number} params.days - Days to project
+ * @returns {Object} - { days: [{ date, supplies }] starting tomorrow, zeroDate: first date at zero or null }
+ */
+function forecastSupplies({
+  currentSupplies,
+  dailyConsumption,
+  campaignDate,
+  days,
+}) {
+  const forecast = [];
+  for (let offset = 1; offset <= days; offset++) {
+    forecast.push({
+      date: addCampaignDays(campaignDate, offset),
+      supplies: Math.max(0, currentSupplies - dailyConsumption * offset),
+    });
+  }
+
+  const zeroDay =
+    currentSupplies > 0 ? forecast.find((day) => day.supplies === 0) : null;
+  return { days: forecast, zeroDate: zeroDay ? zeroDay.date : null };
+}
+
+module.exports = { forecastSupplies };
@@ -0,0 +1,55 @@
+/**
+ * Who an army's alerts ping on Discord. `mentions` maps severity tier names
+ * to the Discord users and roles to mention, optionally with the campaign's
+ * GM:
+ *   "mentions": {
+ *     "warning": { "userIds": ["<commander>"] },
+ *     "zero": { "userIds": ["<commander>"], "gm": true }
+ *   }
+ * A tier's entry also covers every more severe tier without its own entry,
+ * so above the commander is pinged at critical as well.
+ * No I/O.
+ */
+
+const { resolveSeverityTiers } = require("./severity");
+
+function unique(ids) {
+  return Array.from(new Set(ids));
+}
+
+/**
+ * Users and roles to mention in an army's report
+ * @param {Object} sheetConfig - The sheet configuration (with its resolved campaign)
+ * @param {Object} severity - The report's tier, from getSeverity
+ * @returns {{userIds: string[], roleIds: string[]}|null} - Null when nobody is pinged
+ */
+function resolveMentions(sheetConfig, severity) {
+  const configured = sheetConfig.mentions || {};
+  const tiers = resolveSeverityTiers(sheetConfig);
+
+  // The most severe configured tier that is no worse than the report's
+  let entry = null;
+  let entryLevel = 0;
+  tiers.forEach((tier, index) => {
+    const level = tiers.length - index;
+    if (
+      configured[tier.name] &&
+      level <= severity.level &&
+      level > entryLevel
+    ) {
+      entry = configured[tier.name];
+      entryLevel = level;
+    }
+  });
+  if (!entry) {
+    return null;
+  }
+
+  const gm =
+    (entry.gm && sheetConfig.campaign && sheetConfig.campaign.gm) || {};
+  const userIds = unique((entry.userIds || []).concat(gm.userIds || []));
+  const roleIds = unique((entry.roleIds || []).concat(gm.roleIds || []));
+  return userIds.length > 0 || roleIds.length > 0 ? { userIds, roleIds } : null;
+}
+
+module.exports = { resolveMentions };
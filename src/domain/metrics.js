@@ -0,0 +1,223 @@
+/**
+ * Configurable extra stats ("metrics") shown in notifications.
+ *
+ * A metric is a cell plus how to display it, e.g.
+ *   { "cell": "C4", "label": "Cur", "group": "Morale", "emoji": "😀",
+ *     "type": "number", "thresholds": { "below": 5 } }
+ * Metrics sharing a `group` render on one line: "😀 Morale Cur 9 • Rest 7".
+ */
+
+const { formatNumber, parseLocaleNumber } = require("../utils/numberFormat");
+const { parseOptionalNumber, parseBooleanValue } = require("./values");
+
+const METRIC_TYPES = ["number", "text", "boolean", "percent"];
+
+// Marker appended to a value outside its thresholds
+const THRESHOLD_MARKER = "⚠️";
+
+// The named cells supported before `metrics` existed, in display order
+const LEGACY_METRIC_PRESET = [
+  {
+    key: "ownedAndCarriedLootCell",
+    label: "Owned",
+    group: "Loot",
+    emoji: "💰",
+    type: "number",
+  },
+  {
+    key: "paidAndCarriedLootCell",
+    label: "Paid",
+    group: "Loot",
+    emoji: "💰",
+    type: "number",
+  },
+  {
+    key: "currentMoraleCell",
+    label: "Cur",
+    group: "Morale",
+    emoji: "😀",
+    type: "text",
+  },
+  {
+    key: "restingMoraleCell",
+    label: "Rest",
+    group: "Morale",
+    emoji: "😀",
+    type: "text",
+  },
+  {
+    key: "armyLengthCell",
+    label: "Len",
+    group: "Army",
+    emoji: "🪖",
+    type: "number",
+  },
+  {
+    key: "effectiveArmySizeCell",
+    label: "Eff",
+    group: "Army",
+    emoji: "🪖",
+    type: "number",
+  },
+  {
+    key: "forcedMarchDaysCell",
+    label: "Forced",
+    group: "Army",
+    emoji: "🪖",
+    type: "number",
+  },
+  {
+    key: "shippingStatusCell",
+    label: "Status",
+    group: "Ship",
+    emoji: "🚢",
+    type: "text",
+  },
+  {
+    key: "supplyShipsCountCell",
+    label: "Ships",
+    group: "Ship",
+    emoji: "🚢",
+    type: "number",
+  },
+];
+
+/**
+ * Get every metric configured for an army: the legacy named cells first, then `metrics`
+ * @param {Object} sheetConfig - The sheet configuration
+ * @returns {Object[]} - Metric definitions, each with a `cell`
+ */
+function resolveMetrics(sheetConfig) {
+  const preset = LEGACY_METRIC_PRESET.filter(({ key }) => sheetConfig[key]).map(
+    ({ key, ...metric }) => ({ ...metric, cell: sheetConfig[key] })
+  );
+  const custom = (sheetConfig.metrics || []).map((metric) => ({
+    type: "number",
+    ...metric,
+  }));
+  return preset.concat(custom);
+}
+
+/**
+ * Parse a metric's raw cell value according to its type
+ * @param {Object} metric - The metric definition
+ * @param {*} raw - The raw cell value
+ * @param {string} locale - Spreadsheet locale
+ * @returns {*} - The parsed value, or null when the cell is empty
+ */
+function parseMetricValue(metric, raw, locale) {
+  if (raw === null || raw === undefined || raw === "") {
+    return null;
+  }
+
+  switch (metric.type) {
+    case "boolean":
+      return parseBooleanValue(raw);
+    case "percent": {
+      // Sheets shows percentages as "45%"; keep the number of percentage points
+      if (typeof raw === "number") return raw;
+      const parsed = parseLocaleNumber(String(raw).replace(/%/g, ""), locale);
+      return isNaN(parsed) ? raw : parsed;
+    }
+    case "text":
+      return raw;
+    default:
+      return parseOptionalNumber(raw, locale);
+  }
+}
+
+/**
+ * Check a parsed value against the metric's `thresholds` ({ below, above })
+ * @param {Object} metric - The metric definition
+ * @param {*} value - The parsed value
+ * @returns {boolean} - True when the value is outside its thresholds
+ */
+function isOutsideThresholds(metric, value) {
+  const thresholds = metric.thresholds;
+  if (!thresholds || typeof value !== "number") {
+    return false;
+  }
+  if (typeof thresholds.below === "number" && value < thresholds.below) {
+    return true;
+  }
+  if (typeof thresholds.above === "number" && value > thresholds.above) {
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Read every metric from the batch values; empty cells are left out
+ * @param {Object[]} metrics - Metric definitions from resolveMetrics
+ * @param {Object} cellValues - Raw values keyed by cell address
+ * @param {string} locale - Spreadsheet locale
+ * @returns {Object[]} - Metrics with `value` and `outsideThresholds`
+ */
+function evaluateMetrics(metrics, cellValues, locale) {
+  return metrics
+    .map((metric) => {
+      const value = parseMetricValue(metric, cellValues[metric.cell], locale);
+      return {
+        ...metric,
+        value,
+        outsideThresholds: isOutsideThresholds(metric, value),
+      };
+    })
+    .filter((metric) => metric.value !== null);
+}
+
+/**
+ * Format an evaluated metric's value for display
+ * @param {Object} metric - An evaluated metric
+ * @param {string} locale - Spreadsheet locale
+ * @returns {string}
+ */
+function formatMetricValue(metric, locale) {
+  let text;
+  if (metric.type === "boolean") {
+    text = metric.value ? "✅" : "❌";
+  } else if (metric.type === "percent" && typeof metric.value === "number") {
+    text = `${formatNumber(metric.value, locale)}%`;
+  } else {
+    text = `${formatNumber(metric.value, locale)}`;
+  }
+  return metric.outsideThresholds ? `${text} ${THRESHOLD_MARKER}` : text;
+}
+
+/**
+ * Build one display line per metric group, in the order groups first appear
+ * @param {Object[]} metrics - Evaluated metrics
+ * @param {string} locale - Spreadsheet locale
+ * @returns {string[]} - Lines such as "💰 Loot Owned 1,200 • Paid 50"
+ */
+function buildMetricLines(metrics, locale) {
+  const groups = [];
+  metrics.forEach((metric) => {
+    const token = `${metric.label} ${formatMetricValue(metric, locale)}`;
+    const existing = metric.group
+      ? groups.find((group) => group.name === metric.group)
+      : null;
+    if (existing) {
+      existing.tokens.push(token);
+      existing.emoji = existing.emoji || metric.emoji;
+    } else {
+      groups.push({ name: metric.group, emoji: metric.emoji, tokens: [token] });
+    }
+  });
+
+  return groups.map((group) =>
+    [group.emoji, group.name, group.tokens.join(" • ")]
+      .filter(Boolean)
+      .join(" ")
+  );
+}
+
+module.exports = {
+  METRIC_TYPES,
+  LEGACY_METRIC_PRESET,
+  resolveMetrics,
+  parseMetricValue,
+  evaluateMetrics,
+  formatMetricValue,
+  buildMetricLines,
+};
@@ -0,0 +1,800 @@
+/**
+ * Channel-neutral notification content. Each builder returns a message
+ *   { kind, name, title, color, content, description, fields, sheetUrl }
+ * whose text uses Discord-style markdown (`**bold**`, `[label](url)`);
+ * delivery channels render it for their service (see utils/markdown.js).
+ * No I/O.
+ */
+
+const { formatNumber } = require("../utils/numberFormat");
+const { buildMetricLines } = require("./metrics");
+const { formatCampaignDay, addCampaignDays } = require("./calendar");
+const { renderSeverityBanner } = require("./severity");
+
+// Short label for a campaign date (yyyy-MM-dd), e.g. "Day 45" or "Wed, Aug 13"
+function formatCampaignDate(campaignDate, campaign) {
+  return formatCampaignDay(campaignDate, campaign, { short: true });
+}
+
+// First line of every report: the campaign day and a link to the sheet
+function buildDayLine(campaignDate, campaign, sheetUrl) {
+  return `📅 ${formatCampaignDay(campaignDate, campaign)}${
+    sheetUrl ? ` • [Open Sheet](${sheetUrl})` : ""
+  }`;
+}
+
+// Campaign day supplies will reach zero, counted in the campaign calendar
+function buildZeroDateLine(campaignDate, daysRemaining, campaign) {
+  return `🚨 Zero Date ${formatCampaignDay(
+    addCampaignDays(campaignDate, daysRemaining),
+    campaign
+  )}`;
+}
+
+// Unit counts behind a derived consumption figure, e.g. "🧮 Units 🗡️ Inf 800×1 • 🐎 Cav 40×10"
+function buildConsumptionLine(breakdown, previousConsumption, locale) {
+  const units = breakdown
+    .map(
+      (unit) =>
+        `${unit.emoji} ${unit.label} ${formatNumber(
+          unit.count,
+          locale
+        )}×${formatNumber(unit.rate, locale)}`
+    )
+    .join(" • ");
+  const previous =
+    typeof previousConsumption === "number" && isFinite(previousConsumption)
+      ? ` (was ${formatNumber(previousConsumption, locale)}/d)`
+      : "";
+  return `🧮 Units ${units}${previous}`;
+}
+
+// Carried weight against capacity, with a percentage when capacity is known
+function buildCarryLine(totalCarried, carryingCapacity, locale) {
+  const pct = carryingCapacity
+    ? Math.round((totalCarried / carryingCapacity) * 100)
+    : null;
+  return `🧺 Carry ${formatNumber(totalCarried, locale)} / ${formatNumber(
+    carryingCapacity,
+    locale
+  )}${pct !== null && isFinite(pct) ? ` (${pct}%)` : ""}`;
+}
+
+// Lines shared by every supply report after the supplies summary
+function buildReportLines({
+  totalCarried,
+  carryingCapacity,
+  overCapacity,
+  consumptionBreakdown,
+  previousConsumption,
+  metrics,
+  locale,
+}) {
+  const fmt = (value) => formatNumber(value, locale);
+  const lines = [];
+  if (consumptionBreakdown) {
+    lines.push(
+      buildConsumptionLine(consumptionBreakdown, previousConsumption, locale)
+    );
+  }
+  lines.push(buildCarryLine(totalCarried, carryingCapacity, locale));
+  lines.push(...buildMetricLines(metrics || [], locale));
+  if (overCapacity) {
+    lines.push(
+      `⚠️ Capacity Alert: carried ${fmt(totalCarried)} > capacity ${fmt(
+        carryingCapacity
+      )}`
+    );
+  }
+  return lines;
+}
+
+// Add the over-capacity warning below any other content
+function withCapacityWarning(content, report) {
+  if (!report.overCapacity) {
+    return content;
+  }
+  const fmt = (value) => formatNumber(value, report.locale);
+  return (
+    (content ? content + "\n" : "") +
+    `⚠️ **OVER CAPACITY**: Carried ${fmt(report.totalCarried)} / Capacity ${fmt(
+      report.carryingCapacity
+    )}`
+  );
+}
+
+/**
+ * Daily status report
+ * @param {Object} report - Army name, tick figures, severity, campaign date, display settings, alert `actions` (getAlertActions) and `mentions` (resolveMentions)
+ * @returns {Object} - The message
+ */
+function buildStatusMessage(report) {
+  const {
+    name,
+    currentSupplies,
+    dailyConsumption,
+    daysRemaining,
+    sheetUrl,
+    locale,
+    campaignDate,
+    campaign,
+    severity,
+    capacityPercent,
+  } = report;
+  const fmt = (value) => formatNumber(value, locale);
+
+  const lines = [
+    buildDayLine(campaignDate, campaign, sheetUrl),
+    `📦 Supplies ${fmt(currentSupplies)} • 📉 Cons ${fmt(
+      dailyConsumption
+    )}/d • ⏰ Days ${daysRemaining}`,
+    buildZeroDateLine(campaignDate, daysRemaining, campaign),
+    ...buildReportLines(report),
+  ];
+  const banner = renderSeverityBanner(severity, {
+    name,
+    days: daysRemaining,
+    capacityPercent,
+  });
+
+  return {
+    kind: "status",
+    name,
+    title: `${severity.emoji} Status: ${name}`,
+    color: severity.color,
+    content: withCapacityWarning(banner, report),
+    description: lines.join("\n"),
+    fields: [],
+    sheetUrl,
+    // Only a report with a low-supply banner is an alert worth acting on
+    actions: banner && report.actions ? report.actions : [],
+    mentions: report.mentions || null,
+  };
+}
+
+/**
+ * Alert for supplies that reached (or are still at) zero
+ * @param {Object} report - As for buildStatusMessage, plus suppliesWereAlreadyZero
+ * @returns {Object} - The message
+ */
+function buildZeroSuppliesMessage(report) {
+  const {
+    name,
+    suppliesWereAlreadyZero,
+    dailyConsumption,
+    sheetUrl,
+    locale,
+    campaignDate,
+    campaign,
+    severity,
+  } = report;
+
+  const lines = [
+    buildDayLine(campaignDate, campaign, sheetUrl),
+    `📦 Supplies **0 (OUT)** • 📉 Cons ${formatNumber(
+      dailyConsumption,
+      locale
+    )}/d • ⏰ Days **0**`,
+    `🚨 Zero Date ${formatCampaignDay(campaignDate, campaign)}`,
+    ...buildReportLines(report),
+  ];
+  const urgentMessage = suppliesWereAlreadyZero
+    ? `🚨 **CRITICAL**: ${name} supplies are STILL at ZERO! No supplies available for consumption.`
+    : `🚨 **CRITICAL**: ${name} supplies have reached ZERO today! Immediate restocking required.`;
+
+  return {
+    kind: "zero",
+    name,
+    title: `🚨 ZERO SUPPLIES ALERT: ${name}`,
+    color: severity.color,
+    content: withCapacityWarning(urgentMessage, report),
+    description: lines.join("\n"),
+    fields: [],
+    sheetUrl,
+    actions: report.actions || [],
+    mentions: report.mentions || null,
+  };
+}
+
+/**
+ * One consolidated report for a run that applied several missed days
+ * @param {Object} report - As for buildStatusMessage, plus days and skippedDays
+ * @returns {Object} - The message
+ */
+function buildCatchUpMessage(report) {
+  const {
+    name,
+    days,
+    skippedDays,
+    currentSupplies,
+    dailyConsumption,
+    daysRemaining,
+    sheetUrl,
+    locale,
+    campaignDate,
+    campaign,
+    severity,
+    capacityPercent,
+  } = report;
+  const fmt = (value) => formatNumber(value, locale);
+
+  const lines = [
+    buildDayLine(campaignDate, campaign, sheetUrl),
+    `⏪ Catch-up: applied ${days.length} days (${formatCampaignDate(
+      days[0].date,
+      campaign
+    )} – ${formatCampaignDate(days[days.length - 1].date, campaign)})`,
+  ];
+  if (skippedDays > 0) {
+    lines.push(
+      `⚠️ ${skippedDays} older missed days were not applied - check the sheet by hand`
+    );
+  }
+
+  // One line per applied day, oldest first
+  days.forEach((day) => {
+    const label = formatCampaignDate(day.date, campaign);
+    if (day.resting) {
+      lines.push(`• ${label}: 😴 Resting (${fmt(day.suppliesBefore)})`);
+    } else if (day.wasZero) {
+      lines.push(`• ${label}: 🚨 Still at zero`);
+    } else {
+      lines.push(
+        `• ${label}: 📦 ${fmt(day.suppliesBefore)} → ${fmt(day.suppliesAfter)}${
+          day.hitZero ? " 🚨 reached zero" : ""
+        }`
+      );
+    }
+  });
+
+  lines.push("");
+  lines.push(
+    `📦 Supplies ${fmt(currentSupplies)} • 📉 Cons ${fmt(
+      dailyConsumption
+    )}/d • ⏰ Days ${daysRemaining}`
+  );
+  lines.push(buildZeroDateLine(campaignDate, daysRemaining, campaign));
+  lines.push(...buildReportLines(report));
+
+  const zeroDay = days.find((day) => day.hitZero);
+  let content = renderSeverityBanner(severity, {
+    name,
+    days: daysRemaining,
+    capacityPercent,
+  });
+  if (zeroDay) {
+    content = `🚨 **CRITICAL**: ${name} supplies reached ZERO on ${formatCampaignDate(
+      zeroDay.date,
+      campaign
+    )}! Immediate restocking required.`;
+  } else if (currentSupplies === 0) {
+    content = `🚨 **CRITICAL**: ${name} supplies are STILL at ZERO! No supplies available for consumption.`;
+  }
+
+  return {
+    kind: "catchUp",
+    name,
+    title: `${severity.emoji} Catch-up: ${name}`,
+    color: severity.color,
+    content: withCapacityWarning(content, report),
+    description: lines.join("\n"),
+    fields: [],
+    sheetUrl,
+    // As for status reports: only a low-supply banner or zero alert gets buttons
+    actions: content && report.actions ? report.actions : [],
+    mentions: report.mentions || null,
+  };
+}
+
+/**
+ * Report of an army that could not be processed
+ * @param {Object} params - { sheetName, error, sheetUrl }
+ * @returns {Object} - The message
+ */
+function buildErrorMessage({ sheetName, error, sheetUrl }) {
+  const fields = [
+    { name: "Sheet", value: sheetName, inline: true },
+    { name: "Error", value: error, inline: false },
+  ];
+  if (sheetUrl) {
+    fields.push({
+      name: "🔗 Sheet",
+      value: `[Open Sheet](${sheetUrl})`,
+      inline: false,
+    });
+  }
+
+  return {
+    kind: "error",
+    name: sheetName,
+    title: "❌ Supply Monitor Error",
+    color: 0xff0000, // Red
+    content: "🚨 **ERROR**: Failed to process supply status",
+    description: null,
+    fields,
+    sheetUrl,
+  };
+}
+
+/**
+ * Notice that an earlier report was undone
+ * @param {Object} params - { name, runId, changes, sheetUrl, locale, campaignDate, campaign }
+ * @returns {Object} - The message
+ */
+function buildCorrectionMessage({
+  name,
+  runId,
+  changes,
+  sheetUrl,
+  locale,
+  campaignDate,
+  campaign,
+}) {
+  const fmt = (value) =>
+    value === "" || value === null || value === undefined
+      ? "(blank)"
+      : formatNumber(value, locale);
+  const lines = [
+    buildDayLine(campaignDate, campaign, sheetUrl),
+    `↩️ Reverted run ${runId}`,
+  ];
+  changes.forEach((change) => {
+    lines.push(`• ${change.label}: ${fmt(change.from)} → ${fmt(change.to)}`);
+  });
+
+  return {
+    kind: "correction",
+    name,
+    title: `↩️ Correction: ${name}`,
+    color: 0x3498db, // Blue
+    content: `↩️ **CORRECTION**: The supply update for ${name} on ${formatCampaignDate(
+      campaignDate,
+      campaign
+    )} was undone - disregard the earlier report.`,
+    description: lines.join("\n"),
+    fields: [],
+    sheetUrl,
+  };
+}
+
+/**
+ * Answer to a forecast command: supplies for each of the coming days
+ * @param {Object} params - { name, currentSupplies, dailyConsumption, isResting, forecast (from forecastSupplies), sheetUrl, locale, campaignDate, campaign }
+ * @returns {Object} - The message
+ */
+function buildForecastMessage({
+  name,
+  currentSupplies,
+  dailyConsumption,
+  isResting,
+  forecast,
+  sheetUrl,
+  locale,
+  campaignDate,
+  campaign,
+}) {
+  const fmt = (value) => formatNumber(value, locale);
+  const lines = [
+    buildDayLine(campaignDate, campaign, sheetUrl),
+    `📦 Supplies ${fmt(currentSupplies)} • 📉 Cons ${fmt(dailyConsumption)}/d`,
+  ];
+  if (isResting) {
+    lines.push("😴 Resting today - the forecast assumes the army marches on");
+  }
+  lines.push("");
+  forecast.days.forEach((day) => {
+    lines.push(
+      `• ${formatCampaignDate(day.date, campaign)}: 📦 ${fmt(day.supplies)}${
+        day.date === forecast.zeroDate ? " 🚨 out of supplies" : ""
+      }`
+    );
+  });
+
+  const lastDate = forecast.days[forecast.days.length - 1].date;
+  let content = `✅ Supplies last beyond ${formatCampaignDate(
+    lastDate,
+    campaign
+  )}.`;
+  if (currentSupplies === 0) {
+    content = `🚨 ${name} has no supplies left.`;
+  } else if (forecast.zeroDate) {
+    content = `🚨 Supplies run out on ${formatCampaignDay(
+      forecast.zeroDate,
+      campaign
+    )}.`;
+  }
+
+  return {
+    kind: "forecast",
+    name,
+    title: `🔮 Forecast: ${name} (${forecast.days.length} days)`,
+    color: 0x9b59b6, // Purple
+    content,
+    description: lines.join("\n"),
+    fields: [],
+    sheetUrl,
+  };
+}
+
+/**
+ * Confirmation that an army was set to resting or marching
+ * @param {Object} params - { name, resting, changedBy (a mention or user name), sheetUrl, campaignDate, campaign }
+ * @returns {Object} - The message
+ */
+function buildRestingChangedMessage({
+  name,
+  resting,
+  changedBy,
+  sheetUrl,
+  campaignDate,
+  campaign,
+}) {
+  return {
+    kind: "resting",
+    name,
+    title: resting ? `😴 Resting: ${name}` : `🥾 Marching: ${name}`,
+    color: resting ? 0x3498db : 0x2ecc71, // Blue / green
+    content: resting
+      ? `😴 ${changedBy} set ${name} to resting - no supplies are consumed while it rests.`
+      : `🥾 ${changedBy} set ${name} to marching - supplies are consumed again from the next tick.`,
+    description: buildDayLine(campaignDate, campaign, sheetUrl),
+    fields: [],
+    sheetUrl,
+  };
+}
+
+/**
+ * Confirmation that a player asked the GM for a resupply
+ * @param {Object} params - { name, requestedBy (a mention or user name), threadId (the ticket thread), sheetUrl, campaignDate, campaign }
+ * @returns {Object} - The message
+ */
+function buildResupplyRequestMessage({
+  name,
+  requestedBy,
+  threadId,
+  sheetUrl,
+  campaignDate,
+  campaign,
+}) {
+  return {
+    kind: "resupplyRequest",
+    name,
+    title: `🎫 Resupply requested: ${name}`,
+    color: 0xe67e22, // Orange
+    content: `🎫 ${requestedBy} asked the GM to resupply ${name} - follow up in <#${threadId}>.`,
+    description: buildDayLine(campaignDate, campaign, sheetUrl),
+    fields: [],
+    sheetUrl,
+  };
+}
+
+// One army's line in a GM tick confirmation
+function buildGmTickLine(name, result) {
+  if (!result) {
+    return `❌ **${name}**: failed - the error was posted to its channels`;
+  }
+  if (result.outcome === "skipped") {
+    return `⏭️ **${name}**: already applied today`;
+  }
+  const { tick } = result;
+  const fmt = (value) => formatNumber(value, result.locale);
+  const emoji = result.outcome === "preview" ? "🧪" : "✅";
+  const days = tick.days.length > 1 ? ` over ${tick.days.length} days` : "";
+  if (tick.days.length === 0) {
+    return `${emoji} **${name}**: already applied today • 📦 ${fmt(
+      tick.newSupplyValue
+    )} • ⏰ Days ${tick.daysRemaining}`;
+  }
+  return `${emoji} **${name}**: 📦 ${fmt(tick.currentSupplies)} → ${fmt(
+    tick.newSupplyValue
+  )}${days}${tick.isResting ? " (Resting)" : ""} • ⏰ Days ${
+    tick.daysRemaining
+  }`;
+}
+
+/**
+ * Confirmation of a tick a GM ran or previewed from Discord
+ * @param {Object} params - { armyNames (every army the GM asked for), results (from runMonitor), preview, runId, triggeredBy (a mention or user name) }
+ * @returns {Object} - The message
+ */
+function buildGmTickMessage({
+  armyNames,
+  results,
+  preview,
+  runId,
+  triggeredBy,
+}) {
+  const lines = armyNames.map((name) =>
+    buildGmTickLine(
+      name,
+      results.find((result) => result.name === name)
+    )
+  );
+  const failed = armyNames.length - results.length;
+  if (!preview) {
+    lines.push("", `Run ID: ${runId}`);
+  }
+
+  let color = preview ? 0x9b59b6 : 0x2ecc71; // Purple / green
+  if (failed > 0) {
+    color = 0xe67e22; // Orange
+  }
+  const count = `${armyNames.length} ${
+    armyNames.length === 1 ? "army" : "armies"
+  }`;
+
+  return {
+    kind: "gmTick",
+    name: "GM",
+    title: preview ? `🧪 Tick preview: ${count}` : `⚙️ Tick run: ${count}`,
+    color,
+    content: preview
+      ? `🧪 ${triggeredBy} previewed the daily tick - nothing was written or sent.`
+      : `⚙️ ${triggeredBy} ran the daily tick${
+          failed > 0 ? ` - ${failed} failed` : ""
+        }.`,
+    description: lines.join("\n"),
+    fields: [],
+    sheetUrl: null,
+  };
+}
+
+/**
+ * Confirmation of a GM's hand adjustment to an army's sheet
+ * @param {Object} params - { name, label (what was changed), from, to, daysRemaining (after the change), changedBy (a mention or user name), sheetUrl, locale, campaignDate, campaign }
+ * @returns {Object} - The message
+ */
+function buildGmAdjustmentMessage({
+  name,
+  label,
+  from,
+  to,
+  daysRemaining,
+  changedBy,
+  sheetUrl,
+  locale,
+  campaignDate,
+  campaign,
+}) {
+  const fmt = (value) => formatNumber(value, locale);
+  return {
+    kind: "adjustment",
+    name,
+    title: `🛠️ Adjustment: ${name}`,
+    color: 0x3498db, // Blue
+    content: `🛠️ ${changedBy} changed the ${label.toLowerCase()} of ${name}.`,
+    description: [
+      buildDayLine(campaignDate, campaign, sheetUrl),
+      `• ${label}: ${fmt(from)} → ${fmt(to)}`,
+      `⏰ Days ${daysRemaining}`,
+      buildZeroDateLine(campaignDate, daysRemaining, campaign),
+    ].join("\n"),
+    fields: [],
+    sheetUrl,
+  };
+}
+
+/**
+ * Short alert posted beside an army's status board when its severity worsens
+ * @param {Object} params - { name, previousSeverity (tier name), severity, content, mentions, sheetUrl }
+ * @returns {Object} - The message
+ */
+function buildSeverityAlertMessage({
+  name,
+  previousSeverity,
+  severity,
+  content,
+  mentions = null,
+  sheetUrl,
+}) {
+  return {
+    kind: "alert",
+    name,
+    title: `${severity.emoji} ${name}: ${previousSeverity} → ${severity.name}`,
+    color: severity.color,
+    content: content || null,
+    description: null,
+    fields: [],
+    sheetUrl,
+    mentions,
+  };
+}
+
+// An ISO timestamp as "yyyy-MM-dd HH:mm UTC"
+function formatQueuedAt(queuedAt) {
+  return `${queuedAt.slice(0, 16).replace("T", " ")} UTC`;
+}
+
+/**
+ * A queued message redelivered on a later run, marked as delayed
+ * @param {Object} message - The message as it was first built
+ * @param {string} queuedAt - When the first delivery failed (ISO timestamp)
+ * @returns {Object} - The message
+ */
+function buildDelayedMessage(message, queuedAt) {
+  const notice = `⏳ **DELAYED**: This report could not be delivered on ${formatQueuedAt(
+    queuedAt
+  )} and is sent late.`;
+  return {
+    ...message,
+    content: message.content ? `${notice}\n${message.content}` : notice,
+  };
+}
+
+/**
+ * Summary for the GM of queued messages that were given up on
+ * @param {Object[]} entries - Outbox entries ({ army, target, message, queuedAt, attempts, lastError })
+ * @returns {Object} - The message
+ */
+function buildUndeliveredMessage(entries) {
+  const lines = entries.map(
+    (entry) =>
+      `• **${entry.army}** – ${entry.message.title} to ${
+        entry.target
+      } (queued ${formatQueuedAt(entry.queuedAt)}, ${
+        entry.attempts
+      } attempts): ${entry.lastError}`
+  );
+
+  return {
+    kind: "undelivered",
+    name: "GM",
+    title: `📭 Undelivered notifications: ${entries.length}`,
+    color: 0xe67e22, // Orange
+    content: `📭 **UNDELIVERED**: ${entries.length} notification(s) could not be delivered and were dropped from the outbox - please pass them on.`,
+    description: lines.join("\n"),
+    fields: [],
+    sheetUrl: null,
+  };
+}
+
+// Failed armies first, then the most severe and soonest out; armies without
+// figures (skipped, with cells that can't be read) last
+function getDigestRank(entry) {
+  if (!entry.result) {
+    return [0, 0, 0];
+  }
+  if (!entry.result.tick) {
+    return [2, 0, 0];
+  }
+  const { tick } = entry.result;
+  return [1, -tick.severity.level, tick.daysRemaining];
+}
+
+function compareDigestEntries(a, b) {
+  const rankA = getDigestRank(a);
+  const rankB = getDigestRank(b);
+  const index = rankA.findIndex((value, i) => value !== rankB[i]);
+  return index === -1 ? 0 : rankA[index] - rankB[index];
+}
+
+// One army's line in the GM digest
+function buildDigestLine({ name, result, errors }) {
+  if (!result) {
+    return `❌ **${name}**: failed - ${errors.join("; ")}`;
+  }
+  if (!result.tick) {
+    return `⏭️ **${name}**: already applied today`;
+  }
+  const { tick } = result;
+  const parts = [
+    `📦 ${formatNumber(tick.newSupplyValue, result.locale)}`,
+    `⏰ ${tick.daysRemaining}d`,
+  ];
+  if (tick.capacityPercent !== null) {
+    parts.push(`🧺 ${tick.capacityPercent}%`);
+  }
+  if (tick.isResting) {
+    parts.push("😴 Resting");
+  }
+  if (result.outcome === "skipped") {
+    parts.push("⏭️ already applied today");
+  }
+  // Reported armies can still have failed a later step, e.g. a notification
+  if (errors.length > 0) {
+    parts.push(`⚠️ ${errors.join("; ")}`);
+  }
+  return `${tick.severity.emoji} **${name}**: ${parts.join(" • ")}`;
+}
+
+/**
+ * The GM's overview of one run across their armies, most urgent first
+ * @param {Object} params
+ * @param {Object[]} params.entries - Per army: { name, result (from runMonitor, null when it failed; a skipped army's tick holds its current figures), errors (messages) }
+ * @param {string} params.runId - The run
+ * @param {number} params.durationMs - How long the run took
+ * @param {Object} params.stats - Sheets API usage ({ requests, retries })
+ * @param {boolean} params.preview - Whether it was a dry run
+ * @returns {Object} - The message
+ */
+function buildDigestMessage({ entries, runId, durationMs, stats, preview }) {
+  const sorted = entries.slice().sort(compareDigestEntries);
+  const failed = entries.filter((entry) => !entry.result).length;
+  const errorCount = entries.reduce(
+    (count, entry) => count + entry.errors.length,
+    0
+  );
+
+  // The worst tier among the armies, unless one failed outright
+  let color = 0x00ff00; // Green
+  let worstLevel = -1;
+  entries.forEach((entry) => {
+    if (entry.result && entry.result.tick) {
+      const { severity } = entry.result.tick;
+      if (severity.level > worstLevel) {
+        worstLevel = severity.level;
+        color = severity.color;
+      }
+    }
+  });
+  if (failed > 0) {
+    color = 0xff0000; // Red
+  } else if (errorCount > 0) {
+    color = 0xe67e22; // Orange
+  }
+
+  const summary = [
+    `⏱️ ${(durationMs / 1000).toFixed(1)}s`,
+    `📡 ${stats.requests} Sheets API requests (${stats.retries} retries)`,
+    `${errorCount > 0 ? "❌" : "✅"} ${errorCount} error${
+      errorCount === 1 ? "" : "s"
+    }`,
+    `Run ID: ${runId}`,
+  ].join(" • ");
+  const count = `${entries.length} ${entries.length === 1 ? "army" : "armies"}`;
+
+  return {
+    kind: "digest",
+    name: "GM",
+    title: `${preview ? "🧪" : "📋"} Campaign digest: ${count}`,
+    color,
+    content: null,
+    description: sorted.map(buildDigestLine).concat("", summary).join("\n"),
+    fields: [],
+    sheetUrl: null,
+  };
+}
+
+/**
+ * A message's description and fields as one markdown text, for channels
+ * without embeds
+ * @param {Object} message - The message
+ * @returns {string}
+ */
+function getMessageBody(message) {
+  const parts = [];
+  if (message.description) {
+    parts.push(message.description);
+  }
+  message.fields.forEach((field) => {
+    parts.push(`**${field.name}**: ${field.value}`);
+  });
+  return parts.join("\n");
+}
+
+// Embed colour as "#rrggbb"
+function getMessageColorHex(message) {
+  return `#${message.color.toString(16).padStart(6, "0")}`;
+}
+
+module.exports = {
+  buildStatusMessage,
+  buildZeroSuppliesMessage,
+  buildCatchUpMessage,
+  buildErrorMessage,
+  buildCorrectionMessage,
+  buildForecastMessage,
+  buildRestingChangedMessage,
+  buildResupplyRequestMessage,
+  buildGmTickMessage,
+  buildGmAdjustmentMessage,
+  buildSeverityAlertMessage,
+  buildDelayedMessage,
+  buildUndeliveredMessage,
+  buildDigestMessage,
+  getMessageBody,
+  getMessageColorHex,
+  buildConsumptionLine,
+  buildCarryLine,
+  formatCampaignDate,
+};
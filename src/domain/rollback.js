@@ -0,0 +1,85 @@
+/**
+ * Undoing a recorded run: which cells to put back, and whether anyone has
+ * changed them since the run wrote them.
+ */
+
+const { parseLocaleNumber } = require("../utils/numberFormat");
+
+// Config keys of the cells a tick writes, with the label used in correction embeds
+const WRITTEN_CELL_LABELS = [
+  { key: "currentSuppliesCell", label: "Supplies" },
+  { key: "dailyConsumptionCell", label: "Daily consumption" },
+  { key: "lastProcessedDateCell", label: "Last processed date" },
+];
+
+/**
+ * Human-readable name for a cell a run wrote
+ * @param {Object} sheetConfig - The sheet configuration
+ * @param {string} cell - The cell reference
+ * @returns {string} - e.g. "Supplies", or the cell reference itself
+ */
+function describeCell(sheetConfig, cell) {
+  const match = WRITTEN_CELL_LABELS.find(
+    ({ key }) => sheetConfig[key] === cell
+  );
+  return match ? match.label : cell;
+}
+
+/**
+ * Check whether a cell still shows the value a run wrote. Values are read
+ * formatted ("1,234"), so numbers are compared after parsing in the sheet's locale.
+ * @param {*} current - The cell's value as read now
+ * @param {*} expected - The value the run wrote
+ * @param {string} locale - Spreadsheet locale
+ * @returns {boolean}
+ */
+function valueMatches(current, expected, locale) {
+  const text = current === null || current === undefined ? "" : current;
+  if (typeof expected === "number") {
+    // File data sources hand back numbers as they were written
+    return typeof text === "number"
+      ? text === expected
+      : parseLocaleNumber(text, locale) === expected;
+  }
+  return String(text) === String(expected);
+}
+
+/**
+ * Work out how to revert one army of a recorded run
+ * @param {Object} army - The army's run history record ({ writes: [{ cell, sheetName, before, after }] })
+ * @param {Object} sheetConfig - The army's current sheet configuration (for labels)
+ * @param {Object} currentValues - The written cells as read now, keyed by cell
+ * @param {string} locale - Spreadsheet locale
+ * @returns {Object} - { writes: [{ cell, sheetName, value }], changes: [{ label, from, to }], conflicts: [{ cell, expected, found }] }
+ */
+function planRollback(army, sheetConfig, currentValues, locale) {
+  const conflicts = army.writes
+    .filter(
+      (write) => !valueMatches(currentValues[write.cell], write.after, locale)
+    )
+    .map((write) => ({
+      cell: write.cell,
+      expected: write.after,
+      found: currentValues[write.cell],
+    }));
+
+  return {
+    writes: army.writes.map((write) => ({
+      cell: write.cell,
+      sheetName: write.sheetName,
+      value: write.before,
+    })),
+    changes: army.writes.map((write) => ({
+      label: describeCell(sheetConfig, write.cell),
+      from: write.after,
+      to: write.before,
+    })),
+    conflicts,
+  };
+}
+
+module.exports = {
+  describeCell,
+  valueMatches,
+  planRollback,
+};
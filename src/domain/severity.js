@@ -0,0 +1,145 @@
+/**
+ * Alert severity tiers: which colour, emoji and banner an army's status gets.
+ *
+ * Tiers are listed most severe first; the first tier whose condition matches
+ * wins. A tier matches when days remaining is at most `maxDays`, or when the
+ * carried weight is at least `minCapacityPercent` of capacity. A tier with
+ * neither condition always matches, so it works as the catch-all at the end.
+ *   { "name": "critical", "maxDays": 3, "color": "#ff0000", "emoji": "🚨",
+ *     "banner": "🚨 **URGENT**: {name} supplies are critically low! Only {days} days remaining." }
+ * Banners may use {name}, {days} and {capacityPercent}.
+ */
+
+// The bands used before tiers were configurable
+const DEFAULT_SEVERITY_TIERS = [
+  {
+    name: "zero",
+    maxDays: 0,
+    color: 0x8b0000, // Dark red
+    emoji: "🚨",
+    banner:
+      "🚨 **URGENT**: {name} supplies are critically low! Only {days} days remaining.",
+  },
+  {
+    name: "critical",
+    maxDays: 3,
+    color: 0xff0000, // Red
+    emoji: "🚨",
+    banner:
+      "🚨 **URGENT**: {name} supplies are critically low! Only {days} days remaining.",
+  },
+  {
+    name: "warning",
+    maxDays: 7,
+    color: 0xff8c00, // Orange
+    emoji: "⚠️",
+    banner:
+      "⚠️ **WARNING**: {name} supplies are running low. {days} days remaining.",
+  },
+  {
+    name: "caution",
+    maxDays: 14,
+    color: 0xffff00, // Yellow
+    emoji: "⚡",
+  },
+  {
+    name: "good",
+    color: 0x00ff00, // Green
+    emoji: "✅",
+  },
+];
+
+// Used when no configured tier matches
+const FALLBACK_TIER = { name: "good", color: 0x00ff00, emoji: "✅" };
+
+const HEX_COLOR_PATTERN = /^#?([0-9a-fA-F]{6})$/;
+
+/**
+ * Convert a configured colour ("#ff8c00" or 0xff8c00) to the integer Discord expects
+ * @param {string|number} color - The configured colour
+ * @returns {number|null} - The colour, or null when it is not valid
+ */
+function parseColor(color) {
+  if (Number.isInteger(color) && color >= 0 && color <= 0xffffff) {
+    return color;
+  }
+  const match = typeof color === "string" && color.match(HEX_COLOR_PATTERN);
+  return match ? parseInt(match[1], 16) : null;
+}
+
+/**
+ * Get the tiers that apply to an army: its own, the campaign's, or the defaults
+ * @param {Object} sheetConfig - The sheet configuration
+ * @returns {Object[]} - Severity tiers, most severe first
+ */
+function resolveSeverityTiers(sheetConfig) {
+  const campaign = sheetConfig.campaign || {};
+  return (
+    sheetConfig.severityTiers ||
+    campaign.severityTiers ||
+    DEFAULT_SEVERITY_TIERS
+  );
+}
+
+function tierMatches(tier, daysRemaining, capacityPercent) {
+  const hasDays = typeof tier.maxDays === "number";
+  const hasCapacity = typeof tier.minCapacityPercent === "number";
+  if (!hasDays && !hasCapacity) {
+    return true;
+  }
+  if (hasDays && daysRemaining <= tier.maxDays) {
+    return true;
+  }
+  return (
+    hasCapacity &&
+    capacityPercent !== null &&
+    capacityPercent >= tier.minCapacityPercent
+  );
+}
+
+/**
+ * Pick the severity tier for an army's status
+ * @param {Object} params
+ * @param {number} params.daysRemaining - Days of supplies left
+ * @param {number|null} params.capacityPercent - Carried weight as a percentage of capacity (null when unknown)
+ * @param {Object[]} tiers - Severity tiers, most severe first
+ * @returns {Object} - The matching tier, with `color` as an integer and a
+ *   `level` that grows with severity (0 for the fallback tier)
+ */
+function getSeverity({ daysRemaining, capacityPercent = null }, tiers) {
+  const index = tiers.findIndex((candidate) =>
+    tierMatches(candidate, daysRemaining, capacityPercent)
+  );
+  const tier = index === -1 ? FALLBACK_TIER : tiers[index];
+  const color = parseColor(tier.color);
+  return {
+    ...tier,
+    color: color === null ? FALLBACK_TIER.color : color,
+    level: index === -1 ? 0 : tiers.length - index,
+  };
+}
+
+/**
+ * Fill in a tier's banner text
+ * @param {Object} severity - The tier from getSeverity
+ * @param {Object} values - { name, days, capacityPercent }
+ * @returns {string|null} - The banner, or null when the tier has none
+ */
+function renderSeverityBanner(severity, values) {
+  if (!severity.banner) {
+    return null;
+  }
+  return severity.banner.replace(/\{(\w+)\}/g, (placeholder, key) =>
+    values[key] === undefined || values[key] === null
+      ? placeholder
+      : String(values[key])
+  );
+}
+
+module.exports = {
+  DEFAULT_SEVERITY_TIERS,
+  parseColor,
+  resolveSeverityTiers,
+  getSeverity,
+  renderSeverityBanner,
+};
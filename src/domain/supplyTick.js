@@ -0,0 +1,257 @@
+/**
+ * Pure supply math for one army's daily tick.
+ *
+ * Nothing in this module talks to Google Sheets, Discord or the run ledger:
+ * callers pass in the raw cell values they read and get back what to write
+ * and which notification to send.
+ */
+
+const { DEFAULT_LOCALE, parseLocaleNumber } = require("../utils/numberFormat");
+const { parseNumericValue, parseBooleanValue } = require("./values");
+const { resolveMetrics, evaluateMetrics } = require("./metrics");
+const { getCompositionCells, computeConsumption } = require("./consumption");
+const { resolveSeverityTiers, getSeverity } = require("./severity");
+
+function calculateDaysRemaining(currentSupplies, dailyConsumption) {
+  const current = parseNumericValue(currentSupplies);
+  const daily = parseNumericValue(dailyConsumption);
+
+  if (daily <= 0) {
+    throw new Error("Daily consumption must be greater than 0");
+  }
+
+  return Math.floor(current / daily);
+}
+
+/**
+ * List every cell a tick needs for an army, in batch-read order
+ * @param {Object} sheetConfig - The sheet configuration
+ * @returns {string[]} - Cell addresses
+ */
+function getTickCells(sheetConfig) {
+  const cells = [
+    sheetConfig.currentSuppliesCell,
+    sheetConfig.dailyConsumptionCell,
+    sheetConfig.totalCarriedCell,
+    sheetConfig.currentCarryingCapacityCell,
+  ];
+  if (sheetConfig.restingStatusCell) {
+    cells.push(sheetConfig.restingStatusCell);
+  }
+  cells.push(...getCompositionCells(sheetConfig));
+  resolveMetrics(sheetConfig).forEach((metric) => cells.push(metric.cell));
+  return cells;
+}
+
+/**
+ * Compare two reads of the same cells, e.g. to spot a hand edit made between
+ * reading a tick's inputs and writing its results
+ * @param {string[]} cells - Cell addresses to compare
+ * @param {Object} readValues - Values the tick was computed from
+ * @param {Object} currentValues - Values read again just before writing
+ * @returns {Object[]} - [{ cell, from, to }] for each cell that differs
+ */
+function getChangedCells(cells, readValues, currentValues) {
+  const normalize = (value) =>
+    value === null || value === undefined ? "" : String(value);
+  return cells
+    .filter(
+      (cell) => normalize(readValues[cell]) !== normalize(currentValues[cell])
+    )
+    .map((cell) => ({
+      cell,
+      from: normalize(readValues[cell]),
+      to: normalize(currentValues[cell]),
+    }));
+}
+
+function requireValue(cellValues, cellAddress, label) {
+  const value = cellValues[cellAddress];
+  if (value === null || value === undefined) {
+    throw new Error(`No data found in ${label} cell ${cellAddress}`);
+  }
+  return value;
+}
+
+/**
+ * Compute one army's tick from the raw values read from its sheet
+ * @param {Object} params
+ * @param {Object} params.sheetConfig - The sheet configuration (cell addresses)
+ * @param {Object} params.cellValues - Raw values keyed by cell address
+ * @param {string[]} params.dates - Campaign dates to apply, oldest first (empty when already processed)
+ * @param {string} params.locale - Spreadsheet locale the values are displayed in
+ * @returns {Object} - The tick result: parsed inputs, per-day results, cells to write (with their previous values), notification kind and derived metrics (including evaluated display `metrics`, the unit `consumptionBreakdown` and the alert `severity` tier)
+ */
+function computeSupplyTick({
+  sheetConfig,
+  cellValues,
+  dates,
+  locale = DEFAULT_LOCALE,
+}) {
+  const currentSupplies = parseNumericValue(
+    requireValue(
+      cellValues,
+      sheetConfig.currentSuppliesCell,
+      "current supplies"
+    ),
+    locale
+  );
+  // With unitComposition configured, consumption is derived from unit counts
+  // and the consumption cell only holds the previous figure
+  let dailyConsumption;
+  let previousConsumption = null;
+  let consumptionBreakdown = null;
+  if (sheetConfig.unitComposition) {
+    const consumption = computeConsumption(
+      sheetConfig.unitComposition,
+      cellValues,
+      locale
+    );
+    dailyConsumption = consumption.total;
+    consumptionBreakdown = consumption.breakdown;
+    const previous = cellValues[sheetConfig.dailyConsumptionCell];
+    if (previous !== null && previous !== undefined && previous !== "") {
+      previousConsumption =
+        typeof previous === "number"
+          ? previous
+          : parseLocaleNumber(previous, locale);
+    }
+  } else {
+    dailyConsumption = parseNumericValue(
+      requireValue(
+        cellValues,
+        sheetConfig.dailyConsumptionCell,
+        "daily consumption"
+      ),
+      locale
+    );
+  }
+  const consumptionChanged =
+    consumptionBreakdown !== null && previousConsumption !== dailyConsumption;
+  const totalCarried = parseNumericValue(
+    requireValue(cellValues, sheetConfig.totalCarriedCell, "total carried"),
+    locale
+  );
+  const carryingCapacity = parseNumericValue(
+    requireValue(
+      cellValues,
+      sheetConfig.currentCarryingCapacityCell,
+      "carrying capacity"
+    ),
+    locale
+  );
+
+  if (dailyConsumption <= 0) {
+    throw new Error("Daily consumption must be greater than 0");
+  }
+
+  const isResting = sheetConfig.restingStatusCell
+    ? parseBooleanValue(cellValues[sheetConfig.restingStatusCell])
+    : false;
+
+  // Apply each outstanding day in order. The sheet only holds today's resting
+  // flag, so it is applied to every missed day as well.
+  const days = [];
+  let runningSupplies = currentSupplies;
+  dates.forEach((date) => {
+    const suppliesBefore = runningSupplies;
+    const suppliesAfter = isResting
+      ? suppliesBefore // no change while resting
+      : Math.max(0, suppliesBefore - dailyConsumption);
+
+    days.push({
+      date,
+      suppliesBefore,
+      suppliesAfter,
+      resting: isResting,
+      wasZero: !isResting && suppliesBefore === 0,
+      hitZero: !isResting && suppliesBefore > 0 && suppliesAfter === 0,
+    });
+    runningSupplies = suppliesAfter;
+  });
+  const newSupplyValue = runningSupplies;
+
+  const suppliesWereZero = currentSupplies === 0;
+  const suppliesHitZero = days.some((day) => day.hitZero);
+
+  // How much supply weight was actually consumed (could be partial if we hit zero)
+  const suppliesConsumed = Math.max(0, currentSupplies - newSupplyValue);
+
+  // The sheet's total carried value represents the state *before* this tick's
+  // deduction; for reporting we want the post-consumption carrying state.
+  const adjustedTotalCarried = Math.max(0, totalCarried - suppliesConsumed);
+
+  // `previous` is what the cell held before, so a run can be undone later
+  const writes = [];
+  if (consumptionChanged) {
+    writes.push({
+      cell: sheetConfig.dailyConsumptionCell,
+      value: dailyConsumption,
+      previous: previousConsumption === null ? "" : previousConsumption,
+    });
+  }
+  if (newSupplyValue !== currentSupplies) {
+    writes.push({
+      cell: sheetConfig.currentSuppliesCell,
+      value: newSupplyValue,
+      previous: currentSupplies,
+    });
+  }
+
+  let notification = "status";
+  if (days.length > 1) {
+    notification = "catchUp";
+  } else if (!isResting && (suppliesWereZero || suppliesHitZero)) {
+    notification = "zero";
+  }
+
+  const daysRemaining = calculateDaysRemaining(
+    newSupplyValue,
+    dailyConsumption
+  );
+  const capacityPercent =
+    carryingCapacity > 0
+      ? Math.round((adjustedTotalCarried / carryingCapacity) * 100)
+      : null;
+  const severity = getSeverity(
+    { daysRemaining, capacityPercent },
+    resolveSeverityTiers(sheetConfig)
+  );
+
+  const metrics = evaluateMetrics(
+    resolveMetrics(sheetConfig),
+    cellValues,
+    locale
+  );
+
+  return {
+    isResting,
+    currentSupplies,
+    dailyConsumption,
+    previousConsumption,
+    consumptionChanged,
+    consumptionBreakdown,
+    totalCarried,
+    carryingCapacity,
+    days,
+    newSupplyValue,
+    suppliesConsumed,
+    suppliesWereZero,
+    suppliesHitZero,
+    adjustedTotalCarried,
+    overCapacity: adjustedTotalCarried > carryingCapacity,
+    capacityPercent,
+    daysRemaining,
+    severity,
+    writes,
+    notification,
+    metrics,
+  };
+}
+
+module.exports = {
+  computeSupplyTick,
+  calculateDaysRemaining,
+  getTickCells,
+  getChangedCells,
+};
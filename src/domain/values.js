@@ -0,0 +1,71 @@
+/**
+ * Parsing helpers for raw cell values as returned by the Sheets API.
+ */
+
+const { DEFAULT_LOCALE, parseLocaleNumber } = require("../utils/numberFormat");
+
+/**
+ * Parse a numeric value as displayed in the spreadsheet's locale
+ * @param {string|number} value - The value to parse
+ * @param {string} locale - Spreadsheet locale, e.g. "en_US" or "de_DE"
+ * @returns {number} - The parsed numeric value
+ */
+function parseNumericValue(value, locale = DEFAULT_LOCALE) {
+  if (typeof value === "number") {
+    return value;
+  }
+
+  if (typeof value !== "string") {
+    throw new Error(
+      `Invalid value type: expected string or number, got ${typeof value}`
+    );
+  }
+
+  // Strip the locale's thousands separators and normalise its decimal mark
+  const parsed = parseLocaleNumber(value, locale);
+
+  if (isNaN(parsed)) {
+    throw new Error(`Invalid numeric value: "${value}"`);
+  }
+
+  return parsed;
+}
+
+/**
+ * Parse an optional stat: numbers when they look numeric, the raw value otherwise
+ * @param {*} value - The raw cell value
+ * @param {string} locale - Spreadsheet locale
+ * @returns {*}
+ */
+function parseOptionalNumber(value, locale = DEFAULT_LOCALE) {
+  if (typeof value === "number") {
+    return value;
+  }
+  if (
+    value != null &&
+    value !== "" &&
+    !isNaN(parseLocaleNumber(value, locale))
+  ) {
+    return parseNumericValue(value, locale);
+  }
+  return value;
+}
+
+/**
+ * Interpret a boolean-style cell (Google Sheets checkboxes often return TRUE/FALSE)
+ * @param {*} value - The raw cell value
+ * @returns {boolean}
+ */
+function parseBooleanValue(value) {
+  if (value === null || value === undefined) {
+    return false;
+  }
+  if (typeof value === "boolean") return value;
+  if (typeof value === "string") {
+    const normalized = value.trim().toLowerCase();
+    return ["true", "yes", "y", "1"].includes(normalized);
+  }
+  return false;
+}
+
+module.exports = { parseNumericValue, parseOptionalNumber, parseBooleanValue };
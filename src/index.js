@@ -1,385 +1,962 @@
 // Load environment variables from .env file
 require("dotenv").config();
 
-const { GoogleSheetsService } = require("./services/googleSheets");
-const { DiscordNotifier } = require("./services/discord");
+const {
+  DataSources,
+  getSourceType,
+  getSheetUrl,
+} = require("./services/dataSources");
+const { Notifier, getDestinations } = require("./services/notifier");
+const { RunLedger } = require("./services/runLedger");
+const { RunHistory } = require("./services/runHistory");
+const { Outbox } = require("./services/outbox");
+const { StatusBoards } = require("./services/statusBoards");
 const { loadConfig } = require("./utils/config");
+const { getCampaignDate, getDatesToApply } = require("./utils/campaignDate");
 const { logger } = require("./utils/logger");
+const {
+  computeSupplyTick,
+  calculateDaysRemaining,
+  getTickCells,
+  getChangedCells,
+} = require("./domain/supplyTick");
+const { formatCampaignDay } = require("./domain/calendar");
+const { AUDIT_LOG_HEADERS, buildAuditRows } = require("./domain/auditLog");
+const { getAlertActions } = require("./domain/alertActions");
+const { resolveMentions } = require("./domain/mentions");
+
+const DEFAULT_MAX_CATCH_UP_DAYS = 7;
+// Delivery attempts of a queued notification before the GM is told instead
+const DEFAULT_OUTBOX_MAX_ATTEMPTS = 5;
+// Re-reads before giving up on an army whose cells keep changing mid-run
+const MAX_CONCURRENCY_CHECKS = 2;
 
 /**
- * Parse a numeric value that may contain commas as thousands separators
- * @param {string|number} value - The value to parse
- * @returns {number} - The parsed numeric value
+ * Parse a positive integer setting, falling back to a default when unset
+ * @param {string|undefined} value - The raw setting
+ * @param {number} defaultValue - Value used when the setting is empty
+ * @param {string} label - Setting name for error messages
+ * @returns {number}
  */
-function parseNumericValue(value) {
-  if (typeof value === "number") {
-    return value;
+function parsePositiveInteger(value, defaultValue, label) {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return defaultValue;
   }
 
-  if (typeof value !== "string") {
-    throw new Error(
-      `Invalid value type: expected string or number, got ${typeof value}`
-    );
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new Error(`${label} must be a positive integer, got "${value}"`);
   }
 
-  // Remove commas and parse as float
-  const cleanedValue = value.replace(/,/g, "");
-  const parsed = parseFloat(cleanedValue);
+  return parsed;
+}
+
+/**
+ * Check whether a boolean-style environment variable is switched on
+ * @param {string} name - The environment variable name
+ * @returns {boolean}
+ */
+function isEnvFlagSet(name) {
+  const value = (process.env[name] || "").trim().toLowerCase();
+  return ["true", "yes", "y", "1"].includes(value);
+}
+
+/**
+ * Resolve run options from CLI flags and environment variables
+ * @param {string[]} argv - Command line arguments (without node and script path)
+ * @returns {Object} - The run options
+ */
+function getRunOptions(argv = process.argv.slice(2)) {
+  const outputArg = argv.find((arg) => arg.startsWith("--dry-run-output="));
+
+  return {
+    // Read and calculate everything, but write nothing to sheets and send no notifications
+    dryRun:
+      argv.includes("--dry-run") ||
+      Boolean(outputArg) ||
+      isEnvFlagSet("DRY_RUN"),
+    // Directory to write dry-run webhook payloads to (printed to the log otherwise)
+    dryRunOutputDir: outputArg
+      ? outputArg.slice("--dry-run-output=".length)
+      : process.env.DRY_RUN_OUTPUT_DIR || null,
+    // Re-send today's notification for armies whose day was already applied
+    resendNotifications:
+      argv.includes("--resend-notifications") ||
+      isEnvFlagSet("RESEND_NOTIFICATIONS"),
+    // Most missed days applied in one run when catching up (1 disables catch-up)
+    maxCatchUpDays: parsePositiveInteger(
+      process.env.MAX_CATCH_UP_DAYS,
+      DEFAULT_MAX_CATCH_UP_DAYS,
+      "MAX_CATCH_UP_DAYS"
+    ),
+    // Delivery attempts of a queued notification before it is given up
+    outboxMaxAttempts: parsePositiveInteger(
+      process.env.OUTBOX_MAX_ATTEMPTS,
+      DEFAULT_OUTBOX_MAX_ATTEMPTS,
+      "OUTBOX_MAX_ATTEMPTS"
+    ),
+  };
+}
 
-  if (isNaN(parsed)) {
-    throw new Error(`Invalid numeric value: "${value}"`);
+/**
+ * Identify this run in audit log rows: the GitHub Actions run when there is one
+ * @param {Date} now - When the run started
+ * @returns {string}
+ */
+function getRunId(now) {
+  if (process.env.GITHUB_RUN_ID) {
+    return `${process.env.GITHUB_RUN_ID}.${
+      process.env.GITHUB_RUN_ATTEMPT || 1
+    }`;
   }
+  return `local-${now.toISOString()}`;
+}
 
-  return parsed;
+/**
+ * List every cell read for an army: the tick's cells plus its ledger cell
+ * @param {Object} sheetConfig - The sheet configuration
+ * @returns {string[]} - Cell references
+ */
+function getArmyCells(sheetConfig) {
+  const cells = getTickCells(sheetConfig);
+  if (sheetConfig.lastProcessedDateCell) {
+    cells.push(sheetConfig.lastProcessedDateCell);
+  }
+  return cells;
 }
 
 /**
- * Sleep for the specified number of milliseconds
- * @param {number} ms - Milliseconds to sleep
+ * Group armies by spreadsheet (or data file) so each is read and written once
+ * @param {Object[]} config - Sheet configurations
+ * @returns {Object[]} - [{ sheetId, armies }] in config order
  */
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+function groupBySpreadsheet(config) {
+  const groups = new Map();
+  config.forEach((sheetConfig) => {
+    const key = `${getSourceType(sheetConfig)}:${sheetConfig.sheetId}`;
+    if (!groups.has(key)) {
+      groups.set(key, { sheetId: sheetConfig.sheetId, armies: [] });
+    }
+    groups.get(key).armies.push(sheetConfig);
+  });
+  return Array.from(groups.values());
 }
 
-async function main() {
+/**
+ * Log an army's failure, keep it for the GM digest and tell the army's channels
+ * @param {Object} context - The run context ({ notifier, errors })
+ * @param {Object} sheetConfig - The army's sheet configuration
+ * @param {Error} error - What went wrong
+ */
+async function reportArmyError(context, sheetConfig, error) {
+  logger.error(`Error processing sheet ${sheetConfig.name}:`, error);
+  context.errors.push({ name: sheetConfig.name, error: error.message });
+
+  // Send error notification to the army's channels
   try {
-    logger.info("Starting supply status monitor...");
+    await context.notifier.sendError({
+      sheetName: sheetConfig.name,
+      error: error.message,
+      destinations: getDestinations(sheetConfig),
+      sheetUrl: getSheetUrl(sheetConfig),
+    });
+  } catch (notifyError) {
+    logger.error("Failed to send error notification:", notifyError);
+  }
+}
 
-    // Load configuration
-    const config = await loadConfig();
-    logger.info(`Loaded configuration for ${config.length} sheets`);
+/**
+ * An army whose day was already applied: nothing is written or sent, but its
+ * current figures (a tick over no days) still go into the GM digest
+ * @param {Object} params - { sheetConfig, cellValues, campaignDate, source }
+ * @returns {Promise<Object>} - { skipped: true, tick, locale, campaignDate }
+ */
+async function skipArmyRun({ sheetConfig, cellValues, campaignDate, source }) {
+  try {
+    const locale =
+      sheetConfig.locale ||
+      (await source.getSpreadsheetLocale(sheetConfig.sheetId));
+    const tick = computeSupplyTick({
+      sheetConfig,
+      cellValues,
+      dates: [],
+      locale,
+    });
+    return { skipped: true, tick, locale, campaignDate };
+  } catch (error) {
+    // Today's run already went through; only the digest's figures are missing
+    logger.warn(
+      `${sheetConfig.name}: could not read current figures: ${error.message}`
+    );
+    return { skipped: true, tick: null, locale: null, campaignDate };
+  }
+}
 
-    // Initialize services
-    const sheetsService = new GoogleSheetsService();
-    const discordNotifier = new DiscordNotifier();
+// runMonitor's result for an army skipped by skipArmyRun
+function toSkippedResult(sheetConfig, { tick, locale, campaignDate }) {
+  return {
+    name: sheetConfig.name,
+    outcome: "skipped",
+    tick,
+    locale,
+    campaignDate,
+  };
+}
 
-    // Process each sheet configuration with rate limiting
-    for (let i = 0; i < config.length; i++) {
-      const sheetConfig = config[i];
-      const sheetUrl = `https://docs.google.com/spreadsheets/d/${sheetConfig.sheetId}/edit`; // Link to the spreadsheet
+/**
+ * Work out one army's tick from its batch-read values, without writing or notifying
+ * @param {Object} params
+ * @param {Object} params.sheetConfig - The sheet configuration
+ * @param {Object} params.cellValues - The army's values from the grouped read
+ * @param {Date} params.now - The moment this run resolves campaign dates from
+ * @param {Object} params.options - Run options
+ * @param {RunLedger} params.runLedger - The run ledger
+ * @param {Object} params.source - The army's data source (for the spreadsheet locale)
+ * @returns {Promise<Object>} - The army's run ({ tick, writes, cellValues, ... }),
+ *   or { skipped: true, tick, locale, campaignDate } when the day was already
+ *   applied (tick is its current figures, null when they can't be read)
+ */
+async function prepareArmyRun({
+  sheetConfig,
+  cellValues,
+  now,
+  options,
+  runLedger,
+  source,
+}) {
+  const { campaign } = sheetConfig;
+  const campaignDate = getCampaignDate(
+    now,
+    campaign.timezone,
+    campaign.dayRolloverHour
+  );
+  const campaignDay = formatCampaignDay(campaignDate, campaign);
+  logger.info(
+    `${sheetConfig.name}: campaign date ${campaignDate} (${campaignDay})`
+  );
+
+  // Check the run ledger so a rerun on the same campaign day never deducts twice
+  const lastProcessedDate = await runLedger.getLastProcessedDate(
+    sheetConfig,
+    cellValues
+  );
+  const { dates: datesToApply, skippedDays } = getDatesToApply(
+    lastProcessedDate,
+    campaignDate,
+    options.maxCatchUpDays
+  );
+  const alreadyProcessed = datesToApply.length === 0;
+
+  // A dry run always previews the notification, even for a processed day
+  if (alreadyProcessed && !options.resendNotifications && !options.dryRun) {
+    logger.info(
+      `${sheetConfig.name} was already processed for ${campaignDate} - skipping (use --resend-notifications to re-send the notification)`
+    );
+    return skipArmyRun({ sheetConfig, cellValues, campaignDate, source });
+  }
+  if (alreadyProcessed) {
+    logger.info(
+      `${sheetConfig.name} was already processed for ${campaignDate} - re-sending notification without deducting supplies`
+    );
+  }
+  if (datesToApply.length > 1) {
+    logger.info(
+      `${sheetConfig.name} missed ${
+        datesToApply.length + skippedDays - 1
+      } day(s) since ${lastProcessedDate} - catching up`
+    );
+  }
+  if (skippedDays > 0) {
+    logger.warn(
+      `${sheetConfig.name}: ${skippedDays} older missed day(s) exceed MAX_CATCH_UP_DAYS=${options.maxCatchUpDays} and will not be applied`
+    );
+  }
+
+  // Values arrive formatted in the spreadsheet's locale ("1.234,5" in de_DE);
+  // a configured locale overrides the one reported by the API
+  const locale =
+    sheetConfig.locale ||
+    (await source.getSpreadsheetLocale(sheetConfig.sheetId));
+
+  const tick = computeSupplyTick({
+    sheetConfig,
+    cellValues,
+    dates: datesToApply,
+    locale,
+  });
+
+  if (tick.isResting) {
+    logger.info(
+      `${sheetConfig.name} is resting today (restingStatusCell=${sheetConfig.restingStatusCell}). Skipping supply deduction.`
+    );
+  }
+
+  logger.info(
+    `${sheetConfig.name}: Current supplies: ${tick.currentSupplies}, Daily consumption: ${tick.dailyConsumption}, Consumed today: ${tick.suppliesConsumed}, New supply value: ${tick.newSupplyValue}, Resting: ${tick.isResting}, Total carried (raw): ${tick.totalCarried}, Total carried (adjusted): ${tick.adjustedTotalCarried}, Carrying capacity: ${tick.carryingCapacity}`
+  );
 
-      // Add delay between sheets to avoid quota limits
-      if (i > 0) {
-        logger.info(
-          "⏱️  Waiting 3 seconds between sheets to avoid rate limits..."
+  // Sheet writes for the spreadsheet's batch update, including the ledger cell
+  const writes = [];
+  if (alreadyProcessed) {
+    logger.info(
+      `${sheetConfig.name} deduction for ${campaignDate} already applied - no update performed`
+    );
+  } else {
+    tick.writes.forEach((write) =>
+      writes.push({ ...write, sheetName: sheetConfig.sheetName })
+    );
+    const ledgerWrite = runLedger.getSheetWrite(
+      sheetConfig,
+      campaignDate,
+      lastProcessedDate
+    );
+    if (ledgerWrite) {
+      writes.push(ledgerWrite);
+    }
+  }
+
+  return {
+    sheetConfig,
+    cellValues,
+    campaign,
+    campaignDate,
+    lastProcessedDate,
+    alreadyProcessed,
+    skippedDays,
+    locale,
+    tick,
+    writes,
+  };
+}
+
+/**
+ * Re-read the armies about to be written and check nobody edited their cells
+ * since the ticks were computed (e.g. a GM logging a resupply by hand). An
+ * edited army is recomputed from the new values and checked again; one that
+ * is still changing after MAX_CONCURRENCY_CHECKS reads is aborted with an
+ * error rather than overwriting the edit.
+ * @param {string} sheetId - The Google Sheet ID or data file path
+ * @param {Object[]} pending - Runs with writes, from prepareArmyRun
+ * @param {Object} context - { now, options, source, notifier, runLedger, results }
+ * @returns {Promise<Array<Object|null>>} - Per pending run: the run to write and notify
+ *   (possibly recomputed), or null when it was aborted or no longer needs a write
+ */
+async function recheckBeforeWrite(sheetId, pending, context) {
+  const { now, options, source, notifier, runLedger } = context;
+  const checked = pending.slice();
+  // Runs without sheet writes (file ledger, nothing to deduct) have nothing to clobber
+  let toCheck = pending
+    .map((run, index) => index)
+    .filter((index) => pending[index].writes.length > 0);
+
+  for (let attempt = 1; toCheck.length > 0; attempt++) {
+    const currentValues = await source.getCellValuesForArmies(
+      sheetId,
+      toCheck.map((index) => ({
+        sheetName: checked[index].sheetConfig.sheetName,
+        cells: getArmyCells(checked[index].sheetConfig),
+      }))
+    );
+
+    const recomputed = [];
+    for (let i = 0; i < toCheck.length; i++) {
+      const index = toCheck[i];
+      const run = checked[index];
+      const changes = getChangedCells(
+        getArmyCells(run.sheetConfig),
+        run.cellValues,
+        currentValues[i]
+      );
+      if (changes.length === 0) {
+        continue;
+      }
+
+      const summary = changes
+        .map(
+          (change) =>
+            `${change.cell} changed from "${change.from}" to "${change.to}"`
+        )
+        .join(", ");
+      if (attempt >= MAX_CONCURRENCY_CHECKS) {
+        checked[index] = null;
+        await reportArmyError(
+          context,
+          run.sheetConfig,
+          new Error(
+            `Sheet changed during run (${summary}). Nothing was written for this army so the edit is kept; the next run will use the new values.`
+          )
         );
-        await sleep(3000);
+        continue;
       }
+
+      logger.warn(
+        `${run.sheetConfig.name}: sheet changed during run (${summary}) - recomputing from the new values`
+      );
       try {
-        logger.info(`Processing sheet: ${sheetConfig.name}`);
-
-        // Build list of cells to fetch
-        const cellsToFetch = [
-          sheetConfig.currentSuppliesCell,
-          sheetConfig.dailyConsumptionCell,
-          sheetConfig.totalCarriedCell,
-          sheetConfig.currentCarryingCapacityCell,
-        ];
-        if (sheetConfig.restingStatusCell) {
-          cellsToFetch.push(sheetConfig.restingStatusCell);
-        }
-        // Optional cells for extended reporting
-        const optionalCellKeys = [
-          "ownedAndCarriedLootCell",
-          "paidAndCarriedLootCell",
-          "currentMoraleCell",
-          "restingMoraleCell",
-          "armyLengthCell",
-          "effectiveArmySizeCell",
-          "forcedMarchDaysCell",
-          "shippingStatusCell",
-          "supplyShipsCountCell",
-        ];
-        optionalCellKeys.forEach((key) => {
-          if (sheetConfig[key]) cellsToFetch.push(sheetConfig[key]);
+        checked[index] = await prepareArmyRun({
+          sheetConfig: run.sheetConfig,
+          cellValues: currentValues[i],
+          now,
+          options,
+          runLedger,
+          source,
         });
+      } catch (error) {
+        checked[index] = null;
+        await reportArmyError(context, run.sheetConfig, error);
+      }
+      // Another run may have recorded the day in the meantime; then there is nothing left to write
+      if (
+        checked[index] &&
+        (checked[index].skipped || checked[index].alreadyProcessed)
+      ) {
+        context.results.push(toSkippedResult(run.sheetConfig, checked[index]));
+        checked[index] = null;
+      }
+      if (checked[index]) {
+        recomputed.push(index);
+      }
+    }
+    toCheck = recomputed;
+  }
 
-        // Get data from Google Sheets using batch API to reduce quota usage
-        const cellValues = await sheetsService.getCellValuesBatch(
-          sheetConfig.sheetId,
-          cellsToFetch,
-          sheetConfig.sheetName
-        );
+  return checked;
+}
 
-        const currentSupplies = cellValues[sheetConfig.currentSuppliesCell];
-        const dailyConsumption = cellValues[sheetConfig.dailyConsumptionCell];
-        const totalCarriedRaw = cellValues[sheetConfig.totalCarriedCell];
-        const carryingCapacityRaw =
-          cellValues[sheetConfig.currentCarryingCapacityCell];
-        const restingStatusRaw = sheetConfig.restingStatusCell
-          ? cellValues[sheetConfig.restingStatusCell]
-          : null;
-
-        // Extract optional values
-        const ownedAndCarriedLootRaw = sheetConfig.ownedAndCarriedLootCell
-          ? cellValues[sheetConfig.ownedAndCarriedLootCell]
-          : null;
-        const paidAndCarriedLootRaw = sheetConfig.paidAndCarriedLootCell
-          ? cellValues[sheetConfig.paidAndCarriedLootCell]
-          : null;
-        const currentMoraleRaw = sheetConfig.currentMoraleCell
-          ? cellValues[sheetConfig.currentMoraleCell]
-          : null;
-        const restingMoraleRaw = sheetConfig.restingMoraleCell
-          ? cellValues[sheetConfig.restingMoraleCell]
-          : null;
-        const armyLengthRaw = sheetConfig.armyLengthCell
-          ? cellValues[sheetConfig.armyLengthCell]
-          : null;
-        const effectiveArmySizeRaw = sheetConfig.effectiveArmySizeCell
-          ? cellValues[sheetConfig.effectiveArmySizeCell]
-          : null;
-        const forcedMarchDaysRaw = sheetConfig.forcedMarchDaysCell
-          ? cellValues[sheetConfig.forcedMarchDaysCell]
-          : null;
-        const shippingStatusRaw = sheetConfig.shippingStatusCell
-          ? cellValues[sheetConfig.shippingStatusCell]
-          : null;
-        const supplyShipsCountRaw = sheetConfig.supplyShipsCountCell
-          ? cellValues[sheetConfig.supplyShipsCountCell]
-          : null;
-
-        // Determine resting status if provided (Google Sheets boolean checkboxes often return TRUE/FALSE)
-        const isResting = (() => {
-          if (restingStatusRaw === null || restingStatusRaw === undefined) {
-            return false;
-          }
-          if (typeof restingStatusRaw === "boolean") return restingStatusRaw;
-          if (typeof restingStatusRaw === "string") {
-            const normalized = restingStatusRaw.trim().toLowerCase();
-            return ["true", "yes", "y", "1"].includes(normalized);
-          }
-          return false;
-        })();
-
-        if (isResting) {
-          logger.info(
-            `${sheetConfig.name} is resting today (restingStatusCell=${sheetConfig.restingStatusCell}). Skipping supply deduction.`
-          );
-        }
-
-        // Validate that we got values
-        if (currentSupplies === null || currentSupplies === undefined) {
-          throw new Error(
-            `No data found in current supplies cell ${sheetConfig.currentSuppliesCell}`
-          );
-        }
-        if (dailyConsumption === null || dailyConsumption === undefined) {
-          throw new Error(
-            `No data found in daily consumption cell ${sheetConfig.dailyConsumptionCell}`
-          );
-          ko;
-        }
-        if (totalCarriedRaw === null || totalCarriedRaw === undefined) {
-          throw new Error(
-            `No data found in total carried cell ${sheetConfig.totalCarriedCell}`
-          );
-        }
-        if (carryingCapacityRaw === null || carryingCapacityRaw === undefined) {
-          throw new Error(
-            `No data found in carrying capacity cell ${sheetConfig.currentCarryingCapacityCell}`
-          );
-        }
-
-        // Calculate new supply value after daily consumption (if not resting)
-        const currentSuppliesFloat = parseNumericValue(currentSupplies);
-        const dailyConsumptionFloat = parseNumericValue(dailyConsumption);
-        const totalCarried = parseNumericValue(totalCarriedRaw);
-        const carryingCapacity = parseNumericValue(carryingCapacityRaw);
-
-        if (
-          isNaN(currentSuppliesFloat) ||
-          isNaN(dailyConsumptionFloat) ||
-          isNaN(totalCarried) ||
-          isNaN(carryingCapacity)
-        ) {
-          throw new Error(
-            "Invalid supply, consumption, carried, or capacity values - must be numbers"
-          );
-        }
-
-        if (dailyConsumptionFloat <= 0) {
-          throw new Error("Daily consumption must be greater than 0");
-        }
-
-        const newSupplyValue = isResting
-          ? currentSuppliesFloat // no change while resting
-          : Math.max(0, currentSuppliesFloat - dailyConsumptionFloat);
-
-        // Check if supplies are already at zero or will hit zero (only relevant if not resting)
-        const suppliesWereZero = currentSuppliesFloat === 0;
-        const suppliesHitZero =
-          !isResting && currentSuppliesFloat > 0 && newSupplyValue === 0;
-
-        // Calculate how much supply weight was actually consumed today (could be partial if we hit zero)
-        const suppliesConsumedToday = isResting
-          ? 0
-          : Math.max(0, currentSuppliesFloat - newSupplyValue);
-
-        // Adjust total carried to reflect the deduction of supplies already consumed today.
-        // Rationale: The sheet's total carried value represents the state *before* today's automated deduction.
-        // For reporting (capacity %, over-capacity alerts, etc.) we want the post-consumption carrying state.
-        const adjustedTotalCarried = Math.max(
-          0,
-          totalCarried - suppliesConsumedToday
-        );
+/**
+ * What a written run changed for one army, for the run history (and undo)
+ * @param {Object} run - The army's run from prepareArmyRun
+ * @param {RunLedger} runLedger - The run ledger (for the army's key)
+ * @returns {Object} - The army's run history record
+ */
+function buildRunRecord(run, runLedger) {
+  const { sheetConfig } = run;
+  return {
+    key: runLedger.getKey(sheetConfig),
+    name: sheetConfig.name,
+    sheetId: sheetConfig.sheetId,
+    sheetName: sheetConfig.sheetName || null,
+    campaignDate: run.campaignDate,
+    previousLedgerDate: run.lastProcessedDate,
+    writes: run.writes.map((write) => ({
+      cell: write.cell,
+      sheetName: write.sheetName || null,
+      before: write.previous,
+      after: write.value,
+    })),
+  };
+}
 
-        logger.info(
-          `${sheetConfig.name}: Current supplies: ${currentSuppliesFloat}, Daily consumption: ${dailyConsumptionFloat}, Consumed today: ${suppliesConsumedToday}, New supply value: ${newSupplyValue}, Resting: ${isResting}, Total carried (raw): ${totalCarried}, Total carried (adjusted): ${adjustedTotalCarried}, Carrying capacity: ${carryingCapacity}`
+// Log what a run changed (or, in a dry run, would change) in the sheet
+function logArmyUpdates(run, dryRun) {
+  const { sheetConfig, tick } = run;
+  const updated = dryRun ? "[dry run] Would update" : "Updated";
+  if (tick.consumptionChanged) {
+    logger.info(
+      `${updated} ${sheetConfig.name} daily consumption from ${tick.previousConsumption} to ${tick.dailyConsumption}`
+    );
+  }
+  if (tick.newSupplyValue !== tick.currentSupplies) {
+    logger.info(
+      `${updated} ${sheetConfig.name} current supplies from ${tick.currentSupplies} to ${tick.newSupplyValue}`
+    );
+  } else if (tick.isResting) {
+    logger.info(`${sheetConfig.name} is resting - no supply update performed`);
+  } else {
+    logger.info(
+      `${sheetConfig.name} supplies were already at zero - no update needed`
+    );
+  }
+}
+
+/**
+ * Append the applied days of a spreadsheet's runs to their audit log tabs,
+ * one append per tab. A failure is reported but doesn't undo the tick.
+ * @param {string} sheetId - The Google Sheet ID or data file path
+ * @param {Object[]} runs - Runs whose writes went through
+ * @param {Object} context - { now, options, runId, source, notifier }
+ */
+async function appendAuditLog(sheetId, runs, context) {
+  const { now, options, runId, source, notifier } = context;
+  const timestamp = now.toISOString();
+
+  const byTab = new Map();
+  runs
+    .filter((run) => run.sheetConfig.auditLogTab && run.tick.days.length > 0)
+    .forEach((run) => {
+      const tab = run.sheetConfig.auditLogTab;
+      if (!byTab.has(tab)) {
+        byTab.set(tab, { runs: [], rows: [] });
+      }
+      byTab.get(tab).runs.push(run);
+      byTab.get(tab).rows.push(
+        ...buildAuditRows({
+          sheetConfig: run.sheetConfig,
+          campaign: run.campaign,
+          tick: run.tick,
+          runId,
+          timestamp,
+        })
+      );
+    });
+
+  for (const [tab, { runs: tabRuns, rows }] of byTab) {
+    if (options.dryRun) {
+      logger.info(
+        `[dry run] Would append ${rows.length} row(s) to audit log tab "${tab}"`
+      );
+      continue;
+    }
+    try {
+      await source.appendRows(sheetId, tab, AUDIT_LOG_HEADERS, rows);
+      logger.info(`Appended ${rows.length} row(s) to audit log tab "${tab}"`);
+    } catch (error) {
+      for (const run of tabRuns) {
+        await reportArmyError(
+          context,
+          run.sheetConfig,
+          new Error(
+            `Supplies were updated, but appending to audit log tab "${tab}" failed: ${error.message}`
+          )
         );
+      }
+    }
+  }
+}
+
+async function notifyArmy(run, notifier) {
+  const { sheetConfig, tick } = run;
+
+  // Carrying stats and configured metrics shared by every notification type
+  const reportStats = {
+    army: sheetConfig.name,
+    metrics: tick.metrics,
+    destinations: getDestinations(sheetConfig),
+    totalCarried: tick.adjustedTotalCarried,
+    carryingCapacity: tick.carryingCapacity,
+    overCapacity: tick.overCapacity,
+    capacityPercent: tick.capacityPercent,
+    severity: tick.severity,
+    consumptionBreakdown: tick.consumptionBreakdown,
+    previousConsumption: tick.consumptionChanged
+      ? tick.previousConsumption
+      : null,
+    sheetUrl: getSheetUrl(sheetConfig),
+    locale: run.locale,
+    campaignDate: run.campaignDate,
+    campaign: run.campaign,
+    // Buttons for destinations with actionButtons, kept to alerts by the message builders
+    actions: getAlertActions(sheetConfig, tick.isResting),
+    // Discord users and roles the army's current tier pings
+    mentions: resolveMentions(sheetConfig, tick.severity),
+  };
+  const displayName = sheetConfig.name + (tick.isResting ? " (Resting)" : "");
+
+  // Send the notification matching the supply status
+  if (tick.notification === "catchUp") {
+    // Catch-up run: one consolidated embed covering every applied day
+    await notifier.sendCatchUpSummary({
+      ...reportStats,
+      name: displayName,
+      days: tick.days,
+      skippedDays: run.skippedDays,
+      currentSupplies: tick.newSupplyValue,
+      dailyConsumption: tick.dailyConsumption,
+      daysRemaining: tick.daysRemaining,
+    });
+  } else if (tick.notification === "zero") {
+    await notifier.sendZeroSupplies({
+      ...reportStats,
+      name: sheetConfig.name,
+      suppliesWereAlreadyZero: tick.suppliesWereZero,
+      dailyConsumption: tick.dailyConsumption,
+    });
+  } else {
+    await notifier.sendSupplyStatus({
+      ...reportStats,
+      name: displayName,
+      currentSupplies: tick.newSupplyValue,
+      dailyConsumption: tick.dailyConsumption,
+      daysRemaining: tick.daysRemaining,
+    });
+  }
+}
 
-        // Only update the sheet if supplies weren't already at zero and not resting
-        if (!suppliesWereZero && !isResting) {
-          // Update the current supplies in the Google Sheet
-          await sheetsService.updateCellValue(
-            sheetConfig.sheetId,
-            sheetConfig.currentSuppliesCell,
-            newSupplyValue,
-            sheetConfig.sheetName
-          );
-
-          logger.info(
-            `Updated ${sheetConfig.name} current supplies from ${currentSuppliesFloat} to ${newSupplyValue}`
-          );
-        } else if (isResting) {
-          logger.info(
-            `${sheetConfig.name} is resting - no supply update performed`
-          );
-        } else {
-          logger.info(
-            `${sheetConfig.name} supplies were already at zero - no update needed`
-          );
-        }
-
-        // Parse optional numeric-ish values safely
-        const ownedAndCarriedLoot =
-          ownedAndCarriedLootRaw != null &&
-          ownedAndCarriedLootRaw !== "" &&
-          !isNaN(parseFloat((ownedAndCarriedLootRaw + "").replace(/,/g, "")))
-            ? parseNumericValue(ownedAndCarriedLootRaw)
-            : ownedAndCarriedLootRaw;
-        const paidAndCarriedLoot =
-          paidAndCarriedLootRaw != null &&
-          paidAndCarriedLootRaw !== "" &&
-          !isNaN(parseFloat((paidAndCarriedLootRaw + "").replace(/,/g, "")))
-            ? parseNumericValue(paidAndCarriedLootRaw)
-            : paidAndCarriedLootRaw;
-        const currentMorale =
-          currentMoraleRaw != null ? currentMoraleRaw : null;
-        const restingMorale =
-          restingMoraleRaw != null ? restingMoraleRaw : null;
-        const armyLength =
-          armyLengthRaw != null &&
-          armyLengthRaw !== "" &&
-          !isNaN(parseFloat((armyLengthRaw + "").replace(/,/g, "")))
-            ? parseNumericValue(armyLengthRaw)
-            : armyLengthRaw;
-        const effectiveArmySize =
-          effectiveArmySizeRaw != null &&
-          effectiveArmySizeRaw !== "" &&
-          !isNaN(parseFloat((effectiveArmySizeRaw + "").replace(/,/g, "")))
-            ? parseNumericValue(effectiveArmySizeRaw)
-            : effectiveArmySizeRaw;
-        const forcedMarchDays =
-          forcedMarchDaysRaw != null &&
-          forcedMarchDaysRaw !== "" &&
-          !isNaN(parseFloat((forcedMarchDaysRaw + "").replace(/,/g, "")))
-            ? parseNumericValue(forcedMarchDaysRaw)
-            : forcedMarchDaysRaw;
-        const shippingStatus =
-          shippingStatusRaw != null ? shippingStatusRaw : null;
-        const supplyShipsCount =
-          supplyShipsCountRaw != null &&
-          supplyShipsCountRaw !== "" &&
-          !isNaN(parseFloat((supplyShipsCountRaw + "").replace(/,/g, "")))
-            ? parseNumericValue(supplyShipsCountRaw)
-            : supplyShipsCountRaw;
-
-        // Send appropriate Discord notification based on supply status
-        // (sheetUrl declared above)
-        if (!isResting && (suppliesWereZero || suppliesHitZero)) {
-          await discordNotifier.sendZeroSupplies({
-            name: sheetConfig.name,
-            suppliesWereAlreadyZero: suppliesWereZero,
-            dailyConsumption: dailyConsumptionFloat,
-            webhookUrl: sheetConfig.webhookUrl,
-            totalCarried: adjustedTotalCarried,
-            carryingCapacity,
-            overCapacity: adjustedTotalCarried > carryingCapacity,
-            ownedAndCarriedLoot,
-            paidAndCarriedLoot,
-            currentMorale,
-            restingMorale,
-            armyLength,
-            effectiveArmySize,
-            forcedMarchDays,
-            shippingStatus,
-            supplyShipsCount,
-            sheetUrl,
-          });
-        } else {
-          const daysRemaining = calculateDaysRemaining(
-            newSupplyValue,
-            dailyConsumptionFloat
-          );
-
-          await discordNotifier.sendSupplyStatus({
-            name: sheetConfig.name + (isResting ? " (Resting)" : ""),
-            currentSupplies: newSupplyValue,
-            dailyConsumption: dailyConsumptionFloat,
-            daysRemaining,
-            webhookUrl: sheetConfig.webhookUrl,
-            totalCarried: adjustedTotalCarried,
-            carryingCapacity,
-            overCapacity: adjustedTotalCarried > carryingCapacity,
-            ownedAndCarriedLoot,
-            paidAndCarriedLoot,
-            currentMorale,
-            restingMorale,
-            armyLength,
-            effectiveArmySize,
-            forcedMarchDays,
-            shippingStatus,
-            supplyShipsCount,
-            sheetUrl,
-          });
-        }
+/**
+ * Process every army on one spreadsheet: one batchGet for all their cells,
+ * one values.batchUpdate for all their writes, then per-army notifications
+ * @param {Object} group - { sheetId, armies } from groupBySpreadsheet
+ * @param {Object} context - { now, runId, options, dataSources, notifier, runLedger, recordedArmies, results, errors }
+ */
+async function processSpreadsheet({ sheetId, armies }, context) {
+  const { now, options, dataSources, notifier, runLedger } = context;
+  // Every army in a group shares one backend
+  const source = dataSources.forSheet(armies[0]);
+  const sourceContext = { ...context, source };
+  logger.info(
+    `Processing sheet${armies.length > 1 ? "s" : ""}: ${armies
+      .map((sheetConfig) => sheetConfig.name)
+      .join(", ")}`
+  );
+
+  // A bad cell reference only fails its own army, not the rest of the spreadsheet
+  const readable = [];
+  for (const sheetConfig of armies) {
+    try {
+      await source.validateCellReferences(
+        sheetId,
+        getArmyCells(sheetConfig),
+        sheetConfig.sheetName
+      );
+      readable.push(sheetConfig);
+    } catch (error) {
+      await reportArmyError(context, sheetConfig, error);
+    }
+  }
+  if (readable.length === 0) {
+    return;
+  }
+
+  let valuesByArmy;
+  try {
+    valuesByArmy = await source.getCellValuesForArmies(
+      sheetId,
+      readable.map((sheetConfig) => ({
+        sheetName: sheetConfig.sheetName,
+        cells: getArmyCells(sheetConfig),
+      }))
+    );
+  } catch (error) {
+    for (const sheetConfig of readable) {
+      await reportArmyError(context, sheetConfig, error);
+    }
+    return;
+  }
+
+  let runs = [];
+  for (let i = 0; i < readable.length; i++) {
+    try {
+      const run = await prepareArmyRun({
+        sheetConfig: readable[i],
+        cellValues: valuesByArmy[i],
+        now,
+        options,
+        runLedger,
+        source,
+      });
+      if (run.skipped) {
+        context.results.push(toSkippedResult(readable[i], run));
+      } else {
+        runs.push(run);
+      }
+    } catch (error) {
+      await reportArmyError(context, readable[i], error);
+    }
+  }
+
+  let pending = runs.filter((run) => !run.alreadyProcessed);
+  if (options.dryRun) {
+    pending.forEach((run) => logArmyUpdates(run, true));
+    await appendAuditLog(sheetId, pending, sourceContext);
+  } else if (pending.length > 0) {
+    // Don't clobber hand edits made since the read: re-read, recompute or abort
+    try {
+      const checked = await recheckBeforeWrite(sheetId, pending, sourceContext);
+      runs = runs
+        .map((run) => {
+          const index = pending.indexOf(run);
+          return index === -1 ? run : checked[index];
+        })
+        .filter(Boolean);
+      pending = checked.filter(Boolean);
+    } catch (error) {
+      for (const run of pending) {
+        await reportArmyError(context, run.sheetConfig, error);
+      }
+      runs = runs.filter((run) => !pending.includes(run));
+      pending = [];
+    }
+
+    const updates = pending.flatMap((run) => run.writes);
+    try {
+      if (updates.length > 0) {
+        await source.updateCellValuesBatch(sheetId, updates);
+      }
+    } catch (error) {
+      for (const run of pending) {
+        await reportArmyError(context, run.sheetConfig, error);
+      }
+      runs = runs.filter((run) => !pending.includes(run));
+    }
+
+    // Record the day before notifying, so a failed webhook followed by a rerun
+    // re-sends the notification instead of deducting a second time
+    for (const run of pending.filter((run) => runs.includes(run))) {
+      try {
+        logArmyUpdates(run, false);
+        await runLedger.markProcessed(run.sheetConfig, run.campaignDate, {
+          writtenToSheet: true,
+        });
+        context.recordedArmies.push(buildRunRecord(run, runLedger));
       } catch (error) {
-        logger.error(`Error processing sheet ${sheetConfig.name}:`, error);
-
-        // Send error notification to Discord
-        try {
-          await discordNotifier.sendError({
-            sheetName: sheetConfig.name,
-            error: error.message,
-            webhookUrl: sheetConfig.webhookUrl,
-            sheetUrl,
-          });
-        } catch (notifyError) {
-          logger.error("Failed to send error notification:", notifyError);
-        }
+        await reportArmyError(context, run.sheetConfig, error);
+        runs = runs.filter((other) => other !== run);
       }
+    }
 
-      // Sleep to avoid hitting rate limits
-      await sleep(2000); // Sleep for 2 seconds (2000 milliseconds)
+    await appendAuditLog(
+      sheetId,
+      pending.filter((run) => runs.includes(run)),
+      sourceContext
+    );
+  }
+
+  for (const run of runs) {
+    try {
+      await notifyArmy(run, notifier);
+    } catch (error) {
+      await reportArmyError(context, run.sheetConfig, error);
     }
+  }
 
-    logger.info("Supply status monitor completed successfully");
+  runs.forEach((run) => {
+    let outcome = "applied";
+    if (options.dryRun) {
+      outcome = "preview";
+    } else if (run.alreadyProcessed) {
+      outcome = "resent";
+    }
+    context.results.push({
+      name: run.sheetConfig.name,
+      outcome,
+      tick: run.tick,
+      locale: run.locale,
+      campaignDate: run.campaignDate,
+    });
+  });
+}
+
+/**
+ * Send the notifications earlier runs could not deliver, and report the ones
+ * given up to the GM of the army's campaign (`campaign.gm`)
+ * @param {Notifier} notifier - The notifier (with the outbox)
+ * @param {Object[]} config - Sheet configurations
+ * @param {number} maxAttempts - Delivery attempts before a notification is given up
+ */
+async function redeliverQueuedNotifications(notifier, config, maxAttempts) {
+  let givenUp;
+  try {
+    givenUp = await notifier.redeliverPending(maxAttempts, config);
   } catch (error) {
-    logger.error("Fatal error in supply status monitor:", error);
-    process.exit(1);
+    logger.error("Failed to redeliver queued notifications:", error);
+    return;
+  }
+
+  // Armies sharing a GM (e.g. from the shared campaign settings) share a summary
+  const summaries = new Map();
+  givenUp.forEach((entry) => {
+    const sheetConfig = config.find(
+      (candidate) => candidate.name === entry.army
+    );
+    const gm = sheetConfig && sheetConfig.campaign.gm;
+    if (!gm || getDestinations(gm, true).length === 0) {
+      logger.error(
+        `No campaign gm to report the undelivered "${entry.message.title}" for ${entry.army} to`
+      );
+      return;
+    }
+    const key = JSON.stringify(gm);
+    if (!summaries.has(key)) {
+      // Queued under one of the GM's armies, so its redelivery finds the GM again
+      summaries.set(key, { gm, army: entry.army, entries: [] });
+    }
+    summaries.get(key).entries.push(entry);
+  });
+
+  for (const { gm, army, entries } of summaries.values()) {
+    try {
+      await notifier.sendUndeliveredSummary({
+        destinations: getDestinations(gm, true),
+        entries,
+        army,
+      });
+    } catch (error) {
+      logger.error("Failed to send undelivered notifications summary:", error);
+    }
   }
 }
 
-function calculateDaysRemaining(currentSupplies, dailyConsumption) {
-  const current = parseNumericValue(currentSupplies);
-  const daily = parseNumericValue(dailyConsumption);
+/**
+ * Send each campaign GM who asked for one (`campaign.gm.digest`) an overview
+ * of the run across their armies
+ * @param {Notifier} notifier - The notifier
+ * @param {Object[]} armies - The armies processed
+ * @param {Object} run - { results, errors, runId, durationMs, stats, preview }
+ */
+async function sendGmDigests(notifier, armies, run) {
+  // Armies sharing a GM (e.g. from the shared campaign settings) share a digest
+  const digests = new Map();
+  armies.forEach((sheetConfig) => {
+    const gm = sheetConfig.campaign.gm;
+    if (!gm || !gm.digest) {
+      return;
+    }
+    const key = JSON.stringify(gm);
+    if (!digests.has(key)) {
+      digests.set(key, { gm, army: sheetConfig.name, entries: [] });
+    }
+    digests.get(key).entries.push({
+      name: sheetConfig.name,
+      result:
+        run.results.find((result) => result.name === sheetConfig.name) || null,
+      errors: run.errors
+        .filter((error) => error.name === sheetConfig.name)
+        .map((error) => error.error),
+    });
+  });
 
-  if (daily <= 0) {
-    throw new Error("Daily consumption must be greater than 0");
+  for (const { gm, army, entries } of digests.values()) {
+    try {
+      await notifier.sendDigest({
+        destinations: getDestinations(gm, true),
+        army,
+        entries,
+        runId: run.runId,
+        durationMs: run.durationMs,
+        stats: run.stats,
+        preview: run.preview,
+      });
+    } catch (error) {
+      logger.error("Failed to send GM digest:", error);
+    }
+  }
+}
+
+/**
+ * One monitor run over some armies: send what earlier runs could not
+ * deliver, apply the campaign day to every spreadsheet, and record what was
+ * written for undo
+ * @param {Object} params
+ * @param {Object[]} params.config - All sheet configurations (queued
+ *   notifications are matched to their campaign's GM through these)
+ * @param {Object[]} params.armies - Armies to process (default: all of config)
+ * @param {Object} params.options - Run options (see getRunOptions)
+ * @param {Date} params.now - The moment campaign dates are resolved from
+ * @param {string} params.runId - Identifies the run in the audit log and run history
+ * @param {boolean} params.digest - Whether to send the GM digests (see sendGmDigests)
+ * @param {boolean} params.statusBoards - Whether statusBoard destinations get
+ *   their board edited (otherwise they get a new post)
+ * @returns {Promise<Object>} - { results, errors }: results per army that got
+ *   through ({ name, outcome ("applied", "preview", "resent" or "skipped"),
+ *   tick, locale, campaignDate }, where a skipped army's tick holds its
+ *   current figures or null; armies that failed are missing), and every
+ *   error reported to an army's channels ({ name, error })
+ */
+async function runMonitor({
+  config,
+  armies = config,
+  options,
+  now,
+  runId,
+  digest = false,
+  statusBoards = true,
+}) {
+  const startedAt = Date.now();
+  // Initialize services
+  const dataSources = new DataSources();
+  const notifier = new Notifier({
+    dryRun: options.dryRun,
+    outputDir: options.dryRunOutputDir,
+    outbox: new Outbox(),
+    statusBoards: statusBoards ? new StatusBoards() : null,
+  });
+  const runLedger = new RunLedger({ dataSources });
+  const runHistory = new RunHistory();
+  // Armies written this run, kept in the run history so the run can be undone
+  const recordedArmies = [];
+  const results = [];
+  const errors = [];
+
+  // Notifications earlier runs could not deliver go out before today's
+  await redeliverQueuedNotifications(
+    notifier,
+    config,
+    options.outboxMaxAttempts
+  );
+
+  // Armies sharing a spreadsheet are read and written together; GoogleSheetsService
+  // caches spreadsheet metadata and paces and retries its own API calls
+  const groups = groupBySpreadsheet(armies);
+  for (const group of groups) {
+    await processSpreadsheet(group, {
+      now,
+      runId,
+      options,
+      dataSources,
+      notifier,
+      runLedger,
+      recordedArmies,
+      results,
+      errors,
+    });
   }
 
-  return Math.floor(current / daily);
+  try {
+    await runHistory.recordRun({
+      runId,
+      startedAt: now.toISOString(),
+      armies: recordedArmies,
+    });
+  } catch (error) {
+    // The ticks themselves went through; only undo for this run is lost
+    logger.error("Failed to record run history:", error);
+  }
+
+  const stats = dataSources.getRequestStats();
+  logger.info(
+    `Sheets API usage: ${stats.requests} requests, ${
+      stats.retries
+    } retries, ${Math.round(stats.throttledMs / 1000)}s throttled`
+  );
+
+  if (digest) {
+    await sendGmDigests(notifier, armies, {
+      results,
+      errors,
+      runId,
+      durationMs: Date.now() - startedAt,
+      stats,
+      preview: options.dryRun,
+    });
+  }
+  return { results, errors };
+}
+
+async function main() {
+  try {
+    logger.info("Starting supply status monitor...");
+
+    const options = getRunOptions();
+    // Each campaign resolves its own date from this instant (timezone and day rollover)
+    const now = new Date();
+    const runId = getRunId(now);
+    logger.info(`Run ID: ${runId}`);
+    if (options.dryRun) {
+      logger.info(
+        "🧪 DRY RUN: sheets will not be updated and no notifications will be sent"
+      );
+    }
+
+    // Load configuration
+    const config = await loadConfig();
+    logger.info(`Loaded configuration for ${config.length} sheets`);
+
+    await runMonitor({ config, options, now, runId, digest: true });
+    logger.info("Supply status monitor completed successfully");
+  } catch (error) {
+    logger.error("Fatal error in supply status monitor:", error);
+    process.exit(1);
+  }
 }
 
 // Run the main function
@@ -390,4 +967,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { main, calculateDaysRemaining };
+module.exports = { main, runMonitor, calculateDaysRemaining, getRunOptions };
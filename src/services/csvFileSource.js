@@ -0,0 +1,87 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { FileDataSource, writeFileAtomic } = require("./fileDataSource");
+const { parseCsv, stringifyCsv } = require("../utils/csv");
+const { parseA1Address, toA1Address } = require("../utils/cellReference");
+
+/**
+ * Data source for CSV files, e.g. a tracker saved from Excel as "CSV UTF-8".
+ *
+ * The army's file is the default tab, named after the file. Every other CSV
+ * in the same directory is a further tab, so `'Logistics'!B2` reads
+ * `Logistics.csv` next to it and an audit log tab becomes `<tab>.csv`. CSV
+ * has no named ranges and no locale; set `locale` in config when numbers use
+ * a decimal comma.
+ */
+class CsvFileSource extends FileDataSource {
+  async loadWorkbook(filePath) {
+    const directory = path.dirname(filePath);
+    const ownTitle = path.basename(filePath, path.extname(filePath));
+
+    // Read the army's own file first so a missing file fails with ENOENT
+    const sheets = [await this.loadTab(filePath, ownTitle)];
+    const siblings = (await fs.readdir(directory))
+      .filter((file) => path.extname(file).toLowerCase() === ".csv")
+      .map((file) => path.basename(file, path.extname(file)))
+      .filter((title) => title !== ownTitle)
+      .sort();
+    for (const title of siblings) {
+      sheets.push(
+        await this.loadTab(path.join(directory, `${title}.csv`), title)
+      );
+    }
+
+    return { title: ownTitle, locale: null, sheets, namedRanges: [] };
+  }
+
+  async loadTab(filePath, title) {
+    const rows = parseCsv(await fs.readFile(filePath, "utf8"));
+    const cells = {};
+    rows.forEach((row, rowIndex) =>
+      row.forEach((value, column) => {
+        if (value !== "") {
+          cells[toA1Address(rowIndex, column)] = value;
+        }
+      })
+    );
+    return { title, cells };
+  }
+
+  async saveWorkbook(filePath, workbook, changedTitles) {
+    const directory = path.dirname(filePath);
+
+    for (const title of changedTitles) {
+      if (/[\\/]/.test(title)) {
+        throw new Error(`Tab name "${title}" can't be used as a CSV file name`);
+      }
+      const sheet = workbook.sheets.find(
+        (candidate) => candidate.title === title
+      );
+      const tabPath =
+        title === workbook.title
+          ? filePath
+          : path.join(directory, `${title}.csv`);
+      await writeFileAtomic(tabPath, stringifyCsv(toGrid(sheet.cells)));
+    }
+  }
+}
+
+// Lay a tab's cells out as rows, padding gaps with empty fields
+function toGrid(cells) {
+  const grid = [];
+  Object.entries(cells).forEach(([address, value]) => {
+    const { row, column } = parseA1Address(address);
+    while (grid.length <= row) {
+      grid.push([]);
+    }
+    grid[row][column] = value;
+  });
+  const width = Math.max(0, ...grid.map((row) => row.length));
+  return grid.map((row) =>
+    Array.from({ length: width }, (unused, column) =>
+      row[column] === undefined ? "" : row[column]
+    )
+  );
+}
+
+module.exports = { CsvFileSource };
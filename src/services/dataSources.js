@@ -0,0 +1,73 @@
+const { GoogleSheetsService } = require("./googleSheets");
+const { CsvFileSource } = require("./csvFileSource");
+const { JsonFileSource } = require("./jsonFileSource");
+
+// Backends an army's `source.type` can select; Google Sheets is the default
+const DATA_SOURCES = {
+  google: GoogleSheetsService,
+  csv: CsvFileSource,
+  json: JsonFileSource,
+};
+const DATA_SOURCE_TYPES = Object.keys(DATA_SOURCES);
+
+/**
+ * The backend an army's cells live in
+ * @param {Object} sheetConfig - The sheet configuration
+ * @returns {string} - One of DATA_SOURCE_TYPES
+ */
+function getSourceType(sheetConfig) {
+  return sheetConfig.source ? sheetConfig.source.type : "google";
+}
+
+/**
+ * Link to an army's spreadsheet for embeds (local files have none)
+ * @param {Object} sheetConfig - The sheet configuration
+ * @returns {string|null}
+ */
+function getSheetUrl(sheetConfig) {
+  if (getSourceType(sheetConfig) !== "google") {
+    return null;
+  }
+  return `https://docs.google.com/spreadsheets/d/${sheetConfig.sheetId}/edit`;
+}
+
+/**
+ * Hands out one data source per backend type. Every backend offers the same
+ * methods as GoogleSheetsService (getCellValuesForArmies, getCellValuesBatch,
+ * updateCellValuesBatch, updateCellValue, appendRows, validateSheetConfig,
+ * validateCellReferences, getSpreadsheetLocale), addressed by the army's
+ * `sheetId` - a spreadsheet ID for Google, a file path for local files.
+ */
+class DataSources {
+  constructor() {
+    this.instances = new Map();
+  }
+
+  /**
+   * The data source holding an army's cells
+   * @param {Object} sheetConfig - The sheet configuration
+   * @returns {Object} - The backend instance
+   */
+  forSheet(sheetConfig) {
+    const type = getSourceType(sheetConfig);
+    if (!this.instances.has(type)) {
+      this.instances.set(type, new DATA_SOURCES[type]());
+    }
+    return this.instances.get(type);
+  }
+
+  // Sheets API usage this run (local files make no API calls)
+  getRequestStats() {
+    const google = this.instances.get("google");
+    return google
+      ? google.getRequestStats()
+      : { requests: 0, retries: 0, throttledMs: 0 };
+  }
+}
+
+module.exports = {
+  DataSources,
+  DATA_SOURCE_TYPES,
+  getSourceType,
+  getSheetUrl,
+};
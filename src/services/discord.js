@@ -1,399 +1,314 @@
-const https = require("https");
 const { logger } = require("../utils/logger");
-const { format } = require("date-fns");
-const { formatInTimeZone } = require("date-fns-tz");
+const { requestJson } = require("../utils/http");
+const {
+  retryWithBackoff,
+  isRateLimitError,
+  isRetryableError,
+} = require("../utils/retry");
+const { splitDiscordPayload } = require("../utils/discordLimits");
+
+// Retries after a 429 (or an edit's server error) before a request is given up
+const DEFAULT_MAX_RETRIES = 4;
+// Message components for alert buttons: grey buttons in rows of up to five
+const COMPONENT_TYPES = { actionRow: 1, button: 2 };
+const SECONDARY_BUTTON_STYLE = 2;
+const BUTTONS_PER_ROW = 5;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
 
-class DiscordNotifier {
-  // Get current day in New York timezone
-  getCurrentDayNY() {
-    const now = new Date();
-    return formatInTimeZone(now, "America/New_York", "EEEE, MMMM do");
-  }
+/**
+ * Read a header value as seconds
+ * @param {Object} headers - Response headers (lower-case names)
+ * @param {string} name - Header name
+ * @returns {number|null}
+ */
+function readSecondsHeader(headers, name) {
+  const seconds = Number(headers[name]);
+  return headers[name] !== undefined && !isNaN(seconds) ? seconds : null;
+}
 
-  // Calculate the date when supplies will reach zero
-  getZeroSuppliesDate(daysRemaining) {
-    const now = new Date();
-    const zeroDate = new Date(
-      now.getTime() + daysRemaining * 24 * 60 * 60 * 1000
-    );
-    return formatInTimeZone(zeroDate, "America/New_York", "EEEE, MMMM do");
+// Discord ignores a webhook post's components unless the URL asks for them
+function withComponentsQuery(webhookUrl, payload) {
+  if (!payload.components) {
+    return webhookUrl;
   }
+  const url = new URL(webhookUrl);
+  url.searchParams.set("with_components", "true");
+  return url.toString();
+}
 
-  async sendSupplyStatus({
-    name,
-    currentSupplies,
-    dailyConsumption,
-    daysRemaining,
-    webhookUrl,
-    totalCarried,
-    carryingCapacity,
-    overCapacity,
-    ownedAndCarriedLoot,
-    paidAndCarriedLoot,
-    currentMorale,
-    restingMorale,
-    armyLength,
-    forcedMarchDays,
-    shippingStatus,
-    supplyShipsCount,
-    effectiveArmySize,
-    sheetUrl,
-  }) {
-    const color = this.getStatusColor(daysRemaining);
-    const statusEmoji = this.getStatusEmoji(daysRemaining);
-
-    // Build a compact description string instead of many fields
-    const lines = [];
-    const dayLine = `📅 ${this.getCurrentDayNY()}${
-      sheetUrl ? ` • [Open Sheet](${sheetUrl})` : ""
-    }`;
-    lines.push(dayLine);
-
-    // Supplies summary with labels
-    lines.push(
-      `📦 Supplies ${currentSupplies} • 📉 Cons ${dailyConsumption}/d • ⏰ Days ${daysRemaining}`
-    );
-    lines.push(`🚨 Zero Date ${this.getZeroSuppliesDate(daysRemaining)}`);
-
-    // Capacity summary
-    const pct = carryingCapacity
-      ? Math.round((totalCarried / carryingCapacity) * 100)
-      : null;
-    lines.push(
-      `🧺 Carry ${totalCarried} / ${carryingCapacity}${
-        pct !== null && isFinite(pct) ? ` (${pct}%)` : ""
-      }`
-    );
+// Mention text for the users and roles a report pings
+function formatMentions({ userIds, roleIds }) {
+  return userIds
+    .map((id) => `<@${id}>`)
+    .concat(roleIds.map((id) => `<@&${id}>`))
+    .join(" ");
+}
 
-    // Loot (optional)
-    const lootTokens = [];
-    if (
-      ownedAndCarriedLoot !== undefined &&
-      ownedAndCarriedLoot !== null &&
-      ownedAndCarriedLoot !== ""
-    )
-      lootTokens.push(`Owned ${ownedAndCarriedLoot}`);
-    if (
-      paidAndCarriedLoot !== undefined &&
-      paidAndCarriedLoot !== null &&
-      paidAndCarriedLoot !== ""
-    )
-      lootTokens.push(`Paid ${paidAndCarriedLoot}`);
-    if (lootTokens.length) lines.push(`💰 Loot ${lootTokens.join(" • ")}`);
+/**
+ * Alert actions as rows of buttons
+ * @param {Object[]} actions - [{ id, label, emoji }] from getAlertActions
+ * @returns {Object[]} - Message components
+ */
+function renderActionRows(actions) {
+  const rows = [];
+  for (let index = 0; index < actions.length; index += BUTTONS_PER_ROW) {
+    rows.push({
+      type: COMPONENT_TYPES.actionRow,
+      components: actions
+        .slice(index, index + BUTTONS_PER_ROW)
+        .map((action) => ({
+          type: COMPONENT_TYPES.button,
+          style: SECONDARY_BUTTON_STYLE,
+          label: action.label,
+          emoji: { name: action.emoji },
+          custom_id: action.id,
+        })),
+    });
+  }
+  return rows;
+}
 
-    // Morale (optional)
-    const moraleTokens = [];
-    if (
-      currentMorale !== undefined &&
-      currentMorale !== null &&
-      currentMorale !== ""
-    )
-      moraleTokens.push(`Cur ${currentMorale}`);
-    if (
-      restingMorale !== undefined &&
-      restingMorale !== null &&
-      restingMorale !== ""
-    )
-      moraleTokens.push(`Rest ${restingMorale}`);
-    if (moraleTokens.length)
-      lines.push(`😀 Morale ${moraleTokens.join(" • ")}`);
+/**
+ * Delivers notifications to a Discord webhook: the message content as the
+ * post's text, everything else as one embed.
+ * Destination: { type: "discord", webhookUrl, statusBoard, actionButtons }
+ *
+ * A message's `mentions` (src/domain/mentions.js) lead its content, and
+ * `allowed_mentions` lets exactly those users and roles be pinged.
+ *
+ * With `actionButtons`, alerts get buttons the bot answers (`npm run bot`).
+ * Discord only accepts buttons from webhooks the bot's application owns, and
+ * only with `?with_components=true`, which every post with components gets.
+ *
+ * For status boards, `createMessage` posts with `?wait=true` to learn the
+ * new message's ID and `editMessage` later edits that message in place.
+ *
+ * Posts to one webhook go out one at a time through a queue. Discord's
+ * `X-RateLimit-*` headers pause the queue before the bucket runs dry, a 429
+ * waits for `retry_after` and retries, and payloads over Discord's size
+ * limits are split across several posts (see utils/discordLimits.js).
+ * Other failures are only retried for edits: a post that got a 5xx or no
+ * answer may still have arrived, and posting it again would show it twice.
+ */
+class DiscordChannel {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxRetries - Retries per request after a 429 (or an edit's 5xx)
+   */
+  constructor({ maxRetries = DEFAULT_MAX_RETRIES } = {}) {
+    this.maxRetries = maxRetries;
+    // Per webhook: the tail of its send queue and when its rate-limit bucket refills
+    this.queues = new Map();
+    this.resumeAt = new Map();
+    // A global rate limit pauses every webhook
+    this.globalResumeAt = 0;
+  }
 
-    // Army and movement (optional)
-    const armyTokens = [];
-    if (armyLength !== undefined && armyLength !== null && armyLength !== "")
-      armyTokens.push(`Len ${armyLength}`);
-    if (
-      effectiveArmySize !== undefined &&
-      effectiveArmySize !== null &&
-      effectiveArmySize !== ""
-    )
-      armyTokens.push(`Eff ${effectiveArmySize}`);
-    if (
-      forcedMarchDays !== undefined &&
-      forcedMarchDays !== null &&
-      forcedMarchDays !== ""
-    )
-      armyTokens.push(`Forced ${forcedMarchDays}`);
-    if (armyTokens.length) lines.push(`🪖 Army ${armyTokens.join(" • ")}`);
+  // Webhook URLs contain a token, so logs only show the host
+  describe(destination) {
+    return `Discord webhook (${new URL(destination.webhookUrl).hostname})`;
+  }
 
-    // Shipping (optional)
-    const shipTokens = [];
-    if (
-      shippingStatus !== undefined &&
-      shippingStatus !== null &&
-      shippingStatus !== ""
-    )
-      shipTokens.push(`Status ${shippingStatus}`);
-    if (
-      supplyShipsCount !== undefined &&
-      supplyShipsCount !== null &&
-      supplyShipsCount !== ""
-    )
-      shipTokens.push(`Ships ${supplyShipsCount}`);
-    if (shipTokens.length) lines.push(`🚢 Ship ${shipTokens.join(" • ")}`);
+  render(message, destination = {}) {
+    const embed = { title: message.title, color: message.color };
+    if (message.description) {
+      embed.description = message.description;
+    }
+    if (message.fields.length > 0) {
+      embed.fields = message.fields;
+    }
+    embed.timestamp = new Date().toISOString();
 
-    if (overCapacity)
-      lines.push(
-        `⚠️ Capacity Alert: carried ${totalCarried} > capacity ${carryingCapacity}`
-      );
+    const { mentions } = message;
+    const mentionText = mentions ? formatMentions(mentions) : "";
+    const content = [mentionText, message.content].filter(Boolean).join(" ");
 
-    const embed = {
-      title: `${statusEmoji} Status: ${name}`,
-      color,
-      description: lines.join("\n"),
-      timestamp: new Date().toISOString(),
+    const payload = {};
+    if (content) {
+      payload.content = content;
+    }
+    payload.embeds = [embed];
+    // Only the configured mentions ping: no @everyone, @here or stray mention in the text
+    payload.allowed_mentions = {
+      parse: [],
+      users: mentions ? mentions.userIds : [],
+      roles: mentions ? mentions.roleIds : [],
     };
-    const payload = { embeds: [embed] };
-    if (daysRemaining <= 3)
-      payload.content = `🚨 **URGENT**: ${name} supplies are critically low! Only ${daysRemaining} days remaining.`;
-    else if (daysRemaining <= 7)
-      payload.content = `⚠️ **WARNING**: ${name} supplies are running low. ${daysRemaining} days remaining.`;
-    if (overCapacity)
-      payload.content =
-        (payload.content ? payload.content + "\n" : "") +
-        `⚠️ **OVER CAPACITY**: Carried ${totalCarried} / Capacity ${carryingCapacity}`;
-    await this.sendWebhook(webhookUrl, payload);
-    logger.info(`Sent supply status notification for ${name}`);
+    // Always set, so a status board edit also takes away buttons it no longer needs
+    if (destination.actionButtons) {
+      payload.components = renderActionRows(message.actions || []);
+    }
+    return payload;
   }
 
-  async sendError({ sheetName, error, webhookUrl, sheetUrl }) {
-    const embed = {
-      title: "❌ Supply Monitor Error",
-      color: 0xff0000, // Red
-      fields: [
-        {
-          name: "Sheet",
-          value: sheetName,
-          inline: true,
-        },
-        {
-          name: "Error",
-          value: error,
-          inline: false,
-        },
-      ],
-      timestamp: new Date().toISOString(),
-    };
+  /**
+   * @param {Object} payload - The rendered payload
+   * @param {Object} destination - The discord destination
+   * @param {Object} options - { skipParts: posts of a split payload that were already delivered }
+   */
+  async deliver(payload, destination, { skipParts = 0 } = {}) {
+    return this.sendWebhook(destination.webhookUrl, payload, skipParts);
+  }
 
-    if (sheetUrl) {
-      embed.fields.push({
-        name: "🔗 Sheet",
-        value: `[Open Sheet](${sheetUrl})`,
-        inline: false,
-      });
+  /**
+   * Post a payload to a webhook, split into several posts if it exceeds
+   * Discord's limits. Resolves once every post went through; when one
+   * fails, its error's `deliveredParts` counts the posts that did.
+   * @param {string} webhookUrl - The webhook URL (thread_id query allowed)
+   * @param {Object} payload - The webhook payload
+   * @param {number} skipParts - Leading posts to leave out, delivered earlier
+   */
+  async sendWebhook(webhookUrl, payload, skipParts = 0) {
+    const messages = splitDiscordPayload(payload);
+    if (messages.length > 1) {
+      logger.info(
+        `Discord payload exceeds message limits - sending it as ${messages.length} posts`
+      );
     }
 
-    const payload = {
-      content: "🚨 **ERROR**: Failed to process supply status",
-      embeds: [embed],
-    };
-
-    await this.sendWebhook(webhookUrl, payload);
-    logger.info(`Sent error notification for ${sheetName}`);
+    return this.enqueue(webhookUrl, async (key) => {
+      let delivered = skipParts;
+      try {
+        for (const message of messages.slice(skipParts)) {
+          await this.post(key, webhookUrl, message);
+          delivered += 1;
+        }
+      } catch (error) {
+        // Redelivery resumes after these instead of posting them twice
+        error.deliveredParts = delivered;
+        throw error;
+      }
+    });
   }
 
-  async sendZeroSupplies({
-    name,
-    suppliesWereAlreadyZero,
-    dailyConsumption,
-    webhookUrl,
-    totalCarried,
-    carryingCapacity,
-    overCapacity,
-    ownedAndCarriedLoot,
-    paidAndCarriedLoot,
-    currentMorale,
-    restingMorale,
-    armyLength,
-    forcedMarchDays,
-    shippingStatus,
-    supplyShipsCount,
-    effectiveArmySize,
-    sheetUrl,
-  }) {
-    // Build compact description for zero supplies
-    const lines = [];
-    lines.push(
-      `📅 ${this.getCurrentDayNY()}${
-        sheetUrl ? ` • [Open Sheet](${sheetUrl})` : ""
-      }`
+  /**
+   * Post a payload as one message and return the message Discord created
+   * @param {string} webhookUrl - The webhook URL (thread_id query allowed)
+   * @param {Object} payload - The webhook payload, within Discord's limits
+   * @returns {Promise<Object>} - The message ({ id, channel_id, ... })
+   */
+  async createMessage(webhookUrl, payload) {
+    const url = new URL(webhookUrl);
+    url.searchParams.set("wait", "true");
+    const body = await this.enqueue(webhookUrl, (key) =>
+      this.post(key, url.toString(), payload)
     );
-    lines.push(
-      `📦 Supplies **0 (OUT)** • 📉 Cons ${dailyConsumption}/d • ⏰ Days **0**`
-    );
-    lines.push(`🚨 Zero Date ${this.getCurrentDayNY()}`);
+    return JSON.parse(body);
+  }
 
-    const pctZero = carryingCapacity
-      ? Math.round((totalCarried / carryingCapacity) * 100)
-      : null;
-    lines.push(
-      `🧺 Carry ${totalCarried} / ${carryingCapacity}${
-        pctZero !== null && isFinite(pctZero) ? ` (${pctZero}%)` : ""
-      }`
+  /**
+   * Replace the content of a message the webhook posted earlier. Fails with
+   * `code` 404 when the message was deleted.
+   * @param {string} webhookUrl - The webhook URL (thread_id query allowed)
+   * @param {string} messageId - The message ID
+   * @param {Object} payload - The webhook payload, within Discord's limits
+   */
+  async editMessage(webhookUrl, messageId, payload) {
+    const url = new URL(webhookUrl);
+    url.pathname = `${url.pathname.replace(/\/+$/, "")}/messages/${messageId}`;
+    await this.enqueue(webhookUrl, (key) =>
+      this.post(key, url.toString(), payload, "PATCH")
     );
+  }
 
-    const lootTokensZ = [];
-    if (
-      ownedAndCarriedLoot !== undefined &&
-      ownedAndCarriedLoot !== null &&
-      ownedAndCarriedLoot !== ""
-    )
-      lootTokensZ.push(`Owned ${ownedAndCarriedLoot}`);
-    if (
-      paidAndCarriedLoot !== undefined &&
-      paidAndCarriedLoot !== null &&
-      paidAndCarriedLoot !== ""
-    )
-      lootTokensZ.push(`Paid ${paidAndCarriedLoot}`);
-    if (lootTokensZ.length) lines.push(`💰 Loot ${lootTokensZ.join(" • ")}`);
-
-    const moraleTokensZ = [];
-    if (
-      currentMorale !== undefined &&
-      currentMorale !== null &&
-      currentMorale !== ""
-    )
-      moraleTokensZ.push(`Cur ${currentMorale}`);
-    if (
-      restingMorale !== undefined &&
-      restingMorale !== null &&
-      restingMorale !== ""
-    )
-      moraleTokensZ.push(`Rest ${restingMorale}`);
-    if (moraleTokensZ.length)
-      lines.push(`😀 Morale ${moraleTokensZ.join(" • ")}`);
-
-    const armyTokensZ = [];
-    if (armyLength !== undefined && armyLength !== null && armyLength !== "")
-      armyTokensZ.push(`Len ${armyLength}`);
-    if (
-      effectiveArmySize !== undefined &&
-      effectiveArmySize !== null &&
-      effectiveArmySize !== ""
-    )
-      armyTokensZ.push(`Eff ${effectiveArmySize}`);
-    if (
-      forcedMarchDays !== undefined &&
-      forcedMarchDays !== null &&
-      forcedMarchDays !== ""
-    )
-      armyTokensZ.push(`Forced ${forcedMarchDays}`);
-    if (armyTokensZ.length) lines.push(`🪖 Army ${armyTokensZ.join(" • ")}`);
-
-    const shipTokensZ = [];
-    if (
-      shippingStatus !== undefined &&
-      shippingStatus !== null &&
-      shippingStatus !== ""
-    )
-      shipTokensZ.push(`Status ${shippingStatus}`);
-    if (
-      supplyShipsCount !== undefined &&
-      supplyShipsCount !== null &&
-      supplyShipsCount !== ""
-    )
-      shipTokensZ.push(`Ships ${supplyShipsCount}`);
-    if (shipTokensZ.length) lines.push(`🚢 Ship ${shipTokensZ.join(" • ")}`);
-
-    if (overCapacity)
-      lines.push(
-        `⚠️ Capacity Alert: carried ${totalCarried} > capacity ${carryingCapacity}`
-      );
-
-    const urgentMessage = suppliesWereAlreadyZero
-      ? `🚨 **CRITICAL**: ${name} supplies are STILL at ZERO! No supplies available for consumption.`
-      : `🚨 **CRITICAL**: ${name} supplies have reached ZERO today! Immediate restocking required.`;
-    const embed = {
-      title: `🚨 ZERO SUPPLIES ALERT: ${name}`,
-      color: 0x8b0000,
-      description: lines.join("\n"),
-      timestamp: new Date().toISOString(),
-    };
-    const payload = {
-      content:
-        urgentMessage +
-        (overCapacity
-          ? `\n⚠️ **OVER CAPACITY**: Carried ${totalCarried} / Capacity ${carryingCapacity}`
-          : ""),
-      embeds: [embed],
-    };
-    await this.sendWebhook(webhookUrl, payload);
-    logger.info(`Sent zero supplies alert for ${name}`);
+  // Run a request after the webhook's earlier ones; threads of one webhook
+  // share its rate limit, so they share its queue too
+  async enqueue(webhookUrl, task) {
+    const url = new URL(webhookUrl);
+    const key = url.origin + url.pathname;
+    const previous = this.queues.get(key) || Promise.resolve();
+    const sending = previous.catch(() => {}).then(() => task(key));
+    this.queues.set(key, sending);
+    return sending;
   }
 
-  getStatusColor(daysRemaining) {
-    if (daysRemaining === 0) {
-      return 0x8b0000; // Dark red - Zero supplies
-    } else if (daysRemaining <= 3) {
-      return 0xff0000; // Red - Critical
-    } else if (daysRemaining <= 7) {
-      return 0xff8c00; // Orange - Warning
-    } else if (daysRemaining <= 14) {
-      return 0xffff00; // Yellow - Caution
-    } else {
-      return 0x00ff00; // Green - Good
-    }
+  async post(key, webhookUrl, message, method = "POST") {
+    const url = withComponentsQuery(webhookUrl, message);
+    return retryWithBackoff(
+      async () => {
+        const wait =
+          Math.max(this.resumeAt.get(key) || 0, this.globalResumeAt) -
+          Date.now();
+        if (wait > 0) {
+          logger.debug(`Waiting ${wait}ms for the Discord rate limit`);
+          await sleep(wait);
+        }
+
+        let response;
+        try {
+          response = await requestJson(url, { method, body: message });
+        } catch (error) {
+          const failure = new Error(
+            `Discord webhook request failed: ${error.message}`
+          );
+          failure.code = error.code;
+          throw failure;
+        }
+        this.trackRateLimit(key, response);
+
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          return response.body;
+        }
+        const failure = new Error(
+          `Discord webhook failed with status ${response.statusCode}: ${response.body}`
+        );
+        failure.code = response.statusCode;
+        failure.response = {
+          status: response.statusCode,
+          headers: this.getRetryHeaders(response),
+        };
+        throw failure;
+      },
+      {
+        maxRetries: this.maxRetries,
+        shouldRetry: method === "POST" ? isRateLimitError : isRetryableError,
+        onRetry: (error, attempt, delay) => {
+          logger.warn(
+            `Discord webhook ${
+              error.code === 429 ? "rate limited" : `failed (${error.message})`
+            }, retrying in ${delay}ms (attempt ${attempt}/${this.maxRetries})`
+          );
+        },
+      }
+    );
   }
 
-  getStatusEmoji(daysRemaining) {
-    if (daysRemaining === 0) {
-      return "🚨";
-    } else if (daysRemaining <= 3) {
-      return "🚨";
-    } else if (daysRemaining <= 7) {
-      return "⚠️";
-    } else if (daysRemaining <= 14) {
-      return "⚡";
-    } else {
-      return "✅";
+  // Remember when an exhausted bucket refills, so the next post waits for it
+  trackRateLimit(key, response) {
+    const { headers } = response;
+    const resetAfter = readSecondsHeader(headers, "x-ratelimit-reset-after");
+    if (headers["x-ratelimit-remaining"] === "0" && resetAfter !== null) {
+      this.resumeAt.set(key, Date.now() + resetAfter * 1000);
+    }
+    if (response.statusCode === 429 && headers["x-ratelimit-global"]) {
+      const retryAfter = readSecondsHeader(
+        this.getRetryHeaders(response),
+        "retry-after"
+      );
+      this.globalResumeAt = Date.now() + (retryAfter || 1) * 1000;
     }
   }
 
-  async sendWebhook(webhookUrl, payload) {
-    return new Promise((resolve, reject) => {
-      const data = JSON.stringify(payload);
-
-      const url = new URL(webhookUrl);
-      const options = {
-        hostname: url.hostname,
-        port: url.port || 443,
-        path: url.pathname + url.search,
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "Content-Length": Buffer.byteLength(data),
-          "User-Agent": "Supply-Status-Monitor/1.0",
-        },
-      };
-
-      const req = https.request(options, (res) => {
-        let responseBody = "";
-
-        res.on("data", (chunk) => {
-          responseBody += chunk;
-        });
-
-        res.on("end", () => {
-          if (res.statusCode >= 200 && res.statusCode < 300) {
-            resolve(responseBody);
-          } else {
-            reject(
-              new Error(
-                `Discord webhook failed with status ${res.statusCode}: ${responseBody}`
-              )
-            );
-          }
-        });
-      });
-
-      req.on("error", (error) => {
-        reject(new Error(`Discord webhook request failed: ${error.message}`));
-      });
-
-      req.write(data);
-      req.end();
-    });
+  /**
+   * Headers for retryWithBackoff: Discord's `retry_after` (seconds, with
+   * fractions, in the 429 body) is more precise than its Retry-After header
+   * @param {Object} response - The webhook response
+   * @returns {Object}
+   */
+  getRetryHeaders(response) {
+    try {
+      const body = JSON.parse(response.body);
+      if (typeof body.retry_after === "number") {
+        return { ...response.headers, "retry-after": String(body.retry_after) };
+      }
+    } catch (error) {
+      // Not JSON (e.g. an HTML error page from a proxy)
+    }
+    return response.headers;
   }
 }
 
-module.exports = { DiscordNotifier };
+module.exports = { DiscordChannel };
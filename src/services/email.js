@@ -0,0 +1,82 @@
+const nodemailer = require("nodemailer");
+const { toHtml, toPlainText, escapeHtml } = require("../utils/markdown");
+const { getMessageBody } = require("../domain/notifications");
+
+const DEFAULT_SMTP_PORT = 587;
+
+function getRecipients(destination) {
+  return Array.isArray(destination.to) ? destination.to : [destination.to];
+}
+
+/**
+ * Delivers notifications by email through the SMTP server in SMTP_HOST /
+ * SMTP_PORT / SMTP_USER / SMTP_PASSWORD (SMTP_SECURE for implicit TLS,
+ * otherwise STARTTLS when offered).
+ * Destination: { type: "email", to, from?, subjectPrefix? } - `from`
+ * defaults to SMTP_FROM.
+ */
+class EmailChannel {
+  constructor() {
+    this.transport = null;
+  }
+
+  getTransport() {
+    if (this.transport) {
+      return this.transport;
+    }
+    if (!process.env.SMTP_HOST) {
+      throw new Error(
+        "SMTP_HOST is not set; email notifications need an SMTP server"
+      );
+    }
+
+    const port = Number(process.env.SMTP_PORT || DEFAULT_SMTP_PORT);
+    const secure = process.env.SMTP_SECURE
+      ? ["true", "yes", "1"].includes(process.env.SMTP_SECURE.toLowerCase())
+      : port === 465;
+    this.transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+    return this.transport;
+  }
+
+  // Addresses stay out of the logs
+  describe(destination) {
+    return `email to ${getRecipients(destination).length} recipient(s)`;
+  }
+
+  render(message, destination) {
+    const from = destination.from || process.env.SMTP_FROM;
+    if (!from) {
+      throw new Error(
+        "SMTP_FROM is not set and the email destination has no from address"
+      );
+    }
+
+    const text = [message.content, getMessageBody(message)]
+      .filter(Boolean)
+      .join("\n\n");
+    return {
+      from,
+      to: getRecipients(destination).join(", "),
+      subject: `${destination.subjectPrefix || ""}${message.title}`,
+      text: toPlainText(text),
+      html: `<h2>${escapeHtml(message.title)}</h2>\n<p>${toHtml(text)}</p>\n`,
+    };
+  }
+
+  async deliver(payload) {
+    try {
+      await this.getTransport().sendMail(payload);
+    } catch (error) {
+      throw new Error(`Email delivery failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = { EmailChannel };
@@ -0,0 +1,281 @@
+const path = require("path");
+const fs = require("fs").promises;
+const { logger } = require("../utils/logger");
+const {
+  parseCellReference,
+  parseA1Address,
+  toA1Address,
+} = require("../utils/cellReference");
+const {
+  getTargetSheet,
+  assertReferencesResolve,
+  describeSheetConfig,
+} = require("../utils/sheetInfo");
+
+/**
+ * Base for data sources kept in local files, for offline campaigns, GMs who
+ * track supplies in Excel, and testing without Google credentials.
+ *
+ * The army's `sheetId` is the file path. Subclasses only load and save a
+ * workbook:
+ *   { title, locale, sheets: [{ title, cells: { B2: 150, ... } }],
+ *     namedRanges: [{ name, reference }] }
+ * Everything else - cell references, tabs, named ranges, appends - behaves
+ * like GoogleSheetsService. Files are read afresh on every call, so edits
+ * made while a run is in progress are seen by the pre-write re-read.
+ */
+class FileDataSource {
+  /**
+   * Load the workbook stored at a path
+   * @param {string} filePath - Absolute path of the army's file
+   * @returns {Promise<Object>} - The workbook
+   */
+  async loadWorkbook(filePath) {
+    throw new Error(`${this.constructor.name} must implement loadWorkbook`);
+  }
+
+  /**
+   * Store a workbook back to its path
+   * @param {string} filePath - Absolute path of the army's file
+   * @param {Object} workbook - The workbook
+   * @param {string[]} changedTitles - Tabs that were modified
+   */
+  async saveWorkbook(filePath, workbook, changedTitles) {
+    throw new Error(`${this.constructor.name} must implement saveWorkbook`);
+  }
+
+  async load(sheetId) {
+    try {
+      return await this.loadWorkbook(path.resolve(sheetId));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error(`Data file ${sheetId} does not exist`);
+      }
+      throw error;
+    }
+  }
+
+  toSheetInfo(workbook) {
+    return {
+      title: workbook.title,
+      locale: workbook.locale || null,
+      sheets: workbook.sheets.map((sheet) => ({ title: sheet.title })),
+      namedRanges: workbook.namedRanges.map((range) => ({ name: range.name })),
+    };
+  }
+
+  /**
+   * Find the tab and address a configured reference points at
+   * @param {Object} workbook - The loaded workbook
+   * @param {string} reference - Cell reference from config
+   * @param {string} defaultTitle - Tab for bare addresses
+   * @returns {{sheet: Object, address: string}}
+   */
+  locate(workbook, reference, defaultTitle) {
+    let parsed = parseCellReference(reference);
+    if (parsed.type === "namedRange") {
+      const namedRange = workbook.namedRanges.find(
+        (range) => range.name === parsed.name
+      );
+      // A named range spanning several cells reads its top-left cell, as in Sheets
+      parsed = parseCellReference(namedRange.reference.split(":")[0]);
+      if (!parsed || parsed.type !== "cell") {
+        throw new Error(
+          `Named range "${namedRange.name}" must point at a cell, got "${namedRange.reference}"`
+        );
+      }
+    }
+
+    const title = parsed.sheetName || defaultTitle;
+    return {
+      sheet: workbook.sheets.find((sheet) => sheet.title === title),
+      address: parsed.address,
+    };
+  }
+
+  async getSheetInfo(sheetId) {
+    return this.toSheetInfo(await this.load(sheetId));
+  }
+
+  async getSpreadsheetLocale(sheetId) {
+    const sheetInfo = await this.getSheetInfo(sheetId);
+    return sheetInfo.locale || null;
+  }
+
+  async listSheets(sheetId) {
+    const sheetInfo = await this.getSheetInfo(sheetId);
+    return sheetInfo.sheets;
+  }
+
+  async validateSheetConfig(sheetId, sheetName = null, cellReferences = []) {
+    try {
+      const sheetInfo = await this.getSheetInfo(sheetId);
+      return describeSheetConfig(sheetInfo, sheetName, cellReferences);
+    } catch (error) {
+      logger.error(`Error validating sheet config for ${sheetId}:`, error);
+      throw error;
+    }
+  }
+
+  async validateCellReferences(sheetId, cellAddresses, sheetName = null) {
+    const sheetInfo = await this.getSheetInfo(sheetId);
+    getTargetSheet(sheetInfo, sheetId, sheetName);
+    assertReferencesResolve(sheetInfo, sheetId, cellAddresses);
+  }
+
+  async getCellValue(sheetId, cellAddress, sheetName = null) {
+    const values = await this.getCellValuesBatch(
+      sheetId,
+      [cellAddress],
+      sheetName
+    );
+    return values[cellAddress];
+  }
+
+  async getCellValuesBatch(sheetId, cellAddresses, sheetName = null) {
+    const [result] = await this.getCellValuesForArmies(sheetId, [
+      { sheetName, cells: cellAddresses },
+    ]);
+    return result;
+  }
+
+  /**
+   * Read the cells of several armies kept in one file
+   * @param {string} sheetId - The file path
+   * @param {Object[]} requests - [{ sheetName, cells }], one per army
+   * @returns {Object[]} - One object per request, with cell references as keys (empty cells are null)
+   */
+  async getCellValuesForArmies(sheetId, requests) {
+    try {
+      const workbook = await this.load(sheetId);
+      const sheetInfo = this.toSheetInfo(workbook);
+
+      return requests.map(({ sheetName, cells }) => {
+        const targetSheet = getTargetSheet(sheetInfo, sheetId, sheetName);
+        assertReferencesResolve(sheetInfo, sheetId, cells);
+
+        const result = {};
+        cells.forEach((cellAddress) => {
+          const { sheet, address } = this.locate(
+            workbook,
+            cellAddress,
+            targetSheet.title
+          );
+          const value = sheet.cells[address];
+          result[cellAddress] =
+            value === undefined || value === "" ? null : value;
+        });
+        return result;
+      });
+    } catch (error) {
+      logger.error(`Error getting cell values from ${sheetId}:`, error);
+      throw error;
+    }
+  }
+
+  async updateCellValue(sheetId, cellAddress, value, sheetName = null) {
+    return this.updateCellValuesBatch(sheetId, [
+      { cell: cellAddress, value, sheetName },
+    ]);
+  }
+
+  /**
+   * Write several cells, possibly on different tabs, in one save
+   * @param {string} sheetId - The file path
+   * @param {Object[]} updates - [{ cell, value, sheetName }]
+   */
+  async updateCellValuesBatch(sheetId, updates) {
+    try {
+      const workbook = await this.load(sheetId);
+      const sheetInfo = this.toSheetInfo(workbook);
+
+      const changed = new Set();
+      updates.forEach(({ cell, value, sheetName }) => {
+        const targetSheet = getTargetSheet(sheetInfo, sheetId, sheetName);
+        assertReferencesResolve(sheetInfo, sheetId, [cell]);
+
+        const { sheet, address } = this.locate(
+          workbook,
+          cell,
+          targetSheet.title
+        );
+        if (value === "" || value === null || value === undefined) {
+          delete sheet.cells[address];
+        } else {
+          sheet.cells[address] = value;
+        }
+        changed.add(sheet.title);
+      });
+
+      await this.saveWorkbook(
+        path.resolve(sheetId),
+        workbook,
+        Array.from(changed)
+      );
+      logger.debug(`Updated ${updates.length} cells in ${sheetId}`);
+    } catch (error) {
+      logger.error(`Error updating cell values in ${sheetId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Append rows below the last used row of a tab, creating the tab with a
+   * header row when it is missing
+   * @param {string} sheetId - The file path
+   * @param {string} tabName - The log tab's name
+   * @param {string[]} headers - Header row for a newly created tab
+   * @param {Array[]} rows - Rows to append
+   */
+  async appendRows(sheetId, tabName, headers, rows) {
+    try {
+      const workbook = await this.load(sheetId);
+      const values = rows.slice();
+
+      let sheet = workbook.sheets.find(
+        (candidate) => candidate.title === tabName
+      );
+      if (!sheet) {
+        logger.info(`Creating log tab "${tabName}" in ${sheetId}`);
+        sheet = { title: tabName, cells: {} };
+        workbook.sheets.push(sheet);
+        values.unshift(headers);
+      }
+
+      const firstRow =
+        Object.keys(sheet.cells).reduce(
+          (last, address) => Math.max(last, parseA1Address(address).row),
+          -1
+        ) + 1;
+      values.forEach((row, rowOffset) => {
+        row.forEach((value, column) => {
+          sheet.cells[toA1Address(firstRow + rowOffset, column)] = value;
+        });
+      });
+
+      await this.saveWorkbook(path.resolve(sheetId), workbook, [tabName]);
+      logger.debug(
+        `Appended ${rows.length} rows to "${tabName}" in ${sheetId}`
+      );
+    } catch (error) {
+      logger.error(
+        `Error appending rows to "${tabName}" in ${sheetId}:`,
+        error
+      );
+      throw error;
+    }
+  }
+}
+
+/**
+ * Write a file via a temporary sibling, so a crash never leaves it half written
+ * @param {string} filePath - Destination path
+ * @param {string} contents - File contents
+ */
+async function writeFileAtomic(filePath, contents) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, contents, "utf8");
+  await fs.rename(tempPath, filePath);
+}
+
+module.exports = { FileDataSource, writeFileAtomic };
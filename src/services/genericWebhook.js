@@ -0,0 +1,73 @@
+const { sendJson } = require("../utils/http");
+const { toHtml, toPlainText } = require("../utils/markdown");
+const { renderTemplate } = require("../utils/template");
+const {
+  getMessageBody,
+  getMessageColorHex,
+} = require("../domain/notifications");
+
+// Payload sent when a destination has no template of its own
+const DEFAULT_WEBHOOK_TEMPLATE = {
+  army: "{{army}}",
+  kind: "{{kind}}",
+  title: "{{title}}",
+  text: "{{text}}",
+  color: "{{colorHex}}",
+  sheetUrl: "{{sheetUrl}}",
+  timestamp: "{{timestamp}}",
+};
+
+/**
+ * Delivers notifications as JSON to any HTTP endpoint, shaped by a template
+ * whose `{{placeholders}}` are filled from the message (see
+ * getTemplateValues for the names).
+ * Destination: { type: "webhook", url, method?, headers?, template? }
+ */
+class WebhookChannel {
+  describe(destination) {
+    return `webhook (${new URL(destination.url).hostname})`;
+  }
+
+  /**
+   * Placeholder values for a message
+   * @param {Object} message - The message
+   * @returns {Object}
+   */
+  getTemplateValues(message) {
+    const body = getMessageBody(message);
+    const markdown = [message.content, message.title, body]
+      .filter(Boolean)
+      .join("\n\n");
+    return {
+      army: message.name,
+      kind: message.kind,
+      title: message.title,
+      content: toPlainText(message.content || ""),
+      description: toPlainText(body),
+      text: toPlainText(markdown),
+      markdown,
+      html: toHtml(markdown),
+      color: message.color,
+      colorHex: getMessageColorHex(message),
+      sheetUrl: message.sheetUrl || "",
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  render(message, destination) {
+    return renderTemplate(
+      destination.template || DEFAULT_WEBHOOK_TEMPLATE,
+      this.getTemplateValues(message)
+    );
+  }
+
+  async deliver(payload, destination) {
+    return sendJson("Webhook", destination.url, {
+      method: destination.method || "POST",
+      headers: destination.headers || {},
+      body: payload,
+    });
+  }
+}
+
+module.exports = { WebhookChannel, DEFAULT_WEBHOOK_TEMPLATE };
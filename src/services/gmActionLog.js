@@ -0,0 +1,67 @@
+const path = require("path");
+const { logger } = require("../utils/logger");
+const { readStateFile, writeStateFile } = require("../utils/stateFile");
+
+const DEFAULT_GM_ACTION_LOG_PATH = "./state/gm-actions.json";
+// Older actions are dropped; the audit log tab keeps the long-term record
+const MAX_RECORDED_ACTIONS = 200;
+
+/**
+ * Who ran which GM command from Discord, newest last:
+ *   { actions: [{ at, action, user: { id, tag }, armies, details, runId }] }
+ */
+class GmActionLog {
+  constructor({ statePath } = {}) {
+    this.statePath = path.resolve(
+      statePath || process.env.GM_ACTION_LOG_PATH || DEFAULT_GM_ACTION_LOG_PATH
+    );
+    this.state = null;
+  }
+
+  async loadState() {
+    if (this.state) {
+      return this.state;
+    }
+
+    this.state = await readStateFile(this.statePath, "GM action log");
+
+    if (!Array.isArray(this.state.actions)) {
+      this.state.actions = [];
+    }
+
+    return this.state;
+  }
+
+  async saveState() {
+    await writeStateFile(this.statePath, this.state);
+  }
+
+  /**
+   * @param {Object} action
+   * @param {string} action.action - The subcommand, e.g. "tick" or "resupply"
+   * @param {Object} action.user - { id, tag } of the GM
+   * @param {string[]} action.armies - Army names it applied to
+   * @param {Object} action.details - What changed, e.g. { from, to }
+   * @param {string|null} action.runId - The monitor run it started, if any
+   */
+  async record({ action, user, armies, details = {}, runId = null }) {
+    logger.info(
+      `GM action: ${user.tag} ran ${action} on ${armies.join(", ")}${
+        runId ? ` (run ${runId})` : ""
+      }`
+    );
+    const state = await this.loadState();
+    state.actions.push({
+      at: new Date().toISOString(),
+      action,
+      user,
+      armies,
+      details,
+      runId,
+    });
+    state.actions = state.actions.slice(-MAX_RECORDED_ACTIONS);
+    await this.saveState();
+  }
+}
+
+module.exports = { GmActionLog };
@@ -0,0 +1,295 @@
+const { SlashCommandBuilder } = require("discord.js");
+const { getSheetUrl } = require("./dataSources");
+const { CommandError, readArmy } = require("./supplyCommands");
+const { getGmArmiesFor, resolveGmArmies } = require("../domain/access");
+const { calculateDaysRemaining } = require("../domain/supplyTick");
+const {
+  buildGmTickMessage,
+  buildGmAdjustmentMessage,
+} = require("../domain/notifications");
+
+// Subcommands that change one named army's cells by hand
+const ADJUSTMENTS = ["resupply", "set-consumption"];
+
+/**
+ * The `/gm` slash command, for the GM of a campaign only:
+ *   /gm tick [army]                     Run the daily tick now, as the scheduled run would
+ *   /gm preview [army]                  Show what the tick would do, writing and sending nothing
+ *   /gm resupply <army> <amount>        Add to (or, negative, take from) the army's supplies
+ *   /gm set-consumption <army> <value>  Set the army's daily consumption
+ * Leaving `army` out of tick or preview covers every army the member is GM
+ * of. Every command is recorded in the GM action log; ticks are also in the
+ * run history under run ID `discord-<interaction id>`. That history is the
+ * one in the bot host's `state/`, not the Actions cache, so only
+ * `npm run undo` run on the bot host can revert a bot tick.
+ *
+ * The bot host has its own `state/`, so tick and preview only cover armies
+ * that keep their run ledger in the sheet (`lastProcessedDateCell`): a local
+ * ledger would let the bot and the scheduled run apply the same day twice.
+ * Bot ticks post reports as new messages rather than keeping a second set
+ * of status boards.
+ */
+class GmCommands {
+  /**
+   * @param {Object} options
+   * @param {Object[]} options.config - Sheet configurations
+   * @param {DataSources} options.dataSources - Data source registry
+   * @param {GmActionLog} options.actionLog - Where GM actions are recorded
+   * @param {Function} options.runMonitor - Runs a tick (runMonitor from src/index.js)
+   * @param {Object} options.runOptions - Options for those runs (getRunOptions from src/index.js)
+   */
+  constructor({ config, dataSources, actionLog, runMonitor, runOptions }) {
+    this.config = config;
+    this.dataSources = dataSources;
+    this.actionLog = actionLog;
+    this.runMonitor = runMonitor;
+    this.runOptions = runOptions;
+    this.name = "gm";
+    // One GM command at a time, so a tick never races another tick or an adjustment
+    this.busy = false;
+  }
+
+  getDefinition() {
+    const addArmyOption = (subcommand, required) =>
+      subcommand.addStringOption((option) =>
+        option
+          .setName("army")
+          .setDescription(
+            required ? "The army" : "The army (default: all your armies)"
+          )
+          .setRequired(required)
+          .setAutocomplete(true)
+      );
+
+    return new SlashCommandBuilder()
+      .setName(this.name)
+      .setDescription("GM tools for army supplies")
+      .addSubcommand((subcommand) =>
+        addArmyOption(
+          subcommand.setName("tick").setDescription("Run the daily tick now"),
+          false
+        )
+      )
+      .addSubcommand((subcommand) =>
+        addArmyOption(
+          subcommand
+            .setName("preview")
+            .setDescription("Show what the daily tick would do"),
+          false
+        )
+      )
+      .addSubcommand((subcommand) =>
+        addArmyOption(
+          subcommand
+            .setName("resupply")
+            .setDescription("Add supplies to an army"),
+          true
+        ).addNumberOption((option) =>
+          option
+            .setName("amount")
+            .setDescription("Supplies to add (negative to take away)")
+            .setRequired(true)
+        )
+      )
+      .addSubcommand((subcommand) =>
+        addArmyOption(
+          subcommand
+            .setName("set-consumption")
+            .setDescription("Set an army's daily consumption"),
+          true
+        ).addNumberOption((option) =>
+          option
+            .setName("value")
+            .setDescription("Supplies consumed per day")
+            .setRequired(true)
+            .setMinValue(0)
+        )
+      )
+      .toJSON();
+  }
+
+  /**
+   * Armies to suggest to a member in the army option
+   * @param {Object} member - { userId, roleIds }
+   * @returns {Object[]}
+   */
+  getArmies(member) {
+    return getGmArmiesFor(member, this.config);
+  }
+
+  /**
+   * Check a command before anything is read: the member must be GM of every
+   * army it covers, and no other GM command may be running
+   * @param {Object} interaction - The chat input interaction
+   * @param {Object} member - { userId, roleIds }
+   * @returns {Object[]} - The armies' sheet configurations
+   */
+  authorize(interaction, member) {
+    const { armies, error } = resolveGmArmies(
+      member,
+      this.config,
+      interaction.options.getString("army")
+    );
+    if (error) {
+      throw new CommandError(error);
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    if (subcommand === "tick" || subcommand === "preview") {
+      const unledgered = armies
+        .filter((sheetConfig) => !sheetConfig.lastProcessedDateCell)
+        .map((sheetConfig) => sheetConfig.name)
+        .join(", ");
+      if (unledgered) {
+        throw new CommandError(
+          `Only armies with a lastProcessedDateCell can be ticked from Discord - add one to ${unledgered}`
+        );
+      }
+    }
+    if (subcommand === "set-consumption") {
+      if (armies[0].unitComposition) {
+        throw new CommandError(
+          `${armies[0].name} derives its consumption from unitComposition - change its unit counts instead`
+        );
+      }
+      if (interaction.options.getNumber("value") <= 0) {
+        throw new CommandError("Daily consumption must be greater than 0");
+      }
+    }
+    if (this.busy) {
+      throw new CommandError(
+        "Another GM command is still running - try again when it is done"
+      );
+    }
+    return armies;
+  }
+
+  /**
+   * Run an authorized command and record it in the GM action log
+   * @param {Object} interaction - The chat input interaction
+   * @param {Object[]} armies - The armies, from authorize
+   * @returns {Promise<Object>} - The reply message (src/domain/notifications.js)
+   */
+  async execute(interaction, armies) {
+    const subcommand = interaction.options.getSubcommand();
+    // Another command may have started while this one's reply was deferred
+    if (this.busy) {
+      throw new CommandError(
+        "Another GM command is still running - try again when it is done"
+      );
+    }
+    this.busy = true;
+    try {
+      if (ADJUSTMENTS.includes(subcommand)) {
+        return await this.adjust(subcommand, armies[0], interaction);
+      }
+      if (subcommand === "tick" || subcommand === "preview") {
+        return await this.tick(armies, subcommand === "preview", interaction);
+      }
+      throw new CommandError("Unknown subcommand");
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  async tick(armies, preview, interaction) {
+    const { user } = interaction;
+    const runId = `discord-${interaction.id}`;
+    const { results } = await this.runMonitor({
+      config: this.config,
+      armies,
+      options: {
+        ...this.runOptions,
+        dryRun: preview || this.runOptions.dryRun,
+        resendNotifications: false,
+      },
+      now: new Date(),
+      runId,
+      statusBoards: false,
+    });
+
+    const armyNames = armies.map((sheetConfig) => sheetConfig.name);
+    await this.actionLog.record({
+      action: preview ? "preview" : "tick",
+      user: { id: user.id, tag: user.tag },
+      armies: armyNames,
+      details: {
+        results: results.map((result) => ({
+          name: result.name,
+          outcome: result.outcome,
+        })),
+      },
+      runId: preview ? null : runId,
+    });
+
+    return buildGmTickMessage({
+      armyNames,
+      results,
+      preview,
+      runId,
+      triggeredBy: `<@${user.id}>`,
+    });
+  }
+
+  async adjust(subcommand, sheetConfig, interaction) {
+    const { user } = interaction;
+    const { tick, locale, campaignDate } = await readArmy(
+      this.dataSources,
+      sheetConfig
+    );
+
+    let change;
+    if (subcommand === "resupply") {
+      const to = Math.max(
+        0,
+        tick.currentSupplies + interaction.options.getNumber("amount")
+      );
+      change = {
+        label: "Supplies",
+        cell: sheetConfig.currentSuppliesCell,
+        from: tick.currentSupplies,
+        to,
+        daysRemaining: calculateDaysRemaining(to, tick.dailyConsumption),
+      };
+    } else {
+      const to = interaction.options.getNumber("value");
+      change = {
+        label: "Daily consumption",
+        cell: sheetConfig.dailyConsumptionCell,
+        from: tick.dailyConsumption,
+        to,
+        daysRemaining: calculateDaysRemaining(tick.currentSupplies, to),
+      };
+    }
+
+    await this.dataSources
+      .forSheet(sheetConfig)
+      .updateCellValue(
+        sheetConfig.sheetId,
+        change.cell,
+        change.to,
+        sheetConfig.sheetName
+      );
+    await this.actionLog.record({
+      action: subcommand,
+      user: { id: user.id, tag: user.tag },
+      armies: [sheetConfig.name],
+      details: { cell: change.cell, from: change.from, to: change.to },
+    });
+
+    return buildGmAdjustmentMessage({
+      name: sheetConfig.name,
+      label: change.label,
+      from: change.from,
+      to: change.to,
+      daysRemaining: change.daysRemaining,
+      changedBy: `<@${user.id}>`,
+      sheetUrl: getSheetUrl(sheetConfig),
+      locale,
+      campaignDate,
+      campaign: sheetConfig.campaign,
+    });
+  }
+}
+
+module.exports = { GmCommands };
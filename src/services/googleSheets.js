@@ -2,11 +2,107 @@ const { google } = require("googleapis");
 const path = require("path");
 const fs = require("fs");
 const { logger } = require("../utils/logger");
+const { toA1Range } = require("../utils/cellReference");
+const {
+  getTargetSheet,
+  assertReferencesResolve,
+  describeSheetConfig,
+} = require("../utils/sheetInfo");
+const { TokenBucket } = require("../utils/rateLimiter");
+const { retryWithBackoff, isRateLimitError } = require("../utils/retry");
+
+// Sheets API per-user quota: 60 read and 60 write requests per minute
+const DEFAULT_REQUESTS_PER_MINUTE = 60;
+const DEFAULT_MAX_RETRIES = 4;
+const DEFAULT_BASE_DELAY_MS = 1000;
+
+/**
+ * Read a numeric setting from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value when the variable is unset
+ * @param {Object} options
+ * @param {boolean} options.positive - Reject 0 as well (e.g. a rate, which would never refill)
+ * @returns {number}
+ */
+function readEnvNumber(name, defaultValue, { positive = false } = {}) {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === "") {
+    return defaultValue;
+  }
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0 || (positive && parsed === 0)) {
+    throw new Error(
+      `${name} must be a ${
+        positive ? "positive" : "non-negative"
+      } number, got "${value}"`
+    );
+  }
+  return parsed;
+}
 
 class GoogleSheetsService {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {number} options.requestsPerMinute - Request budget shared by every API call (SHEETS_REQUESTS_PER_MINUTE)
+   * @param {number} options.maxRetries - Retries for quota, 5xx and network errors (SHEETS_MAX_RETRIES)
+   * @param {number} options.baseDelayMs - Backoff base delay when the API sends no Retry-After
+   */
+  constructor({
+    requestsPerMinute = readEnvNumber(
+      "SHEETS_REQUESTS_PER_MINUTE",
+      DEFAULT_REQUESTS_PER_MINUTE,
+      { positive: true }
+    ),
+    maxRetries = readEnvNumber("SHEETS_MAX_RETRIES", DEFAULT_MAX_RETRIES),
+    baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  } = {}) {
     this.sheets = null;
     this.auth = null;
+    // Short bursts are fine; sustained traffic is held to the per-minute quota
+    this.limiter = new TokenBucket({
+      requestsPerMinute,
+      burst: Math.max(1, Math.floor(requestsPerMinute / 6)),
+    });
+    this.retryOptions = { maxRetries, baseDelayMs };
+    this.stats = { requests: 0, retries: 0, throttledMs: 0 };
+    // Spreadsheet metadata (tabs, named ranges, locale) by sheetId, fetched once per run
+    this.sheetInfoCache = new Map();
+  }
+
+  /**
+   * Run a Sheets API request through the rate limiter, retrying transient failures
+   * @param {string} description - What the request does, for log messages
+   * @param {Function} apiCall - Async function making the request
+   * @param {Object} options
+   * @param {Function} options.shouldRetry - Which failures to retry (see retryWithBackoff)
+   * @returns {Promise<*>} - The API response
+   */
+  async callApi(description, apiCall, { shouldRetry } = {}) {
+    return retryWithBackoff(
+      async () => {
+        this.stats.throttledMs += await this.limiter.take();
+        this.stats.requests += 1;
+        return apiCall();
+      },
+      {
+        ...this.retryOptions,
+        shouldRetry,
+        onRetry: (error, attempt, delay) => {
+          this.stats.retries += 1;
+          logger.warn(
+            `Sheets API ${description} failed (${error.message}), retrying in ${delay}ms (attempt ${attempt}/${this.retryOptions.maxRetries})`
+          );
+        },
+      }
+    );
+  }
+
+  /**
+   * Request counters for this service instance
+   * @returns {{requests: number, retries: number, throttledMs: number}}
+   */
+  getRequestStats() {
+    return { ...this.stats };
   }
 
   async initialize() {
@@ -63,39 +159,21 @@ class GoogleSheetsService {
       // Get sheet information
       const sheetInfo = await this.getSheetInfo(sheetId);
 
-      if (!sheetInfo.sheets || sheetInfo.sheets.length === 0) {
-        throw new Error(`Spreadsheet ${sheetId} has no sheets.`);
-      }
-
-      // Determine which sheet to use
-      let targetSheet;
-      if (sheetName) {
-        // Look for the specified sheet by name
-        targetSheet = sheetInfo.sheets.find(
-          (sheet) => sheet.title === sheetName
-        );
-        if (!targetSheet) {
-          throw new Error(
-            `Sheet "${sheetName}" not found in spreadsheet ${sheetId}. Available sheets: ${sheetInfo.sheets
-              .map((s) => s.title)
-              .join(", ")}`
-          );
-        }
-      } else {
-        // Default to the first sheet if no sheet name is specified
-        targetSheet = sheetInfo.sheets[0];
-      }
+      const targetSheet = getTargetSheet(sheetInfo, sheetId, sheetName);
+      assertReferencesResolve(sheetInfo, sheetId, [cellAddress]);
 
-      const rangeWithSheet = `'${targetSheet.title}'!${cellAddress}`;
+      const rangeWithSheet = toA1Range(cellAddress, targetSheet.title);
 
       logger.debug(
         `Getting cell value from sheet ${sheetId}, sheet "${targetSheet.title}", cell ${cellAddress}`
       );
 
-      const response = await this.sheets.spreadsheets.values.get({
-        spreadsheetId: sheetId,
-        range: rangeWithSheet,
-      });
+      const response = await this.callApi("values.get", () =>
+        this.sheets.spreadsheets.values.get({
+          spreadsheetId: sheetId,
+          range: rangeWithSheet,
+        })
+      );
 
       const values = response.data.values;
 
@@ -132,43 +210,25 @@ class GoogleSheetsService {
       // Get sheet information
       const sheetInfo = await this.getSheetInfo(sheetId);
 
-      if (!sheetInfo.sheets || sheetInfo.sheets.length === 0) {
-        throw new Error(`Spreadsheet ${sheetId} has no sheets.`);
-      }
-
-      // Determine which sheet to use
-      let targetSheet;
-      if (sheetName) {
-        // Look for the specified sheet by name
-        targetSheet = sheetInfo.sheets.find(
-          (sheet) => sheet.title === sheetName
-        );
-        if (!targetSheet) {
-          throw new Error(
-            `Sheet "${sheetName}" not found in spreadsheet ${sheetId}. Available sheets: ${sheetInfo.sheets
-              .map((s) => s.title)
-              .join(", ")}`
-          );
-        }
-      } else {
-        // Default to the first sheet if no sheet name is specified
-        targetSheet = sheetInfo.sheets[0];
-      }
+      const targetSheet = getTargetSheet(sheetInfo, sheetId, sheetName);
+      assertReferencesResolve(sheetInfo, sheetId, [cellAddress]);
 
-      const rangeWithSheet = `'${targetSheet.title}'!${cellAddress}`;
+      const rangeWithSheet = toA1Range(cellAddress, targetSheet.title);
 
       logger.debug(
         `Updating cell value in sheet ${sheetId}, sheet "${targetSheet.title}", cell ${cellAddress} to value: ${value}`
       );
 
-      const response = await this.sheets.spreadsheets.values.update({
-        spreadsheetId: sheetId,
-        range: rangeWithSheet,
-        valueInputOption: "RAW",
-        requestBody: {
-          values: [[value]],
-        },
-      });
+      const response = await this.callApi("values.update", () =>
+        this.sheets.spreadsheets.values.update({
+          spreadsheetId: sheetId,
+          range: rangeWithSheet,
+          valueInputOption: "RAW",
+          requestBody: {
+            values: [[value]],
+          },
+        })
+      );
 
       logger.debug(
         `Successfully updated cell "${cellAddress}" in sheet "${targetSheet.title}" with value: ${value}`
@@ -184,13 +244,30 @@ class GoogleSheetsService {
     }
   }
 
+  /**
+   * Get spreadsheet metadata, cached for the lifetime of this service
+   * @param {string} sheetId - The Google Sheet ID
+   * @returns {Promise<Object>} - { title, locale, sheets, namedRanges }
+   */
   async getSheetInfo(sheetId) {
+    if (!this.sheetInfoCache.has(sheetId)) {
+      const pending = this.fetchSheetInfo(sheetId);
+      this.sheetInfoCache.set(sheetId, pending);
+      // Don't cache failures; the next caller tries again
+      pending.catch(() => this.sheetInfoCache.delete(sheetId));
+    }
+    return this.sheetInfoCache.get(sheetId);
+  }
+
+  async fetchSheetInfo(sheetId) {
     await this.initialize();
 
     try {
-      const response = await this.sheets.spreadsheets.get({
-        spreadsheetId: sheetId,
-      });
+      const response = await this.callApi("spreadsheets.get", () =>
+        this.sheets.spreadsheets.get({
+          spreadsheetId: sheetId,
+        })
+      );
 
       return {
         title: response.data.properties.title,
@@ -199,6 +276,10 @@ class GoogleSheetsService {
           title: sheet.properties.title,
           sheetId: sheet.properties.sheetId,
         })),
+        namedRanges: (response.data.namedRanges || []).map((namedRange) => ({
+          name: namedRange.name,
+          namedRangeId: namedRange.namedRangeId,
+        })),
       };
     } catch (error) {
       logger.error(`Error getting sheet info for ${sheetId}:`, error);
@@ -206,6 +287,17 @@ class GoogleSheetsService {
     }
   }
 
+  /**
+   * Get the spreadsheet's locale (e.g. "en_US", "de_DE"), which decides how
+   * formatted cell values separate thousands and decimals
+   * @param {string} sheetId - The Google Sheet ID
+   * @returns {string|null} - The locale, or null if the API did not report one
+   */
+  async getSpreadsheetLocale(sheetId) {
+    const sheetInfo = await this.getSheetInfo(sheetId);
+    return sheetInfo.locale || null;
+  }
+
   async listSheets(sheetId) {
     await this.initialize();
 
@@ -222,135 +314,241 @@ class GoogleSheetsService {
    * Helper method to validate and debug sheet configuration
    * @param {string} sheetId - The Google Sheet ID
    * @param {string} sheetName - Optional sheet name to validate
+   * @param {string[]} cellReferences - Optional configured cells to check against the spreadsheet's tabs and named ranges
    * @returns {Object} - Sheet information and validation results
    */
-  async validateSheetConfig(sheetId, sheetName = null) {
+  async validateSheetConfig(sheetId, sheetName = null, cellReferences = []) {
     await this.initialize();
 
     try {
       const sheetInfo = await this.getSheetInfo(sheetId);
-
-      const result = {
-        spreadsheetTitle: sheetInfo.title,
-        totalSheets: sheetInfo.sheets.length,
-        availableSheets: sheetInfo.sheets.map((sheet) => sheet.title),
-        targetSheet: null,
-        isValid: false,
-        message: "",
-      };
-
-      if (sheetInfo.sheets.length === 0) {
-        result.message = "Spreadsheet has no sheets";
-        return result;
-      }
-
-      if (sheetName) {
-        const targetSheet = sheetInfo.sheets.find(
-          (sheet) => sheet.title === sheetName
-        );
-        if (targetSheet) {
-          result.targetSheet = targetSheet.title;
-          result.isValid = true;
-          result.message = `Found target sheet "${sheetName}"`;
-        } else {
-          result.message = `Sheet "${sheetName}" not found. Available sheets: ${result.availableSheets.join(
-            ", "
-          )}`;
-        }
-      } else {
-        result.targetSheet = sheetInfo.sheets[0].title;
-        result.isValid = true;
-        result.message = `Using first sheet "${result.targetSheet}" (no sheetName specified)`;
-      }
-
-      return result;
+      return describeSheetConfig(sheetInfo, sheetName, cellReferences);
     } catch (error) {
       logger.error(`Error validating sheet config for ${sheetId}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Check that an army's cell references resolve, without reading them
+   * @param {string} sheetId - The Google Sheet ID
+   * @param {string[]} cellAddresses - Cell references from config
+   * @param {string} sheetName - Optional sheet name for bare cell addresses
+   */
+  async validateCellReferences(sheetId, cellAddresses, sheetName = null) {
+    const sheetInfo = await this.getSheetInfo(sheetId);
+    getTargetSheet(sheetInfo, sheetId, sheetName);
+    assertReferencesResolve(sheetInfo, sheetId, cellAddresses);
+  }
+
   /**
    * Get multiple cell values in a single API call to reduce quota usage
    * @param {string} sheetId - The Google Sheet ID
-   * @param {string[]} cellAddresses - Array of cell addresses (e.g., ['E5', 'G5'])
-   * @param {string} sheetName - Optional sheet name
-   * @returns {Object} - Object with cell addresses as keys and values as values
+   * @param {string[]} cellAddresses - Array of cell references (e.g., ['E5', "'Troops'!G5", 'ArmySupplies'])
+   * @param {string} sheetName - Optional sheet name for bare cell addresses
+   * @returns {Object} - Object with cell references as keys and values as values
    */
   async getCellValuesBatch(sheetId, cellAddresses, sheetName = null) {
+    const [result] = await this.getCellValuesForArmies(sheetId, [
+      { sheetName, cells: cellAddresses },
+    ]);
+    return result;
+  }
+
+  /**
+   * Read the cells of several armies on one spreadsheet in a single batchGet
+   * @param {string} sheetId - The Google Sheet ID
+   * @param {Object[]} requests - [{ sheetName, cells }], one per army
+   * @returns {Object[]} - One object per request, with cell references as keys
+   */
+  async getCellValuesForArmies(sheetId, requests) {
     await this.initialize();
 
+    const allCells = requests.flatMap((request) => request.cells);
     try {
       // Get sheet information
       const sheetInfo = await this.getSheetInfo(sheetId);
 
-      if (!sheetInfo.sheets || sheetInfo.sheets.length === 0) {
-        throw new Error(`Spreadsheet ${sheetId} has no sheets.`);
-      }
-
-      // Determine which sheet to use
-      let targetSheet;
-      if (sheetName) {
-        targetSheet = sheetInfo.sheets.find(
-          (sheet) => sheet.title === sheetName
+      // Create ranges for batch request (bare addresses live on each army's tab)
+      const ranges = [];
+      requests.forEach(({ sheetName, cells }) => {
+        const targetSheet = getTargetSheet(sheetInfo, sheetId, sheetName);
+        assertReferencesResolve(sheetInfo, sheetId, cells);
+        cells.forEach((cellAddress) =>
+          ranges.push(toA1Range(cellAddress, targetSheet.title))
         );
-        if (!targetSheet) {
-          throw new Error(
-            `Sheet "${sheetName}" not found in spreadsheet ${sheetId}. Available sheets: ${sheetInfo.sheets
-              .map((s) => s.title)
-              .join(", ")}`
-          );
-        }
-      } else {
-        targetSheet = sheetInfo.sheets[0];
-      }
+      });
 
-      // Create ranges for batch request
-      const ranges = cellAddresses.map(
-        (cellAddress) => `'${targetSheet.title}'!${cellAddress}`
+      logger.debug(
+        `Getting cell values in batch from sheet ${sheetId}, ranges: ${ranges.join(
+          ", "
+        )}`
       );
 
-      logger.debug(
-        `Getting cell values in batch from sheet ${sheetId}, sheet "${
-          targetSheet.title
-        }", cells: ${cellAddresses.join(", ")}`
+      const response = await this.callApi("values.batchGet", () =>
+        this.sheets.spreadsheets.values.batchGet({
+          spreadsheetId: sheetId,
+          ranges: ranges,
+        })
       );
 
-      const response = await this.sheets.spreadsheets.values.batchGet({
-        spreadsheetId: sheetId,
-        ranges: ranges,
+      // Value ranges come back in request order; split them per army again
+      let offset = 0;
+      const results = requests.map(({ cells }) => {
+        const result = {};
+        cells.forEach((cellAddress) => {
+          const values = response.data.valueRanges[offset].values;
+          offset += 1;
+
+          if (
+            values &&
+            values.length > 0 &&
+            values[0] &&
+            values[0].length > 0
+          ) {
+            result[cellAddress] = values[0][0];
+          } else {
+            result[cellAddress] = null;
+          }
+        });
+        return result;
       });
 
-      const result = {};
-      response.data.valueRanges.forEach((valueRange, index) => {
-        const cellAddress = cellAddresses[index];
-        const values = valueRange.values;
+      logger.debug(
+        `Retrieved batch cell values from ${sheetId}: ${JSON.stringify(
+          results
+        )}`
+      );
+
+      return results;
+    } catch (error) {
+      logger.error(
+        `Error getting batch cell values from ${sheetId}:${allCells.join(
+          ","
+        )}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Write several cells, possibly on different tabs, in one values.batchUpdate
+   * @param {string} sheetId - The Google Sheet ID
+   * @param {Object[]} updates - [{ cell, value, sheetName }]
+   * @returns {Object} - The API response data
+   */
+  async updateCellValuesBatch(sheetId, updates) {
+    await this.initialize();
+
+    try {
+      const sheetInfo = await this.getSheetInfo(sheetId);
 
-        if (values && values.length > 0 && values[0] && values[0].length > 0) {
-          result[cellAddress] = values[0][0];
-        } else {
-          result[cellAddress] = null;
-        }
+      const data = updates.map(({ cell, value, sheetName }) => {
+        const targetSheet = getTargetSheet(sheetInfo, sheetId, sheetName);
+        assertReferencesResolve(sheetInfo, sheetId, [cell]);
+        return { range: toA1Range(cell, targetSheet.title), values: [[value]] };
       });
 
       logger.debug(
-        `Retrieved batch cell values from "${
-          targetSheet.title
-        }": ${JSON.stringify(result)}`
+        `Updating ${data.length} cells in batch in sheet ${sheetId}: ${data
+          .map((entry) => entry.range)
+          .join(", ")}`
       );
 
-      return result;
+      const response = await this.callApi("values.batchUpdate", () =>
+        this.sheets.spreadsheets.values.batchUpdate({
+          spreadsheetId: sheetId,
+          requestBody: {
+            valueInputOption: "RAW",
+            data,
+          },
+        })
+      );
+
+      logger.debug(
+        `Successfully updated ${data.length} cells in sheet ${sheetId}`
+      );
+
+      return response.data;
     } catch (error) {
       logger.error(
-        `Error getting batch cell values from ${sheetId}:${cellAddresses.join(
-          ","
-        )}:`,
+        `Error updating batch cell values in ${sheetId}:${updates
+          .map((update) => update.cell)
+          .join(",")}:`,
         error
       );
       throw error;
     }
   }
 
+  /**
+   * Append rows to a log tab, creating the tab with a header row when it is missing
+   * @param {string} sheetId - The Google Sheet ID
+   * @param {string} tabName - The log tab's name
+   * @param {string[]} headers - Header row for a newly created tab
+   * @param {Array[]} rows - Rows to append
+   * @returns {Object} - The API response data
+   */
+  async appendRows(sheetId, tabName, headers, rows) {
+    await this.initialize();
+
+    try {
+      const sheetInfo = await this.getSheetInfo(sheetId);
+      const values = rows.slice();
+
+      if (!sheetInfo.sheets.some((sheet) => sheet.title === tabName)) {
+        logger.info(`Creating log tab "${tabName}" in sheet ${sheetId}`);
+        await this.callApi("spreadsheets.batchUpdate", () =>
+          this.sheets.spreadsheets.batchUpdate({
+            spreadsheetId: sheetId,
+            requestBody: {
+              requests: [
+                {
+                  addSheet: {
+                    properties: {
+                      title: tabName,
+                      gridProperties: { frozenRowCount: 1 },
+                    },
+                  },
+                },
+              ],
+            },
+          })
+        );
+        // The cached metadata no longer lists every tab
+        this.sheetInfoCache.delete(sheetId);
+        values.unshift(headers);
+      }
+
+      // An append that timed out may still have gone through, and a retry
+      // would add the rows twice; only retry when the quota turned it away
+      const response = await this.callApi(
+        "values.append",
+        () =>
+          this.sheets.spreadsheets.values.append({
+            spreadsheetId: sheetId,
+            range: toA1Range("A1", tabName),
+            valueInputOption: "RAW",
+            insertDataOption: "INSERT_ROWS",
+            requestBody: { values },
+          }),
+        { shouldRetry: isRateLimitError }
+      );
+
+      logger.debug(
+        `Appended ${rows.length} rows to "${tabName}" in sheet ${sheetId}`
+      );
+
+      return response.data;
+    } catch (error) {
+      logger.error(
+        `Error appending rows to "${tabName}" in ${sheetId}:`,
+        error
+      );
+      throw error;
+    }
+  }
 }
 
 module.exports = { GoogleSheetsService };
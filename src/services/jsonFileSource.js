@@ -0,0 +1,49 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { FileDataSource, writeFileAtomic } = require("./fileDataSource");
+
+/**
+ * Data source for a workbook kept as one JSON file:
+ *   {
+ *     "title": "Saraian campaign",
+ *     "locale": "en_US",
+ *     "sheets": { "Army": { "B2": 150, "B3": 10, "B4": false } },
+ *     "namedRanges": { "ArmySupplies": "'Army'!B2" }
+ *   }
+ * Tabs map A1 addresses to values; the first tab is the default one. Other
+ * top-level keys are kept as they are when the file is written back.
+ */
+class JsonFileSource extends FileDataSource {
+  async loadWorkbook(filePath) {
+    const raw = JSON.parse(await fs.readFile(filePath, "utf8"));
+    if (!raw || typeof raw.sheets !== "object" || raw.sheets === null) {
+      throw new Error(`${filePath} must contain a "sheets" object`);
+    }
+
+    return {
+      raw,
+      title: raw.title || path.basename(filePath, path.extname(filePath)),
+      locale: raw.locale || null,
+      sheets: Object.entries(raw.sheets).map(([title, cells]) => ({
+        title,
+        cells: { ...cells },
+      })),
+      namedRanges: Object.entries(raw.namedRanges || {}).map(
+        ([name, reference]) => ({ name, reference })
+      ),
+    };
+  }
+
+  async saveWorkbook(filePath, workbook) {
+    const sheets = {};
+    workbook.sheets.forEach((sheet) => {
+      sheets[sheet.title] = sheet.cells;
+    });
+    await writeFileAtomic(
+      filePath,
+      JSON.stringify({ ...workbook.raw, sheets }, null, 2) + "\n"
+    );
+  }
+}
+
+module.exports = { JsonFileSource };
@@ -0,0 +1,63 @@
+const { sendJson } = require("../utils/http");
+const { toHtml, toPlainText } = require("../utils/markdown");
+const { getMessageBody } = require("../domain/notifications");
+
+/**
+ * Delivers notifications to a Matrix room as a formatted text message via
+ * the client-server API.
+ * Destination: { type: "matrix", homeserverUrl, roomId, accessToken? }
+ * The access token defaults to MATRIX_ACCESS_TOKEN so it can stay a secret.
+ */
+class MatrixChannel {
+  constructor() {
+    this.transactionCount = 0;
+  }
+
+  describe(destination) {
+    return `Matrix room ${destination.roomId}`;
+  }
+
+  render(message) {
+    const text = [
+      message.content,
+      `**${message.title}**`,
+      getMessageBody(message),
+    ]
+      .filter(Boolean)
+      .join("\n\n");
+    return {
+      msgtype: "m.text",
+      body: toPlainText(text),
+      format: "org.matrix.custom.html",
+      formatted_body: toHtml(text),
+    };
+  }
+
+  async deliver(payload, destination) {
+    const accessToken =
+      destination.accessToken || process.env.MATRIX_ACCESS_TOKEN;
+    if (!accessToken) {
+      throw new Error(
+        "Matrix access token missing: set MATRIX_ACCESS_TOKEN or the destination's accessToken"
+      );
+    }
+
+    // Every send needs a transaction ID of its own for this access token
+    this.transactionCount += 1;
+    const transactionId = `supply-${Date.now()}-${this.transactionCount}`;
+    const url = `${destination.homeserverUrl.replace(
+      /\/+$/,
+      ""
+    )}/_matrix/client/v3/rooms/${encodeURIComponent(
+      destination.roomId
+    )}/send/m.room.message/${transactionId}`;
+
+    return sendJson("Matrix", url, {
+      method: "PUT",
+      headers: { Authorization: `Bearer ${accessToken}` },
+      body: payload,
+    });
+  }
+}
+
+module.exports = { MatrixChannel };
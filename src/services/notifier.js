@@ -0,0 +1,476 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { logger } = require("../utils/logger");
+const { DiscordChannel } = require("./discord");
+const { SlackChannel } = require("./slack");
+const { MatrixChannel } = require("./matrix");
+const { WebhookChannel } = require("./genericWebhook");
+const { EmailChannel } = require("./email");
+const { splitDiscordPayload } = require("../utils/discordLimits");
+const {
+  buildStatusMessage,
+  buildZeroSuppliesMessage,
+  buildCatchUpMessage,
+  buildErrorMessage,
+  buildCorrectionMessage,
+  buildSeverityAlertMessage,
+  buildDelayedMessage,
+  buildUndeliveredMessage,
+  buildDigestMessage,
+} = require("../domain/notifications");
+
+// Channels a destination's `type` can select
+const CHANNELS = {
+  discord: DiscordChannel,
+  slack: SlackChannel,
+  matrix: MatrixChannel,
+  webhook: WebhookChannel,
+  email: EmailChannel,
+};
+const NOTIFICATION_TYPES = Object.keys(CHANNELS);
+
+/**
+ * Where an army's notifications go: its `webhookUrl` (Discord, a status
+ * board when `statusBoard` is set, with alert buttons when `actionButtons`
+ * is) followed by every entry of `notifications`. Each destination carries a
+ * `ref` ({ gm, index }) naming it without its settings, which is what the
+ * outbox keeps.
+ * @param {Object} sheetConfig - The sheet configuration, or a campaign's `gm`
+ * @param {boolean} gm - Whether these are the campaign GM's destinations
+ * @returns {Object[]} - Destinations ({ type, ref, ...channel settings })
+ */
+function getDestinations(sheetConfig, gm = false) {
+  const destinations = [];
+  if (sheetConfig.webhookUrl) {
+    const destination = { type: "discord", webhookUrl: sheetConfig.webhookUrl };
+    if (sheetConfig.statusBoard) {
+      destination.statusBoard = true;
+    }
+    if (sheetConfig.actionButtons) {
+      destination.actionButtons = true;
+    }
+    destinations.push(destination);
+  }
+  return destinations
+    .concat(sheetConfig.notifications || [])
+    .map((destination, index) => ({ ...destination, ref: { gm, index } }));
+}
+
+/**
+ * Look a queued delivery's destination up in the config again
+ * @param {Object[]} config - Sheet configurations
+ * @param {string} army - The army the delivery was queued for
+ * @param {Object} reference - The outbox entry's { type, gm, index }
+ * @returns {Object|null} - The destination, or null when it is no longer configured
+ */
+function findDestination(config, army, reference) {
+  const sheetConfig = config.find((candidate) => candidate.name === army);
+  const settings =
+    sheetConfig && reference.gm ? sheetConfig.campaign.gm : sheetConfig;
+  if (!settings || !Number.isInteger(reference.index)) {
+    return null;
+  }
+  const destination = getDestinations(settings, reference.gm)[reference.index];
+  return destination && destination.type === reference.type
+    ? destination
+    : null;
+}
+
+// Throw the failures of one notification: a single one as it is, several together
+function throwFailures(failures) {
+  if (failures.length === 1) {
+    throw failures[0];
+  }
+  if (failures.length > 1) {
+    throw new Error(
+      `${failures.length} notification channels failed: ${failures
+        .map((error) => error.message)
+        .join("; ")}`
+    );
+  }
+}
+
+/**
+ * Builds each notification once (src/domain/notifications.js) and delivers
+ * it to every destination of the army through the matching channel. A
+ * channel renders the message for its service (`render`) and sends it
+ * (`deliver`); a dry run previews the rendered payloads instead.
+ *
+ * With an outbox, a delivery that fails is queued instead of thrown, and
+ * `redeliverPending` sends it again on the next run. With status boards,
+ * supply reports edit one Discord message per army instead (`statusBoard`
+ * destinations).
+ */
+class Notifier {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Log (or write) payloads instead of sending them
+   * @param {string} options.outputDir - Directory for dry-run payload files
+   * @param {Outbox} options.outbox - Where failed deliveries are queued
+   * @param {StatusBoards} options.statusBoards - Message IDs of the status boards
+   */
+  constructor({
+    dryRun = false,
+    outputDir = null,
+    outbox = null,
+    statusBoards = null,
+  } = {}) {
+    this.dryRun = dryRun;
+    this.outputDir = outputDir;
+    this.outbox = outbox;
+    this.statusBoards = statusBoards;
+    this.dryRunCount = 0;
+    this.channels = new Map();
+  }
+
+  getChannel(type) {
+    if (!this.channels.has(type)) {
+      this.channels.set(type, new CHANNELS[type]());
+    }
+    return this.channels.get(type);
+  }
+
+  /**
+   * Deliver a message to every destination. One failing destination doesn't
+   * stop the others; failures that can't be queued in the outbox are thrown
+   * together afterwards.
+   * @param {Object[]} destinations - From getDestinations
+   * @param {Object} message - The message
+   * @param {string} army - The army it is about, kept with queued deliveries
+   *   (the message's `name` may be a display title such as "X (Resting)")
+   */
+  async send(destinations, message, army = message.name) {
+    const failures = [];
+    for (const destination of destinations) {
+      const channel = this.getChannel(destination.type);
+      try {
+        const payload = channel.render(message, destination);
+        if (this.dryRun) {
+          await this.preview(destination, channel, payload, message);
+        } else {
+          await channel.deliver(payload, destination);
+        }
+      } catch (error) {
+        if (!(await this.queue(destination, channel, message, error, army))) {
+          failures.push(error);
+        }
+      }
+    }
+
+    throwFailures(failures);
+  }
+
+  /**
+   * Deliver a supply report: status board destinations get their board
+   * edited, every other destination a new post
+   * @param {Object[]} destinations - From getDestinations
+   * @param {Object} message - The report's message
+   * @param {Object} report - The report (its `army` and `severity`)
+   */
+  async sendReport(destinations, message, report) {
+    const boards = this.statusBoards
+      ? destinations.filter(
+          (destination) =>
+            destination.type === "discord" && destination.statusBoard
+        )
+      : [];
+
+    const failures = [];
+    for (const destination of boards) {
+      try {
+        await this.updateStatusBoard(destination, message, report);
+      } catch (error) {
+        const channel = this.getChannel(destination.type);
+        if (
+          !(await this.queue(destination, channel, message, error, report.army))
+        ) {
+          failures.push(error);
+        }
+      }
+    }
+    try {
+      await this.send(
+        destinations.filter((destination) => !boards.includes(destination)),
+        message,
+        report.army
+      );
+    } catch (error) {
+      failures.push(error);
+    }
+    throwFailures(failures);
+  }
+
+  /**
+   * Edit an army's status board on a Discord webhook, posting it the first
+   * time (and again if the message was deleted). A short alert is posted
+   * beside it when the severity is worse than the board showed before.
+   * @param {Object} destination - A discord destination with `statusBoard`
+   * @param {Object} message - The report's message
+   * @param {Object} report - The report (its `army` and `severity`)
+   */
+  async updateStatusBoard(destination, message, { army, severity }) {
+    const channel = this.getChannel(destination.type);
+    // A board is a single message, so whatever exceeds Discord's limits is left off
+    const parts = splitDiscordPayload(channel.render(message, destination));
+    if (parts.length > 1) {
+      logger.warn(
+        `Status board for ${army} exceeds Discord's message limits - only the first of ${parts.length} parts is shown`
+      );
+    }
+    const key = this.statusBoards.getKey(army, destination.webhookUrl);
+    const board = await this.statusBoards.get(key);
+
+    if (this.dryRun) {
+      await this.preview(destination, channel, parts[0], message);
+    } else {
+      let messageId = board ? board.messageId : null;
+      if (messageId) {
+        try {
+          // An edit keeps fields it leaves out, so clear any earlier banner
+          await channel.editMessage(destination.webhookUrl, messageId, {
+            content: null,
+            ...parts[0],
+          });
+        } catch (error) {
+          if (error.code !== 404) {
+            throw error;
+          }
+          logger.warn(
+            `Status board message for ${army} no longer exists - posting a new one`
+          );
+          messageId = null;
+        }
+      }
+      if (!messageId) {
+        messageId = (
+          await channel.createMessage(destination.webhookUrl, parts[0])
+        ).id;
+      }
+      await this.statusBoards.set(key, {
+        messageId,
+        severity: severity.name,
+        level: severity.level,
+      });
+      logger.info(`Updated status board for ${army}`);
+    }
+
+    if (board && severity.level > board.level) {
+      await this.send(
+        [destination],
+        buildSeverityAlertMessage({
+          name: army,
+          previousSeverity: board.severity,
+          severity,
+          content: message.content,
+          mentions: message.mentions,
+          sheetUrl: message.sheetUrl,
+        }),
+        army
+      );
+    }
+  }
+
+  /**
+   * Keep a failed delivery in the outbox for the next run
+   * @param {Object} destination - Where it failed
+   * @param {Object} channel - The destination's channel
+   * @param {Object} message - The message
+   * @param {Error} error - Why it failed
+   * @param {string} army - The army it is about (matched against the config on redelivery)
+   * @returns {Promise<boolean>} - Whether the message was queued
+   */
+  async queue(destination, channel, message, error, army) {
+    if (!this.outbox || this.dryRun) {
+      return false;
+    }
+
+    const target = channel.describe(destination);
+    try {
+      await this.outbox.add({
+        army,
+        target,
+        destination: { type: destination.type, ...destination.ref },
+        message,
+        error,
+      });
+    } catch (queueError) {
+      logger.error(
+        `Failed to queue "${message.title}" in the outbox:`,
+        queueError
+      );
+      return false;
+    }
+    const remaining = error.deliveredParts
+      ? ` (after ${error.deliveredParts} of its posts went through)`
+      : "";
+    logger.warn(
+      `Delivery to ${target} failed (${error.message}) - "${message.title}" is queued for the next run${remaining}`
+    );
+    return true;
+  }
+
+  /**
+   * Send the outbox's queued messages again, marked as delayed, to their
+   * destinations as the config has them now. Delivered entries leave the
+   * outbox; an entry that fails its last allowed attempt, or whose
+   * destination is gone from the config, is removed too and returned, so
+   * the GM can be told.
+   * @param {number} maxAttempts - Delivery attempts (the first included) before an entry is given up
+   * @param {Object[]} config - Sheet configurations
+   * @returns {Promise<Object[]>} - The given-up outbox entries
+   */
+  async redeliverPending(maxAttempts, config) {
+    if (!this.outbox) {
+      return [];
+    }
+    const entries = await this.outbox.getEntries();
+    if (entries.length === 0) {
+      return [];
+    }
+    if (this.dryRun) {
+      logger.info(
+        `[dry run] ${entries.length} queued notification(s) would be redelivered`
+      );
+      return [];
+    }
+
+    logger.info(`Redelivering ${entries.length} queued notification(s)`);
+    const givenUp = [];
+    for (const entry of entries) {
+      const label = `"${entry.message.title}" to ${entry.target}`;
+      const destination = findDestination(
+        config,
+        entry.army,
+        entry.destination
+      );
+      if (!destination) {
+        logger.error(
+          `Giving up on ${label}: ${entry.army} no longer has that destination in the config`
+        );
+        await this.outbox.remove(entry.id);
+        givenUp.push({
+          ...entry,
+          lastError: "Destination no longer in the config",
+        });
+        continue;
+      }
+
+      try {
+        const channel = this.getChannel(destination.type);
+        // A split message whose first posts arrived is finished as it started
+        const skipParts = entry.deliveredParts || 0;
+        const message =
+          skipParts > 0
+            ? entry.message
+            : buildDelayedMessage(entry.message, entry.queuedAt);
+        await channel.deliver(
+          channel.render(message, destination),
+          destination,
+          { skipParts }
+        );
+      } catch (error) {
+        const updated = await this.outbox.recordFailure(entry.id, error);
+        if (updated.attempts >= maxAttempts) {
+          logger.error(
+            `Giving up on ${label} after ${updated.attempts} attempts: ${error.message}`
+          );
+          await this.outbox.remove(entry.id);
+          givenUp.push(updated);
+        } else {
+          logger.warn(
+            `Redelivery of ${label} failed (attempt ${updated.attempts}/${maxAttempts}): ${error.message}`
+          );
+        }
+        continue;
+      }
+
+      await this.outbox.remove(entry.id);
+      logger.info(`Redelivered ${label} for ${entry.army}`);
+    }
+    return givenUp;
+  }
+
+  async sendSupplyStatus({ destinations, ...report }) {
+    await this.sendReport(destinations, buildStatusMessage(report), report);
+    logger.info(`Sent supply status notification for ${report.name}`);
+  }
+
+  async sendZeroSupplies({ destinations, ...report }) {
+    await this.sendReport(
+      destinations,
+      buildZeroSuppliesMessage(report),
+      report
+    );
+    logger.info(`Sent zero supplies alert for ${report.name}`);
+  }
+
+  async sendCatchUpSummary({ destinations, ...report }) {
+    await this.sendReport(destinations, buildCatchUpMessage(report), report);
+    logger.info(`Sent catch-up summary notification for ${report.name}`);
+  }
+
+  async sendError({ destinations, ...details }) {
+    await this.send(
+      destinations,
+      buildErrorMessage(details),
+      details.sheetName
+    );
+    logger.info(`Sent error notification for ${details.sheetName}`);
+  }
+
+  async sendCorrection({ destinations, ...details }) {
+    await this.send(destinations, buildCorrectionMessage(details));
+    logger.info(`Sent correction notification for ${details.name}`);
+  }
+
+  async sendUndeliveredSummary({ destinations, entries, army }) {
+    await this.send(destinations, buildUndeliveredMessage(entries), army);
+    logger.info(
+      `Sent undelivered notifications summary (${entries.length}) to the GM`
+    );
+  }
+
+  async sendDigest({ destinations, army, ...details }) {
+    await this.send(destinations, buildDigestMessage(details), army);
+    logger.info(
+      `Sent GM digest (${details.entries.length} armies) for run ${details.runId}`
+    );
+  }
+
+  // Dry-run delivery: write the exact payload to a file, or print it to the log
+  async preview(destination, channel, payload, message) {
+    this.dryRunCount += 1;
+    const slug =
+      message.title
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "") || "message";
+
+    if (this.outputDir) {
+      // Discord payloads keep their original names; other channels are prefixed
+      const prefix =
+        destination.type === "discord" ? "" : `${destination.type}-`;
+      const fileName = `${String(this.dryRunCount).padStart(
+        3,
+        "0"
+      )}-${prefix}${slug}.json`;
+      const filePath = path.resolve(this.outputDir, fileName);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(
+        filePath,
+        JSON.stringify(payload, null, 2) + "\n",
+        "utf8"
+      );
+      logger.info(`[dry run] Wrote ${destination.type} payload to ${filePath}`);
+    } else {
+      // Stringified into the message so CI log sanitization still applies
+      logger.info(
+        `[dry run] Payload for ${channel.describe(
+          destination
+        )}:\n${JSON.stringify(payload, null, 2)}`
+      );
+    }
+  }
+}
+
+module.exports = { Notifier, NOTIFICATION_TYPES, getDestinations };
@@ -0,0 +1,111 @@
+const path = require("path");
+const crypto = require("crypto");
+const { logger } = require("../utils/logger");
+const { readStateFile, writeStateFile } = require("../utils/stateFile");
+
+const DEFAULT_OUTBOX_PATH = "./state/outbox.json";
+
+/**
+ * Keeps notifications that could not be delivered so the next run can send
+ * them again.
+ *
+ * An entry looks like
+ *   { id, army, target, destination, message, deliveredParts, queuedAt,
+ *     attempts, lastAttemptAt, lastError }
+ * where `message` is the channel-neutral message (src/domain/notifications.js),
+ * `target` the destination's log label and `destination` only names where it
+ * was going: { type, gm, index }, the destination's position in the army's
+ * (or, with `gm`, its campaign GM's) destinations. Webhook URLs, tokens and
+ * other channel settings stay out of the file; redelivery looks them up in
+ * the config again. `deliveredParts` counts the posts of a split Discord
+ * message that did go through, which redelivery skips.
+ */
+class Outbox {
+  constructor({ statePath } = {}) {
+    this.statePath = path.resolve(
+      statePath || process.env.OUTBOX_PATH || DEFAULT_OUTBOX_PATH
+    );
+    this.state = null;
+  }
+
+  async loadState() {
+    if (this.state) {
+      return this.state;
+    }
+
+    this.state = await readStateFile(this.statePath, "outbox");
+
+    if (!this.state.entries) {
+      this.state.entries = [];
+    }
+
+    return this.state;
+  }
+
+  async saveState() {
+    await writeStateFile(this.statePath, this.state);
+  }
+
+  /**
+   * Queue a message whose delivery just failed
+   * @param {Object} params - { army, target, destination ({ type, gm, index }), message, error }
+   */
+  async add({ army, target, destination, message, error }) {
+    const state = await this.loadState();
+    const now = new Date().toISOString();
+    state.entries.push({
+      id: crypto.randomUUID(),
+      army,
+      target,
+      destination,
+      message,
+      deliveredParts: error.deliveredParts || 0,
+      queuedAt: now,
+      attempts: 1,
+      lastAttemptAt: now,
+      lastError: error.message,
+    });
+    await this.saveState();
+  }
+
+  /**
+   * Queued entries, oldest first
+   * @returns {Promise<Object[]>}
+   */
+  async getEntries() {
+    const state = await this.loadState();
+    return state.entries.slice();
+  }
+
+  /**
+   * Count another failed attempt for an entry
+   * @param {string} id - The entry ID
+   * @param {Error} error - Why it failed
+   * @returns {Promise<Object>} - The updated entry
+   */
+  async recordFailure(id, error) {
+    const state = await this.loadState();
+    const entry = state.entries.find((candidate) => candidate.id === id);
+    entry.attempts += 1;
+    entry.lastAttemptAt = new Date().toISOString();
+    entry.lastError = error.message;
+    if (error.deliveredParts !== undefined) {
+      entry.deliveredParts = error.deliveredParts;
+    }
+    await this.saveState();
+    return entry;
+  }
+
+  /**
+   * Drop an entry that was delivered or given up
+   * @param {string} id - The entry ID
+   */
+  async remove(id) {
+    const state = await this.loadState();
+    state.entries = state.entries.filter((entry) => entry.id !== id);
+    await this.saveState();
+    logger.debug(`Removed ${id} from the outbox`);
+  }
+}
+
+module.exports = { Outbox };
@@ -0,0 +1,104 @@
+const path = require("path");
+const { logger } = require("../utils/logger");
+const { readStateFile, writeStateFile } = require("../utils/stateFile");
+
+const DEFAULT_HISTORY_PATH = "./state/run-history.json";
+// Older runs are dropped; undo is meant for recent mistakes
+const MAX_RECORDED_RUNS = 30;
+
+/**
+ * Keeps, per run, what was written for each army (every cell's value before
+ * and after) so `npm run undo` can put a bad tick back.
+ *
+ * A run record looks like
+ *   { runId, startedAt, armies: [{ key, name, sheetId, sheetName,
+ *     campaignDate, previousLedgerDate, writes: [{ cell, sheetName, before,
+ *     after }], revertedAt }] }
+ * where `key` is the army's RunLedger key.
+ */
+class RunHistory {
+  constructor({ statePath } = {}) {
+    this.statePath = path.resolve(
+      statePath || process.env.RUN_HISTORY_PATH || DEFAULT_HISTORY_PATH
+    );
+    this.state = null;
+  }
+
+  async loadState() {
+    if (this.state) {
+      return this.state;
+    }
+
+    this.state = await readStateFile(this.statePath, "run history");
+
+    if (!this.state.runs) {
+      this.state.runs = [];
+    }
+
+    return this.state;
+  }
+
+  async saveState() {
+    await writeStateFile(this.statePath, this.state);
+  }
+
+  /**
+   * Record what a run wrote
+   * @param {Object} run - { runId, startedAt, armies }
+   */
+  async recordRun(run) {
+    if (run.armies.length === 0) {
+      return;
+    }
+
+    const state = await this.loadState();
+    state.runs.push(run);
+    state.runs = state.runs.slice(-MAX_RECORDED_RUNS);
+    await this.saveState();
+
+    logger.info(
+      `Recorded run ${run.runId} (${run.armies.length} armies) in run history`
+    );
+  }
+
+  /**
+   * Find a run to undo: the given run, or the latest one with anything left to revert
+   * @param {string|null} runId - The run ID, or null for the latest run
+   * @param {string|null} armyName - Only consider runs that processed this army
+   * @returns {Promise<Object|null>} - The run record, or null when none matches
+   */
+  async findRun(runId = null, armyName = null) {
+    const state = await this.loadState();
+    const candidates = state.runs.filter((run) => {
+      if (runId) {
+        return run.runId === runId;
+      }
+      return run.armies.some(
+        (army) => !army.revertedAt && (!armyName || army.name === armyName)
+      );
+    });
+    return candidates.length > 0 ? candidates[candidates.length - 1] : null;
+  }
+
+  /**
+   * Mark armies of a run as reverted so they aren't undone twice
+   * @param {string} runId - The run ID
+   * @param {string[]} keys - RunLedger keys of the reverted armies
+   */
+  async markReverted(runId, keys) {
+    const state = await this.loadState();
+    const revertedAt = new Date().toISOString();
+    state.runs
+      .filter((run) => run.runId === runId)
+      .forEach((run) =>
+        run.armies
+          .filter((army) => keys.includes(army.key))
+          .forEach((army) => {
+            army.revertedAt = revertedAt;
+          })
+      );
+    await this.saveState();
+  }
+}
+
+module.exports = { RunHistory };
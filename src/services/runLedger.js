@@ -0,0 +1,158 @@
+const path = require("path");
+const { logger } = require("../utils/logger");
+const { readStateFile, writeStateFile } = require("../utils/stateFile");
+
+const DEFAULT_LEDGER_PATH = "./state/run-ledger.json";
+
+/**
+ * Records, per army, the campaign date whose consumption has already been
+ * applied so a rerun of the monitor never deducts the same day twice.
+ *
+ * Armies with a `lastProcessedDateCell` keep their ledger entry in the sheet
+ * itself; all others share a local JSON state file.
+ */
+class RunLedger {
+  constructor({ dataSources, statePath } = {}) {
+    this.dataSources = dataSources;
+    this.statePath = path.resolve(
+      statePath || process.env.RUN_LEDGER_PATH || DEFAULT_LEDGER_PATH
+    );
+    this.state = null;
+  }
+
+  /**
+   * Key used for an army in the local state file. Based on the supplies cell
+   * rather than the display name so renaming an army keeps its history.
+   * @param {Object} sheetConfig - The sheet configuration
+   * @returns {string}
+   */
+  getKey(sheetConfig) {
+    return [
+      sheetConfig.sheetId,
+      sheetConfig.sheetName || "",
+      sheetConfig.currentSuppliesCell,
+    ].join("!");
+  }
+
+  async loadState() {
+    if (this.state) {
+      return this.state;
+    }
+
+    this.state = await readStateFile(this.statePath, "run ledger");
+
+    if (!this.state.armies) {
+      this.state.armies = {};
+    }
+
+    return this.state;
+  }
+
+  async saveState() {
+    await writeStateFile(this.statePath, this.state);
+  }
+
+  /**
+   * Get the last campaign date already applied for an army
+   * @param {Object} sheetConfig - The sheet configuration
+   * @param {Object} cellValues - Values from the army's batch read (used when the ledger lives in the sheet)
+   * @returns {string|null} - The date (yyyy-MM-dd) or null if never processed
+   */
+  async getLastProcessedDate(sheetConfig, cellValues = {}) {
+    if (sheetConfig.lastProcessedDateCell) {
+      const value = cellValues[sheetConfig.lastProcessedDateCell];
+      if (value === null || value === undefined || value === "") {
+        return null;
+      }
+      return String(value).trim();
+    }
+
+    const state = await this.loadState();
+    const entry = state.armies[this.getKey(sheetConfig)];
+    return entry ? entry.lastProcessedDate : null;
+  }
+
+  /**
+   * The sheet write recording a processed date, for callers that batch their writes
+   * @param {Object} sheetConfig - The sheet configuration
+   * @param {string} campaignDate - The date (yyyy-MM-dd) being processed
+   * @param {string|null} previousDate - The date the cell held before (kept for undo)
+   * @returns {Object|null} - { cell, value, previous, sheetName }, or null when the ledger lives in the state file
+   */
+  getSheetWrite(sheetConfig, campaignDate, previousDate = null) {
+    if (!sheetConfig.lastProcessedDateCell) {
+      return null;
+    }
+    return {
+      cell: sheetConfig.lastProcessedDateCell,
+      value: campaignDate,
+      previous: previousDate || "",
+      sheetName: sheetConfig.sheetName,
+    };
+  }
+
+  /**
+   * Record that an army's consumption for a campaign date has been applied
+   * @param {Object} sheetConfig - The sheet configuration
+   * @param {string} campaignDate - The date (yyyy-MM-dd) just processed
+   * @param {Object} options
+   * @param {boolean} options.writtenToSheet - The caller already wrote getSheetWrite's cell
+   */
+  async markProcessed(
+    sheetConfig,
+    campaignDate,
+    { writtenToSheet = false } = {}
+  ) {
+    if (sheetConfig.lastProcessedDateCell) {
+      if (!writtenToSheet) {
+        await this.dataSources
+          .forSheet(sheetConfig)
+          .updateCellValue(
+            sheetConfig.sheetId,
+            sheetConfig.lastProcessedDateCell,
+            campaignDate,
+            sheetConfig.sheetName
+          );
+      }
+    } else {
+      const state = await this.loadState();
+      state.armies[this.getKey(sheetConfig)] = {
+        name: sheetConfig.name,
+        lastProcessedDate: campaignDate,
+        updatedAt: new Date().toISOString(),
+      };
+      await this.saveState();
+    }
+
+    logger.info(
+      `Recorded ${campaignDate} as processed for ${sheetConfig.name}`
+    );
+  }
+
+  /**
+   * Put an army's state-file entry back to an earlier date when a run is undone.
+   * Sheet ledger cells are restored together with the army's other cells instead.
+   * @param {Object} sheetConfig - The sheet configuration
+   * @param {string|null} date - The date to restore, or null when the army had no entry
+   */
+  async restoreLastProcessedDate(sheetConfig, date) {
+    const state = await this.loadState();
+    const key = this.getKey(sheetConfig);
+    if (date) {
+      state.armies[key] = {
+        name: sheetConfig.name,
+        lastProcessedDate: date,
+        updatedAt: new Date().toISOString(),
+      };
+    } else {
+      delete state.armies[key];
+    }
+    await this.saveState();
+
+    logger.info(
+      `Restored ${sheetConfig.name}'s last processed date to ${date || "none"}`
+    );
+  }
+}
+
+module.exports = { RunLedger };
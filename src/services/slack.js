@@ -0,0 +1,41 @@
+const { sendJson } = require("../utils/http");
+const { toSlackMarkdown } = require("../utils/markdown");
+const {
+  getMessageBody,
+  getMessageColorHex,
+} = require("../domain/notifications");
+
+/**
+ * Delivers notifications to a Slack incoming webhook: the message content as
+ * the post's text and the report as a coloured attachment.
+ * Destination: { type: "slack", webhookUrl }
+ */
+class SlackChannel {
+  // Webhook URLs contain a token, so logs only show the host
+  describe(destination) {
+    return `Slack webhook (${new URL(destination.webhookUrl).hostname})`;
+  }
+
+  render(message) {
+    return {
+      text: toSlackMarkdown(message.content || message.title),
+      attachments: [
+        {
+          color: getMessageColorHex(message),
+          title: toSlackMarkdown(message.title),
+          text: toSlackMarkdown(getMessageBody(message)),
+          mrkdwn_in: ["text"],
+          ts: Math.floor(Date.now() / 1000),
+        },
+      ],
+    };
+  }
+
+  async deliver(payload, destination) {
+    return sendJson("Slack webhook", destination.webhookUrl, {
+      body: payload,
+    });
+  }
+}
+
+module.exports = { SlackChannel };
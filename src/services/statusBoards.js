@@ -0,0 +1,76 @@
+const path = require("path");
+const crypto = require("crypto");
+const { readStateFile, writeStateFile } = require("../utils/stateFile");
+
+const DEFAULT_STATUS_BOARD_PATH = "./state/status-boards.json";
+
+/**
+ * Remembers each army's status board: the Discord message that later runs
+ * edit instead of posting a new status, and the severity it last showed.
+ *
+ * Boards are keyed by army name and a hash of the webhook URL (thread
+ * included), so the file holds no webhook tokens:
+ *   { boards: { "<army>|<hash>": { messageId, severity, level, updatedAt } } }
+ */
+class StatusBoards {
+  constructor({ statePath } = {}) {
+    this.statePath = path.resolve(
+      statePath || process.env.STATUS_BOARD_PATH || DEFAULT_STATUS_BOARD_PATH
+    );
+    this.state = null;
+  }
+
+  /**
+   * Key of an army's board on one webhook
+   * @param {string} army - The army name
+   * @param {string} webhookUrl - The webhook URL
+   * @returns {string}
+   */
+  getKey(army, webhookUrl) {
+    const hash = crypto
+      .createHash("sha256")
+      .update(webhookUrl)
+      .digest("hex")
+      .slice(0, 16);
+    return `${army}|${hash}`;
+  }
+
+  async loadState() {
+    if (this.state) {
+      return this.state;
+    }
+
+    this.state = await readStateFile(this.statePath, "status boards");
+
+    if (!this.state.boards) {
+      this.state.boards = {};
+    }
+
+    return this.state;
+  }
+
+  async saveState() {
+    await writeStateFile(this.statePath, this.state);
+  }
+
+  /**
+   * @param {string} key - From getKey
+   * @returns {Promise<Object|null>} - { messageId, severity, level, updatedAt }, or null before the first post
+   */
+  async get(key) {
+    const state = await this.loadState();
+    return state.boards[key] || null;
+  }
+
+  /**
+   * @param {string} key - From getKey
+   * @param {Object} board - { messageId, severity, level }
+   */
+  async set(key, board) {
+    const state = await this.loadState();
+    state.boards[key] = { ...board, updatedAt: new Date().toISOString() };
+    await this.saveState();
+  }
+}
+
+module.exports = { StatusBoards };
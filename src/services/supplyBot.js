@@ -0,0 +1,191 @@
+const {
+  Client,
+  Events,
+  GatewayIntentBits,
+  MessageFlags,
+} = require("discord.js");
+const { logger } = require("../utils/logger");
+const { DiscordChannel } = require("./discord");
+const { CommandError } = require("./supplyCommands");
+
+// Discord shows at most 25 autocomplete suggestions
+const MAX_SUGGESTIONS = 25;
+
+/**
+ * The member behind an interaction, for access checks
+ * @param {Object} interaction - Any interaction
+ * @returns {Object} - { userId, roleIds }
+ */
+function getMember(interaction) {
+  const roles = interaction.member ? interaction.member.roles : null;
+  let roleIds = [];
+  if (Array.isArray(roles)) {
+    roleIds = roles;
+  } else if (roles && roles.cache) {
+    roleIds = Array.from(roles.cache.keys());
+  }
+  return { userId: interaction.user.id, roleIds };
+}
+
+/**
+ * Optional Discord bot answering slash commands (`npm run bot`). It logs in
+ * with DISCORD_BOT_TOKEN, registers its commands (in DISCORD_GUILD_ID only,
+ * when set, so changes show up at once) and routes each interaction to its
+ * command: `authorize` checks the member may use it and picks what it acts
+ * on, then `execute` does the work and returns a message, rendered like a
+ * Discord notification. Clicks on alert buttons go the same way through the
+ * command named in the button's custom ID (`authorizeButton` /
+ * `executeButton`).
+ */
+class SupplyBot {
+  /**
+   * @param {Object} options
+   * @param {Object[]} options.commands - Command handlers ({ name, getDefinition, getArmies, authorize, execute, and optionally authorizeButton, executeButton })
+   * @param {string} options.token - Bot token (DISCORD_BOT_TOKEN)
+   * @param {string|null} options.guildId - Guild to register the commands in (DISCORD_GUILD_ID)
+   */
+  constructor({
+    commands,
+    token = process.env.DISCORD_BOT_TOKEN,
+    guildId = process.env.DISCORD_GUILD_ID || null,
+  }) {
+    this.commands = new Map(commands.map((command) => [command.name, command]));
+    this.token = token;
+    this.guildId = guildId;
+    this.renderer = new DiscordChannel();
+    this.client = null;
+  }
+
+  async start() {
+    if (!this.token) {
+      throw new Error("DISCORD_BOT_TOKEN is not set; the bot needs a token");
+    }
+
+    this.client = new Client({ intents: [GatewayIntentBits.Guilds] });
+    this.client.once(Events.ClientReady, (client) =>
+      this.registerCommands(client).catch((error) =>
+        logger.error("Failed to register slash commands:", error)
+      )
+    );
+    this.client.on(Events.InteractionCreate, (interaction) =>
+      this.handleInteraction(interaction).catch((error) =>
+        logger.error("Failed to handle interaction:", error)
+      )
+    );
+    await this.client.login(this.token);
+  }
+
+  async stop() {
+    if (this.client) {
+      await this.client.destroy();
+      this.client = null;
+    }
+  }
+
+  async registerCommands(client) {
+    const definitions = Array.from(this.commands.values()).map((command) =>
+      command.getDefinition()
+    );
+    await client.application.commands.set(
+      definitions,
+      this.guildId || undefined
+    );
+    logger.info(
+      `Logged in as ${client.user.tag}; registered /${Array.from(
+        this.commands.keys()
+      ).join(", /")} ${this.guildId ? "in the configured guild" : "globally"}`
+    );
+  }
+
+  async handleInteraction(interaction) {
+    if (interaction.isButton()) {
+      await this.handleButton(interaction);
+      return;
+    }
+    const command = this.commands.get(interaction.commandName);
+    if (!command) {
+      return;
+    }
+    if (interaction.isAutocomplete()) {
+      await this.suggestArmies(interaction, command);
+      return;
+    }
+    if (!interaction.isChatInputCommand()) {
+      return;
+    }
+
+    await this.respond(
+      interaction,
+      `/${interaction.commandName}`,
+      (member) => command.authorize(interaction, member),
+      (target) => command.execute(interaction, target)
+    );
+  }
+
+  // Alert buttons' custom IDs start with the name of the command that answers them
+  async handleButton(interaction) {
+    const command = this.commands.get(interaction.customId.split(":")[0]);
+    if (!command || !command.authorizeButton) {
+      return;
+    }
+    await this.respond(
+      interaction,
+      `Button ${interaction.customId}`,
+      (member) => command.authorizeButton(interaction, member),
+      (target) => command.executeButton(interaction, target)
+    );
+  }
+
+  /**
+   * Authorize an interaction, then answer it with the message it produces.
+   * A refusal is shown only to the member; the answer to the whole channel.
+   * @param {Object} interaction - A command or button interaction
+   * @param {string} label - What was used, for the log
+   * @param {Function} authorize - (member) => target; throws CommandError to refuse
+   * @param {Function} execute - async (target) => message
+   */
+  async respond(interaction, label, authorize, execute) {
+    let target;
+    try {
+      target = authorize(getMember(interaction));
+    } catch (error) {
+      if (!(error instanceof CommandError)) {
+        throw error;
+      }
+      await interaction.reply({
+        content: `❌ ${error.message}`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    // Sheet reads can take longer than the 3 seconds Discord waits for a reply
+    await interaction.deferReply();
+    try {
+      const message = await execute(target);
+      await interaction.editReply({
+        ...this.renderer.render(message),
+        allowedMentions: { parse: [] },
+      });
+    } catch (error) {
+      logger.error(`${label} failed:`, error);
+      await interaction.editReply({ content: `❌ ${error.message}` });
+    }
+  }
+
+  // Suggest the armies the member may act on that match what they typed
+  async suggestArmies(interaction, command) {
+    const typed = interaction.options.getFocused().toLowerCase();
+    const suggestions = command
+      .getArmies(getMember(interaction))
+      .filter((sheetConfig) => sheetConfig.name.toLowerCase().includes(typed))
+      .slice(0, MAX_SUGGESTIONS)
+      .map((sheetConfig) => ({
+        name: sheetConfig.name,
+        value: sheetConfig.name,
+      }));
+    await interaction.respond(suggestions);
+  }
+}
+
+module.exports = { SupplyBot, getMember };
@@ -0,0 +1,355 @@
+const { SlashCommandBuilder } = require("discord.js");
+const { getSheetUrl } = require("./dataSources");
+const { logger } = require("../utils/logger");
+const { getCampaignDate } = require("../utils/campaignDate");
+const { computeSupplyTick, getTickCells } = require("../domain/supplyTick");
+const { forecastSupplies } = require("../domain/forecast");
+const { getArmiesFor, resolveArmy } = require("../domain/access");
+const {
+  ALERT_FORECAST_DAYS,
+  parseActionId,
+} = require("../domain/alertActions");
+const {
+  buildStatusMessage,
+  buildForecastMessage,
+  buildRestingChangedMessage,
+  buildResupplyRequestMessage,
+} = require("../domain/notifications");
+const { DISCORD_LIMITS, truncate } = require("../utils/discordLimits");
+
+const MAX_FORECAST_DAYS = 60;
+
+/**
+ * A problem with how a command was used (unknown army, no permission, ...),
+ * shown only to the member who ran it
+ */
+class CommandError extends Error {}
+
+// The campaign's date right now, for replies
+function getToday(campaign) {
+  return getCampaignDate(
+    new Date(),
+    campaign.timezone,
+    campaign.dayRolloverHour
+  );
+}
+
+/**
+ * Read an army's cells and work out its figures without applying a day
+ * @param {DataSources} dataSources - Data source registry
+ * @param {Object} sheetConfig - The sheet configuration
+ * @returns {Promise<Object>} - { tick, locale, campaignDate }
+ */
+async function readArmy(dataSources, sheetConfig) {
+  const source = dataSources.forSheet(sheetConfig);
+  const [cellValues] = await source.getCellValuesForArmies(
+    sheetConfig.sheetId,
+    [{ sheetName: sheetConfig.sheetName, cells: getTickCells(sheetConfig) }]
+  );
+  const locale =
+    sheetConfig.locale ||
+    (await source.getSpreadsheetLocale(sheetConfig.sheetId));
+
+  return {
+    tick: computeSupplyTick({ sheetConfig, cellValues, dates: [], locale }),
+    locale,
+    campaignDate: getToday(sheetConfig.campaign),
+  };
+}
+
+/**
+ * The `/supply` slash command for players and GMs:
+ *   /supply status [army]          Current supplies, as in the daily report
+ *   /supply rest <on|off> [army]   Set the army's resting cell
+ *   /supply forecast <days> [army] Supplies for each of the coming days
+ * `army` may be left out by members who play a single army. The same
+ * handler answers the buttons under supply alerts: rest tomorrow, request a
+ * resupply (a ticket thread for the GM) and a 7-day forecast.
+ */
+class SupplyCommands {
+  /**
+   * @param {Object} options
+   * @param {Object[]} options.config - Sheet configurations
+   * @param {DataSources} options.dataSources - Data source registry
+   */
+  constructor({ config, dataSources }) {
+    this.config = config;
+    this.dataSources = dataSources;
+    this.name = "supply";
+  }
+
+  getDefinition() {
+    const addArmyOption = (subcommand) =>
+      subcommand.addStringOption((option) =>
+        option
+          .setName("army")
+          .setDescription("The army (only needed if you have several)")
+          .setAutocomplete(true)
+      );
+
+    return new SlashCommandBuilder()
+      .setName(this.name)
+      .setDescription("Army supplies")
+      .addSubcommand((subcommand) =>
+        addArmyOption(
+          subcommand
+            .setName("status")
+            .setDescription("Show the army's current supplies")
+        )
+      )
+      .addSubcommand((subcommand) =>
+        addArmyOption(
+          subcommand
+            .setName("rest")
+            .setDescription("Set the army to resting or marching")
+            .addStringOption((option) =>
+              option
+                .setName("state")
+                .setDescription("on: resting, off: marching")
+                .setRequired(true)
+                .addChoices(
+                  { name: "on", value: "on" },
+                  { name: "off", value: "off" }
+                )
+            )
+        )
+      )
+      .addSubcommand((subcommand) =>
+        addArmyOption(
+          subcommand
+            .setName("forecast")
+            .setDescription("Project supplies over the coming days")
+            .addIntegerOption((option) =>
+              option
+                .setName("days")
+                .setDescription("Days to project")
+                .setRequired(true)
+                .setMinValue(1)
+                .setMaxValue(MAX_FORECAST_DAYS)
+            )
+        )
+      )
+      .toJSON();
+  }
+
+  /**
+   * Armies to suggest to a member in the army option
+   * @param {Object} member - { userId, roleIds }
+   * @returns {Object[]}
+   */
+  getArmies(member) {
+    return getArmiesFor(member, this.config);
+  }
+
+  /**
+   * Check a command before anything is read: the army must exist and the
+   * member must play it or be its GM
+   * @param {Object} interaction - The chat input interaction
+   * @param {Object} member - { userId, roleIds }
+   * @returns {Object} - The army's sheet configuration
+   */
+  authorize(interaction, member) {
+    const { army, error } = resolveArmy(
+      member,
+      this.config,
+      interaction.options.getString("army")
+    );
+    if (error) {
+      throw new CommandError(error);
+    }
+    if (
+      interaction.options.getSubcommand() === "rest" &&
+      !army.restingStatusCell
+    ) {
+      throw new CommandError(`${army.name} has no restingStatusCell to set`);
+    }
+    return army;
+  }
+
+  /**
+   * Check a click on an alert button (src/domain/alertActions.js) like a
+   * command: the army must exist and the member must play it or be its GM
+   * @param {Object} interaction - The button interaction
+   * @param {Object} member - { userId, roleIds }
+   * @returns {Object} - { action, army (its sheet configuration) }
+   */
+  authorizeButton(interaction, member) {
+    const parsed = parseActionId(interaction.customId);
+    if (!parsed) {
+      throw new CommandError("This button is no longer supported");
+    }
+    const { army, error } = resolveArmy(member, this.config, parsed.army);
+    if (error) {
+      throw new CommandError(error);
+    }
+    if (parsed.action === "rest" && !army.restingStatusCell) {
+      throw new CommandError(`${army.name} has no restingStatusCell to set`);
+    }
+    if (parsed.action === "resupply" && interaction.message.hasThread) {
+      throw new CommandError(
+        `A resupply request for this alert is already open: <#${interaction.message.thread.id}>`
+      );
+    }
+    return { action: parsed.action, army };
+  }
+
+  /**
+   * Answer an authorized alert button
+   * @param {Object} interaction - The button interaction
+   * @param {Object} target - { action, army } from authorizeButton
+   * @returns {Promise<Object>} - The reply message (src/domain/notifications.js)
+   */
+  async executeButton(interaction, { action, army }) {
+    switch (action) {
+      case "rest":
+        return this.setResting(army, true, interaction.user);
+      case "resupply":
+        return this.requestResupply(army, interaction);
+      case "forecast":
+        return this.getForecast(army, ALERT_FORECAST_DAYS);
+      default:
+        throw new CommandError("Unknown action");
+    }
+  }
+
+  /**
+   * Run an authorized command
+   * @param {Object} interaction - The chat input interaction
+   * @param {Object} sheetConfig - The army, from authorize
+   * @returns {Promise<Object>} - The reply message (src/domain/notifications.js)
+   */
+  async execute(interaction, sheetConfig) {
+    switch (interaction.options.getSubcommand()) {
+      case "status":
+        return this.getStatus(sheetConfig);
+      case "rest":
+        return this.setResting(
+          sheetConfig,
+          interaction.options.getString("state") === "on",
+          interaction.user
+        );
+      case "forecast":
+        return this.getForecast(
+          sheetConfig,
+          interaction.options.getInteger("days")
+        );
+      default:
+        throw new CommandError("Unknown subcommand");
+    }
+  }
+
+  async getStatus(sheetConfig) {
+    const { tick, locale, campaignDate } = await readArmy(
+      this.dataSources,
+      sheetConfig
+    );
+    return buildStatusMessage({
+      name: sheetConfig.name + (tick.isResting ? " (Resting)" : ""),
+      currentSupplies: tick.currentSupplies,
+      dailyConsumption: tick.dailyConsumption,
+      daysRemaining: tick.daysRemaining,
+      totalCarried: tick.totalCarried,
+      carryingCapacity: tick.carryingCapacity,
+      overCapacity: tick.overCapacity,
+      capacityPercent: tick.capacityPercent,
+      severity: tick.severity,
+      consumptionBreakdown: tick.consumptionBreakdown,
+      metrics: tick.metrics,
+      sheetUrl: getSheetUrl(sheetConfig),
+      locale,
+      campaignDate,
+      campaign: sheetConfig.campaign,
+    });
+  }
+
+  async setResting(sheetConfig, resting, user) {
+    const source = this.dataSources.forSheet(sheetConfig);
+    await source.updateCellValue(
+      sheetConfig.sheetId,
+      sheetConfig.restingStatusCell,
+      resting,
+      sheetConfig.sheetName
+    );
+    logger.info(
+      `${user.tag} set ${sheetConfig.name} to ${
+        resting ? "resting" : "marching"
+      }`
+    );
+
+    return buildRestingChangedMessage({
+      name: sheetConfig.name,
+      resting,
+      changedBy: `<@${user.id}>`,
+      sheetUrl: getSheetUrl(sheetConfig),
+      campaignDate: getToday(sheetConfig.campaign),
+      campaign: sheetConfig.campaign,
+    });
+  }
+
+  // Open a ticket thread on the alert (or use the thread it was posted in)
+  // and ping the campaign's GM there
+  async requestResupply(sheetConfig, interaction) {
+    const { user, channel, message } = interaction;
+    const gm = sheetConfig.campaign.gm || {};
+    const userIds = gm.userIds || [];
+    const roleIds = gm.roleIds || [];
+    const thread =
+      channel && channel.isThread()
+        ? channel
+        : await message.startThread({
+            name: truncate(
+              `🎫 Resupply: ${sheetConfig.name}`,
+              DISCORD_LIMITS.threadName
+            ),
+          });
+
+    const mentions = userIds
+      .map((id) => `<@${id}>`)
+      .concat(roleIds.map((id) => `<@&${id}>`));
+    await thread.send({
+      content: [
+        `🎫 <@${user.id}> requests a resupply for **${sheetConfig.name}**.`,
+        mentions.length > 0
+          ? `GM: ${mentions.join(" ")}`
+          : "No GM is configured for this campaign.",
+        `Alert: ${message.url}`,
+      ].join("\n"),
+      allowedMentions: { users: userIds, roles: roleIds },
+    });
+    logger.info(`${user.tag} requested a resupply for ${sheetConfig.name}`);
+
+    return buildResupplyRequestMessage({
+      name: sheetConfig.name,
+      requestedBy: `<@${user.id}>`,
+      threadId: thread.id,
+      sheetUrl: getSheetUrl(sheetConfig),
+      campaignDate: getToday(sheetConfig.campaign),
+      campaign: sheetConfig.campaign,
+    });
+  }
+
+  async getForecast(sheetConfig, days) {
+    const { tick, locale, campaignDate } = await readArmy(
+      this.dataSources,
+      sheetConfig
+    );
+    return buildForecastMessage({
+      name: sheetConfig.name,
+      currentSupplies: tick.currentSupplies,
+      dailyConsumption: tick.dailyConsumption,
+      isResting: tick.isResting,
+      forecast: forecastSupplies({
+        currentSupplies: tick.currentSupplies,
+        dailyConsumption: tick.dailyConsumption,
+        campaignDate,
+        days,
+      }),
+      sheetUrl: getSheetUrl(sheetConfig),
+      locale,
+      campaignDate,
+      campaign: sheetConfig.campaign,
+    });
+  }
+}
+
+module.exports = { SupplyCommands, CommandError, readArmy };
@@ -0,0 +1,61 @@
+const {
+  addDays,
+  differenceInCalendarDays,
+  format,
+  parseISO,
+} = require("date-fns");
+const { formatInTimeZone } = require("date-fns-tz");
+
+const DEFAULT_TIMEZONE = "America/New_York";
+const DEFAULT_DAY_ROLLOVER_HOUR = 0;
+
+/**
+ * Get the campaign date (yyyy-MM-dd) a run belongs to
+ * @param {Date} now - The moment to resolve (defaults to the current time)
+ * @param {string} timeZone - IANA timezone the campaign day is counted in
+ * @param {number} dayRolloverHour - Local hour (0-23) the campaign day starts at; earlier runs count towards the previous day
+ * @returns {string} - The campaign date, e.g. "2025-08-13"
+ */
+function getCampaignDate(
+  now = new Date(),
+  timeZone = DEFAULT_TIMEZONE,
+  dayRolloverHour = DEFAULT_DAY_ROLLOVER_HOUR
+) {
+  const shifted = new Date(now.getTime() - dayRolloverHour * 60 * 60 * 1000);
+  return formatInTimeZone(shifted, timeZone, "yyyy-MM-dd");
+}
+
+/**
+ * Work out which campaign dates still need their consumption applied
+ * @param {string|null} lastProcessedDate - Last date applied (yyyy-MM-dd), or null if never processed
+ * @param {string} campaignDate - The date of this run (yyyy-MM-dd)
+ * @param {number} maxDays - Upper bound on the number of days applied in one run
+ * @returns {{dates: string[], skippedDays: number}} - Dates to apply in order, and how many older missed days were left out by the limit
+ */
+function getDatesToApply(lastProcessedDate, campaignDate, maxDays) {
+  const today = parseISO(campaignDate);
+  const missedDays = lastProcessedDate
+    ? differenceInCalendarDays(today, parseISO(lastProcessedDate))
+    : 1;
+
+  if (isNaN(missedDays)) {
+    throw new Error(
+      `Invalid last processed date "${lastProcessedDate}" - expected yyyy-MM-dd`
+    );
+  }
+
+  const daysToApply = Math.max(0, Math.min(missedDays, maxDays));
+  const dates = [];
+  for (let offset = daysToApply - 1; offset >= 0; offset--) {
+    dates.push(format(addDays(today, -offset), "yyyy-MM-dd"));
+  }
+
+  return { dates, skippedDays: Math.max(0, missedDays - daysToApply) };
+}
+
+module.exports = {
+  getCampaignDate,
+  getDatesToApply,
+  DEFAULT_TIMEZONE,
+  DEFAULT_DAY_ROLLOVER_HOUR,
+};
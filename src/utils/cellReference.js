@@ -0,0 +1,149 @@
+/**
+ * Cell references accepted in sheet configuration:
+ *   - "B2"                 a cell on the army's `sheetName` tab (or the first tab)
+ *   - "'Troops'!C4"        a cell on another tab (quotes optional for simple names)
+ *   - "ArmySupplies"       a named range defined in the spreadsheet
+ */
+
+const CELL_ADDRESS_PATTERN = /^[A-Z]+[1-9][0-9]*$/;
+const QUOTED_SHEET_PATTERN = /^'((?:[^']|'')+)'!(.+)$/;
+const UNQUOTED_SHEET_PATTERN = /^([A-Za-z0-9_]+)!(.+)$/;
+const NAMED_RANGE_PATTERN = /^[A-Za-z_][A-Za-z0-9_.]*$/;
+
+/**
+ * Parse a configured cell reference
+ * @param {string} reference - The reference from config
+ * @returns {Object|null} - { type: "cell", sheetName, address } or { type: "namedRange", name }, null if invalid
+ */
+function parseCellReference(reference) {
+  if (typeof reference !== "string") {
+    return null;
+  }
+
+  const trimmed = reference.trim();
+  if (CELL_ADDRESS_PATTERN.test(trimmed)) {
+    return { type: "cell", sheetName: null, address: trimmed };
+  }
+
+  const qualified =
+    trimmed.match(QUOTED_SHEET_PATTERN) ||
+    trimmed.match(UNQUOTED_SHEET_PATTERN);
+  if (qualified) {
+    const address = qualified[2];
+    if (!CELL_ADDRESS_PATTERN.test(address)) {
+      return null;
+    }
+    return {
+      type: "cell",
+      sheetName: qualified[1].replace(/''/g, "'"),
+      address,
+    };
+  }
+
+  if (NAMED_RANGE_PATTERN.test(trimmed)) {
+    return { type: "namedRange", name: trimmed };
+  }
+
+  return null;
+}
+
+function isValidCellReference(reference) {
+  return parseCellReference(reference) !== null;
+}
+
+function quoteSheetName(sheetName) {
+  return `'${sheetName.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Build the A1 range the Sheets API expects for a reference
+ * @param {string} reference - The reference from config
+ * @param {string} defaultSheetTitle - Tab used for bare cell addresses
+ * @returns {string} - e.g. "'Main Army'!B2", "'Troops'!C4" or "ArmySupplies"
+ */
+function toA1Range(reference, defaultSheetTitle) {
+  const parsed = parseCellReference(reference);
+  if (!parsed) {
+    throw new Error(`Invalid cell reference: "${reference}"`);
+  }
+  if (parsed.type === "namedRange") {
+    return parsed.name;
+  }
+  return `${quoteSheetName(parsed.sheetName || defaultSheetTitle)}!${
+    parsed.address
+  }`;
+}
+
+/**
+ * Position of an A1 address in a grid
+ * @param {string} address - e.g. "B12"
+ * @returns {{row: number, column: number}} - Zero-based row and column
+ */
+function parseA1Address(address) {
+  const match = address.match(/^([A-Z]+)([1-9][0-9]*)$/);
+  if (!match) {
+    throw new Error(`Invalid cell address: "${address}"`);
+  }
+  const column = match[1]
+    .split("")
+    .reduce((total, letter) => total * 26 + letter.charCodeAt(0) - 64, 0);
+  return { row: Number(match[2]) - 1, column: column - 1 };
+}
+
+/**
+ * A1 address of a grid position
+ * @param {number} row - Zero-based row
+ * @param {number} column - Zero-based column
+ * @returns {string} - e.g. "B12"
+ */
+function toA1Address(row, column) {
+  let letters = "";
+  for (let n = column + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return `${letters}${row + 1}`;
+}
+
+/**
+ * Find references that point at tabs or named ranges the spreadsheet doesn't have
+ * @param {string[]} references - References from config
+ * @param {Object} sheetInfo - Spreadsheet metadata ({ sheets, namedRanges })
+ * @returns {string[]} - Human-readable problems, empty when all references resolve
+ */
+function findUnresolvedReferences(references, sheetInfo) {
+  const tabs = (sheetInfo.sheets || []).map((sheet) => sheet.title);
+  const namedRanges = (sheetInfo.namedRanges || []).map((range) => range.name);
+
+  const problems = [];
+  references.forEach((reference) => {
+    const parsed = parseCellReference(reference);
+    if (!parsed) {
+      problems.push(`"${reference}" is not a valid cell reference`);
+    } else if (
+      parsed.type === "namedRange" &&
+      !namedRanges.includes(parsed.name)
+    ) {
+      problems.push(`named range "${parsed.name}" does not exist`);
+    } else if (
+      parsed.type === "cell" &&
+      parsed.sheetName &&
+      !tabs.includes(parsed.sheetName)
+    ) {
+      problems.push(
+        `"${reference}" refers to missing tab "${parsed.sheetName}"`
+      );
+    }
+  });
+  return problems;
+}
+
+module.exports = {
+  CELL_ADDRESS_PATTERN,
+  parseCellReference,
+  isValidCellReference,
+  quoteSheetName,
+  toA1Range,
+  parseA1Address,
+  toA1Address,
+  findUnresolvedReferences,
+};
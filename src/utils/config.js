@@ -1,13 +1,25 @@
 const fs = require("fs").promises;
 const path = require("path");
 const { logger } = require("./logger");
+const { LEGACY_METRIC_PRESET, METRIC_TYPES } = require("../domain/metrics");
+const {
+  UNIT_TYPES,
+  DEFAULT_CONSUMPTION_RATES,
+} = require("../domain/consumption");
+const { parseColor, resolveSeverityTiers } = require("../domain/severity");
+const {
+  CELL_ADDRESS_PATTERN,
+  isValidCellReference,
+} = require("./cellReference");
+const { DATA_SOURCE_TYPES } = require("../services/dataSources");
+const { NOTIFICATION_TYPES } = require("../services/notifier");
 
 async function loadConfig() {
   try {
     // Check if we're running in GitHub Actions with environment variable config
     if (process.env.SHEETS_CONFIG) {
       logger.info("Loading configuration from environment variable");
-      return JSON.parse(process.env.SHEETS_CONFIG);
+      return resolveSheetConfigs(JSON.parse(process.env.SHEETS_CONFIG));
     }
 
     // Load from config file
@@ -22,29 +34,63 @@ async function loadConfig() {
     // Validate configuration
     validateConfig(config);
 
-    return config;
+    return resolveSheetConfigs(config);
   } catch (error) {
     logger.error("Failed to load configuration:", error);
     throw new Error(`Configuration loading failed: ${error.message}`);
   }
 }
 
+/**
+ * Flatten a configuration into per-army sheet configs, each carrying its
+ * resolved `campaign` settings (shared defaults overridden by the army's own).
+ * Armies kept in a local file use the file's path as their `sheetId`.
+ * @param {Object|Object[]} config - `{ campaign, sheets }` or a plain array of sheet configs
+ * @returns {Object[]} - Sheet configurations
+ */
+function resolveSheetConfigs(config) {
+  const sheets = Array.isArray(config) ? config : config.sheets;
+  const defaults = (!Array.isArray(config) && config.campaign) || {};
+
+  return sheets.map((sheetConfig) => {
+    const resolved = {
+      ...sheetConfig,
+      campaign: { ...defaults, ...sheetConfig.campaign },
+    };
+    if (!resolved.sheetId && sheetConfig.source && sheetConfig.source.path) {
+      resolved.sheetId = sheetConfig.source.path;
+    }
+    return resolved;
+  });
+}
+
 function validateConfig(config) {
   if (!Array.isArray(config)) {
-    throw new Error("Configuration must be an array of sheet configurations");
+    if (
+      !config ||
+      typeof config !== "object" ||
+      !Array.isArray(config.sheets)
+    ) {
+      throw new Error(
+        "Configuration must be an array of sheet configurations or an object with a sheets array"
+      );
+    }
+    if (config.campaign !== undefined) {
+      validateCampaign(config.campaign, "Campaign settings");
+    }
   }
 
-  if (config.length === 0) {
+  const sheets = Array.isArray(config) ? config : config.sheets;
+  const campaignDefaults = (!Array.isArray(config) && config.campaign) || {};
+  if (sheets.length === 0) {
     throw new Error(
       "Configuration must contain at least one sheet configuration"
     );
   }
 
-  config.forEach((sheetConfig, index) => {
+  sheets.forEach((sheetConfig, index) => {
     const requiredFields = [
       "name",
-      "sheetId",
-      "webhookUrl",
       "currentSuppliesCell",
       "dailyConsumptionCell",
       "totalCarriedCell",
@@ -59,35 +105,82 @@ function validateConfig(config) {
       }
     }
 
-    // Validate webhook URL format
-    try {
-      new URL(sheetConfig.webhookUrl);
-    } catch (error) {
+    // Google Sheets by default; local files name their path instead of a sheetId
+    if (sheetConfig.source !== undefined) {
+      validateSource(sheetConfig.source, index);
+    }
+    if (
+      (!sheetConfig.source || sheetConfig.source.type === "google") &&
+      !sheetConfig.sheetId
+    ) {
+      throw new Error(
+        `Sheet configuration ${index} is missing required field: sheetId`
+      );
+    }
+
+    // Discord webhook, further notification destinations, or both
+    if (!sheetConfig.webhookUrl && sheetConfig.notifications === undefined) {
+      throw new Error(
+        `Sheet configuration ${index} is missing required field: webhookUrl (or notifications)`
+      );
+    }
+    if (sheetConfig.webhookUrl && !isValidUrl(sheetConfig.webhookUrl)) {
       throw new Error(
         `Sheet configuration ${index} has invalid webhook URL: ${sheetConfig.webhookUrl}`
       );
     }
+    // Optional Discord members who may use the bot's commands on this army
+    if (sheetConfig.players !== undefined) {
+      if (!sheetConfig.players || typeof sheetConfig.players !== "object") {
+        throw new Error(
+          `Sheet configuration ${index} players must be an object with userIds and/or roleIds`
+        );
+      }
+      validateDiscordIds(
+        sheetConfig.players,
+        `Sheet configuration ${index} players`
+      );
+    }
 
-    // Validate cell addresses (basic validation)
-    if (!isValidCellAddress(sheetConfig.currentSuppliesCell)) {
+    // Optional status board: the webhook's post is edited in place every run.
+    // Optional action buttons: alerts get buttons the bot answers.
+    ["statusBoard", "actionButtons"].forEach((flag) => {
+      if (
+        sheetConfig[flag] !== undefined &&
+        typeof sheetConfig[flag] !== "boolean"
+      ) {
+        throw new Error(
+          `Sheet configuration ${index} ${flag} must be true or false`
+        );
+      }
+    });
+    if (sheetConfig.notifications !== undefined) {
+      validateNotifications(
+        sheetConfig.notifications,
+        `Sheet configuration ${index}`
+      );
+    }
+
+    // Validate cell references (A1 address, 'Tab'!A1 or a named range)
+    if (!isValidCellReference(sheetConfig.currentSuppliesCell)) {
       throw new Error(
         `Sheet configuration ${index} has invalid currentSuppliesCell: ${sheetConfig.currentSuppliesCell}`
       );
     }
 
-    if (!isValidCellAddress(sheetConfig.dailyConsumptionCell)) {
+    if (!isValidCellReference(sheetConfig.dailyConsumptionCell)) {
       throw new Error(
         `Sheet configuration ${index} has invalid dailyConsumptionCell: ${sheetConfig.dailyConsumptionCell}`
       );
     }
 
-    if (!isValidCellAddress(sheetConfig.totalCarriedCell)) {
+    if (!isValidCellReference(sheetConfig.totalCarriedCell)) {
       throw new Error(
         `Sheet configuration ${index} has invalid totalCarriedCell: ${sheetConfig.totalCarriedCell}`
       );
     }
 
-    if (!isValidCellAddress(sheetConfig.currentCarryingCapacityCell)) {
+    if (!isValidCellReference(sheetConfig.currentCarryingCapacityCell)) {
       throw new Error(
         `Sheet configuration ${index} has invalid currentCarryingCapacityCell: ${sheetConfig.currentCarryingCapacityCell}`
       );
@@ -95,47 +188,520 @@ function validateConfig(config) {
 
     // Optional resting status cell
     if (sheetConfig.restingStatusCell) {
-      if (!isValidCellAddress(sheetConfig.restingStatusCell)) {
+      if (!isValidCellReference(sheetConfig.restingStatusCell)) {
         throw new Error(
           `Sheet configuration ${index} has invalid restingStatusCell: ${sheetConfig.restingStatusCell}`
         );
       }
     }
 
-    // New optional cells (updated loot fields)
-    const optionalCells = [
-      { key: "ownedAndCarriedLootCell", label: "ownedAndCarriedLootCell" },
-      { key: "paidAndCarriedLootCell", label: "paidAndCarriedLootCell" },
-      { key: "currentMoraleCell", label: "currentMoraleCell" },
-      { key: "restingMoraleCell", label: "restingMoraleCell" },
-      { key: "armyLengthCell", label: "armyLengthCell" },
-      { key: "effectiveArmySizeCell", label: "effectiveArmySizeCell" },
-      { key: "forcedMarchDaysCell", label: "forcedMarchDaysCell" },
-      { key: "shippingStatusCell", label: "shippingStatusCell" },
-      { key: "supplyShipsCountCell", label: "supplyShipsCountCell" },
-    ];
+    // Optional run ledger cell (stores the last processed campaign date)
+    if (sheetConfig.lastProcessedDateCell) {
+      if (!isValidCellReference(sheetConfig.lastProcessedDateCell)) {
+        throw new Error(
+          `Sheet configuration ${index} has invalid lastProcessedDateCell: ${sheetConfig.lastProcessedDateCell}`
+        );
+      }
+    }
+
+    // Optional audit log tab (created with headers on first append)
+    if (sheetConfig.auditLogTab !== undefined) {
+      if (
+        typeof sheetConfig.auditLogTab !== "string" ||
+        sheetConfig.auditLogTab.trim() === ""
+      ) {
+        throw new Error(
+          `Sheet configuration ${index} has invalid auditLogTab: ${sheetConfig.auditLogTab} (expected a tab name)`
+        );
+      }
+    }
 
-    optionalCells.forEach(({ key, label }) => {
+    // Optional locale override (otherwise the spreadsheet's own locale is used)
+    if (sheetConfig.locale !== undefined) {
+      if (
+        typeof sheetConfig.locale !== "string" ||
+        !/^[a-z]{2,3}([_-][A-Za-z0-9]{2,8})*$/.test(sheetConfig.locale)
+      ) {
+        throw new Error(
+          `Sheet configuration ${index} has invalid locale: ${sheetConfig.locale} (expected e.g. "en_US" or "de_DE")`
+        );
+      }
+    }
+
+    // Legacy named metric cells (preset for `metrics`)
+    LEGACY_METRIC_PRESET.forEach(({ key }) => {
       if (sheetConfig[key]) {
-        if (!isValidCellAddress(sheetConfig[key])) {
+        if (!isValidCellReference(sheetConfig[key])) {
           throw new Error(
-            `Sheet configuration ${index} has invalid ${label}: ${sheetConfig[key]}`
+            `Sheet configuration ${index} has invalid ${key}: ${sheetConfig[key]}`
           );
         }
       }
     });
+
+    if (sheetConfig.metrics !== undefined) {
+      validateMetrics(sheetConfig.metrics, index);
+    }
+
+    if (sheetConfig.unitComposition !== undefined) {
+      validateUnitComposition(sheetConfig.unitComposition, index);
+    }
+
+    if (sheetConfig.severityTiers !== undefined) {
+      validateSeverityTiers(
+        sheetConfig.severityTiers,
+        `Sheet configuration ${index} severityTiers`
+      );
+    }
+
+    if (sheetConfig.campaign !== undefined) {
+      validateCampaign(
+        sheetConfig.campaign,
+        `Sheet configuration ${index} campaign`
+      );
+    }
+
+    // Optional Discord users and roles to ping per severity tier
+    if (sheetConfig.mentions !== undefined) {
+      validateMentions(
+        sheetConfig.mentions,
+        {
+          ...sheetConfig,
+          campaign: { ...campaignDefaults, ...sheetConfig.campaign },
+        },
+        `Sheet configuration ${index} mentions`
+      );
+    }
+  });
+
+  logger.info(`Configuration validation passed for ${sheets.length} sheets`);
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function validateCampaign(campaign, prefix) {
+  if (!campaign || typeof campaign !== "object") {
+    throw new Error(`${prefix} must be an object`);
+  }
+
+  if (
+    campaign.timezone !== undefined &&
+    (typeof campaign.timezone !== "string" ||
+      !isValidTimeZone(campaign.timezone))
+  ) {
+    throw new Error(
+      `${prefix} has invalid timezone: ${campaign.timezone} (expected an IANA name such as "Europe/Berlin")`
+    );
+  }
+
+  if (
+    campaign.dayRolloverHour !== undefined &&
+    (!Number.isInteger(campaign.dayRolloverHour) ||
+      campaign.dayRolloverHour < 0 ||
+      campaign.dayRolloverHour > 23)
+  ) {
+    throw new Error(
+      `${prefix} dayRolloverHour must be an integer from 0 to 23`
+    );
+  }
+
+  if (
+    campaign.startDate !== undefined &&
+    (typeof campaign.startDate !== "string" ||
+      !/^\d{4}-\d{2}-\d{2}$/.test(campaign.startDate) ||
+      isNaN(Date.parse(campaign.startDate)))
+  ) {
+    throw new Error(
+      `${prefix} has invalid startDate: ${campaign.startDate} (expected yyyy-MM-dd)`
+    );
+  }
+
+  if (campaign.severityTiers !== undefined) {
+    validateSeverityTiers(campaign.severityTiers, `${prefix} severityTiers`);
+  }
+
+  // The GM's own channels (same shape as an army's) and Discord identity
+  const gm = campaign.gm;
+  if (gm !== undefined) {
+    if (!gm || typeof gm !== "object") {
+      throw new Error(`${prefix} gm must be an object`);
+    }
+    if (
+      !gm.webhookUrl &&
+      gm.notifications === undefined &&
+      gm.userIds === undefined &&
+      gm.roleIds === undefined
+    ) {
+      throw new Error(
+        `${prefix} gm needs a webhookUrl, notifications, userIds or roleIds`
+      );
+    }
+    validateDiscordIds(gm, `${prefix} gm`);
+    if (gm.webhookUrl && !isValidUrl(gm.webhookUrl)) {
+      throw new Error(`${prefix} gm has invalid webhook URL: ${gm.webhookUrl}`);
+    }
+    if (gm.notifications !== undefined) {
+      validateNotifications(gm.notifications, `${prefix} gm`);
+    }
+    if (gm.digest !== undefined && typeof gm.digest !== "boolean") {
+      throw new Error(`${prefix} gm digest must be true or false`);
+    }
+    if (gm.digest && !gm.webhookUrl && gm.notifications === undefined) {
+      throw new Error(
+        `${prefix} gm digest needs a gm webhookUrl or notifications to send it to`
+      );
+    }
+  }
+
+  const calendar = campaign.calendar;
+  if (calendar === undefined) {
+    return;
+  }
+  if (!calendar || typeof calendar !== "object") {
+    throw new Error(`${prefix} calendar must be an object`);
+  }
+  if (calendar.startDay !== undefined && !Number.isInteger(calendar.startDay)) {
+    throw new Error(`${prefix} calendar.startDay must be an integer`);
+  }
+  if (calendar.seasons !== undefined) {
+    if (!Array.isArray(calendar.seasons)) {
+      throw new Error(`${prefix} calendar.seasons must be an array`);
+    }
+    calendar.seasons.forEach((season, seasonIndex) => {
+      if (
+        !season ||
+        typeof season.name !== "string" ||
+        !Number.isInteger(season.days) ||
+        season.days < 1
+      ) {
+        throw new Error(
+          `${prefix} calendar season ${seasonIndex} must have a name and a positive whole number of days`
+        );
+      }
+    });
+  }
+}
+
+// Optional `userIds` / `roleIds` lists of Discord IDs (snowflakes)
+function validateDiscordIds(ids, prefix) {
+  ["userIds", "roleIds"].forEach((field) => {
+    if (
+      ids[field] !== undefined &&
+      (!Array.isArray(ids[field]) ||
+        ids[field].some(
+          (id) => typeof id !== "string" || !/^\d{17,20}$/.test(id)
+        ))
+    ) {
+      throw new Error(
+        `${prefix} ${field} must be a list of Discord IDs (as strings)`
+      );
+    }
+  });
+}
+
+/**
+ * @param {Object} mentions - Severity tier name -> { userIds, roleIds, gm }
+ * @param {Object} sheetConfig - The army, with its campaign settings merged in
+ * @param {string} prefix - Where the mentions are, for error messages
+ */
+function validateMentions(mentions, sheetConfig, prefix) {
+  if (!mentions || typeof mentions !== "object" || Array.isArray(mentions)) {
+    throw new Error(
+      `${prefix} must be an object mapping severity tier names to userIds, roleIds and gm`
+    );
+  }
+
+  const tierNames = resolveSeverityTiers(sheetConfig).map((tier) => tier.name);
+  const known = tierNames.join(", ");
+  const gm = sheetConfig.campaign.gm || {};
+  Object.entries(mentions).forEach(([tierName, entry]) => {
+    const entryPrefix = `${prefix} ${tierName}`;
+    if (!tierNames.includes(tierName)) {
+      throw new Error(
+        `${prefix} names unknown severity tier "${tierName}" (tiers: ${known})`
+      );
+    }
+    if (!entry || typeof entry !== "object") {
+      throw new Error(
+        `${entryPrefix} must be an object with userIds, roleIds and/or gm`
+      );
+    }
+    validateDiscordIds(entry, entryPrefix);
+    if (entry.gm !== undefined && typeof entry.gm !== "boolean") {
+      throw new Error(`${entryPrefix} gm must be true or false`);
+    }
+    if (entry.gm && !gm.userIds && !gm.roleIds) {
+      throw new Error(
+        `${entryPrefix} mentions the GM, but the campaign gm has no userIds or roleIds`
+      );
+    }
+  });
+}
+
+function isValidUrl(value) {
+  try {
+    new URL(value);
+    return typeof value === "string";
+  } catch (error) {
+    return false;
+  }
+}
+
+function validateNotifications(notifications, owner) {
+  if (!Array.isArray(notifications) || notifications.length === 0) {
+    throw new Error(`${owner} notifications must be a non-empty array`);
+  }
+
+  notifications.forEach((destination, destinationIndex) => {
+    const prefix = `${owner} notification ${destinationIndex}`;
+
+    if (!destination || typeof destination !== "object") {
+      throw new Error(`${prefix} must be an object`);
+    }
+    if (!NOTIFICATION_TYPES.includes(destination.type)) {
+      throw new Error(
+        `${prefix} has invalid type: ${
+          destination.type
+        } (expected one of ${NOTIFICATION_TYPES.join(", ")})`
+      );
+    }
+
+    // Settings every channel type needs, and URLs among them
+    const required = {
+      discord: ["webhookUrl"],
+      slack: ["webhookUrl"],
+      matrix: ["homeserverUrl", "roomId"],
+      webhook: ["url"],
+      email: ["to"],
+    }[destination.type];
+    required.forEach((field) => {
+      if (!destination[field]) {
+        throw new Error(`${prefix} is missing required field: ${field}`);
+      }
+    });
+    ["webhookUrl", "homeserverUrl", "url"].forEach((field) => {
+      if (required.includes(field) && !isValidUrl(destination[field])) {
+        throw new Error(
+          `${prefix} has invalid ${field}: ${destination[field]}`
+        );
+      }
+    });
+
+    if (destination.type === "discord") {
+      ["statusBoard", "actionButtons"].forEach((flag) => {
+        if (
+          destination[flag] !== undefined &&
+          typeof destination[flag] !== "boolean"
+        ) {
+          throw new Error(`${prefix} ${flag} must be true or false`);
+        }
+      });
+    }
+    if (destination.type === "matrix" && !/^!.+:.+$/.test(destination.roomId)) {
+      throw new Error(
+        `${prefix} has invalid roomId: ${destination.roomId} (expected a room ID such as "!abc123:example.org")`
+      );
+    }
+    if (destination.type === "webhook") {
+      if (
+        destination.method !== undefined &&
+        !["POST", "PUT"].includes(destination.method)
+      ) {
+        throw new Error(`${prefix} method must be POST or PUT`);
+      }
+      if (
+        destination.headers !== undefined &&
+        (!destination.headers ||
+          typeof destination.headers !== "object" ||
+          Object.values(destination.headers).some(
+            (value) => typeof value !== "string"
+          ))
+      ) {
+        throw new Error(`${prefix} headers must be an object of strings`);
+      }
+    }
+    if (destination.type === "email") {
+      const recipients = Array.isArray(destination.to)
+        ? destination.to
+        : [destination.to];
+      if (
+        recipients.length === 0 ||
+        recipients.some(
+          (address) =>
+            typeof address !== "string" || !/^[^@\s]+@[^@\s]+$/.test(address)
+        )
+      ) {
+        throw new Error(
+          `${prefix} to must be an email address or a list of them`
+        );
+      }
+    }
+  });
+}
+
+function validateSource(source, index) {
+  const prefix = `Sheet configuration ${index} source`;
+
+  if (!source || typeof source !== "object") {
+    throw new Error(`${prefix} must be an object`);
+  }
+  if (!DATA_SOURCE_TYPES.includes(source.type)) {
+    throw new Error(
+      `${prefix} has invalid type: ${
+        source.type
+      } (expected one of ${DATA_SOURCE_TYPES.join(", ")})`
+    );
+  }
+  if (
+    source.type !== "google" &&
+    (typeof source.path !== "string" || source.path.trim() === "")
+  ) {
+    throw new Error(`${prefix} is missing required field: path`);
+  }
+}
+
+function validateMetrics(metrics, index) {
+  if (!Array.isArray(metrics)) {
+    throw new Error(`Sheet configuration ${index} metrics must be an array`);
+  }
+
+  metrics.forEach((metric, metricIndex) => {
+    const prefix = `Sheet configuration ${index} metric ${metricIndex}`;
+
+    if (!metric || typeof metric !== "object") {
+      throw new Error(`${prefix} must be an object`);
+    }
+    if (!metric.label || typeof metric.label !== "string") {
+      throw new Error(`${prefix} is missing required field: label`);
+    }
+    if (!isValidCellReference(metric.cell)) {
+      throw new Error(`${prefix} has invalid cell: ${metric.cell}`);
+    }
+    if (metric.type !== undefined && !METRIC_TYPES.includes(metric.type)) {
+      throw new Error(
+        `${prefix} has invalid type: ${
+          metric.type
+        } (expected one of ${METRIC_TYPES.join(", ")})`
+      );
+    }
+    ["group", "emoji"].forEach((field) => {
+      if (metric[field] !== undefined && typeof metric[field] !== "string") {
+        throw new Error(`${prefix} ${field} must be a string`);
+      }
+    });
+    if (metric.thresholds !== undefined) {
+      ["below", "above"].forEach((bound) => {
+        const value = metric.thresholds && metric.thresholds[bound];
+        if (value !== undefined && typeof value !== "number") {
+          throw new Error(`${prefix} thresholds.${bound} must be a number`);
+        }
+      });
+    }
   });
+}
+
+function validateUnitComposition(unitComposition, index) {
+  const prefix = `Sheet configuration ${index} unitComposition`;
 
-  logger.info(`Configuration validation passed for ${config.length} sheets`);
+  if (!unitComposition || typeof unitComposition !== "object") {
+    throw new Error(`${prefix} must be an object`);
+  }
+
+  const configured = UNIT_TYPES.filter(
+    ({ cellKey }) => unitComposition[cellKey] !== undefined
+  );
+  if (configured.length === 0) {
+    throw new Error(
+      `${prefix} must set at least one of: ${UNIT_TYPES.map(
+        ({ cellKey }) => cellKey
+      ).join(", ")}`
+    );
+  }
+  configured.forEach(({ cellKey }) => {
+    if (!isValidCellReference(unitComposition[cellKey])) {
+      throw new Error(
+        `${prefix} has invalid ${cellKey}: ${unitComposition[cellKey]}`
+      );
+    }
+  });
+
+  if (unitComposition.rates !== undefined) {
+    const rates = unitComposition.rates;
+    if (!rates || typeof rates !== "object") {
+      throw new Error(`${prefix} rates must be an object`);
+    }
+    Object.keys(rates).forEach((unit) => {
+      if (!(unit in DEFAULT_CONSUMPTION_RATES)) {
+        throw new Error(
+          `${prefix} rates has unknown unit type: ${unit} (expected one of ${Object.keys(
+            DEFAULT_CONSUMPTION_RATES
+          ).join(", ")})`
+        );
+      }
+      if (typeof rates[unit] !== "number" || rates[unit] < 0) {
+        throw new Error(
+          `${prefix} rates.${unit} must be a non-negative number`
+        );
+      }
+    });
+  }
+}
+
+function validateSeverityTiers(tiers, prefix) {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    throw new Error(`${prefix} must be a non-empty array`);
+  }
+
+  tiers.forEach((tier, tierIndex) => {
+    const tierPrefix = `${prefix} tier ${tierIndex}`;
+
+    if (!tier || typeof tier !== "object") {
+      throw new Error(`${tierPrefix} must be an object`);
+    }
+    if (!tier.name || typeof tier.name !== "string") {
+      throw new Error(`${tierPrefix} is missing required field: name`);
+    }
+    if (
+      tier.maxDays !== undefined &&
+      (!Number.isInteger(tier.maxDays) || tier.maxDays < 0)
+    ) {
+      throw new Error(`${tierPrefix} maxDays must be a non-negative integer`);
+    }
+    if (
+      tier.minCapacityPercent !== undefined &&
+      typeof tier.minCapacityPercent !== "number"
+    ) {
+      throw new Error(`${tierPrefix} minCapacityPercent must be a number`);
+    }
+    if (tier.color !== undefined && parseColor(tier.color) === null) {
+      throw new Error(
+        `${tierPrefix} has invalid color: ${tier.color} (expected e.g. "#ff8c00")`
+      );
+    }
+    ["emoji", "banner"].forEach((field) => {
+      if (tier[field] !== undefined && typeof tier[field] !== "string") {
+        throw new Error(`${tierPrefix} ${field} must be a string`);
+      }
+    });
+  });
 }
 
 function isValidCellAddress(cellAddress) {
   // Basic validation for cell addresses like A1, B2, AA10, etc.
-  return /^[A-Z]+[1-9][0-9]*$/.test(cellAddress);
+  return CELL_ADDRESS_PATTERN.test(cellAddress);
 }
 
 module.exports = {
   loadConfig,
   validateConfig,
+  resolveSheetConfigs,
   isValidCellAddress,
+  isValidCellReference,
 };
@@ -0,0 +1,81 @@
+/**
+ * Minimal RFC 4180 CSV reading and writing for the CSV data source:
+ * comma separated, fields quoted with `"` when they contain commas, quotes
+ * or line breaks, quotes doubled inside quoted fields.
+ */
+
+/**
+ * Parse CSV text into rows of string fields
+ * @param {string} text - The CSV contents
+ * @returns {string[][]} - Rows (a trailing line break does not add an empty row)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Excel writes a byte order mark at the start of UTF-8 CSV files
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") {
+        i += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Unterminated quoted field in CSV");
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+function formatField(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  let text = String(value);
+  if (typeof value === "boolean") {
+    text = value ? "TRUE" : "FALSE";
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write rows as CSV text
+ * @param {Array[]} rows - Rows of values (booleans become TRUE / FALSE, like Sheets exports)
+ * @returns {string} - The CSV contents, ending with a line break
+ */
+function stringifyCsv(rows) {
+  return rows.map((row) => row.map(formatField).join(",")).join("\n") + "\n";
+}
+
+module.exports = { parseCsv, stringifyCsv };
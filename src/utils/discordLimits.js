@@ -0,0 +1,173 @@
+/**
+ * Fit webhook payloads into Discord's message size limits. Text that is too
+ * long is split at line breaks across several embeds or messages; only
+ * single values with their own hard limit (titles, field names and values)
+ * are truncated.
+ */
+
+const DISCORD_LIMITS = {
+  content: 2000,
+  title: 256,
+  description: 4096,
+  fields: 25,
+  fieldName: 256,
+  fieldValue: 1024,
+  // Sum of every embed's text in one message
+  embedTotal: 6000,
+  embedsPerMessage: 10,
+  threadName: 100,
+};
+
+/**
+ * Shorten text to a limit, marking the cut with an ellipsis
+ * @param {string} text - The text
+ * @param {number} limit - Maximum length
+ * @returns {string}
+ */
+function truncate(text, limit) {
+  return text.length <= limit ? text : `${text.slice(0, limit - 1)}…`;
+}
+
+/**
+ * Split text into chunks of at most `limit` characters, breaking between
+ * lines where possible and inside a line only when it is longer than `limit`
+ * @param {string} text - The text
+ * @param {number} limit - Maximum chunk length
+ * @returns {string[]}
+ */
+function splitText(text, limit) {
+  const chunks = [];
+  let current = null;
+  text.split("\n").forEach((line) => {
+    let rest = line;
+    while (rest.length > limit) {
+      if (current !== null) {
+        chunks.push(current);
+        current = null;
+      }
+      chunks.push(rest.slice(0, limit));
+      rest = rest.slice(limit);
+    }
+    const joined = current === null ? rest : `${current}\n${rest}`;
+    if (joined.length > limit) {
+      chunks.push(current);
+      current = rest;
+    } else {
+      current = joined;
+    }
+  });
+  if (current !== null) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+// Characters of an embed that count towards the per-message total
+function getEmbedLength(embed) {
+  return (
+    (embed.title || "").length +
+    (embed.description || "").length +
+    (embed.footer && embed.footer.text ? embed.footer.text.length : 0) +
+    (embed.author && embed.author.name ? embed.author.name.length : 0) +
+    (embed.fields || []).reduce(
+      (total, field) => total + field.name.length + field.value.length,
+      0
+    )
+  );
+}
+
+/**
+ * Split one embed into as many embeds as its description and fields need.
+ * The title stays on the first part and the timestamp moves to the last.
+ * @param {Object} embed - The embed
+ * @returns {Object[]}
+ */
+function splitEmbed(embed) {
+  const { title, description, fields, timestamp, ...style } = embed;
+
+  const parts = description
+    ? splitText(description, DISCORD_LIMITS.description).map((chunk) => ({
+        ...style,
+        description: chunk,
+      }))
+    : [{ ...style }];
+  if (title) {
+    parts[0] = { title: truncate(title, DISCORD_LIMITS.title), ...parts[0] };
+  }
+
+  let current = parts[parts.length - 1];
+  (fields || []).forEach((field) => {
+    const fitted = {
+      ...field,
+      name: truncate(field.name, DISCORD_LIMITS.fieldName),
+      value: truncate(field.value, DISCORD_LIMITS.fieldValue),
+    };
+    const currentFields = current.fields || [];
+    if (
+      currentFields.length >= DISCORD_LIMITS.fields ||
+      getEmbedLength(current) + fitted.name.length + fitted.value.length >
+        DISCORD_LIMITS.embedTotal
+    ) {
+      current = { ...style };
+      parts.push(current);
+    }
+    current.fields = (current.fields || []).concat(fitted);
+  });
+
+  if (timestamp) {
+    parts[parts.length - 1].timestamp = timestamp;
+  }
+  return parts;
+}
+
+/**
+ * Split a webhook payload into messages that each fit Discord's limits.
+ * A payload that already fits comes back unchanged as the only message.
+ * @param {Object} payload - Webhook payload ({ content, embeds, ...options })
+ * @returns {Object[]} - Payloads to post in order; `components` go on the last, other options are repeated on each
+ */
+function splitDiscordPayload(payload) {
+  const { content, embeds, components, ...options } = payload;
+
+  const messages = content
+    ? splitText(content, DISCORD_LIMITS.content).map((chunk) => ({
+        ...options,
+        content: chunk,
+      }))
+    : [];
+
+  // The embeds join the last piece of content, then fill further messages
+  let current = messages.length > 0 ? messages[messages.length - 1] : null;
+  let currentLength = 0;
+  (embeds || []).flatMap(splitEmbed).forEach((embed) => {
+    const length = getEmbedLength(embed);
+    if (
+      !current ||
+      (current.embeds &&
+        (current.embeds.length >= DISCORD_LIMITS.embedsPerMessage ||
+          currentLength + length > DISCORD_LIMITS.embedTotal))
+    ) {
+      current = { ...options };
+      messages.push(current);
+      currentLength = 0;
+    }
+    current.embeds = (current.embeds || []).concat(embed);
+    currentLength += length;
+  });
+
+  if (messages.length === 0) {
+    return [payload];
+  }
+  // Buttons belong under the whole report, so only its last message gets them
+  if (components) {
+    messages[messages.length - 1].components = components;
+  }
+  return messages;
+}
+
+module.exports = {
+  DISCORD_LIMITS,
+  truncate,
+  splitText,
+  splitDiscordPayload,
+};
@@ -0,0 +1,88 @@
+const http = require("http");
+const https = require("https");
+
+// A hung endpoint fails its delivery instead of stalling the whole run
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Send a JSON request and collect the whole response
+ * @param {string} url - Request URL (http or https)
+ * @param {Object} options
+ * @param {string} options.method - HTTP method (default POST)
+ * @param {Object} options.headers - Extra request headers
+ * @param {*} options.body - Payload, sent as JSON
+ * @param {number} options.timeoutMs - Idle time before the request is aborted
+ * @returns {Promise<{statusCode: number, headers: Object, body: string}>} - Resolves for
+ *   any status; rejects only when the request itself fails or times out
+ */
+function requestJson(
+  url,
+  { method = "POST", headers = {}, body, timeoutMs = DEFAULT_TIMEOUT_MS } = {}
+) {
+  return new Promise((resolve, reject) => {
+    const data = JSON.stringify(body);
+    const target = new URL(url);
+    const transport = target.protocol === "http:" ? http : https;
+
+    const req = transport.request(
+      {
+        hostname: target.hostname,
+        port: target.port || (transport === http ? 80 : 443),
+        path: target.pathname + target.search,
+        method,
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(data),
+          "User-Agent": "Supply-Status-Monitor/1.0",
+          ...headers,
+        },
+      },
+      (res) => {
+        let responseBody = "";
+        res.on("data", (chunk) => {
+          responseBody += chunk;
+        });
+        res.on("end", () => {
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: responseBody,
+          });
+        });
+      }
+    );
+
+    req.setTimeout(timeoutMs, () => {
+      const error = new Error(`No response within ${timeoutMs}ms`);
+      error.code = "ETIMEDOUT";
+      req.destroy(error);
+    });
+    req.on("error", reject);
+    req.write(data);
+    req.end();
+  });
+}
+
+/**
+ * Send a JSON request, failing on network errors and non-2xx responses
+ * @param {string} label - What is being called, for error messages (e.g. "Slack webhook")
+ * @param {string} url - Request URL
+ * @param {Object} options - As for requestJson
+ * @returns {Promise<string>} - The response body
+ */
+async function sendJson(label, url, options) {
+  let response;
+  try {
+    response = await requestJson(url, options);
+  } catch (error) {
+    throw new Error(`${label} request failed: ${error.message}`);
+  }
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    throw new Error(
+      `${label} failed with status ${response.statusCode}: ${response.body}`
+    );
+  }
+  return response.body;
+}
+
+module.exports = { requestJson, sendJson };
@@ -53,10 +53,14 @@ class Logger {
       /\bconsumption\s*:\s*\d+/i,
       // Multi-number supply status patterns
       /Current supplies:\s*\d+.*Daily consumption:\s*\d+.*New supply value:\s*\d+/i,
-      /Updated.*current supplies from\s*\d+\s*to\s*\d+/i,
+      /Updated.*(current supplies|daily consumption) from\s*\d+\s*to\s*\d+/i,
+      /Would update.*(current supplies|daily consumption) from\s*\d+\s*to\s*\d+/i,
       /Successfully processed.*:\s*\d+\s*days?\s*remaining/i,
+      /changed from "[^"]*" to "[^"]*"/i,
       // Discord webhook URLs (contain tokens)
       /https:\/\/discord\.com\/api\/webhooks\/\d+\/[a-zA-Z0-9_-]+/,
+      // Slack webhook URLs (contain tokens)
+      /https:\/\/hooks\.slack\.com\/services\/[A-Za-z0-9/_-]+/,
       // Google service account emails
       /[a-zA-Z0-9-]+@[a-zA-Z0-9-]+\.iam\.gserviceaccount\.com/,
       // Cell references with values in context of supplies
@@ -170,10 +174,22 @@ class Logger {
       "New supply value: X"
     );
 
-    // Replace "Updated X current supplies from Y to Z" pattern
+    // Replace "Updated X current supplies/daily consumption from Y to Z" pattern
     sanitized = sanitized.replace(
-      /Updated\s+(.+?)\s+current supplies from\s+\d+\s+to\s+\d+/gi,
-      "Updated $1 current supplies from X to X"
+      /Updated\s+(.+?)\s+(current supplies|daily consumption) from\s+\d+\s+to\s+\d+/gi,
+      "Updated $1 $2 from X to X"
+    );
+
+    // Replace the dry-run "Would update X ... from Y to Z" pattern
+    sanitized = sanitized.replace(
+      /Would update\s+(.+?)\s+(current supplies|daily consumption) from\s+\d+\s+to\s+\d+/gi,
+      "Would update $1 $2 from X to X"
+    );
+
+    // Replace the "B2 changed from "Y" to "Z"" pattern of concurrent-edit warnings
+    sanitized = sanitized.replace(
+      /changed from "[^"]*" to "[^"]*"/gi,
+      "changed from X to X"
     );
 
     // Replace "Successfully processed X: Y days remaining" pattern
@@ -188,6 +204,12 @@ class Logger {
       "[Discord webhook URL]"
     );
 
+    // Replace Slack webhook URLs the same way
+    sanitized = sanitized.replace(
+      /https:\/\/hooks\.slack\.com\/services\/[A-Za-z0-9/_-]+/g,
+      "[Slack webhook URL]"
+    );
+
     // Replace service account emails
     sanitized = sanitized.replace(
       /[a-zA-Z0-9-]+@[a-zA-Z0-9-]+\.iam\.gserviceaccount\.com/g,
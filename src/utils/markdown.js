@@ -0,0 +1,53 @@
+/**
+ * Convert the markdown used in notification text (`**bold**` and
+ * `[label](url)`, as Discord renders it) for channels that format text
+ * differently.
+ */
+
+const BOLD_PATTERN = /\*\*([^*]+)\*\*/g;
+const LINK_PATTERN = /\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Slack mrkdwn: `*bold*` and `<url|label>`, with &, < and > escaped
+ * @param {string} text - Notification text
+ * @returns {string}
+ */
+function toSlackMarkdown(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(BOLD_PATTERN, "*$1*")
+    .replace(LINK_PATTERN, "<$2|$1>");
+}
+
+/**
+ * HTML for Matrix formatted bodies and email, one line per `<br>`
+ * @param {string} text - Notification text
+ * @returns {string}
+ */
+function toHtml(text) {
+  return escapeHtml(text)
+    .replace(BOLD_PATTERN, "<strong>$1</strong>")
+    .replace(LINK_PATTERN, '<a href="$2">$1</a>')
+    .replace(/\n/g, "<br>\n");
+}
+
+/**
+ * Plain text with the markup removed; links keep their URL
+ * @param {string} text - Notification text
+ * @returns {string}
+ */
+function toPlainText(text) {
+  return text.replace(BOLD_PATTERN, "$1").replace(LINK_PATTERN, "$1 ($2)");
+}
+
+module.exports = { toSlackMarkdown, toHtml, toPlainText, escapeHtml };
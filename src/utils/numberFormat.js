@@ -0,0 +1,91 @@
+const DEFAULT_LOCALE = "en-US";
+
+/**
+ * Convert a Google Sheets locale ("de_DE") to a BCP 47 tag Intl understands ("de-DE")
+ * @param {string} locale - Spreadsheet or config locale
+ * @returns {string} - A supported locale, falling back to en-US
+ */
+function toIntlLocale(locale) {
+  if (!locale || typeof locale !== "string") {
+    return DEFAULT_LOCALE;
+  }
+
+  const tag = locale.trim().replace(/_/g, "-");
+  try {
+    return Intl.NumberFormat.supportedLocalesOf([tag])[0] || DEFAULT_LOCALE;
+  } catch (error) {
+    // Malformed tags throw a RangeError
+    return DEFAULT_LOCALE;
+  }
+}
+
+/**
+ * Get the thousands and decimal separators a locale displays numbers with
+ * @param {string} locale - Spreadsheet or BCP 47 locale
+ * @returns {{group: string, decimal: string}}
+ */
+function getNumberSeparators(locale) {
+  const parts = new Intl.NumberFormat(toIntlLocale(locale)).formatToParts(
+    1234567.5
+  );
+  const find = (type, fallback) => {
+    const part = parts.find((p) => p.type === type);
+    return part ? part.value : fallback;
+  };
+  return { group: find("group", ","), decimal: find("decimal", ".") };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Parse a number as the spreadsheet displays it, e.g. "1,234.5" (en_US),
+ * "1.234,5" (de_DE) or "1 234,5" (fr_FR)
+ * @param {string} value - The displayed value
+ * @param {string} locale - Spreadsheet or BCP 47 locale
+ * @returns {number} - The parsed value, or NaN when it is not a number
+ */
+function parseLocaleNumber(value, locale) {
+  const { group, decimal } = getNumberSeparators(locale);
+  let cleaned = String(value).trim();
+
+  // Sheets may show a plain space or apostrophe where Intl uses a narrow
+  // no-break space (fr_FR) or typographic apostrophe (de_CH)
+  if (/\s/.test(group)) {
+    cleaned = cleaned.replace(/[\s  ]/g, "");
+  } else if (group === "’") {
+    cleaned = cleaned.replace(/['’]/g, "");
+  } else {
+    cleaned = cleaned.replace(new RegExp(escapeRegExp(group), "g"), "");
+  }
+
+  if (decimal !== ".") {
+    cleaned = cleaned.replace(new RegExp(escapeRegExp(decimal), "g"), ".");
+  }
+
+  return parseFloat(cleaned);
+}
+
+/**
+ * Format a value for display in the given locale; non-numbers are returned unchanged
+ * @param {*} value - The value to format
+ * @param {string} locale - Spreadsheet or BCP 47 locale
+ * @returns {*}
+ */
+function formatNumber(value, locale) {
+  if (typeof value !== "number" || !isFinite(value)) {
+    return value;
+  }
+  return new Intl.NumberFormat(toIntlLocale(locale), {
+    maximumFractionDigits: 2,
+  }).format(value);
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  toIntlLocale,
+  getNumberSeparators,
+  parseLocaleNumber,
+  formatNumber,
+};
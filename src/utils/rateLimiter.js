@@ -0,0 +1,57 @@
+/**
+ * Token bucket limiting how fast requests are started.
+ *
+ * The bucket holds up to `burst` tokens and refills continuously at
+ * `requestsPerMinute`; each request takes one token, waiting when none are left.
+ */
+class TokenBucket {
+  /**
+   * @param {Object} options
+   * @param {number} options.requestsPerMinute - Sustained request rate
+   * @param {number} options.burst - Most requests started back to back
+   * @param {Function} options.now - Clock in milliseconds (for tests)
+   * @param {Function} options.sleep - Async delay (for tests)
+   */
+  constructor({
+    requestsPerMinute,
+    burst = requestsPerMinute,
+    now = Date.now,
+    sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+  }) {
+    this.capacity = burst;
+    this.tokens = burst;
+    this.msPerToken = 60000 / requestsPerMinute;
+    this.now = now;
+    this.sleep = sleep;
+    this.lastRefill = now();
+  }
+
+  refill() {
+    const current = this.now();
+    const elapsed = current - this.lastRefill;
+    this.tokens = Math.min(
+      this.capacity,
+      this.tokens + elapsed / this.msPerToken
+    );
+    this.lastRefill = current;
+  }
+
+  /**
+   * Wait until a token is available and take it
+   * @returns {number} - Milliseconds spent waiting
+   */
+  async take() {
+    let waited = 0;
+    this.refill();
+    while (this.tokens < 1) {
+      const wait = Math.ceil((1 - this.tokens) * this.msPerToken);
+      await this.sleep(wait);
+      waited += wait;
+      this.refill();
+    }
+    this.tokens -= 1;
+    return waited;
+  }
+}
+
+module.exports = { TokenBucket };
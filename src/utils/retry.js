@@ -0,0 +1,154 @@
+/**
+ * Retries with exponential backoff and jitter for transient API failures
+ * (quota errors, 5xx responses and dropped connections).
+ */
+
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+const RETRYABLE_NETWORK_CODES = [
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "ECONNREFUSED",
+];
+
+function getStatusCode(error) {
+  if (error.response && error.response.status) {
+    return error.response.status;
+  }
+  return typeof error.code === "number" ? error.code : null;
+}
+
+/**
+ * Check whether a request was turned away by a rate limit or quota. The server
+ * did nothing with such a request, so even a non-idempotent one can be retried.
+ * @param {Error} error - The error thrown by the API client
+ * @returns {boolean}
+ */
+function isRateLimitError(error) {
+  if (!error) {
+    return false;
+  }
+  if (getStatusCode(error) === 429) {
+    return true;
+  }
+  const message = error.message || "";
+  return message.includes("Quota exceeded") || message.includes("quota metric");
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {Error} error - The error thrown by the API client
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  if (!error) {
+    return false;
+  }
+  if (RETRYABLE_STATUS_CODES.includes(getStatusCode(error))) {
+    return true;
+  }
+  if (RETRYABLE_NETWORK_CODES.includes(error.code)) {
+    return true;
+  }
+  return isRateLimitError(error);
+}
+
+/**
+ * Read the server's Retry-After header (seconds or an HTTP date)
+ * @param {Error} error - The error thrown by the API client
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} - Milliseconds to wait, or null when the header is missing
+ */
+function getRetryAfterMs(error, now = Date.now()) {
+  const headers = error && error.response && error.response.headers;
+  if (!headers) {
+    return null;
+  }
+  const value =
+    typeof headers.get === "function"
+      ? headers.get("retry-after")
+      : headers["retry-after"] || headers["Retry-After"];
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Delay before a retry: "full jitter" exponential backoff
+ * @param {number} attempt - Retry number, starting at 0
+ * @param {number} baseDelayMs - Delay cap for the first retry
+ * @param {number} maxDelayMs - Upper bound on any delay
+ * @param {Function} random - Random source in [0, 1)
+ * @returns {number} - Milliseconds to wait
+ */
+function computeBackoffDelay(
+  attempt,
+  baseDelayMs,
+  maxDelayMs,
+  random = Math.random
+) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+  return Math.round(random() * ceiling);
+}
+
+/**
+ * Run a function, retrying transient failures with backoff
+ * @param {Function} fn - Async function to run
+ * @param {Object} options
+ * @param {number} options.maxRetries - Retries after the first attempt
+ * @param {number} options.baseDelayMs - Backoff base delay
+ * @param {number} options.maxDelayMs - Backoff delay cap
+ * @param {number} options.maxRetryAfterMs - Longest Retry-After honoured; longer
+ *   requests wait this long, so one server can't stall the whole run
+ * @param {Function} options.shouldRetry - Decides which errors are retried
+ *   (default isRetryableError; non-idempotent requests pass isRateLimitError)
+ * @param {Function} options.onRetry - Called with (error, attempt, delayMs) before each retry
+ * @param {Function} options.sleep - Async delay (for tests)
+ * @returns {Promise<*>} - The function's result
+ */
+async function retryWithBackoff(
+  fn,
+  {
+    maxRetries = 4,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    maxRetryAfterMs = 60000,
+    shouldRetry = isRetryableError,
+    onRetry = () => {},
+    sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+  } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= maxRetries || !shouldRetry(error)) {
+        throw error;
+      }
+
+      // The server knows best how long to back off; jitter only fills in when it doesn't say
+      const retryAfter = getRetryAfterMs(error);
+      const delay =
+        retryAfter !== null
+          ? Math.min(retryAfter, maxRetryAfterMs)
+          : computeBackoffDelay(attempt, baseDelayMs, maxDelayMs);
+      onRetry(error, attempt + 1, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  isRateLimitError,
+  isRetryableError,
+  getRetryAfterMs,
+  computeBackoffDelay,
+  retryWithBackoff,
+};
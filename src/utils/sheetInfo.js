@@ -0,0 +1,110 @@
+/**
+ * Checks against spreadsheet metadata, shared by every data source.
+ *
+ * Metadata looks like
+ *   { title, locale, sheets: [{ title }], namedRanges: [{ name }] }
+ * whether it comes from the Sheets API or from a local file.
+ */
+
+const { findUnresolvedReferences } = require("./cellReference");
+
+/**
+ * Pick the tab bare cell addresses refer to
+ * @param {Object} sheetInfo - Spreadsheet metadata
+ * @param {string} sheetId - The spreadsheet ID or file path (for error messages)
+ * @param {string} sheetName - Optional tab name; defaults to the first tab
+ * @returns {Object} - The target sheet ({ title, ... })
+ */
+function getTargetSheet(sheetInfo, sheetId, sheetName = null) {
+  if (!sheetInfo.sheets || sheetInfo.sheets.length === 0) {
+    throw new Error(`Spreadsheet ${sheetId} has no sheets.`);
+  }
+
+  if (!sheetName) {
+    // Default to the first sheet if no sheet name is specified
+    return sheetInfo.sheets[0];
+  }
+
+  const targetSheet = sheetInfo.sheets.find(
+    (sheet) => sheet.title === sheetName
+  );
+  if (!targetSheet) {
+    throw new Error(
+      `Sheet "${sheetName}" not found in spreadsheet ${sheetId}. Available sheets: ${sheetInfo.sheets
+        .map((s) => s.title)
+        .join(", ")}`
+    );
+  }
+  return targetSheet;
+}
+
+// Fail early with a readable error instead of the backend's own "Unable to parse range"
+function assertReferencesResolve(sheetInfo, sheetId, cellReferences) {
+  const problems = findUnresolvedReferences(cellReferences, sheetInfo);
+  if (problems.length > 0) {
+    throw new Error(
+      `Invalid cell references for spreadsheet ${sheetId}: ${problems.join(
+        "; "
+      )}`
+    );
+  }
+}
+
+/**
+ * Validation report for one sheet configuration, as shown by `npm run validate`
+ * @param {Object} sheetInfo - Spreadsheet metadata
+ * @param {string} sheetName - Optional sheet name to validate
+ * @param {string[]} cellReferences - Configured cells to check against the tabs and named ranges
+ * @returns {Object} - Sheet information and validation results
+ */
+function describeSheetConfig(sheetInfo, sheetName = null, cellReferences = []) {
+  const result = {
+    spreadsheetTitle: sheetInfo.title,
+    totalSheets: sheetInfo.sheets.length,
+    availableSheets: sheetInfo.sheets.map((sheet) => sheet.title),
+    namedRanges: sheetInfo.namedRanges.map((range) => range.name),
+    unresolvedReferences: findUnresolvedReferences(cellReferences, sheetInfo),
+    targetSheet: null,
+    isValid: false,
+    message: "",
+  };
+
+  if (sheetInfo.sheets.length === 0) {
+    result.message = "Spreadsheet has no sheets";
+    return result;
+  }
+
+  if (sheetName) {
+    const targetSheet = sheetInfo.sheets.find(
+      (sheet) => sheet.title === sheetName
+    );
+    if (targetSheet) {
+      result.targetSheet = targetSheet.title;
+      result.isValid = true;
+      result.message = `Found target sheet "${sheetName}"`;
+    } else {
+      result.message = `Sheet "${sheetName}" not found. Available sheets: ${result.availableSheets.join(
+        ", "
+      )}`;
+    }
+  } else {
+    result.targetSheet = sheetInfo.sheets[0].title;
+    result.isValid = true;
+    result.message = `Using first sheet "${result.targetSheet}" (no sheetName specified)`;
+  }
+
+  if (result.unresolvedReferences.length > 0) {
+    result.isValid = false;
+    result.message += `. Invalid cell references: ${result.unresolvedReferences.join(
+      "; "
+    )}`;
+  }
+
+  return result;
+}
+
+module.exports = {
+  getTargetSheet,
+  assertReferencesResolve,
+  describeSheetConfig,
+};
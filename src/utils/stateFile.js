@@ -0,0 +1,37 @@
+/**
+ * JSON files under `state/` that services keep between runs (run ledger,
+ * run history, outbox, status boards, GM action log).
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+
+/**
+ * Read a state file; a missing file is an empty state
+ * @param {string} statePath - Absolute path of the file
+ * @param {string} label - What the file holds, for error messages
+ * @returns {Promise<Object>} - The parsed state ({} when the file is missing)
+ */
+async function readStateFile(statePath, label) {
+  try {
+    const contents = await fs.readFile(statePath, "utf8");
+    return JSON.parse(contents);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw new Error(`Failed to read ${label} ${statePath}: ${error.message}`);
+    }
+    return {};
+  }
+}
+
+/**
+ * Write a state file, creating its directory when needed
+ * @param {string} statePath - Absolute path of the file
+ * @param {Object} state - The state to save
+ */
+async function writeStateFile(statePath, state) {
+  await fs.mkdir(path.dirname(statePath), { recursive: true });
+  await fs.writeFile(statePath, JSON.stringify(state, null, 2) + "\n", "utf8");
+}
+
+module.exports = { readStateFile, writeStateFile };
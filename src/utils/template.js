@@ -0,0 +1,41 @@
+/**
+ * Fill `{{name}}` placeholders in a JSON template (for the generic webhook
+ * channel). Strings, arrays and objects are walked recursively; a string
+ * that is exactly one placeholder takes the value as is, so numbers and
+ * booleans keep their type. Unknown placeholders become empty strings.
+ */
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+const SINGLE_PLACEHOLDER_PATTERN = /^\{\{\s*(\w+)\s*\}\}$/;
+
+/**
+ * @param {*} template - Template value (object, array, string or other JSON value)
+ * @param {Object} values - Placeholder values by name
+ * @returns {*} - A new value with the placeholders filled in
+ */
+function renderTemplate(template, values) {
+  if (typeof template === "string") {
+    const single = template.match(SINGLE_PLACEHOLDER_PATTERN);
+    if (single) {
+      return single[1] in values ? values[single[1]] : "";
+    }
+    return template.replace(PLACEHOLDER_PATTERN, (match, name) =>
+      values[name] === undefined || values[name] === null
+        ? ""
+        : String(values[name])
+    );
+  }
+  if (Array.isArray(template)) {
+    return template.map((item) => renderTemplate(item, values));
+  }
+  if (template && typeof template === "object") {
+    const rendered = {};
+    Object.entries(template).forEach(([key, value]) => {
+      rendered[key] = renderTemplate(value, values);
+    });
+    return rendered;
+  }
+  return template;
+}
+
+module.exports = { renderTemplate };
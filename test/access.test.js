@@ -0,0 +1,140 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  isGameMaster,
+  canActOnArmy,
+  getArmiesFor,
+  resolveArmy,
+  resolveGmArmies,
+} = require("../src/domain/access");
+
+const PLAYER = "111111111111111111";
+const OTHER = "333333333333333333";
+const GM_ROLE = "222222222222222222";
+
+const campaign = { gm: { roleIds: [GM_ROLE] } };
+const config = [
+  { name: "Saraian 1st Army", players: { userIds: [PLAYER] }, campaign },
+  {
+    name: "Saraian 2nd Army",
+    players: { roleIds: ["444444444444444444"] },
+    campaign,
+  },
+];
+
+describe("access", () => {
+  it("lets players act on their own army and GMs on every army", () => {
+    const player = { userId: PLAYER, roleIds: [] };
+    const gm = { userId: OTHER, roleIds: [GM_ROLE] };
+
+    assert.equal(canActOnArmy(player, config[0]), true);
+    assert.equal(canActOnArmy(player, config[1]), false);
+    assert.equal(isGameMaster(player, campaign), false);
+    assert.equal(isGameMaster(gm, campaign), true);
+    assert.deepEqual(
+      getArmiesFor(gm, config).map((army) => army.name),
+      ["Saraian 1st Army", "Saraian 2nd Army"]
+    );
+  });
+
+  it("matches players by role as well as by user", () => {
+    const member = { userId: OTHER, roleIds: ["444444444444444444"] };
+    assert.deepEqual(
+      getArmiesFor(member, config).map((army) => army.name),
+      ["Saraian 2nd Army"]
+    );
+  });
+
+  it("treats an army without players or a campaign GM as closed", () => {
+    assert.equal(
+      canActOnArmy(
+        { userId: PLAYER, roleIds: [] },
+        { name: "Free", campaign: {} }
+      ),
+      false
+    );
+  });
+});
+
+describe("resolveArmy", () => {
+  it("picks a player's only army when none is named", () => {
+    const { army, error } = resolveArmy(
+      { userId: PLAYER, roleIds: [] },
+      config,
+      null
+    );
+    assert.equal(error, null);
+    assert.equal(army.name, "Saraian 1st Army");
+  });
+
+  it("finds a named army regardless of case", () => {
+    const { army } = resolveArmy(
+      { userId: OTHER, roleIds: [GM_ROLE] },
+      config,
+      " saraian 2nd army"
+    );
+    assert.equal(army.name, "Saraian 2nd Army");
+  });
+
+  it("explains why no army was picked", () => {
+    const gm = { userId: OTHER, roleIds: [GM_ROLE] };
+    const stranger = { userId: OTHER, roleIds: [] };
+
+    assert.equal(
+      resolveArmy(gm, config, null).error,
+      "Pick an army: Saraian 1st Army, Saraian 2nd Army"
+    );
+    assert.equal(
+      resolveArmy(stranger, config, null).error,
+      "You are not a player of any army"
+    );
+    assert.equal(
+      resolveArmy(stranger, config, "Saraian 1st Army").error,
+      "Only players of Saraian 1st Army and the GM can do that"
+    );
+    assert.equal(
+      resolveArmy(gm, config, "Nowhere").error,
+      'There is no army named "Nowhere"'
+    );
+  });
+});
+
+describe("resolveGmArmies", () => {
+  const gm = { userId: OTHER, roleIds: [GM_ROLE] };
+  const player = { userId: PLAYER, roleIds: [] };
+
+  it("picks every army of the GM's campaigns when none is named", () => {
+    const { armies, error } = resolveGmArmies(gm, config, null);
+    assert.equal(error, null);
+    assert.deepEqual(
+      armies.map((army) => army.name),
+      ["Saraian 1st Army", "Saraian 2nd Army"]
+    );
+  });
+
+  it("picks the named army in any case", () => {
+    const { armies } = resolveGmArmies(gm, config, "saraian 2nd army");
+    assert.deepEqual(
+      armies.map((army) => army.name),
+      ["Saraian 2nd Army"]
+    );
+  });
+
+  it("turns players away, even from their own army", () => {
+    assert.equal(
+      resolveGmArmies(player, config, "Saraian 1st Army").error,
+      "Only the GM of Saraian 1st Army's campaign can do that"
+    );
+    assert.equal(
+      resolveGmArmies(player, config, null).error,
+      "You are not the GM of any campaign"
+    );
+  });
+
+  it("rejects unknown armies", () => {
+    assert.equal(
+      resolveGmArmies(gm, config, "Nobody").error,
+      'There is no army named "Nobody"'
+    );
+  });
+});
@@ -0,0 +1,50 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  buildActionId,
+  parseActionId,
+  getAlertActions,
+} = require("../src/domain/alertActions");
+
+const army = { name: "Saraian 1st Army", restingStatusCell: "B4" };
+
+describe("getAlertActions", () => {
+  it("offers rest, resupply and forecast buttons for the army", () => {
+    assert.deepEqual(
+      getAlertActions(army, false).map((action) => action.id),
+      [
+        "supply:rest:Saraian 1st Army",
+        "supply:resupply:Saraian 1st Army",
+        "supply:forecast:Saraian 1st Army",
+      ]
+    );
+  });
+
+  it("leaves out resting for armies that rest already or can't", () => {
+    const ids = (sheetConfig, isResting) =>
+      getAlertActions(sheetConfig, isResting).map((action) => action.id);
+
+    assert.equal(ids(army, true).length, 2);
+    assert.equal(ids({ name: "Free Company" }, false).length, 2);
+    assert.ok(!ids(army, true).includes("supply:rest:Saraian 1st Army"));
+  });
+
+  it("drops buttons whose custom ID would be too long", () => {
+    assert.deepEqual(getAlertActions({ name: "x".repeat(90) }, false), []);
+  });
+});
+
+describe("parseActionId", () => {
+  it("reads back built IDs, colons in army names included", () => {
+    assert.deepEqual(parseActionId(buildActionId("rest", "Army: North")), {
+      action: "rest",
+      army: "Army: North",
+    });
+  });
+
+  it("ignores IDs of other commands and unknown actions", () => {
+    assert.equal(parseActionId("gm:tick:Army"), null);
+    assert.equal(parseActionId("supply:retreat:Army"), null);
+    assert.equal(parseActionId("supply:rest"), null);
+  });
+});
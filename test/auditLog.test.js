@@ -0,0 +1,78 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { AUDIT_LOG_HEADERS, buildAuditRows } = require("../src/domain/auditLog");
+const { computeSupplyTick } = require("../src/domain/supplyTick");
+
+const sheetConfig = {
+  name: "Saraian 1st Army",
+  currentSuppliesCell: "B2",
+  dailyConsumptionCell: "B3",
+  restingStatusCell: "B4",
+  totalCarriedCell: "B5",
+  currentCarryingCapacityCell: "B6",
+  auditLogTab: "Supply Log",
+};
+const campaign = { startDate: "2025-08-01" };
+
+function rows(values, dates) {
+  const tick = computeSupplyTick({
+    sheetConfig,
+    cellValues: {
+      B2: "150",
+      B3: "5",
+      B4: "FALSE",
+      B5: "420",
+      B6: "500",
+      ...values,
+    },
+    dates,
+  });
+  return buildAuditRows({
+    sheetConfig,
+    campaign,
+    tick,
+    runId: "123.1",
+    timestamp: "2025-08-13T06:00:00.000Z",
+  });
+}
+
+describe("buildAuditRows", () => {
+  it("writes one row per tick in header order", () => {
+    const [row] = rows({}, ["2025-08-13"]);
+    assert.equal(row.length, AUDIT_LOG_HEADERS.length);
+    assert.deepEqual(row, [
+      "2025-08-13T06:00:00.000Z",
+      "2025-08-13",
+      "Day 13",
+      "Saraian 1st Army",
+      150,
+      145,
+      5,
+      false,
+      415,
+      500,
+      "123.1",
+      "status",
+    ]);
+  });
+
+  it("logs each day of a catch-up with the carried weight as of that day", () => {
+    const result = rows({}, ["2025-08-12", "2025-08-13"]);
+    assert.deepEqual(
+      result.map((row) => [row[1], row[4], row[5], row[8], row[11]]),
+      [
+        ["2025-08-12", 150, 145, 415, "catchUp"],
+        ["2025-08-13", 145, 140, 410, "catchUp"],
+      ]
+    );
+  });
+
+  it("records resting days without a deduction", () => {
+    const [row] = rows({ B4: "TRUE" }, ["2025-08-13"]);
+    assert.deepEqual([row[4], row[5], row[7]], [150, 150, true]);
+  });
+
+  it("adds nothing when the day was already applied", () => {
+    assert.deepEqual(rows({}, []), []);
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getCampaignDayNumber,
+  getSeason,
+  formatCampaignDay,
+  addCampaignDays,
+} = require("../src/domain/calendar");
+const { getCampaignDate } = require("../src/utils/campaignDate");
+const { resolveSheetConfigs } = require("../src/utils/config");
+
+const campaign = {
+  startDate: "2025-03-01",
+  calendar: {
+    seasons: [
+      { name: "early spring", days: 60 },
+      { name: "late spring", days: 30 },
+      { name: "summer", days: 90 },
+    ],
+  },
+};
+
+describe("campaign calendar", () => {
+  it("numbers days from the start date", () => {
+    assert.equal(getCampaignDayNumber("2025-03-01", campaign), 1);
+    assert.equal(getCampaignDayNumber("2025-04-16", campaign), 47);
+    assert.equal(
+      getCampaignDayNumber("2025-03-01", {
+        ...campaign,
+        calendar: { startDay: 100 },
+      }),
+      100
+    );
+    assert.equal(getCampaignDayNumber("2025-03-01", {}), null);
+  });
+
+  it("finds the season and wraps into the next year", () => {
+    assert.equal(getSeason(60, campaign.calendar), "early spring");
+    assert.equal(getSeason(61, campaign.calendar), "late spring");
+    assert.equal(getSeason(181, campaign.calendar), "early spring");
+    assert.equal(getSeason(5, {}), null);
+  });
+
+  it("labels campaign days", () => {
+    assert.equal(
+      formatCampaignDay("2025-04-16", campaign),
+      "Day 47, early spring"
+    );
+    assert.equal(
+      formatCampaignDay("2025-04-16", campaign, { short: true }),
+      "Day 47"
+    );
+    assert.equal(formatCampaignDay("2025-08-13", {}), "Wednesday, August 13th");
+    assert.equal(
+      formatCampaignDay("2025-08-13", {}, { short: true }),
+      "Wed, Aug 13"
+    );
+  });
+
+  it("projects the zero-supply day in campaign days", () => {
+    const zeroDate = addCampaignDays("2025-04-16", 20);
+    assert.equal(zeroDate, "2025-05-06");
+    assert.equal(formatCampaignDay(zeroDate, campaign), "Day 67, late spring");
+  });
+});
+
+describe("getCampaignDate", () => {
+  const now = new Date("2025-08-13T04:30:00Z");
+
+  it("resolves the date in the campaign timezone", () => {
+    assert.equal(getCampaignDate(now, "America/New_York"), "2025-08-13");
+    assert.equal(getCampaignDate(now, "Pacific/Honolulu"), "2025-08-12");
+  });
+
+  it("counts runs before the rollover hour towards the previous day", () => {
+    // 06:30 in Berlin
+    assert.equal(getCampaignDate(now, "Europe/Berlin", 0), "2025-08-13");
+    assert.equal(getCampaignDate(now, "Europe/Berlin", 7), "2025-08-12");
+    assert.equal(getCampaignDate(now, "Europe/Berlin", 6), "2025-08-13");
+  });
+});
+
+describe("resolveSheetConfigs", () => {
+  it("merges shared campaign settings into each army", () => {
+    const sheets = resolveSheetConfigs({
+      campaign: { timezone: "Europe/Berlin", startDate: "2025-03-01" },
+      sheets: [
+        { name: "A" },
+        { name: "B", campaign: { timezone: "Europe/London" } },
+      ],
+    });
+
+    assert.deepEqual(sheets[0].campaign, {
+      timezone: "Europe/Berlin",
+      startDate: "2025-03-01",
+    });
+    assert.equal(sheets[1].campaign.timezone, "Europe/London");
+    assert.equal(sheets[1].campaign.startDate, "2025-03-01");
+  });
+
+  it("accepts the legacy array form", () => {
+    assert.deepEqual(resolveSheetConfigs([{ name: "A" }]), [
+      { name: "A", campaign: {} },
+    ]);
+  });
+
+  it("addresses armies in local files by the file's path", () => {
+    const [sheet] = resolveSheetConfigs([
+      { name: "A", source: { type: "csv", path: "data/army.csv" } },
+    ]);
+
+    assert.equal(sheet.sheetId, "data/army.csv");
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getCampaignDate,
+  getDatesToApply,
+} = require("../src/utils/campaignDate");
+
+describe("getDatesToApply", () => {
+  it("applies today only for an army never processed", () => {
+    assert.deepEqual(getDatesToApply(null, "2025-08-13", 7), {
+      dates: ["2025-08-13"],
+      skippedDays: 0,
+    });
+  });
+
+  it("catches up every missed day in order", () => {
+    assert.deepEqual(getDatesToApply("2025-08-10", "2025-08-13", 7), {
+      dates: ["2025-08-11", "2025-08-12", "2025-08-13"],
+      skippedDays: 0,
+    });
+    // Across a month end
+    assert.deepEqual(getDatesToApply("2025-07-30", "2025-08-01", 7).dates, [
+      "2025-07-31",
+      "2025-08-01",
+    ]);
+  });
+
+  it("applies the most recent maxDays and counts the older ones as skipped", () => {
+    assert.deepEqual(getDatesToApply("2025-08-01", "2025-08-13", 3), {
+      dates: ["2025-08-11", "2025-08-12", "2025-08-13"],
+      skippedDays: 9,
+    });
+  });
+
+  it("applies nothing on the day already processed", () => {
+    assert.deepEqual(getDatesToApply("2025-08-13", "2025-08-13", 7), {
+      dates: [],
+      skippedDays: 0,
+    });
+  });
+
+  it("applies nothing when the last processed date is in the future", () => {
+    // e.g. after the campaign timezone was moved west
+    assert.deepEqual(getDatesToApply("2025-08-14", "2025-08-13", 7), {
+      dates: [],
+      skippedDays: 0,
+    });
+  });
+
+  it("rejects a stored date that isn't yyyy-MM-dd", () => {
+    assert.throws(() => getDatesToApply("13/08/2025", "2025-08-13", 7), {
+      message: 'Invalid last processed date "13/08/2025" - expected yyyy-MM-dd',
+    });
+  });
+});
+
+describe("getCampaignDate", () => {
+  it("keeps a run past local midnight on the previous day until the rollover hour", () => {
+    // 23:30 on the 13th in New York is already the 14th in UTC
+    const lateEvening = new Date("2025-08-14T03:30:00Z");
+    assert.equal(
+      getCampaignDate(lateEvening, "America/New_York", 2),
+      "2025-08-13"
+    );
+
+    // 01:30 on the 14th in New York
+    const afterMidnight = new Date("2025-08-14T05:30:00Z");
+    assert.equal(
+      getCampaignDate(afterMidnight, "America/New_York", 0),
+      "2025-08-14"
+    );
+    assert.equal(
+      getCampaignDate(afterMidnight, "America/New_York", 1),
+      "2025-08-14"
+    );
+    assert.equal(
+      getCampaignDate(afterMidnight, "America/New_York", 2),
+      "2025-08-13"
+    );
+  });
+});
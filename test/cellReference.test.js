@@ -0,0 +1,86 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseCellReference,
+  toA1Range,
+  parseA1Address,
+  toA1Address,
+  findUnresolvedReferences,
+} = require("../src/utils/cellReference");
+
+describe("parseCellReference", () => {
+  it("parses bare addresses, cross-tab references and named ranges", () => {
+    assert.deepEqual(parseCellReference("B2"), {
+      type: "cell",
+      sheetName: null,
+      address: "B2",
+    });
+    assert.deepEqual(parseCellReference("'Troops'!C4"), {
+      type: "cell",
+      sheetName: "Troops",
+      address: "C4",
+    });
+    assert.deepEqual(parseCellReference("Logistics!B2"), {
+      type: "cell",
+      sheetName: "Logistics",
+      address: "B2",
+    });
+    assert.deepEqual(parseCellReference("'Bob''s Army'!A1"), {
+      type: "cell",
+      sheetName: "Bob's Army",
+      address: "A1",
+    });
+    assert.deepEqual(parseCellReference("ArmySupplies"), {
+      type: "namedRange",
+      name: "ArmySupplies",
+    });
+  });
+
+  it("rejects malformed references", () => {
+    assert.equal(parseCellReference("'Troops'!C0"), null);
+    assert.equal(parseCellReference("Main Army!B2"), null);
+    assert.equal(parseCellReference("B2:C3"), null);
+    assert.equal(parseCellReference(""), null);
+    assert.equal(parseCellReference(undefined), null);
+  });
+});
+
+describe("toA1Range", () => {
+  it("qualifies bare addresses with the default tab", () => {
+    assert.equal(toA1Range("B2", "Main Army"), "'Main Army'!B2");
+    assert.equal(toA1Range("'Troops'!C4", "Main Army"), "'Troops'!C4");
+    assert.equal(toA1Range("ArmySupplies", "Main Army"), "ArmySupplies");
+  });
+});
+
+describe("parseA1Address / toA1Address", () => {
+  it("converts between A1 addresses and zero-based grid positions", () => {
+    assert.deepEqual(parseA1Address("A1"), { row: 0, column: 0 });
+    assert.deepEqual(parseA1Address("B12"), { row: 11, column: 1 });
+    assert.deepEqual(parseA1Address("AA3"), { row: 2, column: 26 });
+    assert.equal(toA1Address(11, 1), "B12");
+    assert.equal(toA1Address(2, 26), "AA3");
+    assert.equal(toA1Address(0, 701), "ZZ1");
+    assert.equal(toA1Address(0, 702), "AAA1");
+  });
+});
+
+describe("findUnresolvedReferences", () => {
+  it("reports missing tabs and named ranges", () => {
+    const sheetInfo = {
+      sheets: [{ title: "Logistics" }, { title: "Troops" }],
+      namedRanges: [{ name: "ArmySupplies" }],
+    };
+
+    assert.deepEqual(
+      findUnresolvedReferences(
+        ["B2", "'Troops'!C4", "ArmySupplies", "'Navy'!A1", "ArmyMorale"],
+        sheetInfo
+      ),
+      [
+        `"'Navy'!A1" refers to missing tab "Navy"`,
+        `named range "ArmyMorale" does not exist`,
+      ]
+    );
+  });
+});
@@ -0,0 +1,232 @@
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { SlackChannel } = require("../src/services/slack");
+const { MatrixChannel } = require("../src/services/matrix");
+const { WebhookChannel } = require("../src/services/genericWebhook");
+const { EmailChannel } = require("../src/services/email");
+
+const message = {
+  kind: "status",
+  name: "Saraian 1st Army",
+  title: "📦 Saraian 1st Army",
+  color: 0xff8c00,
+  content: "Supplies are **low**",
+  description: "10 days left",
+  fields: [{ name: "Sheet", value: "[Open](https://example.com/s)" }],
+  sheetUrl: "https://example.com/s",
+};
+
+// A local HTTP server recording each request; `respond` picks the reply
+function startServer() {
+  const server = {
+    requests: [],
+    respond: () => ({ status: 200, body: "{}" }),
+  };
+  server.http = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      const request = {
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body: body ? JSON.parse(body) : null,
+      };
+      server.requests.push(request);
+      const reply = server.respond(request);
+      res.writeHead(reply.status, { "Content-Type": "application/json" });
+      res.end(reply.body);
+    });
+  });
+  return new Promise((resolve) => {
+    server.http.listen(0, "127.0.0.1", () => {
+      server.url = `http://127.0.0.1:${server.http.address().port}`;
+      resolve(server);
+    });
+  });
+}
+
+describe("notification channels", () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => new Promise((resolve) => server.http.close(resolve)));
+  afterEach(() => {
+    server.requests = [];
+    server.respond = () => ({ status: 200, body: "{}" });
+  });
+
+  describe("SlackChannel", () => {
+    const channel = new SlackChannel();
+
+    it("renders the content as text and the report as an attachment", () => {
+      const payload = channel.render(message);
+
+      assert.equal(payload.text, "Supplies are *low*");
+      assert.equal(payload.attachments[0].color, "#ff8c00");
+      assert.equal(
+        payload.attachments[0].text,
+        "10 days left\n*Sheet*: <https://example.com/s|Open>"
+      );
+    });
+
+    it("posts to the webhook and fails on an error status", async () => {
+      const destination = { webhookUrl: `${server.url}/services/T/B/x` };
+      await channel.deliver({ text: "hi" }, destination);
+      assert.equal(server.requests[0].method, "POST");
+      assert.equal(server.requests[0].url, "/services/T/B/x");
+      assert.deepEqual(server.requests[0].body, { text: "hi" });
+
+      server.respond = () => ({ status: 404, body: "no_service" });
+      await assert.rejects(channel.deliver({ text: "hi" }, destination), {
+        message: "Slack webhook failed with status 404: no_service",
+      });
+    });
+
+    it("keeps the webhook token out of its description", () => {
+      assert.equal(
+        channel.describe({
+          webhookUrl: "https://hooks.slack.com/services/T/B/secret",
+        }),
+        "Slack webhook (hooks.slack.com)"
+      );
+    });
+  });
+
+  describe("MatrixChannel", () => {
+    afterEach(() => {
+      delete process.env.MATRIX_ACCESS_TOKEN;
+    });
+
+    it("renders a plain and an HTML body", () => {
+      const payload = new MatrixChannel().render(message);
+
+      assert.equal(payload.msgtype, "m.text");
+      assert.equal(
+        payload.body,
+        "Supplies are low\n\n📦 Saraian 1st Army\n\n10 days left\nSheet: Open (https://example.com/s)"
+      );
+      assert.match(payload.formatted_body, /<strong>low<\/strong>/);
+    });
+
+    it("sends each message with a new transaction ID", async () => {
+      process.env.MATRIX_ACCESS_TOKEN = "token";
+      const channel = new MatrixChannel();
+      const destination = {
+        homeserverUrl: `${server.url}/`,
+        roomId: "!room:example.org",
+      };
+
+      await channel.deliver({ body: "a" }, destination);
+      await channel.deliver({ body: "b" }, destination);
+
+      const [first, second] = server.requests;
+      assert.equal(first.method, "PUT");
+      assert.match(
+        first.url,
+        /^\/_matrix\/client\/v3\/rooms\/!room%3Aexample\.org\/send\/m\.room\.message\/supply-\d+-1$/
+      );
+      assert.match(second.url, /-2$/);
+      assert.equal(first.headers.authorization, "Bearer token");
+    });
+
+    it("needs an access token", async () => {
+      await assert.rejects(
+        new MatrixChannel().deliver(
+          {},
+          { homeserverUrl: server.url, roomId: "!r" }
+        ),
+        /Matrix access token missing/
+      );
+      assert.equal(server.requests.length, 0);
+    });
+  });
+
+  describe("WebhookChannel", () => {
+    const channel = new WebhookChannel();
+
+    it("fills the default template", () => {
+      const payload = channel.render(message, {});
+
+      assert.equal(payload.army, "Saraian 1st Army");
+      assert.equal(payload.kind, "status");
+      assert.equal(payload.color, "#ff8c00");
+      assert.equal(
+        payload.text,
+        "Supplies are low\n\n📦 Saraian 1st Army\n\n10 days left\nSheet: Open (https://example.com/s)"
+      );
+    });
+
+    it("fills a destination's own template", () => {
+      assert.deepEqual(
+        channel.render(message, {
+          template: { msg: "{{title}}: {{content}}" },
+        }),
+        { msg: "📦 Saraian 1st Army: Supplies are low" }
+      );
+    });
+
+    it("sends with the destination's method and headers", async () => {
+      await channel.deliver(
+        { msg: "hi" },
+        {
+          url: `${server.url}/hook`,
+          method: "PUT",
+          headers: { "X-Token": "abc" },
+        }
+      );
+
+      assert.equal(server.requests[0].method, "PUT");
+      assert.equal(server.requests[0].headers["x-token"], "abc");
+      assert.deepEqual(server.requests[0].body, { msg: "hi" });
+    });
+  });
+
+  describe("EmailChannel", () => {
+    afterEach(() => {
+      delete process.env.SMTP_FROM;
+    });
+
+    it("renders a subject, a text and an HTML body", () => {
+      process.env.SMTP_FROM = "monitor@example.com";
+      const payload = new EmailChannel().render(message, {
+        to: ["gm@example.com", "quartermaster@example.com"],
+        subjectPrefix: "[Supplies] ",
+      });
+
+      assert.equal(payload.from, "monitor@example.com");
+      assert.equal(payload.to, "gm@example.com, quartermaster@example.com");
+      assert.equal(payload.subject, "[Supplies] 📦 Saraian 1st Army");
+      assert.match(payload.text, /^Supplies are low\n\n10 days left/);
+      assert.match(payload.html, /^<h2>📦 Saraian 1st Army<\/h2>/);
+    });
+
+    it("needs a from address", () => {
+      assert.throws(
+        () => new EmailChannel().render(message, { to: "gm@example.com" }),
+        /SMTP_FROM is not set/
+      );
+    });
+
+    it("sends through the SMTP transport and wraps its errors", async () => {
+      const channel = new EmailChannel();
+      const sent = [];
+      channel.transport = { sendMail: async (payload) => sent.push(payload) };
+      await channel.deliver({ subject: "a" });
+      assert.deepEqual(sent, [{ subject: "a" }]);
+
+      channel.transport = {
+        sendMail: async () => {
+          throw new Error("535 authentication failed");
+        },
+      };
+      await assert.rejects(channel.deliver({ subject: "a" }), {
+        message: "Email delivery failed: 535 authentication failed",
+      });
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  computeConsumption,
+  getCompositionCells,
+} = require("../src/domain/consumption");
+const { computeSupplyTick, getTickCells } = require("../src/domain/supplyTick");
+
+const unitComposition = {
+  infantryCell: "F2",
+  cavalryCell: "F3",
+  noncombatantCell: "F4",
+  packAnimalCell: "F5",
+};
+
+describe("computeConsumption", () => {
+  it("applies the default per-unit rates", () => {
+    const { total, breakdown } = computeConsumption(
+      unitComposition,
+      { F2: "800", F3: "40", F4: "200", F5: "30" },
+      "en_US"
+    );
+
+    assert.equal(total, 800 + 400 + 200 + 300);
+    assert.deepEqual(
+      breakdown.map((unit) => [unit.key, unit.count, unit.consumption]),
+      [
+        ["infantry", 800, 800],
+        ["cavalry", 40, 400],
+        ["noncombatant", 200, 200],
+        ["packAnimal", 30, 300],
+      ]
+    );
+  });
+
+  it("uses configured rates and treats blank counts as zero", () => {
+    const { total, breakdown } = computeConsumption(
+      { infantryCell: "F2", cavalryCell: "F3", rates: { cavalry: 3 } },
+      { F2: "1.000", F3: "" },
+      "de_DE"
+    );
+
+    assert.equal(total, 1000);
+    assert.equal(breakdown[1].rate, 3);
+    assert.equal(breakdown[1].count, 0);
+  });
+
+  it("rejects non-numeric counts", () => {
+    assert.throws(
+      () => computeConsumption({ infantryCell: "F2" }, { F2: "lots" }),
+      /Invalid numeric value/
+    );
+  });
+
+  it("lists only the configured count cells", () => {
+    assert.deepEqual(
+      getCompositionCells({
+        unitComposition: { cavalryCell: "'Troops'!C4", packAnimalCell: "F5" },
+      }),
+      ["'Troops'!C4", "F5"]
+    );
+    assert.deepEqual(getCompositionCells({}), []);
+  });
+});
+
+describe("computeSupplyTick with unit composition", () => {
+  const sheetConfig = {
+    name: "Saraian 1st Army",
+    currentSuppliesCell: "B2",
+    dailyConsumptionCell: "B3",
+    totalCarriedCell: "B5",
+    currentCarryingCapacityCell: "B6",
+    unitComposition: { infantryCell: "F2", cavalryCell: "F3" },
+  };
+  const cellValues = { B2: "1000", B5: "1200", B6: "2000", F2: "50", F3: "5" };
+
+  it("fetches the count cells", () => {
+    const cells = getTickCells(sheetConfig);
+    assert.ok(cells.includes("F2"));
+    assert.ok(cells.includes("F3"));
+  });
+
+  it("deducts the derived consumption and writes it back when it changed", () => {
+    const result = computeSupplyTick({
+      sheetConfig,
+      cellValues: { ...cellValues, B3: "90" },
+      dates: ["2025-08-13"],
+    });
+
+    assert.equal(result.dailyConsumption, 100);
+    assert.equal(result.previousConsumption, 90);
+    assert.equal(result.consumptionChanged, true);
+    assert.equal(result.newSupplyValue, 900);
+    assert.deepEqual(result.writes, [
+      { cell: "B3", value: 100, previous: 90 },
+      { cell: "B2", value: 900, previous: 1000 },
+    ]);
+  });
+
+  it("leaves an up-to-date consumption cell alone", () => {
+    const result = computeSupplyTick({
+      sheetConfig,
+      cellValues: { ...cellValues, B3: "100" },
+      dates: [],
+    });
+
+    assert.equal(result.consumptionChanged, false);
+    assert.deepEqual(result.writes, []);
+  });
+});
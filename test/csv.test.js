@@ -0,0 +1,40 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCsv, stringifyCsv } = require("../src/utils/csv");
+
+describe("parseCsv", () => {
+  it("splits rows and fields, honouring quotes", () => {
+    assert.deepEqual(
+      parseCsv('Supplies,"1,250"\r\nNote,"said ""hold"""\nEmpty,\n'),
+      [
+        ["Supplies", "1,250"],
+        ["Note", 'said "hold"'],
+        ["Empty", ""],
+      ]
+    );
+  });
+
+  it("keeps line breaks inside quoted fields and drops a byte order mark", () => {
+    assert.deepEqual(parseCsv('\uFEFFA,"two\nlines"'), [["A", "two\nlines"]]);
+  });
+
+  it("rejects an unterminated quote", () => {
+    assert.throws(() => parseCsv('A,"open'), /Unterminated/);
+  });
+});
+
+describe("stringifyCsv", () => {
+  it("quotes only when needed and round-trips through parseCsv", () => {
+    const rows = [
+      ["Army", 150, true],
+      ["1,250", 'a "b"', null],
+    ];
+    const text = stringifyCsv(rows);
+
+    assert.equal(text, 'Army,150,TRUE\n"1,250","a ""b""",\n');
+    assert.deepEqual(parseCsv(text), [
+      ["Army", "150", "TRUE"],
+      ["1,250", 'a "b"', ""],
+    ]);
+  });
+});
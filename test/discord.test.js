@@ -0,0 +1,170 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const https = require("https");
+const { EventEmitter } = require("events");
+const { DiscordChannel } = require("../src/services/discord");
+
+const WEBHOOK = "https://discord.com/api/webhooks/1/token";
+const OTHER_WEBHOOK = "https://discord.com/api/webhooks/2/token";
+
+// Stand-in for https.request: records each request and answers it with what
+// `respond` returns ({ status, headers, body, delayMs })
+function stubHttps(respond) {
+  const requests = [];
+  https.request = (options, callback) => {
+    const req = new EventEmitter();
+    let body = "";
+    req.setTimeout = () => {};
+    req.destroy = () => {};
+    req.write = (chunk) => {
+      body += chunk;
+    };
+    req.end = () => {
+      const request = {
+        method: options.method,
+        path: options.path,
+        body: JSON.parse(body),
+        startedAt: Date.now(),
+      };
+      requests.push(request);
+      const reply = respond(request, requests.length);
+      setTimeout(() => {
+        const res = new EventEmitter();
+        res.statusCode = reply.status || 204;
+        res.headers = reply.headers || {};
+        callback(res);
+        res.emit("data", reply.body || "");
+        res.emit("end");
+      }, reply.delayMs || 0);
+    };
+    return req;
+  };
+  return requests;
+}
+
+const rateLimited = (retryAfter, headers = {}) => ({
+  status: 429,
+  headers: { "retry-after": "5", ...headers },
+  body: JSON.stringify({
+    message: "You are being rate limited.",
+    retry_after: retryAfter,
+  }),
+});
+
+describe("DiscordChannel", () => {
+  const request = https.request;
+  let channel;
+
+  beforeEach(() => {
+    channel = new DiscordChannel();
+  });
+  afterEach(() => {
+    https.request = request;
+  });
+
+  it("waits for the 429 body's retry_after, not the rounded header", async () => {
+    const requests = stubHttps((req, count) =>
+      count === 1 ? rateLimited(0.05) : {}
+    );
+
+    await channel.sendWebhook(WEBHOOK, { content: "hi" });
+
+    assert.equal(requests.length, 2);
+    const waited = requests[1].startedAt - requests[0].startedAt;
+    assert.ok(waited >= 45 && waited < 1000, `waited ${waited}ms`);
+  });
+
+  it("pauses a webhook whose bucket is empty until it refills", async () => {
+    const requests = stubHttps((req, count) =>
+      count === 1
+        ? {
+            headers: {
+              "x-ratelimit-remaining": "0",
+              "x-ratelimit-reset-after": "0.1",
+            },
+          }
+        : {}
+    );
+
+    await channel.sendWebhook(WEBHOOK, { content: "a" });
+    await channel.sendWebhook(OTHER_WEBHOOK, { content: "b" });
+    await channel.sendWebhook(WEBHOOK, { content: "c" });
+
+    // The other webhook has a bucket of its own
+    assert.ok(requests[1].startedAt - requests[0].startedAt < 90);
+    assert.ok(requests[2].startedAt - requests[0].startedAt >= 95);
+  });
+
+  it("pauses every webhook after a global rate limit", async () => {
+    const requests = stubHttps((req, count) =>
+      count === 1 ? rateLimited(0.1, { "x-ratelimit-global": "true" }) : {}
+    );
+
+    await channel.sendWebhook(WEBHOOK, { content: "a" });
+    await channel.sendWebhook(OTHER_WEBHOOK, { content: "b" });
+
+    assert.equal(requests.length, 3);
+    assert.ok(requests[2].startedAt - requests[0].startedAt >= 95);
+  });
+
+  it("sends one webhook's posts in order, one at a time", async () => {
+    const requests = stubHttps((req) => ({
+      delayMs: req.body.content === "first" ? 50 : 0,
+    }));
+
+    await Promise.all([
+      channel.sendWebhook(WEBHOOK, { content: "first" }),
+      channel.sendWebhook(`${WEBHOOK}?thread_id=9`, { content: "second" }),
+    ]);
+
+    assert.deepEqual(
+      requests.map((req) => req.body.content),
+      ["first", "second"]
+    );
+    assert.ok(requests[1].startedAt - requests[0].startedAt >= 45);
+  });
+
+  it("counts the posts of a split payload delivered before one failed", async () => {
+    const payload = {
+      embeds: Array.from({ length: 12 }, (value, index) => ({
+        title: `Army ${index}`,
+      })),
+    };
+    let requests = stubHttps((req, count) =>
+      count === 2 ? { status: 400, body: "bad" } : {}
+    );
+
+    await assert.rejects(channel.sendWebhook(WEBHOOK, payload), (error) => {
+      assert.equal(error.deliveredParts, 1);
+      return true;
+    });
+    assert.equal(requests.length, 2);
+
+    // Redelivery skips the post that went through
+    requests = stubHttps(() => ({}));
+    await channel.deliver(payload, { webhookUrl: WEBHOOK }, { skipParts: 1 });
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].body.embeds.length, 2);
+  });
+
+  it("doesn't repost after a server error, but retries edits", async () => {
+    const serverError = {
+      status: 502,
+      headers: { "retry-after": "0" },
+      body: "Bad Gateway",
+    };
+    let requests = stubHttps(() => serverError);
+
+    await assert.rejects(
+      channel.sendWebhook(WEBHOOK, { content: "a" }),
+      /status 502/
+    );
+    assert.equal(requests.length, 1);
+
+    requests = stubHttps((req, count) => (count === 1 ? serverError : {}));
+    await channel.editMessage(WEBHOOK, "123", { content: "b" });
+    assert.equal(requests.length, 2);
+    assert.equal(requests[1].method, "PATCH");
+    assert.equal(requests[1].path, "/api/webhooks/1/token/messages/123");
+  });
+});
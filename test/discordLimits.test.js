@@ -0,0 +1,122 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DISCORD_LIMITS,
+  truncate,
+  splitText,
+  splitDiscordPayload,
+} = require("../src/utils/discordLimits");
+
+// Every message must fit Discord's limits
+function assertFits(message) {
+  assert.ok(!message.content || message.content.length <= 2000);
+  const embeds = message.embeds || [];
+  assert.ok(embeds.length <= 10);
+  let total = 0;
+  embeds.forEach((embed) => {
+    assert.ok(!embed.title || embed.title.length <= 256);
+    assert.ok(!embed.description || embed.description.length <= 4096);
+    assert.ok((embed.fields || []).length <= 25);
+    total += (embed.title || "").length + (embed.description || "").length;
+    (embed.fields || []).forEach((field) => {
+      assert.ok(field.value.length <= 1024);
+      total += field.name.length + field.value.length;
+    });
+  });
+  assert.ok(total <= DISCORD_LIMITS.embedTotal);
+}
+
+describe("splitText", () => {
+  it("breaks between lines, and inside a line only when it must", () => {
+    assert.deepEqual(splitText("aaa\nbb\ncc", 6), ["aaa\nbb", "cc"]);
+    assert.deepEqual(splitText("abcdefgh\nij", 3), ["abc", "def", "gh", "ij"]);
+    assert.deepEqual(splitText("short", 10), ["short"]);
+  });
+
+  it("keeps blank lines", () => {
+    assert.deepEqual(splitText("a\n\nb", 10), ["a\n\nb"]);
+  });
+});
+
+describe("truncate", () => {
+  it("marks the cut with an ellipsis", () => {
+    assert.equal(truncate("abcdef", 4), "abc…");
+    assert.equal(truncate("abc", 4), "abc");
+  });
+});
+
+describe("splitDiscordPayload", () => {
+  it("leaves a payload that fits as a single message", () => {
+    const payload = {
+      content: "🚨 **WARNING**",
+      embeds: [{ title: "Status", color: 1, description: "x", timestamp: "t" }],
+    };
+
+    assert.deepEqual(splitDiscordPayload(payload), [payload]);
+  });
+
+  it("splits a long description across embeds and messages", () => {
+    const line = "📦 ".padEnd(99, "x");
+    const description = Array(130).fill(line).join("\n");
+    const messages = splitDiscordPayload({
+      content: "alert",
+      embeds: [{ title: "Status", color: 5, description, timestamp: "t" }],
+    });
+
+    // Four ~4000-character embeds; only the last two fit in one message
+    assert.equal(messages.length, 3);
+    messages.forEach(assertFits);
+    const embeds = messages.flatMap((message) => message.embeds);
+    assert.equal(embeds[0].title, "Status");
+    assert.equal(embeds[0].timestamp, undefined);
+    assert.equal(embeds[embeds.length - 1].timestamp, "t");
+    assert.ok(embeds.every((embed) => embed.color === 5));
+    assert.equal(
+      embeds.map((embed) => embed.description).join("\n"),
+      description
+    );
+    assert.equal(messages[0].content, "alert");
+  });
+
+  it("moves overflowing fields into further embeds and truncates long values", () => {
+    const fields = Array.from({ length: 30 }, (unused, index) => ({
+      name: `Field ${index}`,
+      value: "v".repeat(index === 0 ? 2000 : 10),
+    }));
+    const [message] = splitDiscordPayload({ embeds: [{ title: "T", fields }] });
+
+    assertFits(message);
+    assert.equal(message.embeds.length, 2);
+    assert.equal(message.embeds[0].fields.length, 25);
+    assert.equal(message.embeds[0].fields[0].value.length, 1024);
+    assert.ok(message.embeds[0].fields[0].value.endsWith("…"));
+  });
+
+  it("splits long content and repeats other options on every message", () => {
+    const content = Array(3).fill("c".repeat(1500)).join("\n");
+    const messages = splitDiscordPayload({
+      content,
+      embeds: [{ title: "T" }],
+      allowed_mentions: { parse: [] },
+    });
+
+    assert.equal(messages.length, 3);
+    messages.forEach(assertFits);
+    assert.ok(messages.every((message) => message.allowed_mentions));
+    assert.equal(messages[0].embeds, undefined);
+    assert.deepEqual(messages[2].embeds, [{ title: "T" }]);
+  });
+
+  it("puts buttons under the last message only", () => {
+    const components = [{ type: 1, components: [] }];
+    const messages = splitDiscordPayload({
+      content: Array(2).fill("c".repeat(1500)).join("\n"),
+      embeds: [{ title: "T" }],
+      components,
+    });
+
+    assert.equal(messages.length, 2);
+    assert.equal(messages[0].components, undefined);
+    assert.deepEqual(messages[1].components, components);
+  });
+});
@@ -0,0 +1,251 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const {
+  FileDataSource,
+  writeFileAtomic,
+} = require("../src/services/fileDataSource");
+const { CsvFileSource } = require("../src/services/csvFileSource");
+const { JsonFileSource } = require("../src/services/jsonFileSource");
+
+let dir;
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "file-source-"));
+});
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+// Files left in the fixture directory, e.g. to spot stray temp files
+async function listFiles() {
+  return (await fs.readdir(dir)).sort();
+}
+
+describe("writeFileAtomic", () => {
+  it("replaces the file through a renamed temp file", async () => {
+    const filePath = path.join(dir, "army.json");
+    await fs.writeFile(filePath, "old", "utf8");
+    const before = await fs.stat(filePath);
+
+    await writeFileAtomic(filePath, "new");
+
+    assert.equal(await fs.readFile(filePath, "utf8"), "new");
+    // A rename gives the path a new inode; writing in place would keep it
+    assert.notEqual((await fs.stat(filePath)).ino, before.ino);
+    assert.deepEqual(await listFiles(), ["army.json"]);
+  });
+});
+
+describe("FileDataSource", () => {
+  it("requires subclasses to load and save workbooks", async () => {
+    const source = new FileDataSource();
+    await assert.rejects(source.loadWorkbook("x"), {
+      message: "FileDataSource must implement loadWorkbook",
+    });
+    await assert.rejects(source.saveWorkbook("x", {}, []), {
+      message: "FileDataSource must implement saveWorkbook",
+    });
+  });
+
+  it("reports a missing data file by its configured path", async () => {
+    const missing = path.join(dir, "missing.json");
+    await assert.rejects(new JsonFileSource().getSheetInfo(missing), {
+      message: `Data file ${missing} does not exist`,
+    });
+  });
+});
+
+describe("JsonFileSource", () => {
+  let filePath;
+  const source = new JsonFileSource();
+
+  beforeEach(async () => {
+    filePath = path.join(dir, "campaign.json");
+    await fs.writeFile(
+      filePath,
+      JSON.stringify({
+        title: "Saraian campaign",
+        locale: "de_DE",
+        owner: "GM",
+        sheets: {
+          Army: { B2: 150, B3: 10, B4: false, B5: "" },
+          Logistics: { C7: 800 },
+        },
+        namedRanges: { ArmySupplies: "'Army'!B2:B3", Infantry: "Logistics!C7" },
+      }),
+      "utf8"
+    );
+  });
+
+  it("describes the workbook's tabs, named ranges and locale", async () => {
+    assert.deepEqual(await source.getSheetInfo(filePath), {
+      title: "Saraian campaign",
+      locale: "de_DE",
+      sheets: [{ title: "Army" }, { title: "Logistics" }],
+      namedRanges: [{ name: "ArmySupplies" }, { name: "Infantry" }],
+    });
+    assert.equal(await source.getSpreadsheetLocale(filePath), "de_DE");
+  });
+
+  it("reads bare, cross-tab and named range references", async () => {
+    const values = await source.getCellValuesBatch(filePath, [
+      "B2",
+      "B4",
+      "B5",
+      "B9",
+      "'Logistics'!C7",
+      "ArmySupplies",
+      "Infantry",
+    ]);
+
+    assert.deepEqual(values, {
+      B2: 150,
+      B4: false,
+      B5: null,
+      B9: null,
+      "'Logistics'!C7": 800,
+      // A range spanning several cells reads its top-left cell
+      ArmySupplies: 150,
+      Infantry: 800,
+    });
+  });
+
+  it("reads several armies' cells, each on its own default tab", async () => {
+    const results = await source.getCellValuesForArmies(filePath, [
+      { sheetName: "Army", cells: ["B2"] },
+      { sheetName: "Logistics", cells: ["C7"] },
+    ]);
+
+    assert.deepEqual(results, [{ B2: 150 }, { C7: 800 }]);
+  });
+
+  it("rejects references to tabs that don't exist", async () => {
+    await assert.rejects(
+      source.getCellValuesBatch(filePath, ["'Missing'!A1"]),
+      /Missing/
+    );
+  });
+
+  it("writes cells and named ranges, keeping other keys, via a temp file", async () => {
+    await source.updateCellValuesBatch(filePath, [
+      { cell: "B2", value: 140, sheetName: "Army" },
+      { cell: "Infantry", value: 750 },
+      { cell: "B3", value: "" },
+    ]);
+
+    const saved = JSON.parse(await fs.readFile(filePath, "utf8"));
+    assert.equal(saved.owner, "GM");
+    assert.deepEqual(saved.sheets, {
+      Army: { B2: 140, B4: false, B5: "" },
+      Logistics: { C7: 750 },
+    });
+    assert.deepEqual(await listFiles(), ["campaign.json"]);
+  });
+
+  it("creates a log tab with headers, then appends below its last row", async () => {
+    await source.appendRows(filePath, "Audit", ["Run", "Army"], [["r1", "A"]]);
+    await source.appendRows(filePath, "Audit", ["Run", "Army"], [["r2", "B"]]);
+
+    const saved = JSON.parse(await fs.readFile(filePath, "utf8"));
+    assert.deepEqual(saved.sheets.Audit, {
+      A1: "Run",
+      B1: "Army",
+      A2: "r1",
+      B2: "A",
+      A3: "r2",
+      B3: "B",
+    });
+  });
+
+  it("rejects files without a sheets object", async () => {
+    await fs.writeFile(filePath, JSON.stringify({ title: "x" }), "utf8");
+    await assert.rejects(source.getSheetInfo(filePath), {
+      message: `${filePath} must contain a "sheets" object`,
+    });
+  });
+});
+
+describe("CsvFileSource", () => {
+  let filePath;
+  const source = new CsvFileSource();
+
+  beforeEach(async () => {
+    filePath = path.join(dir, "Army.csv");
+    await fs.writeFile(
+      filePath,
+      'Supplies,150\nConsumption,"1,5"\nResting,FALSE\n',
+      "utf8"
+    );
+    await fs.writeFile(path.join(dir, "Logistics.csv"), ",,\n,,800\n", "utf8");
+  });
+
+  it("makes the army's file the first tab and sibling CSVs further tabs", async () => {
+    assert.deepEqual(await source.getSheetInfo(filePath), {
+      title: "Army",
+      locale: null,
+      sheets: [{ title: "Army" }, { title: "Logistics" }],
+      namedRanges: [],
+    });
+  });
+
+  it("reads cells from the army's file and its sibling tabs", async () => {
+    const values = await source.getCellValuesBatch(filePath, [
+      "B1",
+      "B2",
+      "B3",
+      "C9",
+      "'Logistics'!C2",
+    ]);
+
+    assert.deepEqual(values, {
+      B1: "150",
+      B2: "1,5",
+      B3: "FALSE",
+      C9: null,
+      "'Logistics'!C2": "800",
+    });
+  });
+
+  it("rewrites only the changed tabs, via temp files", async () => {
+    const logistics = await fs.stat(path.join(dir, "Logistics.csv"));
+
+    await source.updateCellValuesBatch(filePath, [
+      { cell: "B1", value: 140 },
+      { cell: "C1", value: 'said "hold"' },
+    ]);
+
+    assert.equal(
+      await fs.readFile(filePath, "utf8"),
+      'Supplies,140,"said ""hold"""\nConsumption,"1,5",\nResting,FALSE,\n'
+    );
+    assert.equal(
+      (await fs.stat(path.join(dir, "Logistics.csv"))).ino,
+      logistics.ino
+    );
+    assert.deepEqual(await listFiles(), ["Army.csv", "Logistics.csv"]);
+  });
+
+  it("appends audit rows to a new CSV named after the tab", async () => {
+    await source.appendRows(filePath, "Audit", ["Run", "Army"], [["r1", "A"]]);
+    await source.appendRows(filePath, "Audit", ["Run", "Army"], [["r2", "B"]]);
+
+    assert.equal(
+      await fs.readFile(path.join(dir, "Audit.csv"), "utf8"),
+      "Run,Army\nr1,A\nr2,B\n"
+    );
+    assert.deepEqual(await listFiles(), [
+      "Army.csv",
+      "Audit.csv",
+      "Logistics.csv",
+    ]);
+  });
+
+  it("refuses tab names that aren't file names", async () => {
+    await assert.rejects(
+      source.appendRows(filePath, "a/b", ["Run"], [["r1"]]),
+      { message: 'Tab name "a/b" can\'t be used as a CSV file name' }
+    );
+  });
+});
@@ -0,0 +1,40 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { forecastSupplies } = require("../src/domain/forecast");
+
+describe("forecastSupplies", () => {
+  it("projects each coming day and the day supplies run out", () => {
+    const forecast = forecastSupplies({
+      currentSupplies: 25,
+      dailyConsumption: 10,
+      campaignDate: "2025-08-30",
+      days: 4,
+    });
+
+    assert.deepEqual(forecast.days, [
+      { date: "2025-08-31", supplies: 15 },
+      { date: "2025-09-01", supplies: 5 },
+      { date: "2025-09-02", supplies: 0 },
+      { date: "2025-09-03", supplies: 0 },
+    ]);
+    assert.equal(forecast.zeroDate, "2025-09-02");
+  });
+
+  it("has no zero date when supplies last or are already gone", () => {
+    const lasting = forecastSupplies({
+      currentSupplies: 100,
+      dailyConsumption: 10,
+      campaignDate: "2025-08-30",
+      days: 3,
+    });
+    const empty = forecastSupplies({
+      currentSupplies: 0,
+      dailyConsumption: 10,
+      campaignDate: "2025-08-30",
+      days: 3,
+    });
+
+    assert.equal(lasting.zeroDate, null);
+    assert.equal(empty.zeroDate, null);
+  });
+});
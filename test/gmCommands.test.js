@@ -0,0 +1,74 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { GmCommands } = require("../src/services/gmCommands");
+const { CommandError } = require("../src/services/supplyCommands");
+
+const campaign = { timezone: "UTC", gm: { userIds: ["gm-1"] } };
+const ledgered = {
+  name: "Saraian 1st Army",
+  lastProcessedDateCell: "B7",
+  campaign,
+};
+const unledgered = { name: "Saraian 2nd Army", campaign };
+const gm = { userId: "gm-1", roleIds: [] };
+
+function createCommands(config) {
+  return new GmCommands({
+    config,
+    dataSources: null,
+    actionLog: null,
+    runMonitor: async () => assert.fail("ran a tick"),
+    runOptions: {},
+  });
+}
+
+// A chat input interaction as far as authorize reads it
+function interaction(subcommand, army = null) {
+  return {
+    options: {
+      getSubcommand: () => subcommand,
+      getString: (name) => (name === "army" ? army : null),
+    },
+  };
+}
+
+describe("GmCommands.authorize", () => {
+  it("ticks armies that keep their run ledger in the sheet", () => {
+    const commands = createCommands([ledgered]);
+    assert.deepEqual(commands.authorize(interaction("tick"), gm), [ledgered]);
+    assert.deepEqual(commands.authorize(interaction("preview"), gm), [
+      ledgered,
+    ]);
+  });
+
+  it("refuses to tick or preview armies without a lastProcessedDateCell", () => {
+    const commands = createCommands([ledgered, unledgered]);
+    const refusal = new CommandError(
+      "Only armies with a lastProcessedDateCell can be ticked from Discord - add one to Saraian 2nd Army"
+    );
+
+    for (const subcommand of ["tick", "preview"]) {
+      assert.throws(
+        () => commands.authorize(interaction(subcommand), gm),
+        refusal
+      );
+      assert.throws(
+        () =>
+          commands.authorize(interaction(subcommand, "Saraian 2nd Army"), gm),
+        refusal
+      );
+    }
+    assert.deepEqual(
+      commands.authorize(interaction("tick", "Saraian 1st Army"), gm),
+      [ledgered]
+    );
+  });
+
+  it("still allows adjustments to armies without one", () => {
+    const commands = createCommands([unledgered]);
+    assert.deepEqual(
+      commands.authorize(interaction("resupply", "Saraian 2nd Army"), gm),
+      [unledgered]
+    );
+  });
+});
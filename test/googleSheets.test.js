@@ -0,0 +1,76 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { GoogleSheetsService } = require("../src/services/googleSheets");
+
+function apiError(status) {
+  const error = new Error(`Request failed with status ${status}`);
+  error.code = status;
+  error.response = { status, headers: {} };
+  return error;
+}
+
+// A service talking to a stubbed Sheets client with one "Army" tab
+function stubbedService(append) {
+  const service = new GoogleSheetsService({
+    requestsPerMinute: 6000,
+    maxRetries: 3,
+    baseDelayMs: 0,
+  });
+  service.sheets = {
+    spreadsheets: {
+      get: async () => ({
+        data: {
+          properties: { title: "Campaign", locale: "en_US" },
+          sheets: [{ properties: { title: "Army", sheetId: 0 } }],
+        },
+      }),
+      values: { append },
+    },
+  };
+  return service;
+}
+
+describe("GoogleSheetsService", () => {
+  afterEach(() => {
+    delete process.env.SHEETS_REQUESTS_PER_MINUTE;
+    delete process.env.SHEETS_MAX_RETRIES;
+  });
+
+  it("refuses a request rate of zero, which would never refill", () => {
+    process.env.SHEETS_REQUESTS_PER_MINUTE = "0";
+    assert.throws(() => new GoogleSheetsService(), {
+      message: 'SHEETS_REQUESTS_PER_MINUTE must be a positive number, got "0"',
+    });
+  });
+
+  it("allows turning retries off", () => {
+    process.env.SHEETS_MAX_RETRIES = "0";
+    assert.equal(new GoogleSheetsService().retryOptions.maxRetries, 0);
+  });
+
+  it("does not retry an audit append that may have gone through", async () => {
+    let calls = 0;
+    const service = stubbedService(async () => {
+      calls += 1;
+      throw apiError(503);
+    });
+
+    await assert.rejects(
+      service.appendRows("sheet-1", "Army", ["Run"], [["r1"]]),
+      /status 503/
+    );
+    assert.equal(calls, 1);
+  });
+
+  it("retries an audit append the quota turned away", async () => {
+    let calls = 0;
+    const service = stubbedService(async () => {
+      calls += 1;
+      if (calls === 1) throw apiError(429);
+      return { data: { updates: { updatedRows: 1 } } };
+    });
+
+    await service.appendRows("sheet-1", "Army", ["Run"], [["r1"]]);
+    assert.equal(calls, 2);
+  });
+});
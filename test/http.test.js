@@ -0,0 +1,56 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { requestJson, sendJson } = require("../src/utils/http");
+
+describe("requestJson", () => {
+  let server;
+  let url;
+  const hung = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      req.resume();
+      if (req.url === "/hang") {
+        // Never answers; closed with the server
+        hung.push(res);
+        return;
+      }
+      res.writeHead(req.url === "/fail" ? 500 : 200);
+      res.end(req.url === "/fail" ? "oops" : '{"ok":true}');
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(async () => {
+    hung.forEach((res) => res.destroy());
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it("resolves with the status and body of any response", async () => {
+    const response = await requestJson(`${url}/fail`, { body: {} });
+    assert.equal(response.statusCode, 500);
+    assert.equal(response.body, "oops");
+  });
+
+  it("gives up on an endpoint that doesn't answer", async () => {
+    await assert.rejects(
+      requestJson(`${url}/hang`, { body: {}, timeoutMs: 50 }),
+      { code: "ETIMEDOUT", message: "No response within 50ms" }
+    );
+  });
+
+  it("turns failures into errors naming the endpoint", async () => {
+    assert.equal(
+      await sendJson("Webhook", `${url}/ok`, { body: {} }),
+      '{"ok":true}'
+    );
+    await assert.rejects(sendJson("Webhook", `${url}/fail`, { body: {} }), {
+      message: "Webhook failed with status 500: oops",
+    });
+    await assert.rejects(
+      sendJson("Webhook", `${url}/hang`, { body: {}, timeoutMs: 50 }),
+      { message: "Webhook request failed: No response within 50ms" }
+    );
+  });
+});
@@ -0,0 +1,32 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  toSlackMarkdown,
+  toHtml,
+  toPlainText,
+} = require("../src/utils/markdown");
+
+const text = "🚨 **CRITICAL**: 1 < 2 & [Open Sheet](https://example.com/a?b=1)";
+
+describe("markdown conversion", () => {
+  it("uses Slack's bold and link syntax, escaping control characters", () => {
+    assert.equal(
+      toSlackMarkdown(text),
+      "🚨 *CRITICAL*: 1 &lt; 2 &amp; <https://example.com/a?b=1|Open Sheet>"
+    );
+  });
+
+  it("renders HTML with escaped text and line breaks", () => {
+    assert.equal(
+      toHtml(`${text}\nnext`),
+      '🚨 <strong>CRITICAL</strong>: 1 &lt; 2 &amp; <a href="https://example.com/a?b=1">Open Sheet</a><br>\nnext'
+    );
+  });
+
+  it("strips markup for plain text, keeping link targets", () => {
+    assert.equal(
+      toPlainText(text),
+      "🚨 CRITICAL: 1 < 2 & Open Sheet (https://example.com/a?b=1)"
+    );
+  });
+});
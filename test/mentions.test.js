@@ -0,0 +1,67 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveMentions } = require("../src/domain/mentions");
+const {
+  DEFAULT_SEVERITY_TIERS,
+  getSeverity,
+} = require("../src/domain/severity");
+
+const COMMANDER = "111111111111111111";
+const GM = "222222222222222222";
+const GM_ROLE = "333333333333333333";
+
+const army = {
+  name: "Saraian 1st Army",
+  mentions: {
+    warning: { userIds: [COMMANDER] },
+    zero: { userIds: [COMMANDER], gm: true },
+  },
+  campaign: { gm: { userIds: [GM, COMMANDER], roleIds: [GM_ROLE] } },
+};
+const severityAt = (daysRemaining) =>
+  getSeverity({ daysRemaining }, DEFAULT_SEVERITY_TIERS);
+
+describe("resolveMentions", () => {
+  it("mentions the tier's users", () => {
+    assert.deepEqual(resolveMentions(army, severityAt(6)), {
+      userIds: [COMMANDER],
+      roleIds: [],
+    });
+  });
+
+  it("carries a tier's mentions to worse tiers without their own", () => {
+    assert.deepEqual(resolveMentions(army, severityAt(2)), {
+      userIds: [COMMANDER],
+      roleIds: [],
+    });
+  });
+
+  it("adds the campaign's GM once", () => {
+    assert.deepEqual(resolveMentions(army, severityAt(0)), {
+      userIds: [COMMANDER, GM],
+      roleIds: [GM_ROLE],
+    });
+  });
+
+  it("pings nobody below the first configured tier", () => {
+    assert.equal(resolveMentions(army, severityAt(10)), null);
+    assert.equal(resolveMentions(army, severityAt(30)), null);
+    assert.equal(resolveMentions({ name: "Free" }, severityAt(0)), null);
+  });
+
+  it("follows the army's own severity tiers", () => {
+    const severityTiers = [
+      { name: "starving", maxDays: 1 },
+      { name: "fed", color: "#00ff00" },
+    ];
+    const custom = {
+      ...army,
+      severityTiers,
+      mentions: { starving: { roleIds: [GM_ROLE] } },
+    };
+    assert.deepEqual(
+      resolveMentions(custom, getSeverity({ daysRemaining: 1 }, severityTiers)),
+      { userIds: [], roleIds: [GM_ROLE] }
+    );
+  });
+});
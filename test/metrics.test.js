@@ -0,0 +1,89 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  resolveMetrics,
+  evaluateMetrics,
+  buildMetricLines,
+} = require("../src/domain/metrics");
+
+describe("resolveMetrics", () => {
+  it("turns legacy named cells into metrics ahead of custom ones", () => {
+    const metrics = resolveMetrics({
+      currentMoraleCell: "C4",
+      ownedAndCarriedLootCell: "C2",
+      metrics: [{ cell: "D2", label: "Wagons", emoji: "🛒" }],
+    });
+
+    assert.deepEqual(
+      metrics.map((metric) => [metric.cell, metric.label, metric.type]),
+      [
+        ["C2", "Owned", "number"],
+        ["C4", "Cur", "text"],
+        ["D2", "Wagons", "number"],
+      ]
+    );
+  });
+});
+
+describe("evaluateMetrics", () => {
+  const metrics = [
+    { cell: "A1", label: "Morale", type: "number", thresholds: { below: 5 } },
+    { cell: "A2", label: "Fortified", type: "boolean" },
+    { cell: "A3", label: "Health", type: "percent", thresholds: { above: 90 } },
+    { cell: "A4", label: "Orders", type: "text" },
+    { cell: "A5", label: "Empty", type: "number" },
+  ];
+
+  it("parses each type and checks thresholds", () => {
+    const values = evaluateMetrics(
+      metrics,
+      { A1: "3", A2: "TRUE", A3: "95%", A4: "Hold the ford", A5: "" },
+      "en_US"
+    );
+
+    assert.deepEqual(
+      values.map((metric) => [
+        metric.label,
+        metric.value,
+        metric.outsideThresholds,
+      ]),
+      [
+        ["Morale", 3, true],
+        ["Fortified", true, false],
+        ["Health", 95, true],
+        ["Orders", "Hold the ford", false],
+      ]
+    );
+  });
+
+  it("parses percentages in the spreadsheet locale", () => {
+    const [health] = evaluateMetrics([metrics[2]], { A3: "12,5 %" }, "de_DE");
+    assert.equal(health.value, 12.5);
+  });
+});
+
+describe("buildMetricLines", () => {
+  it("renders grouped metrics on one line and ungrouped ones on their own", () => {
+    const values = evaluateMetrics(
+      [
+        { cell: "A1", label: "Owned", group: "Loot", emoji: "💰" },
+        { cell: "A2", label: "Fortified", emoji: "🏰", type: "boolean" },
+        { cell: "A3", label: "Paid", group: "Loot" },
+        {
+          cell: "A4",
+          label: "Health",
+          type: "percent",
+          thresholds: { below: 50 },
+        },
+      ],
+      { A1: "1,200", A2: "FALSE", A3: "50", A4: "40%" },
+      "en_US"
+    );
+
+    assert.deepEqual(buildMetricLines(values, "en_US"), [
+      "💰 Loot Owned 1,200 • Paid 50",
+      "🏰 Fortified ❌",
+      "Health 40% ⚠️",
+    ]);
+  });
+});
@@ -0,0 +1,444 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  buildStatusMessage,
+  buildZeroSuppliesMessage,
+  buildCatchUpMessage,
+  buildErrorMessage,
+  buildForecastMessage,
+  buildGmTickMessage,
+  buildGmAdjustmentMessage,
+  buildSeverityAlertMessage,
+  buildDelayedMessage,
+  buildUndeliveredMessage,
+  buildDigestMessage,
+  getMessageBody,
+  getMessageColorHex,
+} = require("../src/domain/notifications");
+const { forecastSupplies } = require("../src/domain/forecast");
+const {
+  DEFAULT_SEVERITY_TIERS,
+  getSeverity,
+} = require("../src/domain/severity");
+
+const campaign = { startDate: "2025-08-01" };
+const report = {
+  name: "Saraian 1st Army",
+  currentSupplies: 20,
+  dailyConsumption: 5,
+  daysRemaining: 4,
+  totalCarried: 420,
+  carryingCapacity: 500,
+  overCapacity: false,
+  capacityPercent: 84,
+  metrics: [],
+  sheetUrl: "https://docs.google.com/spreadsheets/d/abc/edit",
+  locale: "en_US",
+  campaignDate: "2025-08-13",
+  campaign,
+  severity: getSeverity({ daysRemaining: 4 }, DEFAULT_SEVERITY_TIERS),
+};
+
+describe("buildStatusMessage", () => {
+  it("describes the day, supplies and carry, with the tier banner as content", () => {
+    const message = buildStatusMessage(report);
+
+    assert.equal(message.kind, "status");
+    assert.equal(message.title, "⚠️ Status: Saraian 1st Army");
+    assert.equal(message.color, report.severity.color);
+    assert.match(message.content, /WARNING/);
+    assert.deepEqual(message.description.split("\n").slice(0, 2), [
+      "📅 Day 13 • [Open Sheet](https://docs.google.com/spreadsheets/d/abc/edit)",
+      "📦 Supplies 20 • 📉 Cons 5/d • ⏰ Days 4",
+    ]);
+    assert.match(message.description, /🧺 Carry 420 \/ 500 \(84%\)/);
+  });
+
+  it("adds the over-capacity warning below the banner", () => {
+    const message = buildStatusMessage({
+      ...report,
+      totalCarried: 600,
+      overCapacity: true,
+    });
+
+    assert.match(
+      message.content,
+      /\n⚠️ \*\*OVER CAPACITY\*\*: Carried 600 \/ Capacity 500$/
+    );
+    assert.match(message.description, /⚠️ Capacity Alert/);
+  });
+});
+
+describe("buildZeroSuppliesMessage", () => {
+  it("distinguishes running out today from still being out", () => {
+    const severity = getSeverity({ daysRemaining: 0 }, DEFAULT_SEVERITY_TIERS);
+    const today = buildZeroSuppliesMessage({ ...report, severity });
+    const still = buildZeroSuppliesMessage({
+      ...report,
+      severity,
+      suppliesWereAlreadyZero: true,
+    });
+
+    assert.match(today.content, /have reached ZERO today/);
+    assert.match(still.content, /STILL at ZERO/);
+  });
+});
+
+describe("buildErrorMessage", () => {
+  it("puts the details in fields, which getMessageBody flattens", () => {
+    const message = buildErrorMessage({
+      sheetName: "Saraian 1st Army",
+      error: "Sheet not found",
+      sheetUrl: null,
+    });
+
+    assert.equal(message.description, null);
+    assert.equal(
+      getMessageBody(message),
+      "**Sheet**: Saraian 1st Army\n**Error**: Sheet not found"
+    );
+    assert.equal(getMessageColorHex(message), "#ff0000");
+  });
+});
+
+describe("alert actions and mentions", () => {
+  const actions = [{ id: "supply:rest:Saraian 1st Army", label: "Rest" }];
+
+  it("go on status reports with a low-supply banner", () => {
+    assert.deepEqual(
+      buildStatusMessage({ ...report, actions }).actions,
+      actions
+    );
+  });
+
+  it("stay off status reports without a banner", () => {
+    const message = buildStatusMessage({
+      ...report,
+      daysRemaining: 20,
+      severity: getSeverity({ daysRemaining: 20 }, DEFAULT_SEVERITY_TIERS),
+      actions,
+    });
+    assert.deepEqual(message.actions, []);
+  });
+
+  it("keep the report's mentions on status reports and zero alerts", () => {
+    const mentions = { userIds: ["111111111111111111"], roleIds: [] };
+    assert.deepEqual(
+      buildStatusMessage({ ...report, mentions }).mentions,
+      mentions
+    );
+    assert.deepEqual(
+      buildZeroSuppliesMessage({ ...report, mentions }).mentions,
+      mentions
+    );
+    assert.equal(buildStatusMessage(report).mentions, null);
+  });
+
+  it("go on zero supply alerts", () => {
+    const message = buildZeroSuppliesMessage({
+      ...report,
+      suppliesWereAlreadyZero: false,
+      actions,
+    });
+    assert.deepEqual(message.actions, actions);
+  });
+
+  describe("on catch-up reports", () => {
+    const days = [
+      { date: "2025-08-12", suppliesBefore: 8, suppliesAfter: 3 },
+      {
+        date: "2025-08-13",
+        suppliesBefore: 3,
+        suppliesAfter: 0,
+        hitZero: true,
+      },
+    ];
+    const zeroReport = {
+      ...report,
+      days,
+      skippedDays: 0,
+      currentSupplies: 0,
+      daysRemaining: 0,
+      severity: getSeverity({ daysRemaining: 0 }, DEFAULT_SEVERITY_TIERS),
+    };
+
+    it("go on one that reaches zero", () => {
+      const message = buildCatchUpMessage({ ...zeroReport, actions });
+      assert.match(message.content, /reached ZERO/);
+      assert.deepEqual(message.actions, actions);
+    });
+
+    it("keep the report's mentions on one that reaches zero", () => {
+      const mentions = {
+        userIds: ["111111111111111111"],
+        roleIds: ["222222222222222222"],
+      };
+      assert.deepEqual(
+        buildCatchUpMessage({ ...zeroReport, mentions }).mentions,
+        mentions
+      );
+      assert.equal(buildCatchUpMessage(zeroReport).mentions, null);
+    });
+
+    it("go on one with a low-supply banner only", () => {
+      const message = buildCatchUpMessage({
+        ...report,
+        days: days.slice(0, 1),
+        skippedDays: 0,
+        actions,
+      });
+      assert.deepEqual(message.actions, actions);
+    });
+
+    it("stay off one without a banner", () => {
+      const message = buildCatchUpMessage({
+        ...report,
+        days: days.slice(0, 1),
+        skippedDays: 0,
+        daysRemaining: 20,
+        severity: getSeverity({ daysRemaining: 20 }, DEFAULT_SEVERITY_TIERS),
+        actions,
+      });
+      assert.deepEqual(message.actions, []);
+    });
+  });
+});
+
+describe("buildForecastMessage", () => {
+  it("lists each day and leads with the day supplies run out", () => {
+    const message = buildForecastMessage({
+      ...report,
+      isResting: false,
+      forecast: forecastSupplies({
+        currentSupplies: 20,
+        dailyConsumption: 5,
+        campaignDate: "2025-08-13",
+        days: 5,
+      }),
+    });
+
+    assert.equal(message.title, "🔮 Forecast: Saraian 1st Army (5 days)");
+    assert.equal(message.content, "🚨 Supplies run out on Day 17.");
+    assert.deepEqual(message.description.split("\n").slice(-2), [
+      "• Day 17: 📦 0 🚨 out of supplies",
+      "• Day 18: 📦 0",
+    ]);
+  });
+});
+
+describe("buildGmTickMessage", () => {
+  const tick = {
+    currentSupplies: 20,
+    newSupplyValue: 15,
+    daysRemaining: 3,
+    isResting: false,
+    days: [{ date: "2025-08-13" }],
+  };
+  const results = [
+    { name: "Saraian 1st Army", outcome: "applied", tick, locale: "en_US" },
+    { name: "Saraian 2nd Army", outcome: "skipped" },
+  ];
+  const armyNames = ["Saraian 1st Army", "Saraian 2nd Army", "Free Company"];
+
+  it("lists every army asked for, including the ones that failed", () => {
+    const message = buildGmTickMessage({
+      armyNames,
+      results,
+      preview: false,
+      runId: "discord-1",
+      triggeredBy: "<@1>",
+    });
+
+    assert.equal(message.title, "⚙️ Tick run: 3 armies");
+    assert.equal(message.content, "⚙️ <@1> ran the daily tick - 1 failed.");
+    assert.equal(getMessageColorHex(message), "#e67e22");
+    assert.deepEqual(message.description.split("\n"), [
+      "✅ **Saraian 1st Army**: 📦 20 → 15 • ⏰ Days 3",
+      "⏭️ **Saraian 2nd Army**: already applied today",
+      "❌ **Free Company**: failed - the error was posted to its channels",
+      "",
+      "Run ID: discord-1",
+    ]);
+  });
+
+  it("says a preview wrote nothing", () => {
+    const message = buildGmTickMessage({
+      armyNames: ["Saraian 1st Army"],
+      results: [{ ...results[0], outcome: "preview" }],
+      preview: true,
+      runId: "discord-2",
+      triggeredBy: "<@1>",
+    });
+
+    assert.equal(message.title, "🧪 Tick preview: 1 army");
+    assert.match(message.content, /nothing was written or sent/);
+    assert.equal(
+      message.description,
+      "🧪 **Saraian 1st Army**: 📦 20 → 15 • ⏰ Days 3"
+    );
+  });
+});
+
+describe("buildGmAdjustmentMessage", () => {
+  it("shows the change and the new days remaining", () => {
+    const message = buildGmAdjustmentMessage({
+      ...report,
+      label: "Supplies",
+      from: 20,
+      to: 1020,
+      daysRemaining: 204,
+      changedBy: "<@1>",
+    });
+
+    assert.equal(message.kind, "adjustment");
+    assert.equal(
+      message.content,
+      "🛠️ <@1> changed the supplies of Saraian 1st Army."
+    );
+    assert.deepEqual(message.description.split("\n").slice(1, 3), [
+      "• Supplies: 20 → 1,020",
+      "⏰ Days 204",
+    ]);
+  });
+});
+
+describe("buildSeverityAlertMessage", () => {
+  it("names the old and new tier and keeps the report's alert line", () => {
+    const status = buildStatusMessage(report);
+    const message = buildSeverityAlertMessage({
+      name: report.name,
+      previousSeverity: "caution",
+      severity: report.severity,
+      content: status.content,
+      sheetUrl: report.sheetUrl,
+    });
+
+    assert.equal(message.kind, "alert");
+    assert.equal(message.title, "⚠️ Saraian 1st Army: caution → warning");
+    assert.equal(message.content, status.content);
+    assert.equal(message.description, null);
+  });
+});
+
+describe("buildDelayedMessage", () => {
+  it("puts a delayed notice above the original content", () => {
+    const original = buildStatusMessage(report);
+    const message = buildDelayedMessage(original, "2025-08-13T06:00:12.345Z");
+
+    assert.equal(
+      message.content,
+      `⏳ **DELAYED**: This report could not be delivered on 2025-08-13 06:00 UTC and is sent late.\n${original.content}`
+    );
+    assert.equal(message.title, original.title);
+    assert.equal(message.description, original.description);
+  });
+});
+
+describe("buildUndeliveredMessage", () => {
+  it("lists each given-up message with its army, target and last error", () => {
+    const message = buildUndeliveredMessage([
+      {
+        army: "Saraian 1st Army",
+        target: "Discord webhook (discord.com)",
+        message: { title: "🚨 ZERO SUPPLIES ALERT: Saraian 1st Army" },
+        queuedAt: "2025-08-13T06:00:00.000Z",
+        attempts: 5,
+        lastError: "Discord webhook failed with status 404: Unknown Webhook",
+      },
+    ]);
+
+    assert.equal(message.kind, "undelivered");
+    assert.equal(message.title, "📭 Undelivered notifications: 1");
+    assert.equal(
+      message.description,
+      "• **Saraian 1st Army** – 🚨 ZERO SUPPLIES ALERT: Saraian 1st Army to Discord webhook (discord.com) (queued 2025-08-13 06:00 UTC, 5 attempts): Discord webhook failed with status 404: Unknown Webhook"
+    );
+  });
+});
+
+describe("buildDigestMessage", () => {
+  const applied = (name, daysRemaining, extra = {}) => ({
+    name,
+    outcome: "applied",
+    locale: "en_US",
+    tick: {
+      newSupplyValue: daysRemaining * 10,
+      daysRemaining,
+      capacityPercent: 84,
+      isResting: false,
+      severity: getSeverity({ daysRemaining }, DEFAULT_SEVERITY_TIERS),
+      ...extra,
+    },
+  });
+  const digest = (entries) =>
+    buildDigestMessage({
+      entries,
+      runId: "2025-08-13T06-00-00Z",
+      durationMs: 12345,
+      stats: { requests: 4, retries: 1 },
+      preview: false,
+    });
+
+  it("lists failed armies first, then the most urgent, then ones without figures", () => {
+    const message = digest([
+      {
+        name: "Unreadable",
+        result: { name: "Unreadable", outcome: "skipped", tick: null },
+        errors: [],
+      },
+      { name: "Healthy", result: applied("Healthy", 20), errors: [] },
+      { name: "Broken", result: null, errors: ["Cell B2 is empty"] },
+      {
+        name: "Low",
+        result: applied("Low", 2, { isResting: true, capacityPercent: null }),
+        errors: [],
+      },
+    ]);
+
+    assert.equal(message.kind, "digest");
+    assert.equal(message.title, "📋 Campaign digest: 4 armies");
+    assert.equal(message.color, 0xff0000);
+    assert.deepEqual(message.description.split("\n"), [
+      "❌ **Broken**: failed - Cell B2 is empty",
+      "🚨 **Low**: 📦 20 • ⏰ 2d • 😴 Resting",
+      "✅ **Healthy**: 📦 200 • ⏰ 20d • 🧺 84%",
+      "⏭️ **Unreadable**: already applied today",
+      "",
+      "⏱️ 12.3s • 📡 4 Sheets API requests (1 retries) • ❌ 1 error • Run ID: 2025-08-13T06-00-00Z",
+    ]);
+  });
+
+  it("takes the worst tier's colour and flags armies that failed a later step", () => {
+    const low = applied("Low", 5);
+    const message = digest([
+      { name: "Healthy", result: applied("Healthy", 20), errors: [] },
+      { name: "Low", result: low, errors: ["Discord webhook failed"] },
+    ]);
+
+    assert.equal(message.color, 0xe67e22);
+    assert.match(message.description, /• ⚠️ Discord webhook failed$/m);
+
+    const clean = digest([
+      { name: "Healthy", result: applied("Healthy", 20), errors: [] },
+      { name: "Low", result: low, errors: [] },
+    ]);
+    assert.equal(clean.color, low.tick.severity.color);
+    assert.match(clean.description, /✅ 0 errors/);
+  });
+
+  it("shows the current figures of armies already applied today, by urgency", () => {
+    const message = digest([
+      { name: "Healthy", result: applied("Healthy", 20), errors: [] },
+      {
+        name: "Applied earlier",
+        result: { ...applied("Applied earlier", 3), outcome: "skipped" },
+        errors: [],
+      },
+    ]);
+
+    assert.deepEqual(message.description.split("\n").slice(0, 2), [
+      "🚨 **Applied earlier**: 📦 30 • ⏰ 3d • 🧺 84% • ⏭️ already applied today",
+      "✅ **Healthy**: 📦 200 • ⏰ 20d • 🧺 84%",
+    ]);
+  });
+});
@@ -0,0 +1,46 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  toIntlLocale,
+  parseLocaleNumber,
+  formatNumber,
+} = require("../src/utils/numberFormat");
+
+describe("toIntlLocale", () => {
+  it("converts Google Sheets locales to BCP 47 tags", () => {
+    assert.equal(toIntlLocale("de_DE"), "de-DE");
+    assert.equal(toIntlLocale("en_US"), "en-US");
+  });
+
+  it("falls back to en-US for missing or malformed locales", () => {
+    assert.equal(toIntlLocale(null), "en-US");
+    assert.equal(toIntlLocale("not a locale!"), "en-US");
+  });
+});
+
+describe("parseLocaleNumber", () => {
+  it("parses values as each locale displays them", () => {
+    assert.equal(parseLocaleNumber("1,234.5", "en_US"), 1234.5);
+    assert.equal(parseLocaleNumber("1.234,5", "de_DE"), 1234.5);
+    assert.equal(parseLocaleNumber("1 234,5", "fr_FR"), 1234.5);
+    assert.equal(parseLocaleNumber("1\u202f234,5", "fr_FR"), 1234.5);
+    assert.equal(parseLocaleNumber("1'234.5", "de_CH"), 1234.5);
+  });
+
+  it("returns NaN for text", () => {
+    assert.ok(isNaN(parseLocaleNumber("At sea", "de_DE")));
+  });
+});
+
+describe("formatNumber", () => {
+  it("formats numbers in the given locale", () => {
+    assert.equal(formatNumber(1234.5, "en_US"), "1,234.5");
+    assert.equal(formatNumber(1234.5, "de_DE"), "1.234,5");
+    assert.equal(formatNumber(2 / 3, "en_US"), "0.67");
+  });
+
+  it("leaves non-numbers untouched", () => {
+    assert.equal(formatNumber("At sea", "de_DE"), "At sea");
+    assert.equal(formatNumber(null, "de_DE"), null);
+  });
+});
@@ -0,0 +1,152 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { Notifier, getDestinations } = require("../src/services/notifier");
+const { Outbox } = require("../src/services/outbox");
+
+const WEBHOOK = "https://discord.com/api/webhooks/1/secret-token";
+const config = [
+  { name: "Saraian 1st Army", webhookUrl: WEBHOOK, campaign: {} },
+];
+const message = {
+  kind: "status",
+  name: "Saraian 1st Army (Resting)",
+  title: "📦 Saraian 1st Army",
+  color: 0x00ff00,
+  content: "Supplies are fine",
+  fields: [],
+};
+
+// A discord channel stand-in; `fail` decides whether a delivery throws
+function stubChannel(fail = () => null) {
+  const channel = {
+    deliveries: [],
+    describe: () => "stub webhook",
+    render: (rendered) => ({ content: rendered.content }),
+    deliver: async (payload, destination, options = {}) => {
+      channel.deliveries.push({ payload, destination, options });
+      const error = fail(channel.deliveries.length);
+      if (error) {
+        throw error;
+      }
+    },
+  };
+  return channel;
+}
+
+// A notifier as a run sets it up: a fresh outbox reading OUTBOX_PATH
+function createNotifier(channel) {
+  const notifier = new Notifier({ outbox: new Outbox() });
+  notifier.channels.set("discord", channel);
+  return notifier;
+}
+
+describe("outbox", () => {
+  let dir;
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "outbox-"));
+    process.env.OUTBOX_PATH = path.join(dir, "outbox.json");
+  });
+  afterEach(async () => {
+    delete process.env.OUTBOX_PATH;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  async function queueFailedSend(error = new Error("status 503")) {
+    await createNotifier(stubChannel(() => error)).send(
+      getDestinations(config[0]),
+      message,
+      "Saraian 1st Army"
+    );
+  }
+
+  it("queues a failed send instead of throwing, without the webhook URL", async () => {
+    await queueFailedSend();
+
+    const entries = await new Outbox().getEntries();
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].army, "Saraian 1st Army");
+    assert.deepEqual(entries[0].destination, {
+      type: "discord",
+      gm: false,
+      index: 0,
+    });
+    assert.equal(entries[0].attempts, 1);
+    assert.equal(entries[0].lastError, "status 503");
+    const file = await fs.readFile(process.env.OUTBOX_PATH, "utf8");
+    assert.equal(file.includes("secret-token"), false);
+  });
+
+  it("redelivers on the next run, marked as delayed", async () => {
+    await queueFailedSend();
+    const channel = stubChannel();
+
+    const givenUp = await createNotifier(channel).redeliverPending(5, config);
+
+    assert.deepEqual(givenUp, []);
+    assert.equal(channel.deliveries.length, 1);
+    const [{ payload, destination, options }] = channel.deliveries;
+    assert.match(
+      payload.content,
+      /^⏳ \*\*DELAYED\*\*: .*\nSupplies are fine$/
+    );
+    assert.equal(destination.webhookUrl, WEBHOOK);
+    assert.deepEqual(options, { skipParts: 0 });
+    assert.deepEqual(await new Outbox().getEntries(), []);
+  });
+
+  it("gives an entry up after maxAttempts", async () => {
+    await queueFailedSend();
+    const failing = () => stubChannel(() => new Error("status 502"));
+
+    assert.deepEqual(
+      await createNotifier(failing()).redeliverPending(3, config),
+      []
+    );
+    assert.equal((await new Outbox().getEntries())[0].attempts, 2);
+
+    const givenUp = await createNotifier(failing()).redeliverPending(3, config);
+    assert.equal(givenUp.length, 1);
+    assert.equal(givenUp[0].attempts, 3);
+    assert.equal(givenUp[0].lastError, "status 502");
+    assert.deepEqual(await new Outbox().getEntries(), []);
+  });
+
+  it("gives an entry up when its destination left the config", async () => {
+    await queueFailedSend();
+    const channel = stubChannel();
+
+    const givenUp = await createNotifier(channel).redeliverPending(5, [
+      { name: "Saraian 1st Army", campaign: {} },
+    ]);
+
+    assert.equal(channel.deliveries.length, 0);
+    assert.equal(givenUp[0].lastError, "Destination no longer in the config");
+    assert.deepEqual(await new Outbox().getEntries(), []);
+  });
+
+  it("resumes a split message after the posts that went through", async () => {
+    const partial = Object.assign(new Error("status 400"), {
+      deliveredParts: 1,
+    });
+    await queueFailedSend(partial);
+    assert.equal((await new Outbox().getEntries())[0].deliveredParts, 1);
+
+    // The retry gets one more post out before failing again
+    const failing = stubChannel(() =>
+      Object.assign(new Error("status 500"), { deliveredParts: 2 })
+    );
+    await createNotifier(failing).redeliverPending(5, config);
+    assert.deepEqual(failing.deliveries[0].options, { skipParts: 1 });
+    // Finished as it started: no delayed notice in the middle of the message
+    assert.equal(failing.deliveries[0].payload.content, "Supplies are fine");
+    assert.equal((await new Outbox().getEntries())[0].deliveredParts, 2);
+
+    const channel = stubChannel();
+    await createNotifier(channel).redeliverPending(5, config);
+    assert.deepEqual(channel.deliveries[0].options, { skipParts: 2 });
+    assert.deepEqual(await new Outbox().getEntries(), []);
+  });
+});
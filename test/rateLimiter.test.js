@@ -0,0 +1,50 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { TokenBucket } = require("../src/utils/rateLimiter");
+
+function fakeClock() {
+  const clock = { time: 0 };
+  clock.now = () => clock.time;
+  clock.sleep = async (ms) => {
+    clock.time += ms;
+  };
+  return clock;
+}
+
+describe("TokenBucket", () => {
+  it("lets a burst through, then paces requests to the per-minute rate", async () => {
+    const clock = fakeClock();
+    const bucket = new TokenBucket({
+      requestsPerMinute: 60,
+      burst: 3,
+      now: clock.now,
+      sleep: clock.sleep,
+    });
+
+    const waits = [];
+    for (let i = 0; i < 5; i++) {
+      waits.push(await bucket.take());
+    }
+
+    assert.deepEqual(waits, [0, 0, 0, 1000, 1000]);
+    assert.equal(clock.time, 2000);
+  });
+
+  it("refills while idle, up to the burst size", async () => {
+    const clock = fakeClock();
+    const bucket = new TokenBucket({
+      requestsPerMinute: 60,
+      burst: 2,
+      now: clock.now,
+      sleep: clock.sleep,
+    });
+
+    await bucket.take();
+    await bucket.take();
+    clock.time += 60000;
+
+    assert.equal(await bucket.take(), 0);
+    assert.equal(await bucket.take(), 0);
+    assert.equal(await bucket.take(), 1000);
+  });
+});
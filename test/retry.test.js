@@ -0,0 +1,160 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  isRateLimitError,
+  isRetryableError,
+  getRetryAfterMs,
+  computeBackoffDelay,
+  retryWithBackoff,
+} = require("../src/utils/retry");
+
+function apiError(status, headers = {}) {
+  const error = new Error(`Request failed with status ${status}`);
+  error.code = status;
+  error.response = { status, headers };
+  return error;
+}
+
+describe("isRetryableError", () => {
+  it("retries quota, server and network errors only", () => {
+    assert.equal(isRetryableError(apiError(429)), true);
+    assert.equal(isRetryableError(apiError(503)), true);
+    assert.equal(
+      isRetryableError(
+        Object.assign(new Error("reset"), { code: "ECONNRESET" })
+      ),
+      true
+    );
+    assert.equal(
+      isRetryableError(
+        new Error("Quota exceeded for quota metric 'Read requests'")
+      ),
+      true
+    );
+    assert.equal(isRetryableError(apiError(400)), false);
+    assert.equal(isRetryableError(apiError(403)), false);
+  });
+});
+
+describe("isRateLimitError", () => {
+  it("only matches requests the server turned away", () => {
+    assert.equal(isRateLimitError(apiError(429)), true);
+    assert.equal(
+      isRateLimitError(new Error("Quota exceeded for quota metric 'Write'")),
+      true
+    );
+    assert.equal(isRateLimitError(apiError(503)), false);
+    assert.equal(
+      isRateLimitError(
+        Object.assign(new Error("reset"), { code: "ECONNRESET" })
+      ),
+      false
+    );
+  });
+});
+
+describe("getRetryAfterMs", () => {
+  it("reads seconds and HTTP dates", () => {
+    assert.equal(getRetryAfterMs(apiError(429, { "retry-after": "7" })), 7000);
+    const now = Date.parse("2025-08-13T10:00:00Z");
+    assert.equal(
+      getRetryAfterMs(
+        apiError(503, { "retry-after": "Wed, 13 Aug 2025 10:00:30 GMT" }),
+        now
+      ),
+      30000
+    );
+    assert.equal(getRetryAfterMs(apiError(429)), null);
+  });
+});
+
+describe("computeBackoffDelay", () => {
+  it("grows exponentially up to the cap", () => {
+    const full = () => 0.999999;
+    assert.equal(computeBackoffDelay(0, 1000, 30000, full), 1000);
+    assert.equal(computeBackoffDelay(3, 1000, 30000, full), 8000);
+    assert.equal(computeBackoffDelay(10, 1000, 30000, full), 30000);
+    assert.equal(
+      computeBackoffDelay(3, 1000, 30000, () => 0),
+      0
+    );
+  });
+});
+
+describe("retryWithBackoff", () => {
+  it("retries transient failures and honours Retry-After", async () => {
+    const delays = [];
+    let calls = 0;
+    const result = await retryWithBackoff(
+      async () => {
+        calls += 1;
+        if (calls === 1) throw apiError(429, { "retry-after": "2" });
+        if (calls === 2) throw apiError(503);
+        return "ok";
+      },
+      { baseDelayMs: 100, sleep: async (ms) => delays.push(ms) }
+    );
+
+    assert.equal(result, "ok");
+    assert.equal(calls, 3);
+    assert.equal(delays[0], 2000);
+    assert.ok(delays[1] >= 0 && delays[1] <= 200);
+  });
+
+  it("caps a long Retry-After at maxRetryAfterMs", async () => {
+    const delays = [];
+    let calls = 0;
+    await retryWithBackoff(
+      async () => {
+        calls += 1;
+        if (calls === 1) throw apiError(503, { "retry-after": "3600" });
+        return "ok";
+      },
+      { maxRetryAfterMs: 5000, sleep: async (ms) => delays.push(ms) }
+    );
+
+    assert.deepEqual(delays, [5000]);
+  });
+
+  it("retries only what shouldRetry accepts", async () => {
+    let calls = 0;
+    await assert.rejects(
+      retryWithBackoff(
+        async () => {
+          calls += 1;
+          throw apiError(calls === 1 ? 429 : 502);
+        },
+        { shouldRetry: isRateLimitError, sleep: async () => {} }
+      ),
+      /status 502/
+    );
+    assert.equal(calls, 2);
+  });
+
+  it("gives up after maxRetries and on permanent errors", async () => {
+    let calls = 0;
+    await assert.rejects(
+      retryWithBackoff(
+        async () => {
+          calls += 1;
+          throw apiError(500);
+        },
+        { maxRetries: 2, sleep: async () => {} }
+      ),
+      /status 500/
+    );
+    assert.equal(calls, 3);
+
+    calls = 0;
+    await assert.rejects(
+      retryWithBackoff(
+        async () => {
+          calls += 1;
+          throw apiError(404);
+        },
+        { sleep: async () => {} }
+      )
+    );
+    assert.equal(calls, 1);
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  describeCell,
+  valueMatches,
+  planRollback,
+} = require("../src/domain/rollback");
+
+const sheetConfig = {
+  name: "Saraian 1st Army",
+  currentSuppliesCell: "B2",
+  dailyConsumptionCell: "B3",
+  lastProcessedDateCell: "B7",
+};
+
+const army = {
+  name: "Saraian 1st Army",
+  campaignDate: "2025-08-13",
+  writes: [
+    { cell: "B3", sheetName: "Army", before: 90, after: 100 },
+    { cell: "B2", sheetName: "Army", before: 1000, after: 900 },
+    {
+      cell: "B7",
+      sheetName: "Army",
+      before: "2025-08-12",
+      after: "2025-08-13",
+    },
+  ],
+};
+
+describe("describeCell", () => {
+  it("names the cells a tick writes and falls back to the reference", () => {
+    assert.equal(describeCell(sheetConfig, "B2"), "Supplies");
+    assert.equal(describeCell(sheetConfig, "B7"), "Last processed date");
+    assert.equal(describeCell(sheetConfig, "Z9"), "Z9");
+  });
+});
+
+describe("valueMatches", () => {
+  it("compares numbers as the sheet displays them", () => {
+    assert.equal(valueMatches("1,234", 1234, "en_US"), true);
+    assert.equal(valueMatches("1.234,5", 1234.5, "de_DE"), true);
+    assert.equal(valueMatches("1,235", 1234, "en_US"), false);
+    assert.equal(valueMatches(undefined, 0, "en_US"), false);
+  });
+
+  it("compares text and blanks as text", () => {
+    assert.equal(valueMatches("2025-08-13", "2025-08-13"), true);
+    assert.equal(valueMatches(null, ""), true);
+  });
+});
+
+describe("planRollback", () => {
+  it("restores every written cell to its value before the run", () => {
+    const plan = planRollback(
+      army,
+      sheetConfig,
+      { B2: "900", B3: "100", B7: "2025-08-13" },
+      "en_US"
+    );
+
+    assert.deepEqual(plan.writes, [
+      { cell: "B3", sheetName: "Army", value: 90 },
+      { cell: "B2", sheetName: "Army", value: 1000 },
+      { cell: "B7", sheetName: "Army", value: "2025-08-12" },
+    ]);
+    assert.deepEqual(plan.changes[1], {
+      label: "Supplies",
+      from: 900,
+      to: 1000,
+    });
+    assert.deepEqual(plan.conflicts, []);
+  });
+
+  it("reports cells edited since the run", () => {
+    const plan = planRollback(
+      army,
+      sheetConfig,
+      { B2: "1,150", B3: "100", B7: "2025-08-14" },
+      "en_US"
+    );
+
+    assert.deepEqual(plan.conflicts, [
+      { cell: "B2", expected: 900, found: "1,150" },
+      { cell: "B7", expected: "2025-08-13", found: "2025-08-14" },
+    ]);
+  });
+});
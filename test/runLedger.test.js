@@ -0,0 +1,127 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { RunLedger } = require("../src/services/runLedger");
+
+const fileArmy = {
+  name: "Saraian 1st Army",
+  sheetId: "sheet-1",
+  sheetName: "Army",
+  currentSuppliesCell: "B2",
+};
+const sheetArmy = { ...fileArmy, lastProcessedDateCell: "B7" };
+
+// Data sources that record sheet writes instead of sending them
+function recordingSources() {
+  const writes = [];
+  return {
+    writes,
+    forSheet: () => ({
+      updateCellValue: async (sheetId, cell, value, sheetName) => {
+        writes.push({ sheetId, cell, value, sheetName });
+      },
+    }),
+  };
+}
+
+describe("RunLedger", () => {
+  let dir;
+  let statePath;
+  let dataSources;
+  let ledger;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "run-ledger-"));
+    statePath = path.join(dir, "run-ledger.json");
+    dataSources = recordingSources();
+    ledger = new RunLedger({ dataSources, statePath });
+  });
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  async function readState() {
+    return JSON.parse(await fs.readFile(statePath, "utf8"));
+  }
+
+  it("keys armies by spreadsheet, tab and supplies cell", () => {
+    assert.equal(ledger.getKey(fileArmy), "sheet-1!Army!B2");
+    assert.equal(
+      ledger.getKey({ ...fileArmy, name: "Renamed", sheetName: undefined }),
+      "sheet-1!!B2"
+    );
+  });
+
+  it("reads the date from the sheet when the army has a ledger cell", async () => {
+    assert.equal(
+      await ledger.getLastProcessedDate(sheetArmy, { B7: " 2025-08-12 " }),
+      "2025-08-12"
+    );
+    assert.equal(
+      await ledger.getLastProcessedDate(sheetArmy, { B7: "" }),
+      null
+    );
+    assert.equal(await ledger.getLastProcessedDate(sheetArmy, {}), null);
+  });
+
+  it("writes the ledger cell with the previous date kept for undo", () => {
+    assert.deepEqual(
+      ledger.getSheetWrite(sheetArmy, "2025-08-13", "2025-08-12"),
+      {
+        cell: "B7",
+        value: "2025-08-13",
+        previous: "2025-08-12",
+        sheetName: "Army",
+      }
+    );
+    assert.equal(ledger.getSheetWrite(sheetArmy, "2025-08-13").previous, "");
+    assert.equal(ledger.getSheetWrite(fileArmy, "2025-08-13"), null);
+  });
+
+  it("marks sheet ledgers in the sheet unless the caller already wrote it", async () => {
+    await ledger.markProcessed(sheetArmy, "2025-08-13");
+    await ledger.markProcessed(sheetArmy, "2025-08-14", {
+      writtenToSheet: true,
+    });
+
+    assert.deepEqual(dataSources.writes, [
+      {
+        sheetId: "sheet-1",
+        cell: "B7",
+        value: "2025-08-13",
+        sheetName: "Army",
+      },
+    ]);
+    await assert.rejects(fs.access(statePath), { code: "ENOENT" });
+  });
+
+  it("keeps other armies' dates in the state file across instances", async () => {
+    assert.equal(await ledger.getLastProcessedDate(fileArmy), null);
+
+    await ledger.markProcessed(fileArmy, "2025-08-13");
+
+    assert.equal(dataSources.writes.length, 0);
+    const entry = (await readState()).armies["sheet-1!Army!B2"];
+    assert.equal(entry.name, "Saraian 1st Army");
+    assert.equal(entry.lastProcessedDate, "2025-08-13");
+    const reloaded = new RunLedger({ dataSources, statePath });
+    assert.equal(await reloaded.getLastProcessedDate(fileArmy), "2025-08-13");
+  });
+
+  it("restores an undone army's state-file entry", async () => {
+    const otherArmy = { ...fileArmy, currentSuppliesCell: "C2" };
+    await ledger.markProcessed(fileArmy, "2025-08-13");
+    await ledger.markProcessed(otherArmy, "2025-08-13");
+
+    await ledger.restoreLastProcessedDate(fileArmy, "2025-08-12");
+    assert.equal(await ledger.getLastProcessedDate(fileArmy), "2025-08-12");
+
+    // An army the undone run processed for the first time loses its entry
+    await ledger.restoreLastProcessedDate(otherArmy, null);
+    assert.deepEqual(Object.keys((await readState()).armies), [
+      "sheet-1!Army!B2",
+    ]);
+  });
+});
@@ -0,0 +1,159 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { runMonitor, getRunOptions } = require("../src/index");
+const { JsonFileSource } = require("../src/services/jsonFileSource");
+
+const STATE_VARIABLES = [
+  "RUN_LEDGER_PATH",
+  "RUN_HISTORY_PATH",
+  "OUTBOX_PATH",
+  "STATUS_BOARD_PATH",
+];
+const now = new Date("2025-08-13T12:00:00Z");
+
+describe("runMonitor", () => {
+  let dir;
+  let filePath;
+  let army;
+  const readArmies = JsonFileSource.prototype.getCellValuesForArmies;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "run-monitor-"));
+    STATE_VARIABLES.forEach((name) => {
+      process.env[name] = path.join(dir, `${name}.json`);
+    });
+    filePath = path.join(dir, "campaign.json");
+    await writeArmyCells({
+      B2: 150,
+      B3: 10,
+      B4: 100,
+      B5: 500,
+      B7: "2025-08-12",
+    });
+    // No destinations: nothing is sent, errors still show in the result
+    army = {
+      name: "Saraian 1st Army",
+      source: { type: "json", path: filePath },
+      sheetId: filePath,
+      sheetName: "Army",
+      currentSuppliesCell: "B2",
+      dailyConsumptionCell: "B3",
+      totalCarriedCell: "B4",
+      currentCarryingCapacityCell: "B5",
+      lastProcessedDateCell: "B7",
+      campaign: { timezone: "UTC" },
+    };
+  });
+  afterEach(async () => {
+    JsonFileSource.prototype.getCellValuesForArmies = readArmies;
+    STATE_VARIABLES.forEach((name) => delete process.env[name]);
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  async function readArmyCells() {
+    return JSON.parse(await fs.readFile(filePath, "utf8")).sheets.Army;
+  }
+
+  async function writeArmyCells(cells) {
+    await fs.writeFile(filePath, JSON.stringify({ sheets: { Army: cells } }));
+  }
+
+  // Apply an edit to the file before every read after the first, as if
+  // someone changed the sheet while the run was working out its tick
+  function editBetweenReads(edit) {
+    let reads = 0;
+    JsonFileSource.prototype.getCellValuesForArmies = async function (...args) {
+      reads += 1;
+      if (reads > 1) {
+        await writeArmyCells(edit(await readArmyCells()));
+      }
+      return readArmies.apply(this, args);
+    };
+  }
+
+  function run(options = {}) {
+    return runMonitor({
+      config: [army],
+      options: { ...getRunOptions([]), ...options },
+      now,
+      runId: "test",
+    });
+  }
+
+  it("deducts the day and records it in the ledger cell", async () => {
+    const { results, errors } = await run();
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(
+      results.map(({ name, outcome }) => ({ name, outcome })),
+      [{ name: "Saraian 1st Army", outcome: "applied" }]
+    );
+    const cells = await readArmyCells();
+    assert.equal(cells.B2, 140);
+    assert.equal(cells.B7, "2025-08-13");
+  });
+
+  it("writes nothing and reports an error when the cells keep changing", async () => {
+    editBetweenReads((cells) => ({ ...cells, B2: cells.B2 + 5 }));
+
+    const { results, errors } = await run();
+
+    assert.deepEqual(results, []);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0].error, /^Sheet changed during run \(B2 changed/);
+    // The last edit stays; the day is left for the next run
+    assert.deepEqual(await readArmyCells(), {
+      B2: 160,
+      B3: 10,
+      B4: 100,
+      B5: 500,
+      B7: "2025-08-12",
+    });
+  });
+
+  it("skips an army another run recorded meanwhile, keeping its current figures", async () => {
+    editBetweenReads((cells) => ({ ...cells, B2: 140, B7: "2025-08-13" }));
+
+    const { results, errors } = await run();
+
+    assert.deepEqual(errors, []);
+    assert.equal(results.length, 1);
+    assert.equal(results[0].name, "Saraian 1st Army");
+    assert.equal(results[0].outcome, "skipped");
+    assert.equal(results[0].campaignDate, "2025-08-13");
+    assert.equal(results[0].tick.currentSupplies, 140);
+    assert.equal(results[0].tick.newSupplyValue, 140);
+    assert.equal((await readArmyCells()).B2, 140);
+  });
+
+  it("also skips it when re-sending notifications", async () => {
+    editBetweenReads((cells) => ({ ...cells, B2: 140, B7: "2025-08-13" }));
+
+    const { results, errors } = await run({ resendNotifications: true });
+
+    assert.deepEqual(errors, []);
+    assert.equal(results.length, 1);
+    assert.equal(results[0].outcome, "skipped");
+    assert.equal(results[0].tick.currentSupplies, 140);
+  });
+
+  it("reports an army whose day was already applied with its current figures", async () => {
+    await writeArmyCells({
+      B2: 140,
+      B3: 10,
+      B4: 100,
+      B5: 500,
+      B7: "2025-08-13",
+    });
+
+    const { results } = await run();
+
+    assert.equal(results[0].outcome, "skipped");
+    assert.equal(results[0].tick.currentSupplies, 140);
+    assert.equal(results[0].tick.daysRemaining, 14);
+    assert.equal((await readArmyCells()).B2, 140);
+  });
+});
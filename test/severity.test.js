@@ -0,0 +1,114 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_SEVERITY_TIERS,
+  parseColor,
+  resolveSeverityTiers,
+  getSeverity,
+  renderSeverityBanner,
+} = require("../src/domain/severity");
+
+describe("getSeverity", () => {
+  it("keeps the legacy day bands by default", () => {
+    const names = [0, 2, 3, 5, 7, 10, 14, 15, 100].map(
+      (daysRemaining) =>
+        getSeverity({ daysRemaining }, DEFAULT_SEVERITY_TIERS).name
+    );
+    assert.deepEqual(names, [
+      "zero",
+      "critical",
+      "critical",
+      "warning",
+      "warning",
+      "caution",
+      "caution",
+      "good",
+      "good",
+    ]);
+    assert.equal(
+      getSeverity({ daysRemaining: 5 }, DEFAULT_SEVERITY_TIERS).color,
+      0xff8c00
+    );
+  });
+
+  it("matches capacity thresholds as well as days", () => {
+    const tiers = [
+      {
+        name: "overloaded",
+        minCapacityPercent: 95,
+        color: "#ff00ff",
+        emoji: "🐌",
+      },
+      { name: "low", maxDays: 2, emoji: "🚨" },
+      { name: "ok", emoji: "✅" },
+    ];
+
+    const overloaded = getSeverity(
+      { daysRemaining: 30, capacityPercent: 98 },
+      tiers
+    );
+    assert.equal(overloaded.name, "overloaded");
+    assert.equal(overloaded.color, 0xff00ff);
+    assert.equal(
+      getSeverity({ daysRemaining: 1, capacityPercent: 50 }, tiers).name,
+      "low"
+    );
+    assert.equal(
+      getSeverity({ daysRemaining: 30, capacityPercent: null }, tiers).name,
+      "ok"
+    );
+  });
+
+  it("ranks tiers by level, most severe highest", () => {
+    const levels = [0, 2, 5, 10, 100].map(
+      (daysRemaining) =>
+        getSeverity({ daysRemaining }, DEFAULT_SEVERITY_TIERS).level
+    );
+    assert.deepEqual(levels, [5, 4, 3, 2, 1]);
+  });
+
+  it("falls back to a neutral tier when nothing matches", () => {
+    const severity = getSeverity({ daysRemaining: 30 }, [
+      { name: "low", maxDays: 2 },
+    ]);
+    assert.equal(severity.name, "good");
+    assert.equal(severity.color, 0x00ff00);
+    assert.equal(severity.level, 0);
+  });
+});
+
+describe("severity configuration", () => {
+  it("prefers the army's tiers over the campaign's", () => {
+    const armyTiers = [{ name: "army" }];
+    const campaignTiers = [{ name: "campaign" }];
+    assert.equal(
+      resolveSeverityTiers({
+        severityTiers: armyTiers,
+        campaign: { severityTiers: campaignTiers },
+      }),
+      armyTiers
+    );
+    assert.equal(
+      resolveSeverityTiers({ campaign: { severityTiers: campaignTiers } }),
+      campaignTiers
+    );
+    assert.equal(resolveSeverityTiers({}), DEFAULT_SEVERITY_TIERS);
+  });
+
+  it("parses hex and integer colours", () => {
+    assert.equal(parseColor("#FF8C00"), 0xff8c00);
+    assert.equal(parseColor(0x00ff00), 0x00ff00);
+    assert.equal(parseColor("orange"), null);
+  });
+
+  it("fills banner placeholders", () => {
+    const banner = renderSeverityBanner(
+      {
+        banner: "{name}: {days} days left, {capacityPercent}% loaded {unknown}",
+      },
+      { name: "Raiders", days: 2, capacityPercent: 80 }
+    );
+    assert.equal(banner, "Raiders: 2 days left, 80% loaded {unknown}");
+    assert.equal(renderSeverityBanner({ name: "good" }, {}), null);
+  });
+});
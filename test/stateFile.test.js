@@ -0,0 +1,42 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { readStateFile, writeStateFile } = require("../src/utils/stateFile");
+
+describe("state files", () => {
+  let dir;
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "state-file-"));
+  });
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it("reads a missing file as an empty state", async () => {
+    assert.deepEqual(
+      await readStateFile(path.join(dir, "missing.json"), "outbox"),
+      {}
+    );
+  });
+
+  it("writes into a new directory and reads the state back", async () => {
+    const statePath = path.join(dir, "nested", "outbox.json");
+    await writeStateFile(statePath, { entries: [{ id: "a" }] });
+
+    assert.deepEqual(await readStateFile(statePath, "outbox"), {
+      entries: [{ id: "a" }],
+    });
+    assert.match(await fs.readFile(statePath, "utf8"), /\n$/);
+  });
+
+  it("names the file in errors for unreadable state", async () => {
+    const statePath = path.join(dir, "broken.json");
+    await fs.writeFile(statePath, "{ not json", "utf8");
+
+    await assert.rejects(readStateFile(statePath, "run ledger"), {
+      message: new RegExp(`^Failed to read run ledger ${statePath}: `),
+    });
+  });
+});
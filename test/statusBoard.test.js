@@ -0,0 +1,158 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const https = require("https");
+const { EventEmitter } = require("events");
+const { Notifier, getDestinations } = require("../src/services/notifier");
+const { StatusBoards } = require("../src/services/statusBoards");
+
+const WEBHOOK = "https://discord.com/api/webhooks/1/token?thread_id=7";
+const army = {
+  name: "Saraian 1st Army",
+  webhookUrl: WEBHOOK,
+  statusBoard: true,
+};
+const message = {
+  kind: "status",
+  name: "Saraian 1st Army",
+  title: "📦 Saraian 1st Army",
+  color: 0xffa500,
+  content: null,
+  fields: [],
+};
+const OK = { name: "OK", level: 0 };
+const LOW = { name: "Low", level: 1, emoji: "⚠️", color: 0xffa500 };
+
+// Stand-in for https.request: records each request and answers with what
+// `respond` returns ({ status, body })
+function stubHttps(respond) {
+  const requests = [];
+  https.request = (options, callback) => {
+    const req = new EventEmitter();
+    let body = "";
+    req.setTimeout = () => {};
+    req.write = (chunk) => {
+      body += chunk;
+    };
+    req.end = () => {
+      const request = {
+        method: options.method,
+        path: options.path,
+        body: JSON.parse(body),
+      };
+      requests.push(request);
+      const reply = respond(request) || {};
+      setImmediate(() => {
+        const res = new EventEmitter();
+        res.statusCode = reply.status || 200;
+        res.headers = {};
+        callback(res);
+        res.emit("data", reply.body || "");
+        res.emit("end");
+      });
+    };
+    return req;
+  };
+  return requests;
+}
+
+describe("status boards", () => {
+  const request = https.request;
+  let dir;
+  let requests;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "status-boards-"));
+    process.env.STATUS_BOARD_PATH = path.join(dir, "status-boards.json");
+    requests = stubHttps((req) =>
+      req.method === "POST" ? { body: '{"id":"111"}' } : null
+    );
+  });
+  afterEach(async () => {
+    https.request = request;
+    delete process.env.STATUS_BOARD_PATH;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  // Each run sets up a notifier of its own, reading the board file again
+  function report(severity) {
+    const notifier = new Notifier({ statusBoards: new StatusBoards() });
+    return notifier.sendReport(getDestinations(army), message, {
+      army: army.name,
+      severity,
+    });
+  }
+
+  async function readBoards() {
+    const file = await fs.readFile(process.env.STATUS_BOARD_PATH, "utf8");
+    return Object.values(JSON.parse(file).boards);
+  }
+
+  it("posts the board with ?wait=true the first time and keeps its ID", async () => {
+    await report(OK);
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].method, "POST");
+    assert.equal(
+      requests[0].path,
+      "/api/webhooks/1/token?thread_id=7&wait=true"
+    );
+    const [board] = await readBoards();
+    assert.equal(board.messageId, "111");
+    assert.equal(board.severity, "OK");
+  });
+
+  it("edits the board on later runs", async () => {
+    await report(OK);
+    await report(OK);
+
+    assert.equal(requests.length, 2);
+    assert.equal(requests[1].method, "PATCH");
+    assert.equal(
+      requests[1].path,
+      "/api/webhooks/1/token/messages/111?thread_id=7"
+    );
+    // Clears a banner an earlier edit may have left
+    assert.equal(requests[1].body.content, null);
+  });
+
+  it("posts a new board when the old message was deleted", async () => {
+    await report(OK);
+    requests = stubHttps((req) =>
+      req.method === "PATCH"
+        ? { status: 404, body: '{"message":"Unknown Message"}' }
+        : { body: '{"id":"222"}' }
+    );
+
+    await report(OK);
+
+    assert.deepEqual(
+      requests.map((req) => req.method),
+      ["PATCH", "POST"]
+    );
+    assert.equal((await readBoards())[0].messageId, "222");
+  });
+
+  it("posts an alert beside the board when the severity gets worse", async () => {
+    await report(OK);
+    await report(LOW);
+
+    assert.deepEqual(
+      requests.map((req) => req.method),
+      ["POST", "PATCH", "POST"]
+    );
+    assert.equal(requests[2].path, "/api/webhooks/1/token?thread_id=7");
+    assert.equal(
+      requests[2].body.embeds[0].title,
+      "⚠️ Saraian 1st Army: OK → Low"
+    );
+    assert.equal((await readBoards())[0].severity, "Low");
+
+    // No new alert while the severity stays the same
+    await report(LOW);
+    assert.equal(requests.length, 4);
+    assert.equal(requests[3].method, "PATCH");
+  });
+});
@@ -0,0 +1,192 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  SupplyCommands,
+  CommandError,
+} = require("../src/services/supplyCommands");
+
+const campaign = {
+  timezone: "UTC",
+  gm: { userIds: ["gm-1"], roleIds: ["gm-role"] },
+};
+const marching = {
+  name: "Saraian 1st Army",
+  players: { userIds: ["player-1"] },
+  restingStatusCell: "B6",
+  campaign,
+};
+const noRestCell = {
+  name: "Saraian 2nd Army",
+  players: { userIds: ["player-2"] },
+  campaign,
+};
+const commands = new SupplyCommands({
+  config: [marching, noRestCell],
+  dataSources: null,
+});
+
+const player = (userId) => ({ userId, roleIds: [] });
+
+// A chat input interaction as far as authorize reads it
+function commandInteraction(subcommand, army = null) {
+  return {
+    options: {
+      getSubcommand: () => subcommand,
+      getString: (name) => (name === "army" ? army : null),
+    },
+  };
+}
+
+// A click on an alert button, posted in a channel (not a thread)
+function buttonInteraction(customId, message = {}) {
+  const sent = [];
+  const thread = {
+    id: "thread-1",
+    send: async (reply) => {
+      sent.push(reply);
+    },
+  };
+  return {
+    sent,
+    customId,
+    user: { id: "player-1", tag: "player#0001" },
+    channel: { isThread: () => false },
+    message: {
+      hasThread: false,
+      url: "https://discord.com/channels/1/2/3",
+      startThread: async () => thread,
+      ...message,
+    },
+  };
+}
+
+describe("SupplyCommands.authorize", () => {
+  it("lets a player act on their only army without naming it", () => {
+    assert.equal(
+      commands.authorize(commandInteraction("status"), player("player-1")),
+      marching
+    );
+  });
+
+  it("refuses members who don't play the army", () => {
+    assert.throws(
+      () =>
+        commands.authorize(
+          commandInteraction("status", "Saraian 1st Army"),
+          player("player-2")
+        ),
+      new CommandError(
+        "Only players of Saraian 1st Army and the GM can do that"
+      )
+    );
+    assert.throws(
+      () => commands.authorize(commandInteraction("status"), player("someone")),
+      { message: "You are not a player of any army" }
+    );
+  });
+
+  it("refuses rest for an army without a restingStatusCell", () => {
+    assert.throws(
+      () => commands.authorize(commandInteraction("rest"), player("player-2")),
+      { message: "Saraian 2nd Army has no restingStatusCell to set" }
+    );
+  });
+});
+
+describe("SupplyCommands.authorizeButton", () => {
+  it("reads the action and army from the button", () => {
+    const { action, army } = commands.authorizeButton(
+      buttonInteraction("supply:forecast:Saraian 1st Army"),
+      player("player-1")
+    );
+    assert.equal(action, "forecast");
+    assert.equal(army, marching);
+  });
+
+  it("refuses clicks by members who don't play the army", () => {
+    assert.throws(
+      () =>
+        commands.authorizeButton(
+          buttonInteraction("supply:forecast:Saraian 1st Army"),
+          player("player-2")
+        ),
+      { message: "Only players of Saraian 1st Army and the GM can do that" }
+    );
+  });
+
+  it("refuses unknown buttons and rest without a restingStatusCell", () => {
+    assert.throws(
+      () =>
+        commands.authorizeButton(
+          buttonInteraction("other:thing"),
+          player("player-1")
+        ),
+      { message: "This button is no longer supported" }
+    );
+    assert.throws(
+      () =>
+        commands.authorizeButton(
+          buttonInteraction("supply:rest:Saraian 2nd Army"),
+          player("player-2")
+        ),
+      { message: "Saraian 2nd Army has no restingStatusCell to set" }
+    );
+  });
+
+  it("refuses a second resupply request on the same alert", () => {
+    const interaction = buttonInteraction("supply:resupply:Saraian 1st Army", {
+      hasThread: true,
+      thread: { id: "thread-1" },
+    });
+    assert.throws(
+      () => commands.authorizeButton(interaction, player("player-1")),
+      {
+        message:
+          "A resupply request for this alert is already open: <#thread-1>",
+      }
+    );
+  });
+});
+
+describe("SupplyCommands.requestResupply", () => {
+  it("opens a thread on the alert that only pings the GM", async () => {
+    const interaction = buttonInteraction("supply:resupply:Saraian 1st Army");
+
+    const reply = await commands.requestResupply(marching, interaction);
+
+    assert.equal(interaction.sent.length, 1);
+    const [request] = interaction.sent;
+    assert.match(
+      request.content,
+      /^🎫 <@player-1> requests a resupply for \*\*Saraian 1st Army\*\*\.\nGM: <@gm-1> <@&gm-role>\n/
+    );
+    assert.deepEqual(request.allowedMentions, {
+      users: ["gm-1"],
+      roles: ["gm-role"],
+    });
+    assert.equal(reply.kind, "resupplyRequest");
+  });
+
+  it("posts in the alert's thread when clicked inside one", async () => {
+    const interaction = buttonInteraction("supply:resupply:Saraian 1st Army", {
+      startThread: async () => assert.fail("started a second thread"),
+    });
+    const sent = [];
+    interaction.channel = {
+      id: "thread-9",
+      isThread: () => true,
+      send: async (request) => {
+        sent.push(request);
+      },
+    };
+
+    await commands.requestResupply(
+      { ...marching, campaign: { timezone: "UTC" } },
+      interaction
+    );
+
+    assert.equal(sent.length, 1);
+    assert.match(sent[0].content, /No GM is configured for this campaign/);
+    assert.deepEqual(sent[0].allowedMentions, { users: [], roles: [] });
+  });
+});
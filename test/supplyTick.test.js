@@ -0,0 +1,241 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  computeSupplyTick,
+  calculateDaysRemaining,
+  getTickCells,
+  getChangedCells,
+} = require("../src/domain/supplyTick");
+const {
+  parseNumericValue,
+  parseBooleanValue,
+} = require("../src/domain/values");
+
+const sheetConfig = {
+  name: "Saraian 1st Army",
+  currentSuppliesCell: "B2",
+  dailyConsumptionCell: "B3",
+  restingStatusCell: "B4",
+  totalCarriedCell: "B5",
+  currentCarryingCapacityCell: "B6",
+};
+
+function tick(values, dates = ["2025-08-13"], config = sheetConfig) {
+  return computeSupplyTick({
+    sheetConfig: config,
+    cellValues: {
+      B2: "150",
+      B3: "5",
+      B4: "FALSE",
+      B5: "420",
+      B6: "500",
+      ...values,
+    },
+    dates,
+  });
+}
+
+describe("computeSupplyTick", () => {
+  it("deducts one day of consumption and reports status", () => {
+    const result = tick({});
+
+    assert.equal(result.newSupplyValue, 145);
+    assert.equal(result.suppliesConsumed, 5);
+    assert.equal(result.adjustedTotalCarried, 415);
+    assert.equal(result.daysRemaining, 29);
+    assert.equal(result.notification, "status");
+    assert.deepEqual(result.writes, [
+      { cell: "B2", value: 145, previous: 150 },
+    ]);
+    assert.equal(result.capacityPercent, 83);
+    assert.equal(result.severity.name, "good");
+  });
+
+  it("skips the deduction while resting", () => {
+    const result = tick({ B4: "TRUE" });
+
+    assert.equal(result.isResting, true);
+    assert.equal(result.newSupplyValue, 150);
+    assert.equal(result.suppliesConsumed, 0);
+    assert.equal(result.adjustedTotalCarried, 420);
+    assert.equal(result.notification, "status");
+    assert.deepEqual(result.writes, []);
+  });
+
+  it("accepts boolean and yes/no resting values", () => {
+    assert.equal(parseBooleanValue(true), true);
+    assert.equal(parseBooleanValue(" Yes "), true);
+    assert.equal(parseBooleanValue("FALSE"), false);
+    assert.equal(parseBooleanValue(null), false);
+  });
+
+  it("does not write or deduct when supplies are already zero", () => {
+    const result = tick({ B2: "0" });
+
+    assert.equal(result.suppliesWereZero, true);
+    assert.equal(result.suppliesHitZero, false);
+    assert.equal(result.newSupplyValue, 0);
+    assert.equal(result.notification, "zero");
+    assert.deepEqual(result.writes, []);
+  });
+
+  it("sends a status update rather than a zero alert for a resting army at zero", () => {
+    const result = tick({ B2: "0", B4: "TRUE" });
+
+    assert.equal(result.notification, "status");
+  });
+
+  it("consumes only what is left on a partial last day", () => {
+    const result = tick({ B2: "3", B5: "100" });
+
+    assert.equal(result.newSupplyValue, 0);
+    assert.equal(result.suppliesConsumed, 3);
+    assert.equal(result.adjustedTotalCarried, 97);
+    assert.equal(result.suppliesHitZero, true);
+    assert.equal(result.daysRemaining, 0);
+    assert.equal(result.notification, "zero");
+    assert.deepEqual(result.writes, [{ cell: "B2", value: 0, previous: 3 }]);
+  });
+
+  it("parses comma-formatted numbers", () => {
+    const result = tick({ B2: "1,250", B3: "12.5", B5: "2,400", B6: "3,000" });
+
+    assert.equal(result.currentSupplies, 1250);
+    assert.equal(result.newSupplyValue, 1237.5);
+    assert.equal(result.adjustedTotalCarried, 2387.5);
+    assert.equal(result.carryingCapacity, 3000);
+  });
+
+  it("parses numbers in the spreadsheet's locale", () => {
+    const result = computeSupplyTick({
+      sheetConfig,
+      cellValues: { B2: "1.250,5", B3: "12,5", B5: "2.400", B6: "3.000" },
+      dates: ["2025-08-13"],
+      locale: "de_DE",
+    });
+
+    assert.equal(result.currentSupplies, 1250.5);
+    assert.equal(result.dailyConsumption, 12.5);
+    assert.equal(result.newSupplyValue, 1238);
+    assert.equal(result.carryingCapacity, 3000);
+  });
+
+  it("flags over-capacity using the post-consumption carried weight", () => {
+    assert.equal(tick({ B5: "510" }).overCapacity, true);
+    // 505 carried - 5 consumed = 500, exactly at capacity
+    assert.equal(tick({ B5: "505" }).overCapacity, false);
+  });
+
+  it("applies each missed day in order when catching up", () => {
+    const result = tick({ B2: "12" }, [
+      "2025-08-11",
+      "2025-08-12",
+      "2025-08-13",
+      "2025-08-14",
+    ]);
+
+    assert.equal(result.notification, "catchUp");
+    assert.deepEqual(
+      result.days.map((day) => [day.suppliesBefore, day.suppliesAfter]),
+      [
+        [12, 7],
+        [7, 2],
+        [2, 0],
+        [0, 0],
+      ]
+    );
+    assert.deepEqual(
+      result.days.map((day) => [day.hitZero, day.wasZero]),
+      [
+        [false, false],
+        [false, false],
+        [true, false],
+        [false, true],
+      ]
+    );
+    assert.equal(result.suppliesConsumed, 12);
+    assert.deepEqual(result.writes, [{ cell: "B2", value: 0, previous: 12 }]);
+  });
+
+  it("deducts nothing when the day was already processed", () => {
+    const result = tick({}, []);
+
+    assert.equal(result.newSupplyValue, 150);
+    assert.deepEqual(result.writes, []);
+    assert.equal(result.notification, "status");
+  });
+
+  it("rejects missing cells and non-positive consumption", () => {
+    assert.throws(() => tick({ B2: null }), /current supplies cell B2/);
+    assert.throws(() => tick({ B3: "0" }), /greater than 0/);
+    assert.throws(() => tick({ B5: "lots" }), /Invalid numeric value/);
+  });
+
+  it("evaluates legacy metric cells, leaving out empty ones", () => {
+    const result = tick(
+      { C2: "1,200", C4: "9", C8: "At sea", C9: "" },
+      ["2025-08-13"],
+      {
+        ...sheetConfig,
+        ownedAndCarriedLootCell: "C2",
+        currentMoraleCell: "C4",
+        shippingStatusCell: "C8",
+        supplyShipsCountCell: "C9",
+      }
+    );
+
+    assert.deepEqual(
+      result.metrics.map((metric) => [metric.label, metric.value]),
+      [
+        ["Owned", 1200],
+        ["Cur", "9"],
+        ["Status", "At sea"],
+      ]
+    );
+  });
+});
+
+describe("getTickCells", () => {
+  it("lists required cells first, then optional ones that are configured", () => {
+    assert.deepEqual(
+      getTickCells({
+        ...sheetConfig,
+        armyLengthCell: "C6",
+        metrics: [{ cell: "D2", label: "Wagons" }],
+      }),
+      ["B2", "B3", "B5", "B6", "B4", "C6", "D2"]
+    );
+  });
+});
+
+describe("getChangedCells", () => {
+  it("reports cells edited between two reads", () => {
+    assert.deepEqual(
+      getChangedCells(
+        ["B2", "B3", "B7"],
+        { B2: "150", B3: "5", B7: null },
+        { B2: "175", B3: "5" }
+      ),
+      [{ cell: "B2", from: "150", to: "175" }]
+    );
+  });
+
+  it("treats numbers and their text form as unchanged", () => {
+    assert.deepEqual(getChangedCells(["B2"], { B2: 150 }, { B2: "150" }), []);
+  });
+});
+
+describe("calculateDaysRemaining", () => {
+  it("rounds down to whole days", () => {
+    assert.equal(calculateDaysRemaining(29, 5), 5);
+    assert.equal(calculateDaysRemaining("1,000", "300"), 3);
+  });
+});
+
+describe("parseNumericValue", () => {
+  it("passes numbers through and rejects non-numeric text", () => {
+    assert.equal(parseNumericValue(42), 42);
+    assert.throws(() => parseNumericValue("n/a"), /Invalid numeric value/);
+    assert.throws(() => parseNumericValue(undefined), /Invalid value type/);
+  });
+});
@@ -0,0 +1,34 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { renderTemplate } = require("../src/utils/template");
+
+describe("renderTemplate", () => {
+  it("fills placeholders throughout nested objects and arrays", () => {
+    const template = {
+      msg: "{{title}} ({{kind}})",
+      color: "{{color}}",
+      tags: ["{{army}}", "supply"],
+      fixed: 1,
+    };
+
+    assert.deepEqual(
+      renderTemplate(template, {
+        title: "Status",
+        kind: "status",
+        color: 0xff8c00,
+        army: "A",
+      }),
+      {
+        msg: "Status (status)",
+        color: 0xff8c00,
+        tags: ["A", "supply"],
+        fixed: 1,
+      }
+    );
+  });
+
+  it("leaves unknown placeholders empty", () => {
+    assert.equal(renderTemplate("x{{missing}}y", {}), "xy");
+    assert.equal(renderTemplate("{{ missing }}", {}), "");
+  });
+});